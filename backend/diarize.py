@@ -0,0 +1,237 @@
+# backend/diarize.py
+
+# --- Importaciones de Módulos ---
+import os                           # Lectura de la configuración desde variables de entorno.
+import numpy as np                  # Cálculo de características y agrupamiento (dependencia de Whisper).
+import whisper                      # Espectrograma log-mel y frecuencia de muestreo del audio.
+
+# --- Configuración de la Diarización ---
+# Ruta local de un pipeline de pyannote.audio (ej. el `config.yaml` de un modelo descargado previamente).
+# Si se define y pyannote.audio está instalado, se usa en lugar del agrupamiento propio, que es más
+# sencillo y funciona sin dependencias adicionales, pero distingue peor voces parecidas.
+PYANNOTE_PIPELINE = os.environ.get("DIARIZATION_PIPELINE")
+# Número máximo de hablantes que se intenta distinguir cuando no se indica cuántos hay.
+MAX_SPEAKERS = 8
+# Duración mínima (s) del fragmento de audio del que se extraen las características de cada segmento.
+# Los segmentos más cortos se amplían alrededor de su centro.
+MIN_EMBEDDING_SECONDS = 1.0
+# Calidad mínima del agrupamiento (coeficiente de silueta, de -1 a 1) para aceptar más de un hablante.
+# Por debajo de este valor se considera que todo el audio es de un único hablante.
+MIN_SILHOUETTE = 0.1
+# Iteraciones máximas de k-means por cada número de hablantes probado.
+KMEANS_ITERATIONS = 50
+# ------------------------------------
+
+# Pipeline de pyannote, cargado la primera vez que se usa (el worker lo reutiliza entre solicitudes).
+_pipeline = None
+
+
+def speaker_id(index):
+    """
+    Identificador estable de un hablante a partir de su orden de aparición ("SPEAKER_1", "SPEAKER_2"...).
+    El backend lo usa como clave para los nombres que asigna el usuario.
+    """
+    return f"SPEAKER_{index + 1}"
+
+
+def segment_features(audio, start, end):
+    """
+    Calcula un vector de características de la voz en un segmento: la media y la desviación típica
+    de cada banda del espectrograma log-mel (el mismo que usa Whisper).
+
+    Args:
+        audio (np.ndarray): Audio completo a 16 kHz (tal como lo devuelve `whisper.load_audio`).
+        start (float): Inicio del segmento en segundos.
+        end (float): Fin del segmento en segundos.
+
+    Returns:
+        np.ndarray | None: Vector de características, o None si el fragmento es demasiado corto.
+    """
+    sample_rate = whisper.audio.SAMPLE_RATE
+    center = (start + end) / 2
+    half_width = max(end - start, MIN_EMBEDDING_SECONDS) / 2
+    first = max(0, int((center - half_width) * sample_rate))
+    last = min(len(audio), int((center + half_width) * sample_rate))
+    chunk = audio[first:last]
+    if len(chunk) < whisper.audio.N_FFT:
+        return None
+    mel = whisper.log_mel_spectrogram(chunk).numpy()  # Forma (bandas, fotogramas).
+    return np.concatenate([mel.mean(axis=1), mel.std(axis=1)])
+
+
+def kmeans(features, k, rng):
+    """
+    Agrupa los vectores en `k` grupos con k-means (inicialización k-means++).
+
+    Args:
+        features (np.ndarray): Matriz (segmentos, características).
+        k (int): Número de grupos.
+        rng (np.random.Generator): Generador aleatorio (con semilla fija para resultados reproducibles).
+
+    Returns:
+        np.ndarray: Grupo asignado a cada segmento.
+    """
+    centers = [features[rng.integers(len(features))]]
+    for _ in range(1, k):
+        distances = np.min([np.sum((features - center) ** 2, axis=1) for center in centers], axis=0)
+        total = distances.sum()
+        if total == 0:
+            break  # Todos los vectores coinciden con algún centro: no hay más grupos que formar.
+        centers.append(features[rng.choice(len(features), p=distances / total)])
+    centers = np.array(centers)
+
+    labels = np.zeros(len(features), dtype=int)
+    for _ in range(KMEANS_ITERATIONS):
+        labels = np.argmin(((features[:, None, :] - centers[None, :, :]) ** 2).sum(axis=2), axis=1)
+        new_centers = np.array([
+            features[labels == index].mean(axis=0) if np.any(labels == index) else centers[index]
+            for index in range(len(centers))
+        ])
+        if np.allclose(new_centers, centers):
+            break
+        centers = new_centers
+    return labels
+
+
+def silhouette(distances, labels):
+    """
+    Coeficiente de silueta medio de un agrupamiento: cercano a 1 si los grupos están bien separados,
+    cercano a 0 si se solapan.
+
+    Args:
+        distances (np.ndarray): Matriz de distancias entre segmentos.
+        labels (np.ndarray): Grupo asignado a cada segmento.
+
+    Returns:
+        float: Coeficiente medio (-1 si hay menos de dos grupos).
+    """
+    clusters = np.unique(labels)
+    if len(clusters) < 2:
+        return -1.0
+    scores = []
+    for index, label in enumerate(labels):
+        same = labels == label
+        if same.sum() <= 1:
+            scores.append(0.0)
+            continue
+        own = distances[index, same].sum() / (same.sum() - 1)
+        nearest = min(distances[index, labels == other].mean() for other in clusters if other != label)
+        scores.append((nearest - own) / max(own, nearest) if max(own, nearest) > 0 else 0.0)
+    return float(np.mean(scores))
+
+
+def cluster_speakers(features, num_speakers=None):
+    """
+    Agrupa los segmentos por hablante. Si no se indica el número de hablantes, se prueba de 2 a
+    MAX_SPEAKERS y se elige el agrupamiento con mejor silueta (o un único hablante si ninguno es bueno).
+
+    Args:
+        features (np.ndarray): Matriz (segmentos, características).
+        num_speakers (int, optional): Número de hablantes, si se conoce.
+
+    Returns:
+        np.ndarray: Grupo asignado a cada segmento.
+    """
+    # Estandariza cada característica y proyecta los vectores sobre la esfera unidad:
+    # así la distancia euclídea entre ellos equivale a la distancia coseno.
+    features = (features - features.mean(axis=0)) / (features.std(axis=0) + 1e-8)
+    features = features / (np.linalg.norm(features, axis=1, keepdims=True) + 1e-8)
+    rng = np.random.default_rng(0)  # Semilla fija: el mismo audio produce siempre las mismas etiquetas.
+    count = len(features)
+
+    if num_speakers:
+        return kmeans(features, min(num_speakers, count), rng)
+    if count < 3:
+        return np.zeros(count, dtype=int)
+
+    distances = np.sqrt(np.maximum(0.0, 2.0 - 2.0 * features @ features.T))
+    best_labels, best_score = np.zeros(count, dtype=int), MIN_SILHOUETTE
+    for k in range(2, min(MAX_SPEAKERS, count - 1) + 1):
+        labels = kmeans(features, k, rng)
+        score = silhouette(distances, labels)
+        if score > best_score:
+            best_labels, best_score = labels, score
+    return best_labels
+
+
+def fill_gaps(labels):
+    """
+    Asigna a los segmentos sin hablante el del segmento anterior (o el del primero conocido).
+
+    Args:
+        labels (list): Hablante de cada segmento; None si no se pudo determinar.
+
+    Returns:
+        list: Etiquetas sin huecos.
+    """
+    last = next((label for label in labels if label is not None), 0)
+    filled = []
+    for label in labels:
+        last = label if label is not None else last
+        filled.append(last)
+    return filled
+
+
+def clustering_labels(audio, segments, num_speakers=None):
+    """Etiqueta los segmentos agrupando las características de su audio (sin dependencias adicionales)."""
+    features = [segment_features(audio, segment["start"], segment["end"]) for segment in segments]
+    valid = [index for index, feature in enumerate(features) if feature is not None]
+    labels = [None] * len(segments)
+    if valid:
+        groups = cluster_speakers(np.array([features[index] for index in valid]), num_speakers)
+        for index, group in zip(valid, groups):
+            labels[index] = int(group)
+    return fill_gaps(labels)
+
+
+def pyannote_labels(file_path, segments, num_speakers=None):
+    """
+    Etiqueta los segmentos con el pipeline local de pyannote.audio: cada segmento recibe el hablante
+    que más tiempo habla durante él.
+    """
+    global _pipeline
+    if _pipeline is None:
+        from pyannote.audio import Pipeline  # Dependencia opcional: solo se importa si está configurada.
+        _pipeline = Pipeline.from_pretrained(PYANNOTE_PIPELINE)
+    diarization = _pipeline(file_path, num_speakers=num_speakers) if num_speakers else _pipeline(file_path)
+    turns = [(turn.start, turn.end, speaker) for turn, _, speaker in diarization.itertracks(yield_label=True)]
+
+    labels = []
+    for segment in segments:
+        overlaps = {}
+        for start, end, speaker in turns:
+            overlap = min(end, segment["end"]) - max(start, segment["start"])
+            if overlap > 0:
+                overlaps[speaker] = overlaps.get(speaker, 0.0) + overlap
+        labels.append(max(overlaps, key=overlaps.get) if overlaps else None)
+    return fill_gaps(labels)
+
+
+def assign_speakers(audio, file_path, segments, num_speakers=None):
+    """
+    Añade a cada segmento el campo "speaker" con el hablante que lo pronuncia.
+    Los hablantes se numeran por orden de aparición ("SPEAKER_1" es el primero que habla).
+
+    Args:
+        audio (np.ndarray): Audio completo a 16 kHz.
+        file_path (str): Ruta del archivo de audio (la usa pyannote, que hace su propia lectura).
+        segments (list): Segmentos formateados por `format_segment`; se modifican en el sitio.
+        num_speakers (int, optional): Número de hablantes, si se conoce. Defaults to None (estimarlo).
+
+    Returns:
+        tuple: (lista de identificadores de hablantes en orden de aparición, método usado: "pyannote" o "clustering").
+    """
+    if not segments:
+        return [], "none"
+
+    if PYANNOTE_PIPELINE:
+        labels, method = pyannote_labels(file_path, segments, num_speakers), "pyannote"
+    else:
+        labels, method = clustering_labels(audio, segments, num_speakers), "clustering"
+
+    speaker_ids = {}
+    for segment, label in zip(segments, labels):
+        if label not in speaker_ids:
+            speaker_ids[label] = speaker_id(len(speaker_ids))
+        segment["speaker"] = speaker_ids[label]
+    return list(speaker_ids.values()), method
@@ -0,0 +1,274 @@
+// backend/lib/access.js
+
+// --- Importaciones de Módulos ---
+const { timingSafeEqual } = require('crypto');  // Comparación de los tokens de administración y métricas en tiempo constante.
+const { errorMessage } = require('./errors');   // Mensajes de error localizables.
+
+// Duración (ms) de la ventana del limitador de solicitudes.
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Obtiene la clave de API de una solicitud: cabecera `X-API-Key`, `Authorization: Bearer <clave>` o, para los
+ * recursos que el navegador pide sin cabeceras propias (SSE, `<audio>`, enlaces de descarga y WebSocket),
+ * el parámetro `apiKey` de la URL.
+ * @param {import('http').IncomingMessage} req - Solicitud HTTP (o de actualización a WebSocket).
+ * @returns {string|null}
+ */
+function extractApiKey(req) {
+    const header = req.headers['x-api-key'];
+    if (header) return String(header).trim();
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (bearer) return bearer[1].trim();
+    return new URL(req.url, 'http://localhost').searchParams.get('apiKey') || null;
+}
+
+/**
+ * Identifica al cliente de una solicitud a partir de su clave de API.
+ * @param {import('http').IncomingMessage} req - Solicitud HTTP.
+ * @param {object} options
+ * @param {import('./apiKeys').ApiKeyStore} options.store - Almacén de claves.
+ * @param {boolean} options.required - Si las solicitudes sin clave se rechazan.
+ * @returns {{apiKey: object|null}|{status: number, error: object}} La clave (null si no se envió y no es obligatoria)
+ *          o el error con su estado HTTP (401).
+ */
+function resolveApiKey(req, { store, required }) {
+    const key = extractApiKey(req);
+    if (!key) {
+        return required
+            ? { status: 401, error: errorMessage('auth.apiKeyRequired') }
+            : { apiKey: null };
+    }
+    // Una clave no válida se rechaza aunque no sea obligatoria, para no ignorar sus límites sin avisar.
+    const apiKey = store.authenticate(key);
+    return apiKey ? { apiKey } : { status: 401, error: errorMessage('auth.apiKeyInvalid') };
+}
+
+/**
+ * Middleware de autenticación por clave de API. Deja la clave identificada en `req.apiKey` (null si no se envió
+ * ninguna y no es obligatoria). El token de administración (`Authorization: Bearer <token>`) también se acepta:
+ * identifica al administrador (`req.isAdmin`), que accede a los recursos de todas las claves.
+ * @param {object} options - Ver `resolveApiKey`.
+ * @param {string} [options.adminToken] - Token de administración (`ADMIN_TOKEN`).
+ * @returns {import('express').RequestHandler}
+ */
+function requireApiKey({ adminToken, ...options }) {
+    return (req, res, next) => {
+        if (adminToken && hasBearerToken(req, adminToken)) {
+            req.apiKey = null;
+            req.isAdmin = true;
+            return next();
+        }
+        const { apiKey, status, error } = resolveApiKey(req, options);
+        if (error) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(status).json({ error });
+        }
+        req.apiKey = apiKey;
+        next();
+    };
+}
+
+/**
+ * Propietario de los recursos que crea una solicitud (trabajos, lotes y transcripciones del historial): el ID
+ * de su clave de API, o null sin clave.
+ * @param {import('http').IncomingMessage} req - Solicitud (con `apiKey` ya resuelta).
+ * @returns {string|null}
+ */
+function ownerOf(req) {
+    return req.apiKey?.id || null;
+}
+
+/**
+ * Indica si el cliente de una solicitud puede acceder a un recurso: cada clave solo ve los suyos (y las
+ * solicitudes sin clave, los creados sin clave); el administrador, todos.
+ * @param {import('http').IncomingMessage} req - Solicitud (con `apiKey` ya resuelta).
+ * @param {string|null|undefined} apiKeyId - Clave propietaria del recurso (ver `ownerOf`).
+ * @returns {boolean}
+ */
+function canAccess(req, apiKeyId) {
+    return Boolean(req.isAdmin) || (apiKeyId || null) === ownerOf(req);
+}
+
+/**
+ * Middleware que protege las rutas de administración con el token de `ADMIN_TOKEN`
+ * (`Authorization: Bearer <token>`). Sin token configurado, la administración por API está deshabilitada.
+ * @param {string|undefined} adminToken - Token de administración.
+ * @returns {import('express').RequestHandler}
+ */
+function requireAdminToken(adminToken) {
+    return (req, res, next) => {
+        if (!adminToken) {
+            return res.status(403).json({ error: errorMessage('auth.adminDisabled') });
+        }
+        if (!hasBearerToken(req, adminToken)) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: errorMessage('auth.adminTokenInvalid') });
+        }
+        next();
+    };
+}
+
+/**
+ * Middleware que protege `GET /metrics` con el token de `METRICS_TOKEN` (`Authorization: Bearer <token>`, como
+ * lo envía Prometheus con `authorization.credentials`). Sin token configurado, las métricas son públicas.
+ * @param {string|undefined} metricsToken - Token de las métricas.
+ * @returns {import('express').RequestHandler}
+ */
+function requireMetricsToken(metricsToken) {
+    return (req, res, next) => {
+        if (!metricsToken || hasBearerToken(req, metricsToken)) return next();
+        res.set('WWW-Authenticate', 'Bearer');
+        res.status(401).json({ error: errorMessage('auth.metricsTokenInvalid') });
+    };
+}
+
+/**
+ * Comprueba en tiempo constante si la solicitud incluye el token esperado (`Authorization: Bearer <token>`).
+ * @param {import('http').IncomingMessage} req - Solicitud HTTP.
+ * @param {string} token - Token esperado.
+ * @returns {boolean}
+ */
+function hasBearerToken(req, token) {
+    const expected = Buffer.from(token);
+    const received = Buffer.from(/^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1] || '');
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Limitador de solicitudes por cliente con ventanas fijas de un minuto.
+ * Los contadores se guardan en memoria: se reinician al reiniciar el servidor.
+ */
+class RateLimiter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.windowMs=60000] - Duración de cada ventana.
+     */
+    constructor({ windowMs = RATE_LIMIT_WINDOW_MS } = {}) {
+        this.windowMs = windowMs;
+        this.windows = new Map(); // Cliente → `{ start, count }`.
+    }
+
+    /**
+     * Cuenta una solicitud de un cliente.
+     * @param {string} clientId - Identificador del cliente (clave de API o dirección IP).
+     * @param {number} limit - Solicitudes permitidas por ventana.
+     * @returns {{allowed: boolean, limit: number, remaining: number, resetMs: number}} Si se admite la solicitud,
+     *          las que quedan en la ventana y los milisegundos hasta que se reinicia.
+     */
+    consume(clientId, limit) {
+        const now = Date.now();
+        let window = this.windows.get(clientId);
+        if (!window || now - window.start >= this.windowMs) {
+            this._prune(now);
+            window = { start: now, count: 0 };
+            this.windows.set(clientId, window);
+        }
+        const allowed = window.count < limit;
+        if (allowed) window.count += 1;
+        return { allowed, limit, remaining: Math.max(0, limit - window.count), resetMs: window.start + this.windowMs - now };
+    }
+
+    /**
+     * Descarta las ventanas caducadas, para que la memoria no crezca con clientes que ya no hacen solicitudes.
+     * @param {number} now - Instante actual (ms).
+     * @private
+     */
+    _prune(now) {
+        for (const [clientId, window] of this.windows) {
+            if (now - window.start >= this.windowMs) this.windows.delete(clientId);
+        }
+    }
+}
+
+/**
+ * Identificador de cliente para el limitador: la clave de API o, sin ella, la dirección IP.
+ * @param {import('http').IncomingMessage} req - Solicitud (con `apiKey` ya resuelta).
+ * @returns {string}
+ */
+function clientIdOf(req) {
+    return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.socket.remoteAddress}`;
+}
+
+/**
+ * Middleware de limitación de solicitudes. Informa del límite con las cabeceras `RateLimit-*` y responde
+ * 429 con `Retry-After` al superarlo.
+ * @param {RateLimiter} limiter - Limitador compartido por las rutas afectadas.
+ * @param {function(import('express').Request): number} getLimit - Solicitudes por minuto permitidas al cliente.
+ * @returns {import('express').RequestHandler}
+ */
+function rateLimit(limiter, getLimit) {
+    return (req, res, next) => {
+        const { allowed, limit, remaining, resetMs } = limiter.consume(clientIdOf(req), getLimit(req));
+        const resetSeconds = Math.ceil(resetMs / 1000);
+        res.set({ 'RateLimit-Limit': String(limit), 'RateLimit-Remaining': String(remaining), 'RateLimit-Reset': String(resetSeconds) });
+        if (!allowed) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ error: errorMessage('request.rateLimited', { limit, seconds: resetSeconds }) });
+        }
+        next();
+    };
+}
+
+/**
+ * Tamaño máximo de archivo (bytes) que puede subir un cliente: el límite global o, si es menor, el de su clave.
+ * @param {object|null} apiKey - Clave del cliente.
+ * @param {number} globalMaxBytes - Límite global del servidor.
+ * @returns {number}
+ */
+function maxUploadBytes(apiKey, globalMaxBytes) {
+    const keyLimit = apiKey?.limits.maxUploadMb ? Math.floor(apiKey.limits.maxUploadMb * 1024 * 1024) : Infinity;
+    return Math.min(globalMaxBytes, keyLimit);
+}
+
+/**
+ * Comprueba el límite diario de minutos de una clave antes de encolar una transcripción.
+ * @param {import('./apiKeys').ApiKeyStore} store - Almacén de claves.
+ * @param {object|null} apiKey - Clave del cliente (sin clave no hay límite diario).
+ * @param {number|null} seconds - Duración estimada del audio a transcribir (null si se desconoce).
+ * @returns {{status: number, code: string, error: object}|null} El error (429, QUOTA_EXCEEDED), o null si la
+ *          transcripción cabe en el límite.
+ */
+function checkDailyQuota(store, apiKey, seconds) {
+    if (!apiKey) return null;
+    const remaining = store.remainingSeconds(apiKey);
+    if (remaining <= 0) {
+        return { status: 429, code: 'QUOTA_EXCEEDED', error: errorMessage('quota.exhausted', { minutes: apiKey.limits.minutesPerDay }) };
+    }
+    if (seconds && seconds > remaining) {
+        return {
+            status: 429,
+            code: 'QUOTA_EXCEEDED',
+            error: errorMessage('quota.audioExceeds', { minutes: Math.ceil(seconds / 60), remaining: Math.floor(remaining / 60) }),
+        };
+    }
+    return null;
+}
+
+/**
+ * Segundos hasta el final del día UTC, cuando se reinician los consumos diarios (para `Retry-After`).
+ * @returns {number}
+ */
+function secondsUntilQuotaReset() {
+    const now = new Date();
+    const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+/**
+ * Interpreta la lista de orígenes permitidos para CORS (separados por comas; `*` permite cualquiera).
+ * @param {string} value - Valor de `CORS_ORIGINS`.
+ * @returns {{isAllowed: function(string|undefined): boolean, origins: string[]}}
+ */
+function parseAllowedOrigins(value) {
+    const origins = String(value || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+    return {
+        origins,
+        // Las solicitudes sin `Origin` (curl, scripts, mismo origen) no están sujetas a CORS.
+        isAllowed: origin => !origin || origins.includes('*') || origins.includes(origin),
+    };
+}
+
+module.exports = {
+    extractApiKey, resolveApiKey, requireApiKey, ownerOf, canAccess, requireAdminToken, requireMetricsToken, RateLimiter, rateLimit, clientIdOf,
+    maxUploadBytes, checkDailyQuota, secondsUntilQuotaReset, parseAllowedOrigins,
+};
@@ -0,0 +1,300 @@
+// backend/lib/apiKeys.js
+
+// --- Importaciones de Módulos ---
+const fs = require('fs');                       // Módulo para leer y escribir el archivo de almacenamiento.
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const { randomBytes, randomUUID, createHash, timingSafeEqual } = require('crypto'); // Generación y comprobación de claves.
+const { logger } = require('./logger');         // Registro estructurado del servidor.
+const { errorMessage } = require('./errors');   // Mensajes de error localizables.
+
+// Prefijo de las claves generadas (permite reconocerlas en registros y archivos de configuración).
+const KEY_PREFIX = 'tk_';
+// Caracteres de la clave que se conservan en claro para identificarla en los listados.
+const VISIBLE_KEY_LENGTH = 10;
+// Longitud máxima del nombre descriptivo de una clave.
+const MAX_KEY_NAME_LENGTH = 80;
+
+/**
+ * Límites configurables de cada clave. Un valor null indica que no hay límite propio de la clave
+ * (se aplican solo los límites globales del servidor).
+ * - `maxUploadMb`: tamaño máximo de cada archivo subido (MB).
+ * - `minutesPerDay`: minutos de audio que pueden transcribirse al día (día natural UTC).
+ * - `requestsPerMinute`: solicitudes de transcripción por minuto.
+ */
+const LIMIT_FIELDS = ['maxUploadMb', 'minutesPerDay', 'requestsPerMinute'];
+
+/**
+ * Calcula el hash con el que se guarda una clave (las claves nunca se guardan en claro).
+ * @param {string} key - Clave en claro.
+ * @returns {string} Hash SHA-256 en hexadecimal.
+ */
+function hashKey(key) {
+    return createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Día natural (UTC) de una fecha, en formato 'YYYY-MM-DD'. Los consumos diarios se reinician al cambiar.
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+function usageDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Valida el nombre y los límites de una clave recibidos por la ruta de administración o la CLI.
+ * @param {object} body - Campos recibidos (`{ name, maxUploadMb, minutesPerDay, requestsPerMinute }`).
+ * @param {object} [options]
+ * @param {boolean} [options.requireName=true] - Si el nombre es obligatorio (al crear la clave).
+ * @returns {{values?: {name?: string, limits: object}, error?: object}} Valores validados o un mensaje de error
+ *          (ver `errorMessage`).
+ */
+function parseKeyFields(body = {}, { requireName = true } = {}) {
+    const values = { limits: {} };
+    if (body.name !== undefined || requireName) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > MAX_KEY_NAME_LENGTH) {
+            return { error: errorMessage('auth.keyName', { max: MAX_KEY_NAME_LENGTH }) };
+        }
+        values.name = name;
+    }
+    for (const field of LIMIT_FIELDS) {
+        const value = body[field];
+        if (value === undefined) continue;
+        if (value === null || value === '') {
+            values.limits[field] = null;
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number) || number <= 0) {
+            return { error: errorMessage('auth.keyLimit', { field }) };
+        }
+        values.limits[field] = field === 'requestsPerMinute' ? Math.ceil(number) : number;
+    }
+    return { values };
+}
+
+/**
+ * Almacén persistente de claves de API, guardado como un archivo JSON local.
+ *
+ * Lo comparten el servidor y la CLI de administración (`scripts/api-keys.js`): antes de cada operación se
+ * vuelve a leer el archivo si otro proceso lo modificó, de modo que las claves creadas o revocadas desde la
+ * CLI se aplican sin reiniciar el servidor. Las escrituras son atómicas, como en el historial.
+ *
+ * Cada clave tiene la forma:
+ * `{ id, name, prefix, hash, createdAt, revokedAt, lastUsedAt, limits, usage }`.
+ * `prefix` son los primeros caracteres de la clave, para identificarla; de la clave solo se guarda su hash.
+ * `limits` contiene los campos de `LIMIT_FIELDS` y `usage` el consumo del día (`{ day, seconds, requests }`).
+ *
+ * Los segundos de las transcripciones aceptadas y aún sin terminar se reservan en memoria (`reserve`) y se descuentan
+ * de lo que queda del día hasta que se liberan (`release`), para que las transcripciones simultáneas no superen
+ * juntas el límite diario.
+ */
+class ApiKeyStore {
+    /**
+     * @param {string} filePath - Ruta del archivo JSON donde se guardan las claves.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.keys = new Map();
+        this.loadedMtime = null;
+        this.reserved = new Map(); // ID de la clave -> segundos reservados por sus transcripciones en curso.
+        this._reload();
+    }
+
+    /**
+     * Crea una clave nueva. La clave en claro solo se devuelve aquí: después no puede recuperarse.
+     * @param {object} data
+     * @param {string} data.name - Nombre descriptivo (persona, equipo o integración que la usa).
+     * @param {object} [data.limits] - Límites de la clave (ver `LIMIT_FIELDS`).
+     * @returns {{key: string, record: object}} La clave en claro y su registro.
+     */
+    create({ name, limits = {} }) {
+        this._reload();
+        const key = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+        const record = {
+            id: randomUUID(),
+            name,
+            prefix: key.slice(0, VISIBLE_KEY_LENGTH),
+            hash: hashKey(key),
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            lastUsedAt: null,
+            limits: Object.fromEntries(LIMIT_FIELDS.map(field => [field, limits[field] ?? null])),
+            usage: { day: usageDay(), seconds: 0, requests: 0 },
+        };
+        this.keys.set(record.id, record);
+        this._save();
+        return { key, record };
+    }
+
+    /**
+     * Lista las claves (activas y revocadas), de la más reciente a la más antigua.
+     * @returns {object[]} Resúmenes de las claves, sin el hash.
+     */
+    list() {
+        this._reload();
+        return Array.from(this.keys.values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(ApiKeyStore.summarize);
+    }
+
+    /**
+     * Obtiene una clave por su ID (o por el prefijo visible de la clave, más cómodo desde la CLI).
+     * @param {string} idOrPrefix - Identificador o prefijo.
+     * @returns {object|undefined}
+     */
+    get(idOrPrefix) {
+        this._reload();
+        return this.keys.get(idOrPrefix)
+            || Array.from(this.keys.values()).find(record => record.prefix === idOrPrefix);
+    }
+
+    /**
+     * Comprueba una clave recibida en una solicitud.
+     * @param {string} key - Clave en claro.
+     * @returns {object|null} El registro de la clave, o null si no existe o está revocada.
+     */
+    authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+        this._reload();
+        const hash = Buffer.from(hashKey(key), 'hex');
+        for (const record of this.keys.values()) {
+            if (!record.revokedAt && timingSafeEqual(hash, Buffer.from(record.hash, 'hex'))) return record;
+        }
+        return null;
+    }
+
+    /**
+     * Modifica el nombre y/o los límites de una clave.
+     * @param {string} id - Identificador de la clave.
+     * @param {{name?: string, limits?: object}} changes - Cambios validados por `parseKeyFields`.
+     * @returns {object|null} La clave actualizada, o null si no existe.
+     */
+    update(id, { name, limits = {} }) {
+        const record = this.get(id);
+        if (!record) return null;
+        if (name !== undefined) record.name = name;
+        Object.assign(record.limits, limits);
+        this._save();
+        return record;
+    }
+
+    /**
+     * Revoca una clave: deja de aceptarse, pero se conserva en el listado.
+     * @param {string} id - Identificador de la clave.
+     * @returns {object|null} La clave revocada, o null si no existe.
+     */
+    revoke(id) {
+        const record = this.get(id);
+        if (!record) return null;
+        record.revokedAt = record.revokedAt || new Date().toISOString();
+        this._save();
+        return record;
+    }
+
+    /**
+     * Segundos de audio que la clave aún puede transcribir hoy, descontando los reservados por sus transcripciones en curso.
+     * @param {object} record - Registro de la clave.
+     * @returns {number} Segundos restantes (Infinity si la clave no tiene límite diario).
+     */
+    remainingSeconds(record) {
+        if (!record.limits.minutesPerDay) return Infinity;
+        const used = record.usage?.day === usageDay() ? record.usage.seconds : 0;
+        return Math.max(0, record.limits.minutesPerDay * 60 - used - (this.reserved.get(record.id) || 0));
+    }
+
+    /**
+     * Reserva los segundos estimados de una transcripción aceptada, hasta que termine (ver `release`).
+     * Si se desconoce la duración, se reserva todo lo que le queda hoy a la clave.
+     * @param {string} id - Identificador de la clave.
+     * @param {number|null} [seconds=null] - Duración estimada del audio.
+     * @returns {number} Segundos reservados (0 si la clave no existe o no tiene límite diario), que deben liberarse después.
+     */
+    reserve(id, seconds = null) {
+        const record = this.get(id);
+        const remaining = record ? this.remainingSeconds(record) : Infinity;
+        if (remaining === Infinity) return 0;
+        const reserved = seconds ?? remaining;
+        this.reserved.set(id, (this.reserved.get(id) || 0) + reserved);
+        return reserved;
+    }
+
+    /**
+     * Libera los segundos reservados por una transcripción que terminó (completada, fallida o cancelada). El consumo
+     * real se registra aparte, con `recordUsage`.
+     * @param {string} id - Identificador de la clave.
+     * @param {number} seconds - Segundos devueltos por `reserve`.
+     */
+    release(id, seconds) {
+        if (!seconds) return;
+        const reserved = (this.reserved.get(id) || 0) - seconds;
+        if (reserved > 1e-6) this.reserved.set(id, reserved); // Con margen para el redondeo de las sumas.
+        else this.reserved.delete(id);
+    }
+
+    /**
+     * Registra el consumo de una clave: una solicitud aceptada y/o segundos de audio transcritos.
+     * @param {string} id - Identificador de la clave.
+     * @param {{seconds?: number, requests?: number}} usage - Consumo a sumar.
+     */
+    recordUsage(id, { seconds = 0, requests = 0 }) {
+        const record = this.get(id);
+        if (!record) return;
+        const day = usageDay();
+        if (record.usage?.day !== day) record.usage = { day, seconds: 0, requests: 0 };
+        record.usage.seconds = Math.round((record.usage.seconds + seconds) * 10) / 10;
+        record.usage.requests += requests;
+        record.lastUsedAt = new Date().toISOString();
+        this._save();
+    }
+
+    /**
+     * Devuelve la vista pública de una clave (sin el hash), con el consumo del día actual.
+     * @param {object} record - Registro de la clave.
+     * @returns {object}
+     */
+    static summarize(record) {
+        const { hash, usage, ...summary } = record;
+        const today = usage?.day === usageDay() ? usage : { day: usageDay(), seconds: 0, requests: 0 };
+        return { ...summary, usage: today };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Carga las claves desde disco si el archivo cambió desde la última lectura (o no se había leído).
+     * @private
+     */
+    _reload() {
+        let mtime;
+        try {
+            mtime = fs.statSync(this.filePath).mtimeMs;
+        } catch {
+            return; // Sin archivo: todavía no se ha creado ninguna clave.
+        }
+        if (mtime === this.loadedMtime) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.keys = new Map((data.keys || []).map(record => [record.id, record]));
+            this.loadedMtime = mtime;
+        } catch (loadError) {
+            // Un archivo ilegible no debe abrir el acceso: se conservan las claves cargadas antes (si las hay).
+            logger.error('No se pudieron leer las claves de API', { file: this.filePath, err: loadError });
+        }
+    }
+
+    /**
+     * Escribe las claves en disco de forma atómica.
+     * @private
+     */
+    _save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ keys: Array.from(this.keys.values()) }, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+        this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    }
+}
+
+module.exports = { ApiKeyStore, parseKeyFields, hashKey, usageDay, LIMIT_FIELDS };
@@ -0,0 +1,178 @@
+// backend/lib/archive.js
+
+// --- Importaciones de Módulos ---
+const fs = require('fs');                       // Escritura de los archivos extraídos.
+const path = require('path');                   // Extensiones y nombres de archivo.
+const { randomUUID } = require('crypto');       // Nombres únicos para los archivos extraídos.
+const { pipeline } = require('stream/promises'); // Copia de cada entrada del ZIP a disco.
+const { Transform } = require('stream');        // Contador de bytes durante la extracción.
+const yauzl = require('yauzl');                 // Lectura de archivos ZIP.
+const yazl = require('yazl');                   // Creación de archivos ZIP.
+const { errorMessage } = require('./errors');   // Motivos de rechazo localizables.
+
+/**
+ * Extensiones reconocidas como audio (o vídeo con pista de audio) dentro de un ZIP o en el directorio de
+ * importación. El resto de entradas (documentos, imágenes, metadatos del sistema...) se omiten.
+ */
+const AUDIO_EXTENSIONS = new Set([
+    '.mp3', '.wav', '.m4a', '.aac', '.ogg', '.oga', '.opus', '.flac', '.wma', '.aiff', '.aif', '.amr',
+    '.webm', '.mp4', '.mkv', '.mov',
+]);
+
+/**
+ * Comprueba si un archivo subido es un ZIP (por su extensión o su tipo MIME).
+ * @param {{originalname: string, mimetype: string}} file - Archivo gestionado por Multer.
+ * @returns {boolean}
+ */
+function isZipFile(file) {
+    return path.extname(file.originalname).toLowerCase() === '.zip'
+        || ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype);
+}
+
+/**
+ * Comprueba que el nombre de una entrada del ZIP sea una ruta relativa segura: sin rutas absolutas,
+ * letras de unidad ni componentes `..` que permitan escribir fuera del directorio de destino.
+ * @param {string} entryName - Nombre de la entrada (con '/' como separador).
+ * @returns {{key: string, params: object}|null} El motivo del rechazo (ver `errorMessage`), o null si la ruta es
+ *          segura.
+ */
+function unsafeEntryReason(entryName) {
+    if (entryName.includes('\0')) return errorMessage('batch.invalidEntryName');
+    if (yauzl.validateFileName(entryName)) return errorMessage('batch.unsafePath');
+    const normalized = path.posix.normalize(entryName);
+    if (normalized.startsWith('../') || normalized === '..' || path.posix.isAbsolute(normalized)) {
+        return errorMessage('batch.unsafePath');
+    }
+    return null;
+}
+
+/**
+ * Extrae las entradas de audio de un ZIP en `destDir`, con nombres generados (nunca se usa el nombre
+ * de la entrada como ruta de destino). Las entradas peligrosas o que no son audio se omiten y se informan.
+ *
+ * Protecciones:
+ * - Rutas: se rechazan las entradas absolutas o con `..` (path traversal).
+ * - Tamaño: se limita el tamaño de cada entrada y el total descomprimido (bombas ZIP); además se cuentan
+ *   los bytes realmente escritos, por si el tamaño declarado en el ZIP es falso.
+ * - Cantidad: se extraen como máximo `maxFiles` archivos de audio.
+ *
+ * @param {string} zipPath - Ruta del archivo ZIP.
+ * @param {string} destDir - Directorio donde se escriben los archivos extraídos.
+ * @param {object} limits
+ * @param {number} limits.maxFiles - Número máximo de archivos a extraer.
+ * @param {number} limits.maxFileBytes - Tamaño máximo descomprimido de cada archivo.
+ * @param {number} limits.maxTotalBytes - Tamaño máximo descomprimido del conjunto.
+ * @returns {Promise<{files: Array<{path: string, fileName: string, size: number}>, rejected: Array<{fileName: string, reason: object}>}>}
+ *          `fileName` es la ruta de la entrada dentro del ZIP; `reason`, un mensaje de `errorMessage`.
+ */
+async function extractAudioEntries(zipPath, destDir, { maxFiles, maxFileBytes, maxTotalBytes }) {
+    // Los nombres se decodifican aquí (y no en yauzl) para rechazar solo las entradas peligrosas
+    // en lugar de abortar la lectura de todo el archivo.
+    const zipFile = await yauzl.openPromise(zipPath, { lazyEntries: true, decodeStrings: false });
+    const files = [];
+    const rejected = [];
+    let totalBytes = 0;
+
+    try {
+        for (let entry = await nextEntry(zipFile); entry; entry = await nextEntry(zipFile)) {
+            const entryName = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileNameRaw, entry.extraFields, false);
+            const baseName = path.posix.basename(entryName);
+
+            // Directorios y metadatos del sistema (ej. `__MACOSX/`, `.DS_Store`) no se informan: no son del usuario.
+            if (entryName.endsWith('/') || entryName.startsWith('__MACOSX/') || baseName.startsWith('.')) continue;
+
+            const reason = unsafeEntryReason(entryName)
+                || (!AUDIO_EXTENSIONS.has(path.extname(baseName).toLowerCase()) && errorMessage('batch.notAudio'))
+                || (files.length >= maxFiles && errorMessage('batch.tooManyFiles', { max: maxFiles }))
+                || (entry.uncompressedSize > maxFileBytes && errorMessage('batch.entryTooLarge'))
+                || (totalBytes + entry.uncompressedSize > maxTotalBytes && errorMessage('batch.zipTooLarge'));
+            if (reason) {
+                rejected.push({ fileName: entryName, reason });
+                continue;
+            }
+
+            const destPath = path.join(destDir, `zip-${randomUUID()}${path.extname(baseName).toLowerCase()}`);
+            const size = await extractEntry(zipFile, entry, destPath, Math.min(maxFileBytes, maxTotalBytes - totalBytes));
+            totalBytes += size;
+            files.push({ path: destPath, fileName: entryName, size });
+        }
+    } catch (error) {
+        // Un ZIP dañado a mitad de lectura: se eliminan los archivos ya extraídos antes de propagar el error.
+        await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+        throw error;
+    } finally {
+        zipFile.close();
+    }
+    return { files, rejected };
+}
+
+/**
+ * Lee la siguiente entrada del ZIP (modo `lazyEntries`).
+ * @param {yauzl.ZipFile} zipFile - Archivo abierto.
+ * @returns {Promise<yauzl.Entry|null>} La entrada, o null al llegar al final.
+ * @private
+ */
+function nextEntry(zipFile) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            zipFile.off('entry', onEntry);
+            zipFile.off('end', onEnd);
+            zipFile.off('error', onError);
+        };
+        const onEntry = (entry) => { cleanup(); resolve(entry); };
+        const onEnd = () => { cleanup(); resolve(null); };
+        const onError = (error) => { cleanup(); reject(error); };
+        zipFile.on('entry', onEntry);
+        zipFile.on('end', onEnd);
+        zipFile.on('error', onError);
+        zipFile.readEntry();
+    });
+}
+
+/**
+ * Descomprime una entrada en `destPath`, abortando si supera `maxBytes`.
+ * @returns {Promise<number>} Bytes escritos.
+ * @private
+ */
+async function extractEntry(zipFile, entry, destPath, maxBytes) {
+    const readStream = await zipFile.openReadStreamPromise(entry);
+    let written = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            written += chunk.length;
+            if (written > maxBytes) return callback(new Error('El contenido descomprimido del ZIP supera el tamaño máximo permitido.'));
+            callback(null, chunk);
+        },
+    });
+    try {
+        await pipeline(readStream, limiter, fs.createWriteStream(destPath, { flags: 'wx' }));
+    } catch (error) {
+        await fs.promises.rm(destPath, { force: true });
+        throw error;
+    }
+    return written;
+}
+
+/**
+ * Crea un ZIP con los archivos indicados y devuelve su contenido como flujo (para enviarlo en una respuesta).
+ * Los nombres repetidos se desambiguan añadiendo " (2)", " (3)"... antes de la extensión.
+ * @param {Array<{name: string, content: string|Buffer}>} entries - Archivos a incluir.
+ * @returns {import('stream').Readable} Flujo con el contenido del ZIP.
+ */
+function createZipStream(entries) {
+    const zip = new yazl.ZipFile();
+    const usedNames = new Set();
+    entries.forEach(({ name, content }) => {
+        const { name: base, ext } = path.parse(name);
+        let uniqueName = name;
+        for (let copy = 2; usedNames.has(uniqueName.toLowerCase()); copy++) {
+            uniqueName = `${base} (${copy})${ext}`;
+        }
+        usedNames.add(uniqueName.toLowerCase());
+        zip.addBuffer(Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'), uniqueName);
+    });
+    zip.end();
+    return zip.outputStream;
+}
+
+module.exports = { isZipFile, extractAudioEntries, createZipStream, AUDIO_EXTENSIONS };
@@ -0,0 +1,318 @@
+// backend/lib/audioSources.js
+
+// --- Importaciones de Módulos ---
+const fs = require('fs');                       // Escritura de los audios descargados y copia de los importados.
+const path = require('path');                   // Extensiones y rutas dentro del directorio de importación.
+const net = require('net');                     // Clasificación de direcciones IP (`BlockList`, `isIP`).
+const dns = require('dns');                     // Resolución de nombres, validada antes de cada conexión.
+const http = require('http');                   // Descarga de audios por HTTP...
+const https = require('https');                 // ...y por HTTPS.
+const { randomUUID } = require('crypto');       // Nombres únicos para los audios descargados o importados.
+const { pipeline } = require('stream/promises'); // Copia de la respuesta a disco.
+const { Transform } = require('stream');        // Contador de bytes durante la descarga.
+const { errorMessage, formatMessage } = require('./errors'); // Mensajes de error localizables.
+const { AUDIO_EXTENSIONS } = require('./archive'); // Extensiones reconocidas como audio.
+
+// Número máximo de redirecciones que se siguen al descargar una URL.
+const MAX_REDIRECTS = 5;
+// Tipos de contenido genéricos (ej. el de S3 por defecto): se aceptan solo si el nombre tiene extensión de audio.
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', ''];
+
+/**
+ * Rangos de direcciones no públicas: locales, privadas, de enlace local, compartidas (CGNAT), de
+ * documentación y pruebas, multidifusión y reservadas. Una URL que resuelva a alguno de ellos podría
+ * alcanzar servicios internos del servidor o de su red (SSRF), por lo que solo se descarga si el host se
+ * permite expresamente.
+ */
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error al obtener un audio de una URL o del directorio de importación, con el código HTTP con el que
+ * se responde al cliente.
+ */
+class AudioSourceError extends Error {
+    /**
+     * @param {{key: string, params: object}} message - Mensaje para el cliente (ver `errorMessage`); `message` es
+     *        su texto en español y el error conserva su clave y sus parámetros, como los de `createError`.
+     * @param {number} status - Código HTTP de la respuesta.
+     */
+    constructor(message, status) {
+        super(formatMessage(message));
+        Object.assign(this, message);
+        this.name = 'AudioSourceError';
+        this.status = status;
+    }
+}
+
+/**
+ * Indica si una dirección IP pertenece a un rango no público (ver `PRIVATE_RANGES`).
+ * Las direcciones IPv4 mapeadas en IPv6 (`::ffff:10.0.0.1`) se evalúan como IPv4.
+ * @param {string} address - Dirección IPv4 o IPv6.
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    const ip = mapped ? mapped[1] : address;
+    const family = net.isIP(ip);
+    if (!family) return true; // Lo que no se reconoce como IP no se considera público.
+    return PRIVATE_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Interpreta la lista de hosts que pueden resolver a direcciones no públicas (ej. un servidor de archivos
+ * interno o un S3 compatible en la red local). `*` permite cualquier host.
+ * @param {string} [value] - Hosts separados por comas (nombres o IP, sin puerto).
+ * @returns {function(string): boolean} Comprueba si un host está permitido.
+ */
+function parsePrivateHosts(value = '') {
+    const hosts = value.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+    return hostname => hosts.includes('*') || hosts.includes(hostname.toLowerCase());
+}
+
+/**
+ * Extrae la fuente del audio indicada en los campos de la solicitud: una URL (`url`) o una ruta dentro del
+ * directorio de importación (`importPath`).
+ * @param {object} body - Campos de la solicitud.
+ * @returns {{source: ({type: 'url', url: URL}|{type: 'path', path: string}|null), error: object|null}}
+ *          `source` es null si no se indicó ninguna; `error`, un mensaje de `errorMessage`.
+ */
+function parseAudioSource(body = {}) {
+    const url = typeof body.url === 'string' ? body.url.trim() : '';
+    const importPath = typeof body.importPath === 'string' ? body.importPath.trim() : '';
+    if (url && importPath) {
+        return { source: null, error: errorMessage('sources.urlAndPath') };
+    }
+    if (importPath) {
+        return { source: { type: 'path', path: importPath }, error: null };
+    }
+    if (!url) {
+        return { source: null, error: null };
+    }
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return { source: null, error: errorMessage('sources.invalidUrl', { url }) };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { source: null, error: errorMessage('sources.protocol') };
+    }
+    if (parsed.username || parsed.password) {
+        return { source: null, error: errorMessage('sources.credentials') };
+    }
+    return { source: { type: 'url', url: parsed }, error: null };
+}
+
+/**
+ * Nombre del archivo de una descarga: el de la cabecera `Content-Disposition` o, si no la hay, el último
+ * segmento de la ruta de la URL.
+ * @param {URL} url - URL descargada (tras las redirecciones).
+ * @param {string} [disposition] - Cabecera `Content-Disposition`.
+ * @returns {string}
+ * @private
+ */
+function downloadFileName(url, disposition = '') {
+    const encoded = /filename\*\s*=\s*(?:UTF-8)?''([^;]+)/i.exec(disposition);
+    const quoted = /filename\s*=\s*"?([^";]+)"?/i.exec(disposition);
+    let name = encoded?.[1] || quoted?.[1] || url.pathname.split('/').filter(Boolean).pop() || '';
+    try {
+        name = decodeURIComponent(name);
+    } catch {
+        // Se conserva tal cual si no es una secuencia de escape válida.
+    }
+    return path.basename(name.replace(/\\/g, '/')).trim() || 'audio';
+}
+
+/**
+ * Comprueba que el tipo de contenido de una descarga sea de audio (o vídeo con pista de audio).
+ * @param {string} contentType - Cabecera `Content-Type`.
+ * @param {string} fileName - Nombre del archivo descargado.
+ * @returns {boolean}
+ * @private
+ */
+function isAudioContent(contentType, fileName) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (type.startsWith('audio/') || type.startsWith('video/') || type === 'application/ogg') return true;
+    return GENERIC_CONTENT_TYPES.includes(type) && AUDIO_EXTENSIONS.has(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Prepara la conexión a una URL que no debe alcanzar direcciones no públicas (salvo los hosts permitidos):
+ * rechaza las IP literales no públicas y devuelve la función `lookup` de `http.request` que valida cada
+ * dirección resuelta. La comprobación se hace en la propia resolución DNS de la conexión, de modo que un
+ * nombre que cambie de dirección entre la validación y la solicitud (DNS rebinding) no puede saltársela.
+ * También la usan las notificaciones por webhook (`lib/webhooks.js`).
+ * @param {URL} url - URL a la que se va a conectar.
+ * @param {function(string): boolean} allowPrivateHost - Hosts que pueden resolver a direcciones no públicas.
+ * @returns {function} La función `lookup` para las opciones de `http.request`/`https.request`.
+ * @throws {AudioSourceError} (403) Si el host es una IP no pública no permitida.
+ */
+function guardedLookup(url, allowPrivateHost) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const privateAllowed = allowPrivateHost(hostname);
+    if (net.isIP(hostname) && !privateAllowed && isPrivateAddress(hostname)) {
+        throw new AudioSourceError(errorMessage('sources.blockedHost', { host: hostname }), 403);
+    }
+    return (name, lookupOptions, callback) => {
+        dns.lookup(name, lookupOptions, (lookupError, address, family) => {
+            if (lookupError) return callback(lookupError);
+            const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+            const blocked = privateAllowed ? null : addresses.find(isPrivateAddress);
+            if (blocked) {
+                return callback(new AudioSourceError(errorMessage('sources.blockedAddress', { host: name, address: blocked }), 403));
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+/**
+ * Realiza una solicitud GET a una URL validando la dirección a la que se conecta (ver `guardedLookup`).
+ * @param {URL} url - URL a solicitar.
+ * @param {object} options
+ * @param {function(string): boolean} options.allowPrivateHost - Hosts que pueden resolver a direcciones no públicas.
+ * @param {number} options.timeoutMs - Inactividad máxima de la conexión.
+ * @returns {Promise<http.IncomingMessage>} La respuesta (sin leer el cuerpo).
+ * @private
+ */
+function requestUrl(url, { allowPrivateHost, timeoutMs }) {
+    let lookup;
+    try {
+        lookup = guardedLookup(url, allowPrivateHost);
+    } catch (guardError) {
+        return Promise.reject(guardError);
+    }
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.get(url, { lookup, headers: { Accept: 'audio/*, video/*;q=0.9, */*;q=0.5' } }, resolve);
+        request.setTimeout(timeoutMs, () => {
+            request.destroy(new AudioSourceError(errorMessage('sources.timeout'), 504));
+        });
+        request.on('error', (requestError) => {
+            reject(requestError instanceof AudioSourceError
+                ? requestError
+                : new AudioSourceError(errorMessage('sources.downloadFailed', { reason: requestError.message }), 502));
+        });
+    });
+}
+
+/**
+ * Descarga un audio desde una URL http(s) al directorio de subidas, con las mismas garantías que una subida:
+ * tamaño máximo (por `Content-Length` y durante la descarga), tipo de contenido de audio y protección frente a
+ * SSRF (las direcciones no públicas se rechazan, también tras cada redirección, salvo los hosts permitidos).
+ * @param {URL} url - URL del audio (validada por `parseAudioSource`).
+ * @param {string} destDir - Directorio donde se guarda el audio.
+ * @param {object} options
+ * @param {number} options.maxBytes - Tamaño máximo del audio.
+ * @param {function(string): boolean} [options.allowPrivateHost] - Ver `parsePrivateHosts`.
+ * @param {number} [options.timeoutMs=60000] - Inactividad máxima de la conexión.
+ * @returns {Promise<{path: string, originalname: string, size: number, mimetype: string}>} El audio descargado,
+ *          con los mismos campos que un archivo de Multer.
+ * @throws {AudioSourceError} Si la URL no está permitida, no responde, no es un audio o supera el tamaño.
+ */
+async function downloadAudio(url, destDir, { maxBytes, allowPrivateHost = () => false, timeoutMs = 60000 }) {
+    let currentUrl = url;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        response = await requestUrl(currentUrl, { allowPrivateHost, timeoutMs });
+        if (![301, 302, 303, 307, 308].includes(response.statusCode)) break;
+        response.resume();
+        if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+            throw new AudioSourceError(errorMessage('sources.tooManyRedirects'), 502);
+        }
+        currentUrl = new URL(response.headers.location, currentUrl);
+        if (!['http:', 'https:'].includes(currentUrl.protocol)) {
+            throw new AudioSourceError(errorMessage('sources.redirectProtocol'), 403);
+        }
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw new AudioSourceError(errorMessage('sources.httpStatus', { status: response.statusCode }), 502);
+    }
+    const fileName = downloadFileName(currentUrl, response.headers['content-disposition']);
+    const contentType = response.headers['content-type'] || '';
+    if (!isAudioContent(contentType, fileName)) {
+        response.resume();
+        throw new AudioSourceError(contentType ? errorMessage('sources.notAudio', { contentType }) : errorMessage('sources.noContentType'), 415);
+    }
+    const tooLarge = () => new AudioSourceError(errorMessage('upload.tooLarge', { size: Math.round(maxBytes / 1024 / 1024) }), 413);
+    if (Number(response.headers['content-length']) > maxBytes) {
+        response.destroy();
+        throw tooLarge();
+    }
+
+    const destPath = path.join(destDir, `url-${randomUUID()}${path.extname(fileName).toLowerCase()}`);
+    let size = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxBytes) return callback(tooLarge());
+            callback(null, chunk);
+        },
+    });
+    try {
+        await pipeline(response, limiter, fs.createWriteStream(destPath, { flags: 'wx' }));
+    } catch (downloadError) {
+        await fs.promises.rm(destPath, { force: true });
+        if (downloadError instanceof AudioSourceError) throw downloadError;
+        throw new AudioSourceError(errorMessage('sources.interrupted', { reason: downloadError.message }), 502);
+    }
+    return { path: destPath, originalname: fileName, size, mimetype: contentType.split(';')[0].trim() };
+}
+
+/**
+ * Copia al directorio de subidas un audio del directorio de importación del servidor. El original no se
+ * modifica: la cola elimina o archiva su copia como con cualquier subida. La ruta debe ser relativa al
+ * directorio de importación y no puede salir de él (ni con `..` ni mediante enlaces simbólicos).
+ * @param {string} importDir - Directorio de importación configurado.
+ * @param {string} relativePath - Ruta del audio dentro del directorio.
+ * @param {string} destDir - Directorio donde se copia el audio.
+ * @param {object} options
+ * @param {number} options.maxBytes - Tamaño máximo del audio.
+ * @returns {Promise<{path: string, originalname: string, size: number, mimetype: string}>} La copia, con los
+ *          mismos campos que un archivo de Multer.
+ * @throws {AudioSourceError} Si la ruta no está permitida, no existe, no es un audio o supera el tamaño.
+ */
+async function importAudio(importDir, relativePath, destDir, { maxBytes }) {
+    if (relativePath.includes('\0') || path.isAbsolute(relativePath)) {
+        throw new AudioSourceError(errorMessage('sources.importRelative'), 400);
+    }
+    let realDir;
+    let realPath;
+    try {
+        realDir = await fs.promises.realpath(importDir);
+        realPath = await fs.promises.realpath(path.resolve(realDir, relativePath));
+    } catch {
+        throw new AudioSourceError(errorMessage('sources.importNotFound', { path: relativePath }), 404);
+    }
+    if (!realPath.startsWith(realDir + path.sep)) {
+        throw new AudioSourceError(errorMessage('sources.importOutside'), 403);
+    }
+    const stats = await fs.promises.stat(realPath);
+    if (!stats.isFile()) {
+        throw new AudioSourceError(errorMessage('sources.importNotFile', { path: relativePath }), 400);
+    }
+    if (!AUDIO_EXTENSIONS.has(path.extname(realPath).toLowerCase())) {
+        throw new AudioSourceError(errorMessage('sources.importNotAudio', { path: relativePath }), 415);
+    }
+    if (stats.size > maxBytes) {
+        throw new AudioSourceError(errorMessage('upload.tooLarge', { size: Math.round(maxBytes / 1024 / 1024) }), 413);
+    }
+
+    const destPath = path.join(destDir, `import-${randomUUID()}${path.extname(realPath).toLowerCase()}`);
+    await fs.promises.copyFile(realPath, destPath, fs.constants.COPYFILE_EXCL);
+    return { path: destPath, originalname: path.basename(realPath), size: stats.size, mimetype: '' };
+}
+
+module.exports = {
+    AudioSourceError, parseAudioSource, parsePrivateHosts, isPrivateAddress, guardedLookup, downloadAudio, importAudio,
+};
@@ -0,0 +1,75 @@
+// backend/lib/audioStore.js
+
+// --- Importaciones de Módulos ---
+const fs = require('fs');                       // Módulo para interactuar con el sistema de archivos.
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const { logger } = require('./logger');         // Registro estructurado del servidor.
+
+/**
+ * Almacén de los audios originales de las transcripciones del historial, para reproducirlos
+ * en el editor de transcripciones.
+ *
+ * Cada audio se guarda como `<id><extensión>` en un único directorio; el historial guarda ese nombre
+ * en el campo `audioFile` de la entrada. Los nombres se generan aquí, nunca a partir de datos del
+ * cliente, por lo que no pueden salir del directorio.
+ */
+class AudioStore {
+    /**
+     * @param {string} dir - Directorio donde se guardan los audios.
+     */
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    /**
+     * Guarda el audio de una transcripción moviendo (o copiando) un archivo temporal.
+     * @param {string} id - Identificador de la transcripción.
+     * @param {string} sourcePath - Archivo de audio a guardar.
+     * @param {object} [options]
+     * @param {boolean} [options.move=true] - Si se mueve el archivo; si no, se copia y el original se conserva.
+     * @returns {string} Nombre del archivo guardado (para el campo `audioFile` del historial).
+     */
+    save(id, sourcePath, { move = true } = {}) {
+        const fileName = `${id}${path.extname(sourcePath).toLowerCase()}`;
+        const targetPath = path.join(this.dir, fileName);
+        if (!move) {
+            fs.copyFileSync(sourcePath, targetPath);
+            return fileName;
+        }
+        try {
+            fs.renameSync(sourcePath, targetPath);
+        } catch (renameError) {
+            // EXDEV: el directorio de subidas está en otro sistema de archivos; se copia y se elimina.
+            if (renameError.code !== 'EXDEV') throw renameError;
+            fs.copyFileSync(sourcePath, targetPath);
+            fs.unlinkSync(sourcePath);
+        }
+        return fileName;
+    }
+
+    /**
+     * Ruta absoluta de un audio guardado, si existe.
+     * @param {string|null} fileName - Nombre devuelto por `save`.
+     * @returns {string|null}
+     */
+    resolve(fileName) {
+        if (!fileName) return null;
+        const filePath = path.join(this.dir, path.basename(fileName));
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    /**
+     * Elimina un audio guardado (sin error si ya no existe).
+     * @param {string|null} fileName - Nombre devuelto por `save`.
+     */
+    remove(fileName) {
+        if (!fileName) return;
+        const filePath = path.join(this.dir, path.basename(fileName));
+        fs.unlink(filePath, (unlinkErr) => {
+            if (unlinkErr && unlinkErr.code !== 'ENOENT') logger.error('Error al eliminar el audio', { file: filePath, err: unlinkErr });
+        });
+    }
+}
+
+module.exports = { AudioStore };
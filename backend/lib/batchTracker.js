@@ -0,0 +1,197 @@
+// backend/lib/batchTracker.js
+
+// --- Importaciones de Módulos ---
+const { EventEmitter } = require('events');    // Notificación de cambios a los suscriptores (SSE).
+const { randomUUID } = require('crypto');       // Identificadores únicos de los lotes.
+const { JobQueue, JOB_STATUS, FINAL_STATUSES } = require('./jobQueue'); // Trabajos que forman cada lote.
+const { formatMessage } = require('./errors');  // Motivos de rechazo en el idioma de la solicitud.
+
+/**
+ * Estados de un lote, derivados de los estados de sus trabajos.
+ */
+const BATCH_STATUS = {
+    QUEUED: 'queued',       // Ningún trabajo ha empezado todavía.
+    RUNNING: 'running',     // Quedan trabajos en espera o en ejecución.
+    DONE: 'done',           // Todos los trabajos terminaron correctamente.
+    PARTIAL: 'partial',     // Todos finalizaron, pero alguno falló o se canceló.
+    FAILED: 'failed',       // Ningún trabajo terminó correctamente.
+};
+
+/**
+ * Agrupa trabajos de la cola en lotes (una subida de varios archivos o de un ZIP) para seguirlos como unidad.
+ *
+ * Los trabajos se siguen ejecutando y publicando en la cola como siempre; el lote solo guarda sus IDs.
+ * Como la cola descarta los trabajos finalizados más antiguos, el estado final de cada trabajo se
+ * conserva también aquí para que el lote pueda consultarse completo.
+ *
+ * Eventos emitidos:
+ * - `update` (batch): cambió el estado o el progreso de algún trabajo del lote.
+ */
+class BatchTracker extends EventEmitter {
+    /**
+     * @param {JobQueue} jobQueue - Cola de trabajos de transcripción.
+     * @param {object} [options]
+     * @param {number} [options.historyLimit=50] - Número de lotes que se conservan en memoria.
+     */
+    constructor(jobQueue, { historyLimit = 50 } = {}) {
+        super();
+        this.setMaxListeners(0); // Cada cliente SSE suscrito añade un oyente.
+        this.jobQueue = jobQueue;
+        this.historyLimit = historyLimit;
+        this.batches = new Map();   // Lotes por ID, en orden de creación.
+        this.batchByJob = new Map(); // ID del lote al que pertenece cada trabajo.
+
+        const notify = (job) => {
+            const batch = this.batches.get(this.batchByJob.get(job.id));
+            if (batch) this.emit('update', batch);
+        };
+        jobQueue.on('update', notify);
+        jobQueue.on('progress', notify);
+        jobQueue.on('finished', (job) => {
+            const batch = this.batches.get(this.batchByJob.get(job.id));
+            if (batch) batch.finalJobs.set(job.id, job);
+        });
+    }
+
+    /**
+     * Crea un lote vacío.
+     * @param {object} [details]
+     * @param {Array<{fileName: string, reason: object}>} [details.rejected] - Archivos descartados al recibir el lote
+     *        (`reason` es un mensaje de `errorMessage`).
+     * @param {string|null} [details.apiKeyId] - Clave de API que lo envió (solo ella puede consultarlo).
+     * @returns {object} El lote creado.
+     */
+    create({ rejected = [], apiKeyId = null } = {}) {
+        const batch = {
+            id: randomUUID(),
+            jobIds: [],
+            rejected,
+            apiKeyId,
+            finalJobs: new Map(), // Estado final de cada trabajo (por si la cola ya lo descartó).
+            createdAt: new Date().toISOString(),
+        };
+        this._prune();
+        this.batches.set(batch.id, batch);
+        return batch;
+    }
+
+    /**
+     * Añade un trabajo ya encolado a un lote.
+     * @param {object} batch - Lote devuelto por `create`.
+     * @param {object} job - Trabajo devuelto por `jobQueue.add` (o `jobQueue.addCompleted`).
+     */
+    addJob(batch, job) {
+        batch.jobIds.push(job.id);
+        this.batchByJob.set(job.id, batch.id);
+        // Un trabajo puede llegar ya finalizado (ej. un resultado recuperado de la caché).
+        if (FINAL_STATUSES.includes(job.status)) batch.finalJobs.set(job.id, job);
+    }
+
+    /**
+     * Busca un lote por su ID.
+     * @param {string} id - Identificador del lote.
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this.batches.get(id);
+    }
+
+    /**
+     * Trabajos del lote serializados (como `JobQueue.serialize`), en el orden en que se añadieron.
+     * @param {object} batch - Lote.
+     * @param {object} [options]
+     * @param {string} [options.locale] - Idioma de los mensajes de error (ver `JobQueue.serialize`).
+     * @returns {object[]}
+     */
+    jobs(batch, { locale } = {}) {
+        return batch.jobIds
+            .map(jobId => this.jobQueue.get(jobId) || batch.finalJobs.get(jobId))
+            .filter(Boolean)
+            .map(job => JobQueue.serialize(job, { locale }));
+    }
+
+    /**
+     * Cancela los trabajos del lote que aún no han finalizado.
+     * @param {object} batch - Lote.
+     * @returns {number} Número de trabajos cancelados.
+     */
+    cancel(batch) {
+        return batch.jobIds.filter(jobId => this.jobQueue.cancel(jobId)).length;
+    }
+
+    /**
+     * Representación pública de un lote: estado global, recuento por estado y estado de cada archivo
+     * (sin el texto transcrito, que se consulta en el historial).
+     * @param {object} batch - Lote.
+     * @param {object} [options]
+     * @param {string} [options.locale] - Idioma de los mensajes de error de los trabajos y de los motivos de rechazo.
+     * @returns {object}
+     */
+    serialize(batch, { locale } = {}) {
+        const jobs = this.jobs(batch, { locale }).map(({ result, ...job }) => ({
+            ...job,
+            segmentCount: result?.segments?.length ?? null,
+        }));
+        const counts = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+        jobs.forEach(job => { counts[job.status] += 1; });
+        return {
+            id: batch.id,
+            status: BatchTracker.status(counts, jobs.length),
+            total: jobs.length,
+            counts,
+            jobs,
+            rejected: BatchTracker.serializeRejected(batch.rejected, { locale }),
+            createdAt: batch.createdAt,
+        };
+    }
+
+    /**
+     * Escribe los archivos descartados de un lote en el idioma de la solicitud.
+     * @param {Array<{fileName: string, reason: object}>} rejected - Archivos descartados.
+     * @param {object} [options]
+     * @param {string} [options.locale] - Idioma negociado (`req.locale`; por defecto, español).
+     * @returns {Array<{fileName: string, reason: string}>}
+     */
+    static serializeRejected(rejected, { locale } = {}) {
+        return rejected.map(({ fileName, reason }) => ({ fileName, reason: formatMessage(reason, locale) }));
+    }
+
+    /**
+     * Deriva el estado global del lote a partir del recuento de estados de sus trabajos.
+     * @param {object} counts - Número de trabajos en cada estado.
+     * @param {number} total - Número total de trabajos.
+     * @returns {string} Uno de `BATCH_STATUS`.
+     */
+    static status(counts, total) {
+        if (counts[JOB_STATUS.QUEUED] === total) return BATCH_STATUS.QUEUED;
+        if (counts[JOB_STATUS.QUEUED] + counts[JOB_STATUS.RUNNING] > 0) return BATCH_STATUS.RUNNING;
+        if (counts[JOB_STATUS.DONE] === total) return BATCH_STATUS.DONE;
+        return counts[JOB_STATUS.DONE] > 0 ? BATCH_STATUS.PARTIAL : BATCH_STATUS.FAILED;
+    }
+
+    /**
+     * Indica si todos los trabajos del lote han finalizado.
+     * @param {object} batch - Lote.
+     * @returns {boolean}
+     */
+    isFinished(batch) {
+        return this.jobs(batch).every(job => FINAL_STATUSES.includes(job.status));
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Descarta los lotes más antiguos para dejar sitio a uno nuevo (solo si ya finalizaron todos sus trabajos).
+     * @private
+     */
+    _prune() {
+        for (const batch of this.batches.values()) {
+            if (this.batches.size < this.historyLimit) return;
+            if (!this.isFinished(batch)) continue;
+            this.batches.delete(batch.id);
+            batch.jobIds.forEach(jobId => this.batchByJob.delete(jobId));
+        }
+    }
+}
+
+module.exports = { BatchTracker, BATCH_STATUS };
@@ -0,0 +1,200 @@
+// backend/lib/engines/cliEngine.js
+
+// --- Importaciones de Módulos ---
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const fs = require('fs');                       // Lectura del JSON generado por el binario.
+const { createError, errorMessage } = require('../errors'); // Errores con código de la API y detalles para depuración.
+const {
+    runProcess, createRunContext, runStep, cancelRun, createWorkDir, convertToWav,
+    clipStart, assertNoDiarization, buildResult, createReporter,
+} = require('./common');
+
+// Patrón de las líneas de segmento que imprime faster-whisper en modo `verbose` (igual que Whisper).
+// Ejemplo: "[00:01.000 --> 00:04.500] Hola a todos."  (las horas son opcionales)
+const SEGMENT_LINE_PATTERN = /^\[((?:\d+:)?\d+:\d+\.\d+) --> ((?:\d+:)?\d+:\d+\.\d+)\]\s*(.*)$/;
+// Patrón del avance que imprime whisper.cpp con `--print-progress` (ej. "... progress =  45%").
+const PROGRESS_LINE_PATTERN = /progress\s*=\s*(\d+)%/;
+
+/**
+ * Convierte un código de tiempo "MM:SS.mmm" o "HH:MM:SS.mmm" a segundos.
+ * @param {string} timecode - Código de tiempo.
+ * @returns {number}
+ */
+function parseTimecode(timecode) {
+    return timecode.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Variantes de binario admitidas. Cada una indica el ejecutable por defecto, cómo construir sus
+ * argumentos, cómo leer su resultado y cómo interpretar su salida para informar del avance.
+ */
+const CLI_FLAVORS = {
+    // whisper.cpp (`whisper-cli`): modelos GGML locales (`ggml-<modelo>.bin`) y salida JSON con `-oj`.
+    'whisper.cpp': {
+        defaultBinary: 'whisper-cli',
+        args(request, { audioPath, outputBase, modelDir }) {
+            const options = request.decode_options || {};
+            const args = [
+                '-m', path.join(modelDir, `ggml-${request.model}.bin`),
+                '-f', audioPath,
+                '-l', request.language || 'auto',
+                '-oj', '-of', outputBase,
+                '-pp', // Imprime el avance en la salida de error.
+            ];
+            if (options.task === 'translate') args.push('-tr');
+            if (options.beam_size) args.push('-bs', String(options.beam_size));
+            if (options.temperature != null) args.push('-tp', String(options.temperature));
+            if (options.initial_prompt) args.push('--prompt', options.initial_prompt);
+            return args;
+        },
+        async readResult({ outputBase }) {
+            const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+            return {
+                language: output.result?.language || null,
+                // Los tiempos de whisper.cpp están en milisegundos. No ofrece tiempos por palabra en este formato.
+                segments: (output.transcription || []).map(item => ({
+                    start: item.offsets.from / 1000,
+                    end: item.offsets.to / 1000,
+                    text: item.text,
+                })),
+            };
+        },
+        onStderrLine(line, reporter) {
+            const match = PROGRESS_LINE_PATTERN.exec(line);
+            if (match) reporter.progress(Number(match[1]));
+        },
+        checkModel(request, { modelDir }) {
+            const modelPath = path.join(modelDir, `ggml-${request.model}.bin`);
+            if (!fs.existsSync(modelPath)) {
+                throw createError(errorMessage('engine.modelNotFound', { path: modelPath }), undefined, 'MODEL_LOAD_FAILED');
+            }
+        },
+    },
+    // faster-whisper a través de `whisper-ctranslate2`, con los mismos argumentos y salida JSON que el CLI de Whisper.
+    'faster-whisper': {
+        defaultBinary: 'whisper-ctranslate2',
+        args(request, { audioPath, workDir }) {
+            const options = request.decode_options || {};
+            const args = [
+                audioPath,
+                '--model', request.model,
+                '--output_format', 'json',
+                '--output_dir', workDir,
+                '--verbose', 'True', // Imprime cada segmento al decodificarlo.
+                '--task', options.task || 'transcribe',
+            ];
+            if (request.language) args.push('--language', request.language);
+            if (options.beam_size) args.push('--beam_size', String(options.beam_size));
+            if (options.temperature != null) args.push('--temperature', String(options.temperature));
+            if (options.initial_prompt) args.push('--initial_prompt', options.initial_prompt);
+            if (options.word_timestamps) args.push('--word_timestamps', 'True');
+            return args;
+        },
+        async readResult({ audioPath, workDir }) {
+            const outputPath = path.join(workDir, `${path.parse(audioPath).name}.json`);
+            const output = JSON.parse(await fs.promises.readFile(outputPath, 'utf8'));
+            return { language: output.language || null, segments: output.segments || [] };
+        },
+        onStdoutLine(line, reporter) {
+            const match = SEGMENT_LINE_PATTERN.exec(line.trim());
+            if (match) reporter.segment({ start: parseTimecode(match[1]), end: parseTimecode(match[2]), text: match[3] });
+        },
+        checkModel() {
+            // faster-whisper descarga el modelo la primera vez que se usa.
+        },
+    },
+};
+
+/**
+ * Motor que ejecuta un binario de transcripción por línea de comandos (whisper.cpp o faster-whisper)
+ * en un proceso nuevo por cada transcripción.
+ *
+ * El audio se convierte antes con FFmpeg a WAV mono de 16 kHz, el formato que aceptan todos los binarios
+ * (y que permite conocer su duración). La identificación de hablantes no está disponible.
+ */
+class CliEngine {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.flavor='whisper.cpp'] - Variante del binario: 'whisper.cpp' o 'faster-whisper'.
+     * @param {string} [options.binary] - Ruta del ejecutable (por defecto, el de la variante en el PATH).
+     * @param {string} [options.modelDir] - Directorio de los modelos GGML (solo whisper.cpp).
+     */
+    constructor({ flavor = 'whisper.cpp', binary, modelDir = path.join(__dirname, '..', '..', 'models') } = {}) {
+        this.flavor = CLI_FLAVORS[flavor];
+        if (!this.flavor) {
+            throw new Error(`Variante de binario no soportada: '${flavor}'. Use una de: ${Object.keys(CLI_FLAVORS).join(', ')}.`);
+        }
+        this.flavorName = flavor;
+        this.binary = binary || this.flavor.defaultBinary;
+        this.modelDir = modelDir;
+        this.running = new Set(); // Contextos de las transcripciones en curso.
+    }
+
+    /**
+     * Los procesos se lanzan bajo demanda: no hay nada que preparar.
+     */
+    start() {}
+
+    /**
+     * Cancela las transcripciones en curso.
+     */
+    stop() {
+        this.running.forEach(cancelRun);
+    }
+
+    /**
+     * Transcribe un archivo en un proceso nuevo del binario.
+     * @param {object} request - Solicitud de transcripción (ver `toWorkerRequest`).
+     * @param {object} [hooks]
+     * @param {function(object): void} [hooks.onEvent] - Recibe los eventos de progreso.
+     * @returns {{promise: Promise<object>, cancel: function(): void}}
+     */
+    run(request, { onEvent } = {}) {
+        const context = createRunContext();
+        this.running.add(context);
+        const promise = this._transcribe(request, onEvent, context)
+            .finally(() => this.running.delete(context));
+        return { promise, cancel: () => cancelRun(context) };
+    }
+
+    /**
+     * Devuelve el estado del motor para `GET /api/status`.
+     * @returns {object}
+     */
+    describe() {
+        return { flavor: this.flavorName, binary: this.binary, running: this.running.size };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Convierte el audio, ejecuta el binario y lee su resultado.
+     * @private
+     */
+    async _transcribe(request, onEvent, context) {
+        assertNoDiarization(request, `cli (${this.flavorName})`);
+        this.flavor.checkModel(request, { modelDir: this.modelDir });
+
+        const workDir = await createWorkDir();
+        try {
+            const offset = clipStart(request);
+            const audioPath = path.join(workDir, 'audio.wav');
+            const { duration } = await runStep(context, () => convertToWav(request.audio_file, audioPath, offset));
+
+            const reporter = createReporter(onEvent, duration);
+            reporter.progress(0);
+            const paths = { audioPath, workDir, outputBase: path.join(workDir, 'resultado'), modelDir: this.modelDir };
+            await runStep(context, () => runProcess(this.binary, this.flavor.args(request, paths), {
+                onStdoutLine: this.flavor.onStdoutLine && (line => this.flavor.onStdoutLine(line, reporter)),
+                onStderrLine: this.flavor.onStderrLine && (line => this.flavor.onStderrLine(line, reporter)),
+            }));
+
+            const { language, segments } = await this.flavor.readResult(paths);
+            return buildResult({ segments, language, request, duration, offset });
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = { CliEngine, CLI_FLAVORS };
@@ -0,0 +1,245 @@
+// backend/lib/engines/common.js
+
+// --- Importaciones de Módulos ---
+const { spawn } = require('child_process');     // Ejecución de FFmpeg y de los binarios de transcripción.
+const readline = require('readline');           // Lectura línea a línea de la salida de los procesos.
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const os = require('os');                       // Directorio temporal del sistema.
+const fs = require('fs');                       // Módulo para interactuar con el sistema de archivos.
+const { createError, errorMessage } = require('../errors'); // Errores con código de la API y detalles para depuración.
+const { terminateProcess } = require('../pythonWorker'); // Fin de procesos (SIGTERM y, si no responden, SIGKILL).
+
+// Frecuencia de muestreo a la que se convierte el audio (la que usan todos los modelos Whisper).
+const SAMPLE_RATE = 16000;
+// Bytes por segundo de un WAV PCM de 16 bits mono a 16 kHz (para calcular su duración sin leerlo).
+const WAV_BYTES_PER_SECOND = SAMPLE_RATE * 2;
+// Tamaño de la cabecera de un WAV generado por FFmpeg.
+const WAV_HEADER_BYTES = 44;
+// Cantidad máxima de salida de error (caracteres) que se conserva para diagnosticar fallos.
+const STDERR_TAIL_LENGTH = 4000;
+// Ejecutable de FFmpeg (por defecto, el del PATH).
+const ffmpegExecutable = process.env.FFMPEG_PATH || 'ffmpeg';
+
+/**
+ * Error con el que fallan las transcripciones canceladas.
+ * @returns {Error}
+ */
+function cancelledError() {
+    return createError(errorMessage('jobs.cancelled'), undefined, 'CANCELLED');
+}
+
+/**
+ * Ejecuta un proceso externo y recoge su salida.
+ *
+ * @param {string} command - Ejecutable.
+ * @param {string[]} args - Argumentos.
+ * @param {object} [hooks]
+ * @param {function(string): void} [hooks.onStdoutLine] - Recibe cada línea de la salida estándar.
+ * @param {function(string): void} [hooks.onStderrLine] - Recibe cada línea de la salida de error.
+ * @param {string} [hooks.failureCode='ENGINE_ERROR'] - Código de la API si el proceso termina con error
+ *        (ej. 'DECODE_FAILED' para FFmpeg).
+ * @returns {{promise: Promise<{stdout: string}>, cancel: function(): void}}
+ *          La promesa se rechaza si el proceso no existe, termina con error o se cancela.
+ */
+function runProcess(command, args, { onStdoutLine, onStderrLine, failureCode = 'ENGINE_ERROR' } = {}) {
+    let child = null;
+    let cancelled = false;
+
+    const promise = new Promise((resolve, reject) => {
+        child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderrTail = '';
+
+        readline.createInterface({ input: child.stdout }).on('line', (line) => {
+            stdout += `${line}\n`;
+            if (onStdoutLine) onStdoutLine(line);
+        });
+        readline.createInterface({ input: child.stderr }).on('line', (line) => {
+            stderrTail = `${stderrTail}${line}\n`.slice(-STDERR_TAIL_LENGTH);
+            if (onStderrLine) onStderrLine(line);
+        });
+
+        child.on('error', (spawnError) => {
+            reject(spawnError.code === 'ENOENT'
+                ? createError(errorMessage('engine.executableMissing', { command }), undefined, 'DEPENDENCY_MISSING')
+                : createError(errorMessage('engine.spawnFailed', { command }), spawnError.message, failureCode));
+        });
+        child.on('close', (code, signal) => {
+            if (cancelled) return reject(cancelledError());
+            if (code !== 0) {
+                return reject(createError(errorMessage('engine.processFailed', { command: path.basename(command), reason: signal || code }), stderrTail || 'Sin salida de error estándar.', failureCode));
+            }
+            resolve({ stdout });
+        });
+    });
+
+    const cancel = () => {
+        cancelled = true;
+        // SIGTERM y, si el proceso no responde (ej. whisper.cpp en mitad de un cálculo), SIGKILL.
+        terminateProcess(child);
+    };
+
+    return { promise, cancel };
+}
+
+/**
+ * Estado compartido por los pasos de una transcripción (conversión, proceso o petición HTTP) para
+ * poder cancelarla en cualquiera de ellos.
+ * @returns {{cancelled: boolean, current: object|null}}
+ */
+function createRunContext() {
+    return { cancelled: false, current: null };
+}
+
+/**
+ * Ejecuta un paso cancelable de una transcripción. Si ya se canceló, no llega a empezar.
+ * @param {object} context - Contexto creado por `createRunContext`.
+ * @param {function(): {promise: Promise, cancel: function(): void}} start - Lanza el paso.
+ * @returns {Promise<*>} El resultado del paso.
+ */
+async function runStep(context, start) {
+    if (context.cancelled) throw cancelledError();
+    context.current = start();
+    try {
+        return await context.current.promise;
+    } finally {
+        context.current = null;
+    }
+}
+
+/**
+ * Cancela la transcripción asociada a un contexto (el paso en curso y los siguientes).
+ * @param {object} context - Contexto creado por `createRunContext`.
+ */
+function cancelRun(context) {
+    context.cancelled = true;
+    if (context.current) context.current.cancel();
+}
+
+/**
+ * Crea un directorio temporal para los archivos intermedios de una transcripción.
+ * @returns {Promise<string>} Ruta del directorio (debe eliminarse con `fs.promises.rm`).
+ */
+function createWorkDir() {
+    return fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcripcion-'));
+}
+
+/**
+ * Convierte un audio con FFmpeg a WAV PCM de 16 bits, mono y 16 kHz (el formato que esperan los
+ * binarios de Whisper), empezando opcionalmente en un instante dado.
+ *
+ * @param {string} inputPath - Audio original.
+ * @param {string} outputPath - Ruta del WAV a generar.
+ * @param {number} [startSeconds=0] - Instante desde el que se convierte (para transcribir solo el final de una grabación).
+ * @returns {{promise: Promise<{duration: number}>, cancel: function(): void}}
+ *          `duration` es la duración en segundos del WAV generado.
+ */
+function convertToWav(inputPath, outputPath, startSeconds = 0) {
+    const args = ['-nostdin', '-hide_banner', '-loglevel', 'error', '-y'];
+    if (startSeconds > 0) args.push('-ss', String(startSeconds));
+    args.push('-i', inputPath, '-ac', '1', '-ar', String(SAMPLE_RATE), '-c:a', 'pcm_s16le', outputPath);
+
+    const controller = runProcess(ffmpegExecutable, args, { failureCode: 'DECODE_FAILED' });
+    const promise = controller.promise.then(async () => {
+        const { size } = await fs.promises.stat(outputPath);
+        return { duration: Math.max(0, size - WAV_HEADER_BYTES) / WAV_BYTES_PER_SECOND };
+    });
+    return { promise, cancel: controller.cancel };
+}
+
+/**
+ * Instante (s) desde el que debe transcribirse el audio, según `decode_options.clip_timestamps`.
+ * La transcripción en vivo lo usa para no repetir el audio ya consolidado.
+ * @param {object} request - Solicitud de transcripción.
+ * @returns {number}
+ */
+function clipStart(request) {
+    const start = parseFloat(request.decode_options?.clip_timestamps);
+    return Number.isFinite(start) && start > 0 ? start : 0;
+}
+
+/**
+ * Falla si la solicitud pide identificar hablantes a un motor que no lo admite.
+ * @param {object} request - Solicitud de transcripción.
+ * @param {string} engineName - Nombre del motor (para el mensaje).
+ */
+function assertNoDiarization(request, engineName) {
+    if (request.diarize) {
+        throw createError(errorMessage('engine.diarizationUnsupported', { engine: engineName }), undefined, 'INVALID_REQUEST');
+    }
+}
+
+/**
+ * Construye el resultado de una transcripción con el mismo formato que devuelve el worker Python
+ * (`transcription`, `language`, `model`, `task`, `duration`, `segments`).
+ *
+ * @param {object} details
+ * @param {Array<{start: number, end: number, text: string, words?: object[], speaker?: string}>} details.segments - Segmentos del motor,
+ *        con tiempos relativos al audio transcrito.
+ * @param {string|null} details.language - Idioma detectado o indicado.
+ * @param {object} details.request - Solicitud original (modelo y tarea).
+ * @param {number} details.duration - Duración (s) del audio transcrito.
+ * @param {number} [details.offset=0] - Instante (s) en que empieza el audio transcrito dentro del original.
+ * @returns {object}
+ */
+function buildResult({ segments, language, request, duration, offset = 0 }) {
+    const shift = (seconds) => Math.round((seconds + offset) * 1000) / 1000;
+    const formatted = segments
+        .map((segment, index) => {
+            const entry = { id: index, start: shift(segment.start), end: shift(segment.end), text: String(segment.text).trim() };
+            if (segment.speaker) entry.speaker = segment.speaker;
+            if (segment.words) {
+                entry.words = segment.words.map(word => ({
+                    word: String(word.word).trim(),
+                    start: shift(word.start),
+                    end: shift(word.end),
+                    probability: word.probability != null ? Math.round(word.probability * 1000) / 1000 : null,
+                }));
+            }
+            return entry;
+        })
+        .filter(segment => segment.text);
+    return {
+        transcription: formatted.map(segment => segment.text).join(' '),
+        language: language || request.language || null,
+        model: request.model,
+        task: request.decode_options?.task || 'transcribe',
+        duration: Math.round((duration + offset) * 100) / 100,
+        segments: formatted,
+    };
+}
+
+/**
+ * Emisor de eventos de progreso con el formato del worker Python (`progress` y `segment`).
+ * @param {function(object): void} [onEvent] - Receptor de eventos (puede no existir).
+ * @param {number} [duration] - Duración del audio, para calcular el porcentaje.
+ * @returns {{progress: function(number|null): void, segment: function(object): void}}
+ */
+function createReporter(onEvent, duration) {
+    const startedAt = Date.now();
+    const elapsed = () => Math.round((Date.now() - startedAt) / 100) / 10;
+    return {
+        progress: (percent) => onEvent && onEvent({ event: 'progress', percent, elapsed: elapsed() }),
+        segment: ({ start, end, text }) => {
+            if (!onEvent) return;
+            onEvent({ event: 'segment', start, end, text: String(text).trim() });
+            const percent = duration ? Math.min(100, Math.round(end / duration * 1000) / 10) : null;
+            onEvent({ event: 'progress', percent, elapsed: elapsed() });
+        },
+    };
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    cancelledError,
+    runProcess,
+    createRunContext,
+    runStep,
+    cancelRun,
+    createWorkDir,
+    convertToWav,
+    clipStart,
+    assertNoDiarization,
+    buildResult,
+    createReporter,
+};
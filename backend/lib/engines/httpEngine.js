@@ -0,0 +1,196 @@
+// backend/lib/engines/httpEngine.js
+
+// --- Importaciones de Módulos ---
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const fs = require('fs');                       // Lectura del audio que se envía al servicio.
+const { createError, errorMessage } = require('../errors'); // Errores con código de la API y detalles para depuración.
+const {
+    createRunContext, runStep, cancelRun, createWorkDir, convertToWav, cancelledError,
+    clipStart, assertNoDiarization, buildResult, createReporter,
+} = require('./common');
+
+/**
+ * Motor que delega la transcripción en un servicio HTTP compatible con la API de OpenAI
+ * (`POST /audio/transcriptions` y `POST /audio/translations`), ya sea el de OpenAI o un servidor local
+ * que la imite (ej. faster-whisper-server, LocalAI o whisper.cpp `server`).
+ *
+ * Se pide el formato `verbose_json`, que incluye los segmentos con sus tiempos. La API no admite
+ * `beam_size` (se ignora) ni la identificación de hablantes.
+ */
+class HttpEngine {
+    /**
+     * @param {object} options
+     * @param {string} options.url - URL base de la API (ej. 'https://api.openai.com/v1' o 'http://localhost:8000/v1').
+     * @param {string} [options.apiKey] - Clave enviada como `Authorization: Bearer ...`.
+     * @param {string} [options.model] - Modelo a solicitar siempre (ej. 'whisper-1'); por defecto, el elegido en cada solicitud.
+     * @param {number} [options.timeoutMs=600000] - Espera máxima de cada respuesta.
+     */
+    constructor({ url, apiKey, model, timeoutMs = 600000 } = {}) {
+        if (!url) {
+            throw new Error('El motor HTTP necesita la URL base de la API (TRANSCRIBE_HTTP_URL).');
+        }
+        this.url = url.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+        this.running = new Set(); // Contextos de las transcripciones en curso.
+    }
+
+    /**
+     * El servicio es externo: no hay nada que preparar.
+     */
+    start() {}
+
+    /**
+     * Cancela las transcripciones en curso.
+     */
+    stop() {
+        this.running.forEach(cancelRun);
+    }
+
+    /**
+     * Envía un archivo al servicio y espera su transcripción.
+     * @param {object} request - Solicitud de transcripción (ver `toWorkerRequest`).
+     * @param {object} [hooks]
+     * @param {function(object): void} [hooks.onEvent] - Recibe los eventos de progreso.
+     * @returns {{promise: Promise<object>, cancel: function(): void}}
+     */
+    run(request, { onEvent } = {}) {
+        const context = createRunContext();
+        this.running.add(context);
+        const promise = this._transcribe(request, onEvent, context)
+            .finally(() => this.running.delete(context));
+        return { promise, cancel: () => cancelRun(context) };
+    }
+
+    /**
+     * Devuelve el estado del motor para `GET /api/status` (sin la clave de la API).
+     * @returns {object}
+     */
+    describe() {
+        return { url: this.url, model: this.model || null, running: this.running.size };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Prepara el audio (recortado si se pide empezar más tarde), lo envía y adapta la respuesta.
+     * @private
+     */
+    async _transcribe(request, onEvent, context) {
+        assertNoDiarization(request, 'http');
+        const reporter = createReporter(onEvent);
+        reporter.progress(0);
+
+        // El servicio no admite `clip_timestamps`: para empezar más tarde se envía solo el audio restante.
+        const offset = clipStart(request);
+        const workDir = offset > 0 ? await createWorkDir() : null;
+        try {
+            let audioPath = request.audio_file;
+            if (workDir) {
+                audioPath = path.join(workDir, 'audio.wav');
+                await runStep(context, () => convertToWav(request.audio_file, audioPath, offset));
+            }
+            const response = await runStep(context, () => this._post(request, audioPath));
+            return buildResult({
+                segments: attachWords(response.segments || [], response.words),
+                language: response.language,
+                request,
+                duration: response.duration ?? response.segments?.at(-1)?.end ?? 0,
+                offset,
+            });
+        } finally {
+            if (workDir) await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Envía el audio y las opciones como `multipart/form-data`.
+     * @param {object} request - Solicitud de transcripción.
+     * @param {string} audioPath - Audio a enviar.
+     * @returns {{promise: Promise<object>, cancel: function(): void}} La promesa se resuelve con el JSON de la respuesta.
+     * @private
+     */
+    _post(request, audioPath) {
+        const controller = new AbortController();
+        let cancelled = false;
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const options = request.decode_options || {};
+        const translate = options.task === 'translate';
+
+        const promise = (async () => {
+            const form = new FormData();
+            form.append('file', await fs.openAsBlob(audioPath), path.basename(audioPath));
+            form.append('model', this.model || request.model);
+            form.append('response_format', 'verbose_json');
+            // La traducción siempre es al inglés: el idioma de origen lo detecta el servicio.
+            if (request.language && !translate) form.append('language', request.language);
+            if (options.temperature != null) form.append('temperature', String(options.temperature));
+            if (options.initial_prompt) form.append('prompt', options.initial_prompt);
+            if (options.word_timestamps && !translate) {
+                form.append('timestamp_granularities[]', 'segment');
+                form.append('timestamp_granularities[]', 'word');
+            }
+
+            const endpoint = `${this.url}/audio/${translate ? 'translations' : 'transcriptions'}`;
+            let response;
+            try {
+                response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+                    body: form,
+                    signal: controller.signal,
+                });
+            } catch (fetchError) {
+                if (cancelled) throw fetchError;
+                if (fetchError.name === 'AbortError') {
+                    throw createError(errorMessage('engine.httpTimeout', { ms: this.timeoutMs }), undefined, 'TIMEOUT');
+                }
+                throw createError(errorMessage('engine.httpConnection', { endpoint }), fetchError.cause?.message || fetchError.message, 'ENGINE_UNAVAILABLE');
+            }
+
+            const body = await response.text();
+            let data = null;
+            try {
+                data = JSON.parse(body);
+            } catch {
+                // Se informa más abajo con el cuerpo recibido.
+            }
+            if (!response.ok) {
+                const message = data?.error?.message || data?.error || body.slice(0, 200);
+                throw createError(errorMessage('engine.httpError', { status: response.status, message }), undefined, 'ENGINE_ERROR');
+            }
+            if (!data || !Array.isArray(data.segments)) {
+                throw createError(errorMessage('engine.httpNoSegments'), body.slice(0, 500), 'ENGINE_ERROR');
+            }
+            return data;
+        })()
+            .catch((error) => { throw cancelled ? cancelledError() : error; })
+            .finally(() => clearTimeout(timer));
+
+        const cancel = () => {
+            cancelled = true;
+            controller.abort();
+        };
+        return { promise, cancel };
+    }
+}
+
+/**
+ * Reparte las palabras de la respuesta (lista única en `verbose_json`) entre los segmentos según sus tiempos.
+ * @param {object[]} segments - Segmentos de la respuesta.
+ * @param {object[]} [words] - Palabras con `word`, `start` y `end`.
+ * @returns {object[]} Segmentos, con `words` si la respuesta las incluía.
+ */
+function attachWords(segments, words) {
+    if (!Array.isArray(words)) return segments;
+    return segments.map((segment, index) => {
+        const isLast = index === segments.length - 1;
+        return {
+            ...segment,
+            words: words.filter(word => word.start >= segment.start && (isLast || word.start < segment.end)),
+        };
+    });
+}
+
+module.exports = { HttpEngine };
@@ -0,0 +1,61 @@
+// backend/lib/engines/index.js
+
+// --- Importaciones de Módulos ---
+const { WorkerPool } = require('../workerPool'); // Workers Python persistentes (openai-whisper).
+const { CliEngine } = require('./cliEngine');   // Binarios whisper.cpp / faster-whisper.
+const { HttpEngine } = require('./httpEngine'); // Servicios compatibles con la API de OpenAI.
+const { MockEngine } = require('./mockEngine'); // Motor simulado para desarrollo y pruebas.
+
+/**
+ * Motores de transcripción disponibles, indexados por el nombre usado en `TRANSCRIBE_ENGINE`.
+ *
+ * Todos implementan la misma interfaz, la del pool de workers Python:
+ * - `start()`: prepara el motor (ej. lanza los procesos persistentes).
+ * - `stop()`: lo detiene y hace fallar las transcripciones en curso.
+ * - `run(request, { onEvent })`: transcribe la solicitud creada por `toWorkerRequest` y devuelve
+ *   `{ promise, cancel }`. La promesa se resuelve con el resultado (`transcription`, `language`, `model`,
+ *   `task`, `duration`, `segments`) y `onEvent` recibe los eventos `progress` y `segment`.
+ * - `describe()`: estado del motor para `GET /api/status`.
+ * - `health()` (opcional): `{ ok, code, message }`, si el motor puede atender transcripciones ahora mismo, para
+ *   `GET /api/status/ready` (ej. el pool de workers Python comprueba el entorno y que haya algún worker listo).
+ *   Los motores sin él se consideran disponibles.
+ *
+ * Cada fábrica recibe la configuración general (`concurrency`) y el entorno, del que lee sus variables.
+ */
+const ENGINES = {
+    // openai-whisper en workers Python persistentes (`worker.py`), con diarización.
+    python: ({ concurrency }) => new WorkerPool({ size: concurrency }),
+    // whisper.cpp o faster-whisper por línea de comandos, un proceso por transcripción.
+    cli: (config, env) => new CliEngine({
+        flavor: env.WHISPER_CLI_FLAVOR || undefined,
+        binary: env.WHISPER_CLI_PATH || undefined,
+        modelDir: env.WHISPER_CPP_MODELS_DIR || undefined,
+    }),
+    // API HTTP compatible con OpenAI (`/audio/transcriptions`).
+    http: (config, env) => new HttpEngine({
+        url: env.TRANSCRIBE_HTTP_URL,
+        apiKey: env.TRANSCRIBE_HTTP_API_KEY || undefined,
+        model: env.TRANSCRIBE_HTTP_MODEL || undefined,
+    }),
+    // Resultados simulados y deterministas, sin dependencias externas.
+    mock: (config, env) => new MockEngine({ delayMs: Number(env.MOCK_ENGINE_DELAY_MS) || 0 }),
+};
+
+/**
+ * Crea el motor de transcripción indicado.
+ * @param {string} name - Nombre del motor: 'python', 'cli', 'http' o 'mock'.
+ * @param {object} [config]
+ * @param {number} [config.concurrency=1] - Transcripciones simultáneas (tamaño del pool de workers Python).
+ * @param {object} [env=process.env] - Variables de entorno con la configuración de cada motor.
+ * @returns {object} El motor, con la interfaz descrita en `ENGINES`.
+ * @throws {Error} Si el motor no existe o su configuración no es válida.
+ */
+function createEngine(name, { concurrency = 1 } = {}, env = process.env) {
+    const factory = ENGINES[name];
+    if (!factory) {
+        throw new Error(`Motor de transcripción no soportado: '${name}'. Use uno de: ${Object.keys(ENGINES).join(', ')}.`);
+    }
+    return factory({ concurrency }, env);
+}
+
+module.exports = { createEngine };
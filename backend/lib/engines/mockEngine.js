@@ -0,0 +1,149 @@
+// backend/lib/engines/mockEngine.js
+
+// --- Importaciones de Módulos ---
+const fs = require('fs');                       // Tamaño del archivo de audio (de él se deriva la duración simulada).
+const { createError, errorMessage } = require('../errors'); // Errores con código de la API y detalles para depuración.
+const { createRunContext, cancelRun, cancelledError, clipStart, buildResult, createReporter } = require('./common');
+
+// Bytes de archivo que equivalen a un segundo de audio simulado (la duración no depende del contenido).
+const BYTES_PER_SECOND = 16000;
+// Duración (s) de cada segmento simulado.
+const SEGMENT_SECONDS = 5;
+
+// Frases de los segmentos simulados, en orden, según la tarea.
+const PHRASES = {
+    transcribe: [
+        'Esta es una transcripción simulada.',
+        'El motor de prueba no analiza el audio.',
+        'Cada segmento dura cinco segundos.',
+    ],
+    translate: [
+        'This is a simulated transcription.',
+        'The mock engine does not analyze the audio.',
+        'Each segment lasts five seconds.',
+    ],
+};
+
+/**
+ * Motor simulado y determinista, para desarrollo y pruebas automáticas sin entorno Python ni modelos.
+ *
+ * No analiza el audio: la duración se deriva del tamaño del archivo (1 s por cada 16 KB, mínimo 1 s) y
+ * el texto son frases fijas, una por cada segmento de 5 s. Así, el mismo archivo produce siempre el mismo
+ * resultado. Admite todas las opciones: idioma, tarea, tiempos por palabra, identificación de hablantes
+ * (se alternan entre segmentos) y `clip_timestamps` (transcripción en vivo).
+ */
+class MockEngine {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.delayMs=0] - Espera simulada por cada segmento (para probar el progreso y la cancelación).
+     */
+    constructor({ delayMs = 0 } = {}) {
+        this.delayMs = delayMs;
+        this.running = new Set(); // Contextos de las transcripciones en curso.
+    }
+
+    /**
+     * No hay nada que preparar.
+     */
+    start() {}
+
+    /**
+     * Cancela las transcripciones en curso.
+     */
+    stop() {
+        this.running.forEach(cancelRun);
+    }
+
+    /**
+     * Simula la transcripción de un archivo.
+     * @param {object} request - Solicitud de transcripción (ver `toWorkerRequest`).
+     * @param {object} [hooks]
+     * @param {function(object): void} [hooks.onEvent] - Recibe los eventos de progreso.
+     * @returns {{promise: Promise<object>, cancel: function(): void}}
+     */
+    run(request, { onEvent } = {}) {
+        const context = createRunContext();
+        this.running.add(context);
+        const promise = this._transcribe(request, onEvent, context)
+            .finally(() => this.running.delete(context));
+        return { promise, cancel: () => cancelRun(context) };
+    }
+
+    /**
+     * Devuelve el estado del motor para `GET /api/status`.
+     * @returns {object}
+     */
+    describe() {
+        return { delayMs: this.delayMs, running: this.running.size };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Genera los segmentos simulados, informando de cada uno tras la espera configurada.
+     * @private
+     */
+    async _transcribe(request, onEvent, context) {
+        let size;
+        try {
+            ({ size } = await fs.promises.stat(request.audio_file));
+        } catch {
+            throw createError(errorMessage('engine.audioNotFound', { path: request.audio_file }), undefined, 'MISSING_FILE');
+        }
+        const duration = Math.max(1, Math.round(size / BYTES_PER_SECOND * 100) / 100);
+        const options = request.decode_options || {};
+        const task = options.task === 'translate' ? 'translate' : 'transcribe';
+        const speakerCount = request.diarize ? (request.diarize.num_speakers || 2) : 0;
+        const reporter = createReporter(onEvent, duration);
+        reporter.progress(0);
+
+        const segments = [];
+        for (let start = clipStart(request), index = 0; start < duration; start += SEGMENT_SECONDS, index++) {
+            await this._wait(context);
+            const end = Math.min(duration, start + SEGMENT_SECONDS);
+            const text = PHRASES[task][index % PHRASES[task].length];
+            const segment = { start, end, text };
+            if (options.word_timestamps) segment.words = splitWords(text, start, end);
+            if (speakerCount) segment.speaker = `SPEAKER_${(index % speakerCount) + 1}`;
+            segments.push(segment);
+            reporter.segment(segment);
+        }
+
+        const result = buildResult({ segments, language: request.language || (task === 'translate' ? 'en' : 'es'), request, duration });
+        if (speakerCount) {
+            result.speakers = [...new Set(segments.map(segment => segment.speaker))];
+            result.diarization = 'mock';
+        }
+        return result;
+    }
+
+    /**
+     * Espera simulada entre segmentos; falla si la transcripción se cancela mientras tanto.
+     * @private
+     */
+    async _wait(context) {
+        if (this.delayMs > 0) {
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, this.delayMs);
+                context.current = { cancel: () => { clearTimeout(timer); resolve(); } };
+            });
+            context.current = null;
+        }
+        if (context.cancelled) throw cancelledError();
+    }
+}
+
+/**
+ * Reparte el intervalo de un segmento entre sus palabras a partes iguales.
+ * @param {string} text - Texto del segmento.
+ * @param {number} start - Inicio del segmento (s).
+ * @param {number} end - Fin del segmento (s).
+ * @returns {Array<{word: string, start: number, end: number, probability: number}>}
+ */
+function splitWords(text, start, end) {
+    const words = text.split(' ');
+    const step = (end - start) / words.length;
+    return words.map((word, index) => ({ word, start: start + index * step, end: start + (index + 1) * step, probability: 1 }));
+}
+
+module.exports = { MockEngine };
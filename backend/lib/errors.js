@@ -0,0 +1,262 @@
+// backend/lib/errors.js
+
+// --- Importaciones de Módulos ---
+const { randomUUID } = require('crypto'); // Identificadores de las solicitudes sin `X-Request-Id`.
+const { logger } = require('./logger');   // Registro estructurado del servidor.
+const es = require('./locales/es');       // Mensajes de error en español.
+const en = require('./locales/en');       // Mensajes de error en inglés.
+
+/**
+ * Códigos de error de la API, con el estado HTTP con el que se responden. Su mensaje por defecto está en los
+ * catálogos de `lib/locales` (`codes`).
+ *
+ * Todas las respuestas de error tienen la forma `{ error, code, requestId, ...datos }`: `error` es el mensaje
+ * legible (en el idioma de la solicitud, ver `localizeErrorBody`), `code` uno de estos códigos y `requestId` el
+ * identificador de la solicitud (también en la cabecera `X-Request-Id`), con el que se localiza en los registros
+ * del servidor. Los trabajos que fallan exponen `{ code, message }` en su campo `error`; los detalles técnicos
+ * (ej. la salida de error de Python) solo se registran en el servidor.
+ */
+const ERROR_CODES = Object.freeze({
+    // Solicitudes no válidas.
+    INVALID_REQUEST: { status: 400 },
+    INVALID_JSON: { status: 400 },
+    MISSING_FILE: { status: 400 },
+    UNAUTHORIZED: { status: 401 },
+    FORBIDDEN: { status: 403 },
+    NOT_FOUND: { status: 404 },
+    CONFLICT: { status: 409 },
+    FILE_TOO_LARGE: { status: 413 },
+    UNSUPPORTED_FORMAT: { status: 415 },
+    NO_SPEECH: { status: 422 },
+    RATE_LIMITED: { status: 429 },
+    QUOTA_EXCEEDED: { status: 429 },
+    // Fallos de la transcripción (sobre todo en el campo `error` de los trabajos).
+    DECODE_FAILED: { status: 422 },
+    MODEL_LOAD_FAILED: { status: 500 },
+    CANCELLED: { status: 409 },
+    TIMEOUT: { status: 504 },
+    // Fallos del servidor o de sus dependencias.
+    INTERNAL_ERROR: { status: 500 },
+    ENGINE_ERROR: { status: 502 },
+    TRANSLATION_FAILED: { status: 502 },
+    SUMMARY_FAILED: { status: 502 },
+    UPSTREAM_ERROR: { status: 502 },
+    PYTHON_ENV_MISSING: { status: 503 },
+    DEPENDENCY_MISSING: { status: 503 },
+    ENGINE_UNAVAILABLE: { status: 503 },
+    INSUFFICIENT_STORAGE: { status: 507 },
+});
+
+// Idiomas de los mensajes de error, negociados con la cabecera `Accept-Language`, y su catálogo de mensajes (el
+// primero es el de referencia: sus mensajes se usan cuando falta uno en otro catálogo, y los de los registros).
+const MESSAGES = { es, en };
+const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+// Código de las respuestas de error que no indican uno propio, según su estado HTTP.
+const DEFAULT_CODES = {
+    400: 'INVALID_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'FILE_TOO_LARGE',
+    415: 'UNSUPPORTED_FORMAT',
+    422: 'DECODE_FAILED',
+    429: 'RATE_LIMITED',
+    502: 'UPSTREAM_ERROR',
+    503: 'ENGINE_UNAVAILABLE',
+    504: 'TIMEOUT',
+    507: 'INSUFFICIENT_STORAGE',
+};
+
+// Identificadores de solicitud aceptados en `X-Request-Id` (los demás se sustituyen por uno nuevo).
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * Mensaje de error localizable: su clave en los catálogos de `lib/locales` (ej. 'jobs.notFound') y los valores de
+ * sus marcadores. Los errores se crean con su mensaje así y se escriben en el idioma de cada solicitud al responder
+ * (ver `formatMessage`).
+ * @param {string} key - Clave del mensaje.
+ * @param {object} [params] - Valores de los marcadores `{nombre}` del mensaje.
+ * @returns {{key: string, params: object}}
+ */
+function errorMessage(key, params = {}) {
+    return { key, params };
+}
+
+/**
+ * Crea un Error con un código de la API y un campo `details` adicional (ej. la salida de error de Python).
+ * Con un mensaje localizable, `message` es su texto en español (para los registros) y el error conserva su clave
+ * y sus parámetros (ver `errorMessageOf`).
+ * @param {{key: string, params: object}|string} message - Mensaje principal del error (ver `errorMessage`), o un
+ *        texto sin traducción (ej. el de un servicio externo).
+ * @param {string} [details] - Información adicional para depuración (no se expone en la API).
+ * @param {string} [code] - Código de `ERROR_CODES`.
+ * @returns {Error}
+ */
+function createError(message, details, code) {
+    const error = new Error(formatMessage(message));
+    if (typeof message === 'object') Object.assign(error, message);
+    error.details = details;
+    if (code) error.code = code;
+    return error;
+}
+
+/**
+ * Mensaje de un error para responder al cliente: el localizable con el que se creó o, si no tiene, su texto.
+ * @param {Error} error - Error capturado.
+ * @returns {{key: string, params: object}|string}
+ */
+function errorMessageOf(error) {
+    return error.key ? errorMessage(error.key, error.params) : error.message;
+}
+
+/**
+ * Código de la API de un error: el suyo si es uno de `ERROR_CODES` (los códigos de Node.js, como 'ENOENT',
+ * no lo son) o 'INTERNAL_ERROR'.
+ * @param {Error} error - Error capturado.
+ * @returns {string}
+ */
+function errorCodeOf(error) {
+    return Object.hasOwn(ERROR_CODES, error?.code) ? error.code : 'INTERNAL_ERROR';
+}
+
+/**
+ * Código por defecto de una respuesta de error según su estado HTTP.
+ * @param {number} status - Estado HTTP (>= 400).
+ * @returns {string}
+ */
+function defaultCodeFor(status) {
+    return DEFAULT_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST');
+}
+
+/**
+ * Idioma de los mensajes de error de una solicitud: el del parámetro `lang` de la URL, si es uno de
+ * `SUPPORTED_LOCALES` (para los recursos que el navegador pide sin cabeceras propias, como los flujos SSE o el
+ * WebSocket), o el de su cabecera `Accept-Language` (sin ella, o si no acepta ninguno, el español).
+ * @param {import('express').Request} req - Solicitud (o la de una conexión WebSocket, con `headers` y `url`).
+ * @returns {string} Código del idioma (ej. 'en').
+ */
+function negotiateLocale(req) {
+    const requested = req.url && new URL(req.url, 'http://localhost').searchParams.get('lang');
+    if (SUPPORTED_LOCALES.includes(requested)) return requested;
+    const header = req.headers?.['accept-language'];
+    if (!header) return SUPPORTED_LOCALES[0];
+    // Preferencias ordenadas por su peso `q` (ej. 'en-US,en;q=0.9,es;q=0.8').
+    const preferences = header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().toLowerCase().split(';');
+            const quality = params.map(param => /^\s*q=([\d.]+)/.exec(param)).find(Boolean);
+            return { language: tag.split('-')[0], quality: quality ? Number(quality[1]) : 1, index };
+        })
+        .filter(preference => preference.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+    return preferences.find(preference => SUPPORTED_LOCALES.includes(preference.language))?.language || SUPPORTED_LOCALES[0];
+}
+
+/**
+ * Texto de un mensaje localizable en un idioma, con sus marcadores sustituidos. Si el catálogo del idioma no tiene
+ * la clave, se usa el del idioma de referencia. Los textos sin traducción se devuelven tal cual.
+ * @param {{key: string, params: object}|string} message - Mensaje (ver `errorMessage`).
+ * @param {string} [locale] - Idioma de `SUPPORTED_LOCALES` (por defecto, el de referencia).
+ * @returns {string}
+ */
+function formatMessage(message, locale = SUPPORTED_LOCALES[0]) {
+    if (typeof message !== 'object') return message;
+    const lookup = catalog => message.key.split('.').reduce((node, part) => node?.[part], catalog);
+    const template = lookup(MESSAGES[locale]) ?? lookup(MESSAGES[SUPPORTED_LOCALES[0]]) ?? message.key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => String(message.params?.[name] ?? placeholder));
+}
+
+/**
+ * Texto de un mensaje de error en un idioma. Un texto sin traducción (ej. el de un servicio externo o de Python)
+ * solo se usa en el idioma de referencia; en los demás, se sustituye por el mensaje de su código.
+ * @param {{key: string, params: object}|string} message - Mensaje del error.
+ * @param {string} code - Código de `ERROR_CODES`.
+ * @param {string} [locale] - Idioma negociado (por defecto, el de referencia).
+ * @returns {string}
+ */
+function localizeMessage(message, code, locale = SUPPORTED_LOCALES[0]) {
+    if (typeof message === 'object' || locale === SUPPORTED_LOCALES[0]) return formatMessage(message, locale);
+    return formatMessage(errorMessage(`codes.${errorCodeOf({ code })}`), locale);
+}
+
+/**
+ * Escribe un cuerpo de error (`{ error, code, ... }`) en un idioma: `error` pasa a ser el texto de su mensaje en
+ * ese idioma (ver `localizeMessage`). Si un texto sin traducción se sustituye por el mensaje de su código, el
+ * original se conserva en `detail`.
+ * @param {{error: ({key: string, params: object}|string), code: string}} body - Cuerpo de la respuesta o del
+ *        mensaje de error.
+ * @param {string} [locale] - Idioma negociado.
+ * @returns {object}
+ */
+function localizeErrorBody({ error, ...rest }, locale) {
+    const message = localizeMessage(error, rest.code, locale);
+    return typeof error === 'string' && message !== error ? { error: message, detail: error, ...rest } : { error: message, ...rest };
+}
+
+/**
+ * Escribe el error de un trabajo (`{ code, message }`) en el idioma de la solicitud que lo consulta.
+ * @param {object|null} error - Error del trabajo.
+ * @param {string} [locale] - Idioma negociado (`req.locale`; por defecto, el de referencia).
+ * @returns {{code: string, message: string}|null}
+ */
+function localizeJobError(error, locale) {
+    return error && { code: error.code, message: localizeMessage(error.message, error.code, locale) };
+}
+
+/**
+ * Middleware que identifica cada solicitud y da a sus respuestas de error la forma común de la API.
+ *
+ * El identificador es el de la cabecera `X-Request-Id` (si la envía un proxy o el cliente y es válido) o uno
+ * nuevo; queda en `req.id` y se devuelve en la misma cabecera. El idioma negociado queda en `req.locale`. Las
+ * respuestas JSON con estado >= 400 y un campo `error` reciben `code` (el indicado por la ruta o el de su estado)
+ * y `requestId`, conservando el resto de campos, y su mensaje se escribe en el idioma negociado (ver
+ * `localizeErrorBody`).
+ * @returns {import('express').RequestHandler}
+ */
+function requestContext() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+        req.locale = negotiateLocale(req);
+        res.set('X-Request-Id', req.id);
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode < 400 || !body?.error) return json(body);
+            const { error, code, ...rest } = body;
+            res.vary('Accept-Language');
+            res.set('Content-Language', req.locale);
+            return json(localizeErrorBody({ error, code: code || defaultCodeFor(res.statusCode), requestId: req.id, ...rest }, req.locale));
+        };
+        next();
+    };
+}
+
+/**
+ * Middleware final de errores: responde los errores no gestionados por las rutas con la forma común. Los cuerpos
+ * JSON mal formados son un 400 (INVALID_JSON); el resto, un 500 sin detalles internos, que se registran con el
+ * identificador de la solicitud.
+ * @returns {import('express').ErrorRequestHandler}
+ */
+function errorHandler() {
+    // Express reconoce los manejadores de errores por sus cuatro parámetros (aunque `next` no se use).
+    return (err, req, res, next) => {
+        if (res.headersSent) return req.socket.destroy();
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: errorMessage('codes.INVALID_JSON'), code: 'INVALID_JSON' });
+        }
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ error: errorMessage('request.bodyTooLarge'), code: 'FILE_TOO_LARGE' });
+        }
+        const code = errorCodeOf(err);
+        (req.log || logger).error('Error no gestionado', { requestId: req.id, method: req.method, path: req.path, err });
+        res.status(ERROR_CODES[code].status).json({ error: code === 'INTERNAL_ERROR' ? errorMessage('codes.INTERNAL_ERROR') : errorMessageOf(err), code });
+    };
+}
+
+module.exports = {
+    ERROR_CODES, SUPPORTED_LOCALES, MESSAGES, errorMessage, createError, errorMessageOf, errorCodeOf, defaultCodeFor, negotiateLocale,
+    formatMessage, localizeErrorBody, localizeJobError, requestContext, errorHandler,
+};
@@ -0,0 +1,326 @@
+// backend/lib/historyStore.js
+
+// --- Importaciones de Módulos ---
+const fs = require('fs');                       // Módulo para leer y escribir el archivo de almacenamiento.
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const { logger } = require('./logger');         // Registro estructurado del servidor.
+const { JsonFileWriter } = require('./jsonFile'); // Escritura diferida y asíncrona del archivo.
+const { analyzeTranscript } = require('./transcriptInsights'); // Palabras clave y temas de las transcripciones.
+
+// Longitud aproximada (en caracteres) del fragmento de texto devuelto alrededor de una coincidencia de búsqueda.
+const SNIPPET_LENGTH = 160;
+// Número máximo de versiones anteriores que se conservan por transcripción (la original siempre se conserva).
+const MAX_REVISIONS = 20;
+
+/**
+ * Normaliza un texto para búsquedas: minúsculas y sin tildes ni diacríticos ("Canción" → "cancion").
+ * @param {string} text - Texto a normalizar.
+ * @returns {string}
+ */
+function normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Almacén persistente del historial de transcripciones, guardado como un archivo JSON local.
+ *
+ * Las entradas se mantienen en memoria y las modificaciones reescriben el archivo completo de forma
+ * atómica (escritura en un archivo temporal + renombrado), de modo que un fallo a mitad de escritura
+ * no corrompe el historial existente. La escritura es asíncrona y agrupa los cambios seguidos (ver
+ * `JsonFileWriter`); `flush()` escribe los pendientes antes de detener el servidor.
+ *
+ * Cada entrada tiene la forma:
+ * `{ id, title, fileName, language, model, task, duration, createdAt, updatedAt, transcription, segments,
+ *    speakers, speakerNames, audioFile, apiKeyId, translation, revision, revisions, insights }`.
+ * `speakers` lista los hablantes identificados (vacía sin diarización) y `speakerNames` guarda los nombres
+ * que asignó el usuario (`{ SPEAKER_1: 'Ana' }`); los hablantes sin nombre se muestran como "Hablante N".
+ * `audioFile` es el nombre del audio original en el almacén de audios (null si no se conserva).
+ * `apiKeyId` es la clave de API que solicitó la transcripción (null sin clave): cada clave solo ve las suyas.
+ * `translation` (`{ language, source, provider, text }`) existe si se pidió traducir la transcripción: cada
+ * segmento lleva entonces su traducción en `translation`.
+ *
+ * `transcription` y `segments` contienen siempre la última versión editada, que es la que se exporta.
+ * `revision` cuenta las ediciones guardadas (0 = resultado original de Whisper), `revisedAt` indica cuándo
+ * se guardó la última y `revisions` conserva las versiones anteriores (`{ revision, savedAt, transcription,
+ * segments }`), de la más antigua a la más reciente.
+ *
+ * `insights` es el análisis de la versión actual: palabras clave y temas (`{ revision, keywords, topics }`, ver
+ * `lib/transcriptInsights.js`), que se recalculan al guardar cada versión, y el resumen con capítulos generado a
+ * petición del usuario (`summary`: `{ revision, generatedAt, provider, model, text, chapters }`, o null), que se
+ * conserva entre versiones con la versión a partir de la que se generó.
+ */
+class HistoryStore {
+    /**
+     * @param {string} filePath - Ruta del archivo JSON donde se guarda el historial.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = new Map();
+        this.writer = new JsonFileWriter(filePath, () => ({ entries: Array.from(this.entries.values()) }), {
+            description: 'historial',
+        });
+        this._load();
+    }
+
+    /**
+     * Lista las entradas del historial, de la más reciente a la más antigua, sin el texto completo ni los segmentos.
+     * Si se indica `query`, solo se devuelven las entradas que contienen todos sus términos
+     * (en el título, el nombre del archivo, el texto transcrito o los nombres de los hablantes),
+     * con un fragmento de la coincidencia.
+     * @param {object} [options]
+     * @param {string} [options.query] - Texto a buscar.
+     * @param {number} [options.limit] - Número máximo de entradas a devolver.
+     * @param {string|null} [options.apiKeyId] - Solo las entradas de esta clave (null: las creadas sin clave;
+     *                                            sin indicar: todas).
+     * @returns {object[]} Resúmenes de las entradas.
+     */
+    list({ query, limit, apiKeyId } = {}) {
+        const terms = normalize(query).split(/\s+/).filter(Boolean);
+        let entries = Array.from(this.entries.values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        if (apiKeyId !== undefined) {
+            entries = entries.filter(entry => (entry.apiKeyId || null) === apiKeyId);
+        }
+        if (terms.length > 0) {
+            entries = entries.filter((entry) => {
+                const speakerNames = Object.values(entry.speakerNames || {}).join(' ');
+                const haystack = normalize(`${entry.title} ${entry.fileName} ${entry.transcription} ${speakerNames}`);
+                return terms.every(term => haystack.includes(term));
+            });
+        }
+        if (limit > 0) {
+            entries = entries.slice(0, limit);
+        }
+
+        return entries.map((entry) => {
+            const summary = HistoryStore.summarize(entry);
+            if (terms.length > 0) summary.snippet = HistoryStore.snippet(entry.transcription, terms[0]);
+            return summary;
+        });
+    }
+
+    /**
+     * Obtiene una entrada completa por su ID.
+     * @param {string} id - Identificador de la entrada.
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this.entries.get(id);
+    }
+
+    /**
+     * Guarda una nueva entrada en el historial.
+     * @param {object} data - Datos de la transcripción (id, fileName, language, model, duration, transcription, segments, apiKeyId).
+     * @returns {object} La entrada guardada.
+     */
+    create(data) {
+        const now = new Date().toISOString();
+        const entry = {
+            id: data.id,
+            // Por defecto, el título es el nombre del archivo sin extensión; el usuario puede cambiarlo.
+            title: data.title || path.parse(data.fileName || 'Transcripción').name,
+            fileName: data.fileName || null,
+            language: data.language || null,
+            model: data.model || null,
+            task: data.task || null,
+            duration: data.duration ?? null,
+            createdAt: data.createdAt || now,
+            updatedAt: now,
+            transcription: data.transcription || '',
+            segments: data.segments || [],
+            speakers: data.speakers || [],
+            speakerNames: data.speakerNames || {},
+            audioFile: data.audioFile || null,
+            apiKeyId: data.apiKeyId || null,
+            translation: data.translation || null,
+            revision: 0,
+            revisions: [],
+        };
+        entry.insights = { revision: 0, ...analyzeTranscript(entry), summary: null };
+        this.entries.set(entry.id, entry);
+        this._save();
+        return entry;
+    }
+
+    /**
+     * Actualiza campos de una entrada existente.
+     * @param {string} id - Identificador de la entrada.
+     * @param {object} changes - Campos a modificar (ej. `{ title }` o `{ speakerNames }`).
+     * @returns {object|undefined} La entrada actualizada, o undefined si no existe.
+     */
+    update(id, changes) {
+        const entry = this.entries.get(id);
+        if (!entry) return undefined;
+        Object.assign(entry, changes, { id, updatedAt: new Date().toISOString() });
+        this._save();
+        return entry;
+    }
+
+    /**
+     * Guarda una nueva versión editada de los segmentos de una entrada, conservando la anterior.
+     * @param {string} id - Identificador de la entrada.
+     * @param {object} version
+     * @param {object[]} version.segments - Segmentos editados (ya validados).
+     * @param {string} version.transcription - Texto completo correspondiente a los segmentos.
+     * @param {object} [version.translation] - Resumen de la traducción actualizado con los segmentos (si la hay).
+     * @returns {object|undefined} La entrada actualizada, o undefined si no existe.
+     */
+    saveRevision(id, { segments, transcription, translation }) {
+        const entry = this.entries.get(id);
+        if (!entry) return undefined;
+        const now = new Date().toISOString();
+        const revisions = entry.revisions || [];
+        revisions.push({
+            revision: entry.revision || 0,
+            savedAt: entry.revisedAt || entry.createdAt,
+            transcription: entry.transcription,
+            segments: entry.segments,
+        });
+        // Se descartan las versiones intermedias más antiguas, pero nunca la original.
+        if (revisions.length > MAX_REVISIONS) revisions.splice(1, revisions.length - MAX_REVISIONS);
+        Object.assign(entry, { segments, transcription, revision: (entry.revision || 0) + 1, revisions, revisedAt: now, updatedAt: now });
+        if (translation) entry.translation = translation;
+        entry.insights = { revision: entry.revision, ...analyzeTranscript(entry), summary: entry.insights?.summary || null };
+        this._save();
+        return entry;
+    }
+
+    /**
+     * Guarda el resumen con capítulos de una entrada en su análisis (sustituye al anterior).
+     * @param {string} id - Identificador de la entrada.
+     * @param {object} summary - Resumen (`{ revision, generatedAt, provider, model, text, chapters }`).
+     * @returns {object|undefined} La entrada actualizada, o undefined si no existe.
+     */
+    saveSummary(id, summary) {
+        const entry = this.entries.get(id);
+        if (!entry) return undefined;
+        return this.update(id, { insights: { ...HistoryStore.insights(entry), summary } });
+    }
+
+    /**
+     * Obtiene una versión anterior de una entrada.
+     * @param {string} id - Identificador de la entrada.
+     * @param {number} revision - Número de versión (0 = original).
+     * @returns {object|undefined} La versión (`{ revision, savedAt, transcription, segments }`), o undefined si no existe.
+     */
+    getRevision(id, revision) {
+        return this.entries.get(id)?.revisions?.find(item => item.revision === revision);
+    }
+
+    /**
+     * Elimina una entrada del historial.
+     * @param {string} id - Identificador de la entrada.
+     * @returns {boolean} true si la entrada existía y se eliminó.
+     */
+    remove(id) {
+        const existed = this.entries.delete(id);
+        if (existed) this._save();
+        return existed;
+    }
+
+    /**
+     * Devuelve el resumen público de una entrada (sin texto completo ni segmentos).
+     * @param {object} entry - Entrada del historial.
+     * @returns {object}
+     */
+    static summarize(entry) {
+        const { transcription, segments, revisions, audioFile, apiKeyId, insights, ...summary } = entry;
+        return {
+            ...summary,
+            revision: entry.revision || 0,
+            hasAudio: Boolean(audioFile),
+            segmentCount: segments.length,
+            characters: transcription.length,
+        };
+    }
+
+    /**
+     * Devuelve la vista pública completa de una entrada: texto y segmentos actuales, su análisis y la lista de
+     * versiones anteriores sin su contenido (`{ revision, savedAt, segmentCount }`).
+     * @param {object} entry - Entrada del historial.
+     * @returns {object}
+     */
+    static detail(entry) {
+        const { revisions, audioFile, apiKeyId, ...detail } = entry;
+        return {
+            ...detail,
+            revision: entry.revision || 0,
+            hasAudio: Boolean(audioFile),
+            insights: HistoryStore.insights(entry),
+            revisions: (revisions || []).map(item => ({ revision: item.revision, savedAt: item.savedAt, segmentCount: item.segments.length })),
+        };
+    }
+
+    /**
+     * Devuelve el análisis de una entrada (ver la descripción de la clase). Las entradas guardadas antes de que
+     * se analizaran las transcripciones se analizan al consultarlas.
+     * @param {object} entry - Entrada del historial.
+     * @returns {{revision: number, keywords: object[], topics: object[], summary: object|null}}
+     */
+    static insights(entry) {
+        return entry.insights || { revision: entry.revision || 0, ...analyzeTranscript(entry), summary: null };
+    }
+
+    /**
+     * Extrae un fragmento del texto alrededor de la primera aparición de un término.
+     * @param {string} text - Texto completo.
+     * @param {string} term - Término normalizado a localizar.
+     * @returns {string|null} Fragmento con "…" en los extremos recortados, o null si no aparece en el texto.
+     */
+    static snippet(text, term) {
+        // La normalización NFD puede alargar el texto; se busca sobre la versión normalizada
+        // carácter a carácter para conservar las posiciones del texto original.
+        const normalizedChars = text.split('').map(char => normalize(char));
+        const normalizedText = normalizedChars.join('');
+        const matchIndex = normalizedText.indexOf(term);
+        if (matchIndex === -1) return null;
+
+        // Traduce la posición en el texto normalizado a la posición en el original.
+        let originalIndex = 0;
+        for (let consumed = 0; consumed < matchIndex; originalIndex++) {
+            consumed += normalizedChars[originalIndex].length;
+        }
+        const start = Math.max(0, originalIndex - SNIPPET_LENGTH / 2);
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Escribe en disco los cambios pendientes (ej. antes de detener el servidor).
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writer.flush();
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Carga el historial desde disco. Si el archivo no existe, se empieza con un historial vacío.
+     * @private
+     */
+    _load() {
+        if (!fs.existsSync(this.filePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            (data.entries || []).forEach(entry => this.entries.set(entry.id, entry));
+            logger.info('Historial cargado', { entries: this.entries.size, file: this.filePath });
+        } catch (loadError) {
+            // Un archivo corrupto no debe impedir arrancar el servidor; se conserva para revisión manual.
+            logger.error('No se pudo leer el historial', { file: this.filePath, err: loadError });
+            fs.renameSync(this.filePath, `${this.filePath}.corrupt-${Date.now()}`);
+        }
+    }
+
+    /**
+     * Programa la escritura del historial en disco: los cambios seguidos se escriben juntos, de forma asíncrona
+     * y atómica (ver `JsonFileWriter`).
+     * @private
+     */
+    _save() {
+        this.writer.schedule();
+    }
+}
+
+module.exports = { HistoryStore };
@@ -0,0 +1,417 @@
+// backend/lib/jobQueue.js
+
+// --- Importaciones de Módulos ---
+const { EventEmitter } = require('events');    // Emisor de eventos para notificar cambios de estado de los trabajos.
+const { randomUUID } = require('crypto');      // Generador de identificadores únicos para los trabajos.
+const { createError, errorMessage, errorMessageOf, errorCodeOf, localizeJobError } = require('./errors'); // Códigos de error de la API y sus mensajes por idioma.
+
+/**
+ * Estados posibles de un trabajo de transcripción.
+ * - `queued`: En espera de un hueco libre en el pool de trabajadores.
+ * - `running`: El proceso de transcripción está en ejecución.
+ * - `done`: Finalizado correctamente; `result` contiene la transcripción.
+ * - `failed`: Finalizado con error; `error` contiene el código de la API (ver `lib/errors.js`) y el mensaje.
+ * - `cancelled`: Cancelado por el usuario antes de finalizar.
+ */
+const JOB_STATUS = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+});
+
+// Estados a partir de los cuales un trabajo ya no cambia.
+const FINAL_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Formatea una duración para los mensajes de error (ej. '90 s', '2 h 5 min').
+ * @param {number} ms - Duración en milisegundos.
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    if (ms < 120000) return `${Number((ms / 1000).toFixed(1))} s`;
+    const minutes = Math.round(ms / 60000);
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`;
+}
+
+/**
+ * Cola de trabajos de transcripción con un pool de ejecución acotado.
+ *
+ * Cada trabajo se ejecuta mediante la función `runner(job, report)` recibida en el constructor, que debe
+ * devolver un objeto `{ promise, cancel }`: la promesa se resuelve con el resultado de la transcripción
+ * (o se rechaza con un Error) y `cancel()` detiene la ejecución (ej. matando el proceso hijo).
+ * El runner puede invocar `report(event)` para informar del avance (`{ event: 'progress', percent, elapsed }`
+ * o `{ event: 'segment', start, end, text }`).
+ *
+ * Eventos emitidos:
+ * - `update` (job): Cada vez que cambia el estado de un trabajo.
+ * - `progress` (job, event): Cada vez que un trabajo en ejecución informa de su avance.
+ * - `finished` (job): Cuando un trabajo alcanza un estado final (done, failed o cancelled).
+ *
+ * Con `timeoutMs`, un trabajo que pasa más de ese tiempo en ejecución se detiene con `cancel()` y falla con
+ * el código TIMEOUT. Un trabajo cancelado o expirado pasa a su estado final de inmediato, pero su hueco del pool
+ * no se libera hasta que termina su ejecución (la promesa de su controlador): el motor puede tardar en detenerse
+ * (ej. un worker de Python que se termina y se relanza), y el siguiente trabajo no debe empezar mientras tanto.
+ *
+ * Las transcripciones que no son trabajos (las ventanas de las grabaciones en vivo) ocupan también un hueco del
+ * pool con `runTask`, para que `concurrency` limite todas las que ejecuta el servidor a la vez.
+ */
+class JobQueue extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {function(object, function(object): void): {promise: Promise<object>, cancel: function(): void}} options.runner - Ejecuta un trabajo.
+     * @param {number} [options.concurrency=1] - Número máximo de trabajos ejecutándose a la vez.
+     * @param {number} [options.historyLimit=100] - Número máximo de trabajos finalizados que se conservan en memoria.
+     * @param {number} [options.timeoutMs=0] - Tiempo máximo de ejecución de cada trabajo (0 = sin límite).
+     */
+    constructor({ runner, concurrency = 1, historyLimit = 100, timeoutMs = 0 }) {
+        super();
+        this.runner = runner;
+        this.concurrency = Math.max(1, concurrency);
+        this.historyLimit = historyLimit;
+        this.timeoutMs = timeoutMs;
+        this.accepting = true;   // false durante el cierre del servidor (ver `shutdown`).
+        this.jobs = new Map();   // Todos los trabajos conocidos, indexados por ID (en orden de inserción).
+        this.pending = [];       // IDs de trabajos en espera, en orden FIFO.
+        this.active = new Map(); // Controladores `{ cancel }` de los trabajos en ejecución, indexados por ID.
+        this.stopping = new Set(); // IDs de los trabajos cancelados o expirados cuya ejecución aún no terminó.
+        this.pendingTasks = [];  // Tareas de `runTask` en espera de un hueco, en orden FIFO.
+        this.activeTasks = 0;    // Tareas de `runTask` en ejecución.
+        // Cada cliente suscrito a los eventos de un trabajo (SSE) añade oyentes; no se limita su número.
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Añade un nuevo trabajo a la cola y lanza su ejecución si hay huecos libres.
+     * @param {object} payload - Datos necesarios para ejecutar el trabajo (ruta del audio, idioma, etc.).
+     * @param {object} [meta] - Información pública del trabajo (ej. nombre original del archivo).
+     * @returns {object} El trabajo creado.
+     */
+    add(payload, meta = {}) {
+        const job = {
+            id: randomUUID(),
+            status: JOB_STATUS.QUEUED,
+            meta,
+            payload,
+            result: null,
+            error: null,
+            progress: null,  // Último avance informado: `{ percent, elapsed }`.
+            segments: [],    // Segmentos decodificados hasta el momento: `{ start, end, text }`.
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+        };
+        this.jobs.set(job.id, job);
+        this.pending.push(job.id);
+        this.emit('update', job);
+        this._drain();
+        return job;
+    }
+
+    /**
+     * Registra un trabajo cuyo resultado ya se conoce (ej. recuperado de la caché de resultados): se da por
+     * finalizado al instante, sin pasar por la cola ni ocupar un hueco del pool, pero emite los mismos eventos
+     * (`update` y `finished`) que un trabajo ejecutado, para que se guarde en el historial igual que los demás.
+     * @param {object} payload - Datos del trabajo (los mismos que en `add`).
+     * @param {object} [meta] - Información pública del trabajo.
+     * @param {object} result - Resultado de la transcripción.
+     * @returns {object} El trabajo creado.
+     */
+    addCompleted(payload, meta = {}, result) {
+        const now = new Date().toISOString();
+        const job = {
+            id: randomUUID(),
+            status: JOB_STATUS.RUNNING,
+            meta,
+            payload,
+            result,
+            error: null,
+            progress: { percent: 100, elapsed: 0 },
+            segments: [],
+            createdAt: now,
+            startedAt: now,
+            finishedAt: null,
+        };
+        this.jobs.set(job.id, job);
+        this._finish(job, JOB_STATUS.DONE);
+        return job;
+    }
+
+    /**
+     * Ejecuta una tarea que no es un trabajo de la cola (ej. una ventana de una grabación en vivo) en un hueco del
+     * pool. Las tareas tienen prioridad sobre los trabajos en espera: solo esperan a que se libere un hueco.
+     * No tienen límite de tiempo ni aparecen en `list`; si lo necesitan, `start` debe aplicarlo.
+     * @param {function(): {promise: Promise<object>, cancel: function(): void}} start - Lanza la tarea al obtener el hueco.
+     * @returns {{promise: Promise<object>, cancel: function(): void}} Resultado de la tarea y su cancelación (una
+     *          tarea cancelada mientras espera se retira y su promesa se rechaza con CANCELLED).
+     */
+    runTask(start) {
+        let settle;
+        const promise = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+        const task = { controller: null };
+        task.launch = () => {
+            this.activeTasks += 1;
+            try {
+                task.controller = start();
+            } catch (startError) {
+                task.controller = { promise: Promise.reject(startError), cancel: () => {} };
+            }
+            task.controller.promise
+                .then(settle.resolve, settle.reject)
+                .finally(() => {
+                    this.activeTasks -= 1;
+                    this._drain();
+                });
+        };
+        this.pendingTasks.push(task);
+        this._drain();
+        return {
+            promise,
+            cancel: () => {
+                if (task.controller) return task.controller.cancel();
+                this.pendingTasks = this.pendingTasks.filter(item => item !== task);
+                settle.reject(createError(errorMessage('jobs.cancelled'), undefined, 'CANCELLED'));
+            },
+        };
+    }
+
+    /**
+     * Obtiene un trabajo por su ID.
+     * @param {string} id - Identificador del trabajo.
+     * @returns {object|undefined} El trabajo, o undefined si no existe.
+     */
+    get(id) {
+        return this.jobs.get(id);
+    }
+
+    /**
+     * Lista todos los trabajos conocidos, del más reciente al más antiguo.
+     * @returns {object[]}
+     */
+    list() {
+        return Array.from(this.jobs.values()).reverse();
+    }
+
+    /**
+     * Cancela un trabajo en espera o en ejecución.
+     * @param {string} id - Identificador del trabajo.
+     * @returns {boolean} true si el trabajo se canceló; false si no existe o ya había finalizado.
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job || FINAL_STATUSES.includes(job.status)) return false;
+
+        if (job.status === JOB_STATUS.QUEUED) {
+            // Un trabajo en espera solo hay que retirarlo de la cola.
+            this.pending = this.pending.filter(pendingId => pendingId !== id);
+        } else {
+            // Un trabajo en ejecución se detiene a través de su controlador (ej. matando el proceso hijo); su hueco
+            // sigue ocupado hasta que termine.
+            const controller = this.active.get(id);
+            this.active.delete(id);
+            this.stopping.add(id);
+            if (controller) controller.cancel();
+        }
+        this._finish(job, JOB_STATUS.CANCELLED);
+        this._drain();
+        return true;
+    }
+
+    /**
+     * Cierre ordenado: deja de lanzar trabajos, cancela los que esperan y da a los que están en ejecución
+     * hasta `graceMs` para terminar; los que sigan en marcha pasado ese tiempo se cancelan.
+     * @param {object} [options]
+     * @param {number} [options.graceMs=0] - Espera máxima de los trabajos en ejecución.
+     * @returns {Promise<{completed: number, cancelled: number}>} Trabajos en ejecución que terminaron a tiempo
+     *          y trabajos cancelados (en espera o en ejecución).
+     */
+    async shutdown({ graceMs = 0 } = {}) {
+        this.accepting = false;
+        const queued = [...this.pending].filter(id => this.cancel(id)).length;
+
+        const running = this.active.size;
+        if (running > 0 && graceMs > 0) {
+            await new Promise((resolve) => {
+                const stopWaiting = () => {
+                    clearTimeout(timer);
+                    this.off('finished', onFinished);
+                    resolve();
+                };
+                const onFinished = () => {
+                    if (this.active.size === 0) stopWaiting();
+                };
+                const timer = setTimeout(stopWaiting, graceMs);
+                this.on('finished', onFinished);
+            });
+        }
+        const interrupted = [...this.active.keys()].filter(id => this.cancel(id)).length;
+        return { completed: running - interrupted, cancelled: queued + interrupted };
+    }
+
+    /**
+     * Número de trabajos en espera.
+     * @returns {number}
+     */
+    get queuedCount() {
+        return this.pending.length;
+    }
+
+    /**
+     * Número de trabajos en ejecución.
+     * @returns {number}
+     */
+    get runningCount() {
+        return this.active.size;
+    }
+
+    /**
+     * Devuelve la representación pública de un trabajo (sin los datos internos de ejecución).
+     * @param {object} job - El trabajo a serializar.
+     * @param {object} [options]
+     * @param {string} [options.locale] - Idioma del mensaje de error (el negociado con la solicitud; por defecto, español).
+     * @returns {object}
+     */
+    static serialize(job, { locale } = {}) {
+        return {
+            id: job.id,
+            status: job.status,
+            ...job.meta,
+            result: job.result,
+            error: localizeJobError(job.error && { code: job.error.code, message: job.error.message }, locale),
+            progress: job.progress,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+        };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Lanza tareas (`runTask`) y trabajos en espera, por ese orden, mientras haya huecos libres en el pool.
+     * @private
+     */
+    _drain() {
+        if (!this.accepting) return;
+        while (this.active.size + this.stopping.size + this.activeTasks < this.concurrency) {
+            if (this.pendingTasks.length > 0) {
+                this.pendingTasks.shift().launch();
+            } else if (this.pending.length > 0) {
+                const job = this.jobs.get(this.pending.shift());
+                if (job) this._run(job);
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Ejecuta un trabajo y registra su resultado al finalizar.
+     * @param {object} job - El trabajo a ejecutar.
+     * @private
+     */
+    _run(job) {
+        job.status = JOB_STATUS.RUNNING;
+        job.startedAt = new Date().toISOString();
+
+        let controller;
+        try {
+            controller = this.runner(job, (event) => this._report(job, event));
+        } catch (runnerError) {
+            // Errores síncronos del runner (ej. configuración incorrecta) se tratan como fallo del trabajo.
+            controller = { promise: Promise.reject(runnerError), cancel: () => {} };
+        }
+        this.active.set(job.id, controller);
+        this.emit('update', job);
+
+        // Límite de tiempo de ejecución: se detiene el trabajo aunque el runner no llegue a terminar.
+        const timeoutTimer = this.timeoutMs > 0 ? setTimeout(() => this._expire(job), this.timeoutMs) : null;
+
+        controller.promise
+            .then((result) => {
+                // Si el trabajo se canceló mientras tanto, se ignora su resultado.
+                if (!this.active.has(job.id)) return;
+                job.result = result;
+                this._finish(job, JOB_STATUS.DONE);
+            })
+            .catch((runError) => {
+                if (!this.active.has(job.id)) return;
+                // Los detalles técnicos (ej. la salida de error de Python) no se exponen: solo se registran.
+                job.error = { code: errorCodeOf(runError), message: errorMessageOf(runError), details: runError.details };
+                this._finish(job, JOB_STATUS.FAILED);
+            })
+            .finally(() => {
+                clearTimeout(timeoutTimer);
+                this.active.delete(job.id);
+                this.stopping.delete(job.id);
+                this._drain();
+            });
+    }
+
+    /**
+     * Detiene un trabajo que superó el tiempo máximo de ejecución y lo da por fallido.
+     * @param {object} job - El trabajo en ejecución.
+     * @private
+     */
+    _expire(job) {
+        const controller = this.active.get(job.id);
+        if (!controller) return;
+        this.active.delete(job.id);
+        this.stopping.add(job.id);
+        controller.cancel();
+        job.error = { code: 'TIMEOUT', message: errorMessage('jobs.timeout', { duration: formatDuration(this.timeoutMs) }) };
+        this._finish(job, JOB_STATUS.FAILED);
+        this._drain();
+    }
+
+    /**
+     * Registra un evento de avance de un trabajo en ejecución y lo notifica a los oyentes.
+     * @param {object} job - El trabajo que informa del avance.
+     * @param {object} event - Evento recibido del runner (`progress` o `segment`).
+     * @private
+     */
+    _report(job, event) {
+        // Los eventos que lleguen tras una cancelación se descartan.
+        if (job.status !== JOB_STATUS.RUNNING) return;
+        if (event.event === 'progress') {
+            job.progress = { percent: event.percent, elapsed: event.elapsed };
+        } else if (event.event === 'segment') {
+            job.segments.push({ start: event.start, end: event.end, text: event.text });
+        }
+        this.emit('progress', job, event);
+    }
+
+    /**
+     * Marca un trabajo como finalizado, notifica a los oyentes y aplica el límite de historial.
+     * @param {object} job - El trabajo finalizado.
+     * @param {string} status - Estado final del trabajo.
+     * @private
+     */
+    _finish(job, status) {
+        job.status = status;
+        // Un trabajo completado se da por avanzado al 100 %, aunque el último evento indicara menos.
+        if (status === JOB_STATUS.DONE && job.progress) {
+            job.progress = { ...job.progress, percent: 100 };
+        }
+        job.finishedAt = new Date().toISOString();
+        this.active.delete(job.id);
+        this.emit('update', job);
+        this.emit('finished', job);
+        this._prune();
+    }
+
+    /**
+     * Elimina de memoria los trabajos finalizados más antiguos si se supera el límite de historial.
+     * @private
+     */
+    _prune() {
+        const finished = Array.from(this.jobs.values()).filter(job => FINAL_STATUSES.includes(job.status));
+        const excess = finished.length - this.historyLimit;
+        for (let i = 0; i < excess; i++) {
+            this.jobs.delete(finished[i].id);
+        }
+    }
+}
+
+module.exports = { JobQueue, JOB_STATUS, FINAL_STATUSES, formatDuration };
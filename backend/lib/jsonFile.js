@@ -0,0 +1,102 @@
+// backend/lib/jsonFile.js
+
+// --- Importaciones de Módulos ---
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const fs = require('fs');                       // Módulo para interactuar con el sistema de archivos.
+const { logger } = require('./logger');         // Registro estructurado del servidor.
+
+// Espera (ms) desde el primer cambio hasta la escritura: los cambios seguidos (ej. renombrar varios hablantes o
+// los reintentos de varias notificaciones) se escriben de una vez.
+const WRITE_DELAY_MS = 200;
+
+/**
+ * Escritura diferida y asíncrona de un archivo JSON con el estado en memoria de un almacén (ej. el historial).
+ *
+ * `schedule()` marca el estado como modificado; la escritura se hace `delayMs` después, con el estado de ese
+ * momento, sin bloquear el bucle de eventos. Nunca hay dos escrituras a la vez: los cambios que llegan durante una
+ * se escriben en la siguiente. Cada escritura es atómica (archivo temporal propio del proceso y `rename`).
+ * `flush()` escribe de inmediato lo pendiente (ej. al detener el servidor).
+ */
+class JsonFileWriter {
+    /**
+     * @param {string} filePath - Ruta del archivo JSON.
+     * @param {function(): object} snapshot - Devuelve los datos a escribir.
+     * @param {object} [options]
+     * @param {number} [options.delayMs=WRITE_DELAY_MS] - Espera desde el primer cambio hasta la escritura.
+     * @param {number} [options.mode] - Permisos del archivo (ej. 0o600 para las claves de API).
+     * @param {string} [options.description='archivo'] - Nombre del archivo en los mensajes del registro.
+     */
+    constructor(filePath, snapshot, { delayMs = WRITE_DELAY_MS, mode, description = 'archivo' } = {}) {
+        this.filePath = filePath;
+        this.snapshot = snapshot;
+        this.delayMs = delayMs;
+        this.mode = mode;
+        this.description = description;
+        this.dirty = false;     // Hay cambios sin escribir.
+        this.timer = null;      // Escritura programada.
+        this.writing = null;    // Promesa de la escritura en curso.
+    }
+
+    /**
+     * Programa la escritura del estado actual (si no hay ya una programada o en curso).
+     */
+    schedule() {
+        this.dirty = true;
+        if (this.timer || this.writing) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._write();
+        }, this.delayMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Escribe de inmediato los cambios pendientes y espera a que terminen todas las escrituras.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        for (;;) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (this.writing) await this.writing;
+            else if (this.dirty) await this._write();
+            else return;
+        }
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Escribe el estado actual; al terminar, programa otra escritura si hubo cambios mientras tanto.
+     * @private
+     * @returns {Promise<void>}
+     */
+    _write() {
+        this.dirty = false;
+        this.writing = this._writeFile().finally(() => {
+            this.writing = null;
+            if (this.dirty) this.schedule();
+        });
+        return this.writing;
+    }
+
+    /**
+     * Escribe el archivo de forma atómica. Los errores se registran (el estado sigue en memoria y se vuelve a
+     * intentar con el siguiente cambio).
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _writeFile() {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            const content = JSON.stringify(this.snapshot());
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, content, this.mode === undefined ? undefined : { mode: this.mode });
+            await fs.promises.rename(tempPath, this.filePath);
+        } catch (saveError) {
+            logger.error(`No se pudo guardar el ${this.description}`, { file: this.filePath, err: saveError });
+        }
+    }
+}
+
+module.exports = { JsonFileWriter, WRITE_DELAY_MS };
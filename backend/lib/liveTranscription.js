@@ -0,0 +1,420 @@
+// backend/lib/liveTranscription.js
+
+// --- Importaciones de Módulos ---
+const fs = require('fs');                       // Escritura incremental de la grabación en disco.
+const path = require('path');                   // Construcción de la ruta del archivo temporal.
+const { randomUUID } = require('crypto');       // Identificadores únicos de las sesiones.
+const { WebSocketServer, WebSocket } = require('ws'); // Servidor WebSocket sobre el servidor HTTP de Express.
+const { parseTranscriptionOptions, toWorkerRequest } = require('./transcriptionOptions'); // Lista blanca de opciones.
+const {
+    createError, errorMessage, errorMessageOf, errorCodeOf, formatMessage, negotiateLocale, localizeErrorBody,
+} = require('./errors');                        // Códigos y mensajes de error de la API y su idioma.
+const { logger } = require('./logger');         // Registro estructurado del servidor.
+const { formatDuration } = require('./jobQueue'); // Duraciones legibles en los mensajes de error.
+
+// Ruta del endpoint WebSocket de transcripción en vivo.
+const LIVE_PATH = '/api/live';
+// Cada cuánto (ms) se transcribe la ventana de audio pendiente mientras se graba.
+const WINDOW_INTERVAL_MS = 4000;
+// Margen (s) al final del audio recibido: los segmentos que terminan dentro de él pueden estar cortados
+// a mitad de una palabra, así que se mantienen como texto parcial hasta la siguiente ventana.
+const TAIL_MARGIN_SECONDS = 1.5;
+// Tamaño máximo de una grabación (el mismo límite que la subida de archivos).
+const MAX_RECORDING_BYTES = 150 * 1024 * 1024;
+// Tamaño máximo de cada fragmento de audio recibido por el WebSocket.
+const MAX_CHUNK_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Sesión de grabación en vivo asociada a una conexión WebSocket.
+ *
+ * Protocolo (mensajes de texto en JSON; el audio viaja en mensajes binarios):
+ * - Cliente → servidor: fragmentos binarios del MediaRecorder, en orden, y `{ type: 'stop' }` al terminar.
+ * - Servidor → cliente:
+ *   - `{ type: 'ready', sessionId }`: la sesión acepta audio.
+ *   - `{ type: 'final', segments }`: segmentos consolidados nuevos (ya no cambiarán).
+ *   - `{ type: 'partial', text }`: texto provisional tras los segmentos consolidados (puede cambiar).
+ *   - `{ type: 'warning', message }`: una ventana intermedia falló; la grabación continúa (salvo si agotó los minutos
+ *     de la clave o superó el tiempo máximo, que son errores definitivos).
+ *   - `{ type: 'done', result }`: transcripción consolidada, ya guardada en el historial (`result.id`).
+ *   - `{ type: 'error', error, code }`: error definitivo, con su código de la API (ver `lib/errors.js`) y el mensaje
+ *     en el idioma del parámetro `lang` o de `Accept-Language` (como en la API); el servidor cierra la conexión.
+ *
+ * El audio recibido se acumula en un único archivo (los fragmentos del MediaRecorder solo son válidos
+ * concatenados). Cada ventana transcribe desde el final del último segmento consolidado hasta el final
+ * del audio recibido, usando `clip_timestamps` de Whisper para no repetir el audio ya consolidado.
+ */
+class LiveSession {
+    /**
+     * @param {import('ws').WebSocket} socket - Conexión con el navegador.
+     * @param {object} options
+     * @param {object} options.transcriptionOptions - Opciones validadas por `parseTranscriptionOptions`.
+     * @param {object} options.engine - Motor de transcripción que ejecuta las ventanas (ver `lib/engines`).
+     * @param {function(function(): object): {promise: Promise<object>, cancel: function(): void}} [options.schedule] - Lanza
+     *        cada ventana cuando hay un hueco libre (ej. `JobQueue.runTask`); por defecto, de inmediato.
+     * @param {string} options.uploadDir - Directorio donde se guarda temporalmente la grabación.
+     * @param {function(object, object): object} options.onComplete - Guarda el resultado consolidado y devuelve la entrada creada.
+     * @param {function(number, object|null): void} [options.onUsage] - Registra los segundos de audio transcritos por la
+     *        sesión y su cliente (una vez, al terminar la sesión por cualquier motivo).
+     * @param {object|null} [options.client] - Cliente autorizado (ej. su clave de API), que se pasa a `onComplete` y `onUsage`.
+     * @param {function(): void} [options.onFinish] - Se llama una vez al terminar la sesión, tras `onUsage` (ej. para
+     *        liberar los minutos reservados para la grabación).
+     * @param {number} [options.maxBytes] - Tamaño máximo de la grabación (por defecto, el mismo que la subida de archivos).
+     * @param {number} [options.maxSeconds=Infinity] - Duración máxima de la grabación (ej. los minutos diarios que le
+     *        quedan a la clave); se comprueba con la duración de cada ventana transcrita.
+     * @param {number} [options.timeoutMs=0] - Tiempo máximo de transcripción de cada ventana (el mismo que el de los
+     *        trabajos de la cola, `JOB_TIMEOUT_SECONDS`; 0 = sin límite). Al superarlo, se cancela y la sesión termina
+     *        con TIMEOUT.
+     * @param {string} [options.locale='es'] - Idioma de los mensajes de error (negociado con `Accept-Language`).
+     */
+    constructor(socket, {
+        transcriptionOptions, engine, schedule = start => start(), uploadDir, onComplete, onUsage = () => {}, client = null,
+        onFinish = () => {}, maxBytes = MAX_RECORDING_BYTES, maxSeconds = Infinity, timeoutMs = 0, locale = 'es',
+    }) {
+        this.id = randomUUID();
+        this.socket = socket;
+        this.options = transcriptionOptions;
+        this.engine = engine;
+        this.schedule = schedule;
+        this.onComplete = onComplete;
+        this.onUsage = onUsage;
+        this.client = client;
+        this.onFinish = onFinish;
+        this.maxBytes = Math.min(maxBytes, MAX_RECORDING_BYTES);
+        this.maxSeconds = maxSeconds;
+        this.timeoutMs = timeoutMs;
+        this.locale = locale;
+        this.createdAt = new Date().toISOString();
+        // El contenedor (WebM u Ogg) no importa: FFmpeg lo detecta por su contenido.
+        this.filePath = path.join(uploadDir, `live-${this.id}.webm`);
+
+        this.bytesReceived = 0;     // Bytes de audio recibidos.
+        this.bytesTranscribed = 0;  // Bytes recibidos cuando empezó la última ventana.
+        this.writing = Promise.resolve(); // Cadena de escrituras pendientes (conserva el orden de los fragmentos).
+        this.committedUntil = 0;    // Fin (s) del último segmento consolidado.
+        this.segments = [];         // Segmentos consolidados.
+        this.lastResult = null;     // Último resultado de Whisper (idioma, duración, modelo...).
+        this.current = null;        // Promesa de la ventana en curso.
+        this.controller = null;     // Controlador de la transcripción en curso (para cancelarla).
+        this.stopped = false;       // El cliente pidió terminar.
+        this.closed = false;        // La conexión se cerró.
+        this.usageRecorded = false; // Ya se registró el consumo de la sesión.
+        // Se resuelve al eliminarse la grabación temporal (hasta entonces, el archivo está en uso).
+        this.released = new Promise((resolve) => { this._release = resolve; });
+
+        this.timer = setInterval(() => this._startWindow(false), WINDOW_INTERVAL_MS);
+        socket.on('message', (data, isBinary) => this._handleMessage(data, isBinary));
+        socket.on('close', () => this._abort());
+
+        this._send({ type: 'ready', sessionId: this.id });
+    }
+
+    /**
+     * Termina la grabación: espera la ventana en curso, transcribe el audio restante,
+     * guarda el resultado consolidado y lo envía al cliente antes de cerrar la conexión.
+     */
+    async stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        clearInterval(this.timer);
+
+        try {
+            await this.current;
+            if (this.bytesReceived === 0) {
+                throw createError(errorMessage('live.noAudio'), undefined, 'MISSING_FILE');
+            }
+            await this._startWindow(true);
+            if (this.closed) return;
+
+            // La grabación completa sigue en disco hasta `_cleanup`: `onComplete` puede conservar una copia.
+            const entry = this.onComplete(this._consolidate(), { id: this.id, createdAt: this.createdAt, audioFilePath: this.filePath, client: this.client });
+            this._recordUsage();
+            this._send({ type: 'done', result: entry });
+        } catch (error) {
+            if (!this.closed) {
+                logger.error('Falló la transcripción de la sesión en vivo', { sessionId: this.id, err: error });
+                this._send({ type: 'error', error: errorMessageOf(error), code: errorCodeOf(error) });
+            }
+        } finally {
+            this.socket.close(1000); // 1000: cierre normal.
+            this._cleanup();
+        }
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Atiende un mensaje del cliente: audio (binario) o control (JSON).
+     * @param {Buffer} data - Contenido del mensaje.
+     * @param {boolean} isBinary - Si es un fragmento de audio.
+     * @private
+     */
+    _handleMessage(data, isBinary) {
+        if (isBinary) {
+            if (this.stopped) return; // Fragmentos tardíos tras 'stop': ya no se transcribirían.
+            if (this.bytesReceived + data.length > this.maxBytes) {
+                this._send({ type: 'error', error: errorMessage('live.tooLarge'), code: 'FILE_TOO_LARGE' });
+                return this.socket.close();
+            }
+            this.bytesReceived += data.length;
+            this.writing = this.writing.then(() => fs.promises.appendFile(this.filePath, data));
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch {
+            return this._send({ type: 'warning', message: 'Mensaje de control no válido (JSON mal formado).' });
+        }
+        if (message.type === 'stop') {
+            this.stop();
+        } else {
+            this._send({ type: 'warning', message: `Tipo de mensaje desconocido: '${message.type}'.` });
+        }
+    }
+
+    /**
+     * Lanza la transcripción de la ventana pendiente si no hay otra en curso.
+     * Las ventanas intermedias se omiten si no llegó audio nuevo desde la anterior.
+     * @param {boolean} isFinal - Si es la última ventana (todos sus segmentos se consolidan).
+     * @returns {Promise<void>|undefined} La ventana en curso.
+     * @private
+     */
+    _startWindow(isFinal) {
+        if (this.closed) return undefined;
+        if (this.current) return this.current;
+        if (!isFinal && (this.stopped || this.bytesReceived === this.bytesTranscribed)) return undefined;
+
+        this.current = this._transcribeWindow(isFinal)
+            .catch((error) => {
+                // Un fallo en la ventana final es definitivo; en una intermedia, la siguiente lo reintenta
+                // (salvo que la grabación haya agotado los minutos disponibles o la ventana el tiempo máximo).
+                if (isFinal) throw error;
+                if (this.closed) return; // Cancelada al cerrarse la conexión.
+                if (['QUOTA_EXCEEDED', 'TIMEOUT'].includes(errorCodeOf(error))) return this._fail(error);
+                logger.warn('Falló una ventana intermedia de la sesión en vivo', { sessionId: this.id, err: error });
+                this._send({ type: 'warning', message: formatMessage(errorMessageOf(error), this.locale) });
+            })
+            .finally(() => {
+                this.current = null;
+                this.controller = null;
+            });
+        return this.current;
+    }
+
+    /**
+     * Transcribe el audio desde el último segmento consolidado y publica los segmentos nuevos.
+     * @param {boolean} isFinal - Si es la última ventana.
+     * @private
+     */
+    async _transcribeWindow(isFinal) {
+        this.bytesTranscribed = this.bytesReceived;
+        await this.writing;
+
+        const request = toWorkerRequest(this.filePath, this.options);
+        // Whisper empieza a decodificar en este instante; los tiempos de los segmentos siguen siendo absolutos.
+        request.decode_options.clip_timestamps = String(this.committedUntil);
+        // El límite de tiempo cuenta desde que la ventana obtiene su hueco, no mientras espera.
+        this.controller = this.schedule(() => this._withTimeout(this.engine.run(request)));
+        const result = await this.controller.promise;
+        if (this.closed) return;
+        this.lastResult = result;
+        // Los minutos disponibles se comprueban a medida que crece la grabación, no solo al conectarse.
+        if (result.duration > this.maxSeconds) {
+            throw createError(
+                errorMessage('quota.recordingExceeds', { remaining: Math.floor(this.maxSeconds / 60) }),
+                undefined,
+                'QUOTA_EXCEEDED',
+            );
+        }
+
+        // Solo interesan los segmentos posteriores a lo ya consolidado.
+        const pending = result.segments.filter(segment => segment.end > this.committedUntil);
+        // En una ventana intermedia, el último segmento y los que llegan al final del audio quedan provisionales.
+        const stableUntil = result.duration - TAIL_MARGIN_SECONDS;
+        const stable = isFinal
+            ? pending
+            : pending.slice(0, -1).filter(segment => segment.end <= stableUntil);
+
+        if (stable.length > 0) {
+            const committed = stable.map((segment, index) => ({ ...segment, id: this.segments.length + index }));
+            this.segments.push(...committed);
+            this.committedUntil = committed[committed.length - 1].end;
+            this._send({ type: 'final', segments: committed });
+        }
+        const partial = pending.slice(stable.length).map(segment => segment.text).join(' ');
+        this._send({ type: 'partial', text: partial });
+    }
+
+    /**
+     * Aplica el límite de tiempo de la sesión a la transcripción de una ventana: si se supera, la cancela (el motor
+     * termina su proceso) y la rechaza con TIMEOUT, como `JobQueue` con los trabajos.
+     * @param {{promise: Promise<object>, cancel: function(): void}} controller - Transcripción en curso.
+     * @returns {{promise: Promise<object>, cancel: function(): void}} La misma transcripción, con el límite aplicado.
+     * @private
+     */
+    _withTimeout(controller) {
+        if (!(this.timeoutMs > 0)) return controller;
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.cancel();
+                reject(createError(errorMessage('live.timeout', { duration: formatDuration(this.timeoutMs) }), undefined, 'TIMEOUT'));
+            }, this.timeoutMs);
+        });
+        return {
+            promise: Promise.race([controller.promise, timeout]).finally(() => clearTimeout(timer)),
+            cancel: () => controller.cancel(),
+        };
+    }
+
+    /**
+     * Construye el resultado consolidado con el mismo formato que una transcripción de archivo.
+     * @returns {object}
+     * @private
+     */
+    _consolidate() {
+        const last = this.lastResult || {};
+        return {
+            title: `Grabación ${this.createdAt.slice(0, 16).replace('T', ' ')}`,
+            fileName: `grabacion-${this.createdAt.slice(0, 19).replace(/[:T]/g, '-')}.webm`,
+            transcription: this.segments.map(segment => segment.text).join(' '),
+            language: last.language || this.options.language,
+            model: last.model || this.options.model,
+            task: last.task || this.options.task,
+            duration: last.duration ?? null,
+            segments: this.segments,
+        };
+    }
+
+    /**
+     * Envía un mensaje JSON si la conexión sigue abierta.
+     * @param {object} message - Mensaje del protocolo.
+     * @private
+     */
+    _send(message) {
+        if (this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message.type === 'error' ? localizeErrorBody(message, this.locale) : message));
+        }
+    }
+
+    /**
+     * Termina la sesión con un error definitivo durante la grabación: lo envía al cliente y cierra la conexión.
+     * @param {Error} error - Error (con su código de la API).
+     * @private
+     */
+    _fail(error) {
+        logger.warn('Sesión en vivo interrumpida', { sessionId: this.id, err: error });
+        this._send({ type: 'error', error: errorMessageOf(error), code: errorCodeOf(error) });
+        this.socket.close(1008); // 1008: Policy Violation.
+        this._abort();
+    }
+
+    /**
+     * Registra una sola vez los segundos transcritos por la sesión (la duración de la última ventana), también
+     * si termina con un error o el cliente se desconecta.
+     * @private
+     */
+    _recordUsage() {
+        if (this.usageRecorded) return;
+        this.usageRecorded = true;
+        this.onUsage(this.lastResult?.duration || 0, this.client);
+        this.onFinish();
+    }
+
+    /**
+     * La conexión se cerró: cancela la ventana en curso y libera los recursos.
+     * @private
+     */
+    _abort() {
+        if (this.closed) return;
+        this.closed = true;
+        clearInterval(this.timer);
+        if (this.controller) this.controller.cancel();
+        this._recordUsage();
+        // Si `stop` está en curso, él mismo limpiará al terminar la ventana cancelada.
+        if (!this.stopped) this._cleanup();
+    }
+
+    /**
+     * Elimina el archivo temporal de la grabación (tras completar las escrituras pendientes).
+     * @private
+     */
+    _cleanup() {
+        this.writing
+            .catch(() => {})
+            .then(() => fs.promises.rm(this.filePath, { force: true }))
+            .catch(error => logger.error('Error al eliminar la grabación temporal', { sessionId: this.id, file: this.filePath, err: error }))
+            .then(() => this._release());
+    }
+}
+
+/**
+ * Publica el endpoint WebSocket de transcripción en vivo sobre el servidor HTTP.
+ * Las opciones de transcripción se indican en la URL (`?language=es&model=small`) y se validan
+ * con la misma lista blanca que `POST /api/transcribe`.
+ *
+ * @param {import('http').Server} server - Servidor HTTP devuelto por `app.listen`.
+ * @param {object} options
+ * @param {object} options.engine - Motor de transcripción que ejecuta las ventanas (ver `lib/engines`).
+ * @param {function(function(): object): {promise: Promise<object>, cancel: function(): void}} [options.schedule] - Lanza
+ *        cada ventana cuando hay un hueco libre (ver `LiveSession`), para compartir el límite de transcripciones
+ *        simultáneas con los trabajos de la cola.
+ * @param {number} [options.maxSessions=0] - Número máximo de grabaciones simultáneas (0 = sin límite); por encima,
+ *        las conexiones se rechazan con ENGINE_UNAVAILABLE.
+ * @param {string} options.uploadDir - Directorio de archivos temporales.
+ * @param {function(object, {id: string, createdAt: string, audioFilePath: string, client: object|null}): object} options.onComplete - Guarda
+ *        el resultado consolidado (ej. en el historial) y devuelve la entrada creada. `audioFilePath` es la grabación
+ *        completa, que se elimina al volver (debe copiarse para conservarla).
+ * @param {function(number, object|null): void} [options.onUsage] - Registra los segundos transcritos por cada sesión
+ *        (ej. en el consumo diario de su clave de API).
+ * @param {number} [options.timeoutMs=0] - Tiempo máximo de transcripción de cada ventana (0 = sin límite).
+ * @param {function(import('http').IncomingMessage): {error?: object, code?: string, client?: object, maxBytes?: number, maxSeconds?: number, onFinish?: function(): void}} [options.authorize] - Decide
+ *        si se acepta la conexión (ej. por su clave de API). Devuelve un error (con su código), o el cliente, el tamaño
+ *        y la duración máximos de su grabación y lo que hay que hacer al terminar la sesión (ver `LiveSession`), que
+ *        también se hace si se rechazan sus opciones.
+ * @returns {WebSocketServer} Con `isInUse(filePath)`, que indica si un archivo es la grabación temporal de una
+ *          sesión aún no terminada (para que la limpieza de subidas no lo elimine, ver `UploadJanitor`).
+ */
+function attachLiveTranscription(server, {
+    engine, schedule, maxSessions = 0, uploadDir, onComplete, onUsage, timeoutMs = 0, authorize = () => ({}),
+}) {
+    const wss = new WebSocketServer({ server, path: LIVE_PATH, maxPayload: MAX_CHUNK_BYTES });
+    let activeSessions = 0; // Sesiones aceptadas y aún abiertas.
+    const recordings = new Set(); // Sesiones cuya grabación temporal sigue en disco.
+    wss.isInUse = filePath => Array.from(recordings).some(session => path.resolve(session.filePath) === path.resolve(filePath));
+
+    wss.on('connection', (socket, req) => {
+        const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+        const access = maxSessions > 0 && activeSessions >= maxSessions
+            ? { error: errorMessage('live.tooManySessions', { max: maxSessions }), code: 'ENGINE_UNAVAILABLE' }
+            : authorize(req);
+        // Idioma del parámetro `lang` o de `Accept-Language` (el navegador la envía también al abrir el WebSocket).
+        const locale = negotiateLocale(req);
+        const { options, error } = access.error ? { error: access.error } : parseTranscriptionOptions(params);
+        if (error) {
+            if (!access.error) access.onFinish?.();
+            socket.send(JSON.stringify(localizeErrorBody({ type: 'error', error, code: access.code || 'INVALID_REQUEST' }, locale)));
+            return socket.close(1008); // 1008: Policy Violation (acceso denegado u opciones no permitidas).
+        }
+        // Sin diarización: cada ventana numeraría los hablantes por su cuenta y las etiquetas no coincidirían.
+        // Tampoco se traduce: la traducción se aplica al resultado completo de los trabajos de la cola.
+        const transcriptionOptions = { ...options, diarize: false, translateTo: null };
+        const session = new LiveSession(socket, {
+            transcriptionOptions, engine, schedule, uploadDir, onComplete, onUsage, timeoutMs,
+            client: access.client, onFinish: access.onFinish, maxBytes: access.maxBytes, maxSeconds: access.maxSeconds, locale,
+        });
+        activeSessions += 1;
+        recordings.add(session);
+        session.released.then(() => recordings.delete(session));
+        logger.info('Sesión en vivo iniciada', { sessionId: session.id, model: options.model, language: options.language || null, apiKeyId: access.client?.id });
+        socket.on('close', () => {
+            activeSessions -= 1;
+            logger.info('Sesión en vivo cerrada', { sessionId: session.id });
+        });
+    });
+
+    return wss;
+}
+
+module.exports = { attachLiveTranscription, LIVE_PATH };
@@ -0,0 +1,206 @@
+// backend/lib/locales/en.js
+// API error messages in English (same keys as `es.js`; a missing key falls back to the Spanish message).
+
+module.exports = {
+    codes: {
+        INVALID_REQUEST: 'The request is not valid.',
+        INVALID_JSON: 'The request body is not valid JSON.',
+        MISSING_FILE: 'No audio file was provided.',
+        UNAUTHORIZED: 'A valid API key or token is required.',
+        FORBIDDEN: 'You are not allowed to perform this operation.',
+        NOT_FOUND: 'The requested resource does not exist.',
+        CONFLICT: 'The operation is not compatible with the current state of the resource.',
+        FILE_TOO_LARGE: 'The file exceeds the maximum allowed size.',
+        UNSUPPORTED_FORMAT: 'The file is not audio in a supported format.',
+        NO_SPEECH: 'No speech was detected in the audio.',
+        RATE_LIMITED: 'Too many requests.',
+        QUOTA_EXCEEDED: 'The transcription minutes for today have been used up.',
+        DECODE_FAILED: 'The audio could not be decoded.',
+        MODEL_LOAD_FAILED: 'The transcription model could not be loaded.',
+        CANCELLED: 'The transcription was cancelled.',
+        TIMEOUT: 'The operation timed out.',
+        INTERNAL_ERROR: 'Internal server error.',
+        ENGINE_ERROR: 'The transcription engine failed.',
+        TRANSLATION_FAILED: 'The translation service failed.',
+        SUMMARY_FAILED: 'The summary service failed.',
+        UPSTREAM_ERROR: 'The remote server failed.',
+        PYTHON_ENV_MISSING: 'The server Python environment is not installed.',
+        DEPENDENCY_MISSING: 'A server dependency is missing (e.g. FFmpeg).',
+        ENGINE_UNAVAILABLE: 'The transcription engine is not available.',
+        INSUFFICIENT_STORAGE: 'The server does not have enough free disk space.',
+    },
+    request: {
+        originNotAllowed: 'Origin not allowed: {origin}.',
+        bodyTooLarge: 'The request body is too large.',
+        routeNotFound: 'Route not found: {method} {path}.',
+        rateLimited: 'Too many requests: the limit is {limit} per minute. Try again in {seconds} s.',
+        liveRateLimited: 'Too many requests: the limit is {limit} per minute.',
+        shuttingDown: 'The server is shutting down: new transcriptions are not being accepted.',
+        shuttingDownLive: 'The server is shutting down: new recordings are not being accepted.',
+        insufficientStorage: 'The server does not have enough free disk space to receive more audio ({freeMb} MB left). Try again later.',
+    },
+    auth: {
+        apiKeyRequired: 'An API key is required (X-API-Key header or Authorization: Bearer).',
+        apiKeyInvalid: 'The API key is not valid or has been revoked.',
+        adminDisabled: 'API administration is disabled. Set ADMIN_TOKEN or use the CLI (npm run keys).',
+        adminTokenInvalid: 'Invalid administration token.',
+        metricsTokenInvalid: 'Invalid metrics token.',
+        keyName: 'The key name must be a string of 1 to {max} characters.',
+        keyLimit: 'The {field} limit must be a positive number (or null for no limit).',
+        keyNotFound: 'API key not found.',
+    },
+    quota: {
+        exhausted: 'The {minutes} daily transcription minutes of this key have been used up.',
+        audioExceeds: 'The audio ({minutes} min) exceeds the transcription minutes this key has left today ({remaining} min).',
+        recordingExceeds: 'The recording exceeds the transcription minutes this key has left today ({remaining} min).',
+    },
+    upload: {
+        invalid: 'Invalid upload: {reason}',
+        tooLarge: 'The file exceeds the maximum allowed size ({size} MB).',
+        missingFileOrSource: 'No audio file was provided (nor a URL or import path).',
+        missingFiles: 'No audio file was provided.',
+        notAudio: "'{name}' is not a recognized audio or video file.",
+        fileAndSource: 'Send an audio file or specify its source (url/importPath), not both.',
+        importDisabled: 'Importing audio from the server is not enabled (IMPORT_DIR).',
+        trimBeyondDuration: 'The start of the fragment to transcribe is beyond the audio duration ({duration} s).',
+    },
+    batch: {
+        trimNotSupported: 'Trimming (trimStart/trimEnd) is only supported when transcribing a single file.',
+        notAudio: 'Not a recognized audio file.',
+        tooManyFiles: 'The limit of {max} files per batch was exceeded.',
+        invalidZip: 'Invalid ZIP file: {reason}',
+        invalidEntryName: 'Invalid file name.',
+        unsafePath: 'Path not allowed (absolute or outside the archive).',
+        entryTooLarge: 'The uncompressed file exceeds the maximum allowed size.',
+        zipTooLarge: 'The uncompressed content of the ZIP exceeds the maximum allowed size.',
+        empty: 'The batch does not contain any valid audio file.',
+        notFound: 'Batch not found.',
+        noCompleted: 'The batch does not have any completed transcriptions yet.',
+    },
+    options: {
+        language: "Invalid language code: '{value}'.",
+        model: "Model not allowed: '{value}'. Use one of: {options}.",
+        englishOnly: "The '{model}' model only supports English.",
+        task: "Invalid task: '{value}'. Use one of: {options}.",
+        temperature: 'The temperature must be a number between {min} and {max}.',
+        beamSize: 'The beam size (beamSize) must be an integer between {min} and {max}.',
+        initialPrompt: 'The initial prompt cannot exceed {max} characters.',
+        numSpeakers: 'The number of speakers must be an integer between {min} and {max}.',
+        translateTo: "Invalid translation language code: '{value}'.",
+        translateWithTask: "Translation (translateTo) cannot be combined with task='translate', which already replaces the text with its English translation.",
+        translateSameLanguage: 'The translation language is the same as the audio language.',
+        translationUnavailable: "No translation provider is configured (TRANSLATE_PROVIDER): only '{language}' is available.",
+    },
+    preprocess: {
+        trimField: 'The {field} field must be a non-negative number of seconds.',
+        trimOrder: 'The end of the fragment to transcribe (trimEnd) must be after its start (trimStart).',
+        noAudioTrack: 'The file does not contain any audio track.',
+        onlySilence: 'No speech was detected in the audio: the whole fragment is silence.',
+    },
+    sources: {
+        urlAndPath: 'Specify a URL or an import path, not both.',
+        invalidUrl: "Invalid URL: '{url}'.",
+        protocol: 'Only http:// or https:// URLs are supported.',
+        credentials: 'The URL cannot include credentials; use a presigned URL.',
+        blockedHost: 'The URL points to an address that is not allowed ({host}).',
+        blockedAddress: 'The URL points to an address that is not allowed ({host} → {address}).',
+        timeout: 'The remote server took too long to respond.',
+        downloadFailed: 'The URL could not be downloaded: {reason}',
+        tooManyRedirects: 'The URL redirects too many times or without a destination.',
+        redirectProtocol: 'The URL redirects to an unsupported protocol.',
+        httpStatus: 'The remote server responded with status {status}.',
+        notAudio: 'The URL does not return an audio file (content type: {contentType}).',
+        noContentType: 'The URL does not return an audio file (content type: unknown).',
+        interrupted: 'The download was interrupted: {reason}',
+        importRelative: 'The import path must be relative to the import directory.',
+        importNotFound: "The file '{path}' does not exist in the import directory.",
+        importOutside: 'The import path is outside the allowed directory.',
+        importNotFile: "'{path}' is not a file.",
+        importNotAudio: "'{path}' is not a recognized audio file.",
+    },
+    webhooks: {
+        callbackType: 'The notification URL (callbackUrl) must be a string.',
+        callbackLength: 'The notification URL cannot exceed {max} characters.',
+        callbackInvalid: "Invalid notification URL: '{url}'.",
+        callbackProtocol: 'The notification URL must be http:// or https://.',
+        disabled: 'Webhook notifications are not enabled on the server (WEBHOOK_SECRET).',
+        invalidStatus: "Invalid status: '{value}'. Use one of: {options}.",
+        deliveryNotFound: 'Delivery not found.',
+    },
+    jobs: {
+        notFound: 'Job not found.',
+        noResult: 'The job has no result available (status: {status}).',
+        finished: 'The job has already finished (status: {status}).',
+        cancelled: 'The transcription was cancelled.',
+        cancelledBeforeStart: 'The transcription was cancelled before it started.',
+        timeout: 'The transcription exceeded the maximum time of {duration}.',
+        cacheNotFound: 'Result not found in the cache.',
+    },
+    history: {
+        notFound: 'Transcription not found in the history.',
+        versionNotFound: 'Version not found.',
+        audioNotKept: 'The audio of this transcription is not kept.',
+        exportFormat: "Unsupported format: '{value}'. Use one of: {options}.",
+        exportText: "Unsupported text: '{value}'. Use one of: {options}.",
+        noTranslation: 'The transcription has no translation (use translateTo when transcribing).',
+        nothingToUpdate: 'Specify a new title or speaker names (speakers).',
+        titleRequired: 'A non-empty title is required.',
+        speakersObject: 'The speakers field must be an object { id: name }.',
+        unknownSpeaker: "Unknown speaker in this transcription: '{speaker}'.",
+        speakerNameLength: 'Each speaker name must be a string of up to {max} characters.',
+        invalidRevision: 'The revision field must be an integer version number.',
+        revisionConflict: 'The transcription was modified while it was being edited (current version: {revision}). Reload it before saving.',
+        segmentsList: 'The segments field must be a non-empty list of segments.',
+        tooManySegments: 'A transcription cannot have more than {max} segments.',
+        invalidSegment: 'Segment {position} is not valid.',
+        segmentTimes: 'Segment {position} must have valid times (start and end in seconds, with the end after the start).',
+        segmentOrder: 'Segment {position} starts before the previous one: segments must be in order.',
+        segmentEmpty: 'Segment {position} has no text.',
+        segmentTextLength: 'The text of segment {position} cannot exceed {max} characters.',
+        segmentTranslationLength: 'The translation of segment {position} must be a string of up to {max} characters.',
+        segmentSpeaker: "Unknown speaker in segment {position}: '{speaker}'.",
+    },
+    summary: {
+        notConfigured: 'No summary provider is configured (SUMMARY_PROVIDER).',
+        noText: 'The transcription has no text to summarize.',
+        notJson: 'The summary service returned a response that is not a JSON object.',
+        missingSummary: 'The summary service did not return any summary (`summary` field).',
+        timeout: 'The summary service did not respond within {ms} ms.',
+        connection: 'Could not connect to the summary service ({endpoint}).',
+        serviceError: 'The summary service responded with an error ({status}): {message}',
+        unexpectedResponse: 'The summary service returned an unexpected response (expected `choices[0].message.content`).',
+    },
+    translation: {
+        timeout: 'The translation service did not respond within {ms} ms.',
+        connection: 'Could not connect to the translation service ({endpoint}).',
+        serviceError: 'The translation service responded with an error ({status}): {message}',
+        unexpectedResponse: 'The translation service returned an unexpected response (expected `translatedText` with one text per segment).',
+        notConfigured: "No translation provider is configured (TRANSLATE_PROVIDER) to translate into '{language}'.",
+    },
+    live: {
+        tooManySessions: 'There are too many recordings in progress (maximum {max}). Try again in a few minutes.',
+        noAudio: 'No audio was received from the recording.',
+        tooLarge: 'The recording exceeds the maximum allowed size.',
+        timeout: 'The transcription of the recording exceeded the maximum time of {duration}.',
+    },
+    engine: {
+        shuttingDown: 'The server is shutting down.',
+        pythonEnvMissing: 'Backend configuration error: Python environment not found.',
+        noWorker: 'No Python worker is available. Check the backend status.',
+        workerUnknownError: 'Unknown Python worker error.',
+        processInterrupted: 'The transcription process was interrupted ({reason}).',
+        workerExited: 'The Python worker exited unexpectedly.',
+        workerNotRunning: 'The Python worker is not running.',
+        workerTimeout: 'The Python worker did not respond within {ms} ms.',
+        modelNotFound: 'whisper.cpp model not found: {path}. Download it or choose another model.',
+        executableMissing: "Backend configuration error: the '{command}' executable was not found.",
+        spawnFailed: "Could not run '{command}'.",
+        processFailed: "'{command}' exited with an error ({reason}).",
+        diarizationUnsupported: "The '{engine}' transcription engine does not support speaker identification.",
+        httpTimeout: 'The transcription service did not respond within {ms} ms.',
+        httpConnection: 'Could not connect to the transcription service ({endpoint}).',
+        httpError: 'The transcription service responded with an error ({status}): {message}',
+        httpNoSegments: 'The transcription service returned a response without segments (expected `verbose_json`).',
+        audioNotFound: 'Audio file not found: {path}',
+    },
+};
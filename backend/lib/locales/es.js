@@ -0,0 +1,224 @@
+// backend/lib/locales/es.js
+// Mensajes de error de la API en español (idioma de referencia: cualquier clave que falte en otro catálogo se toma
+// de aquí). Los errores se crean con su clave y sus parámetros (ver `errorMessage` en `lib/errors.js`) y se
+// escriben en el idioma de cada solicitud; los marcadores `{nombre}` se sustituyen por sus parámetros.
+
+module.exports = {
+    // Mensaje por defecto de cada código de `ERROR_CODES` (para los errores sin un mensaje propio).
+    codes: {
+        INVALID_REQUEST: 'La solicitud no es válida.',
+        INVALID_JSON: 'El cuerpo de la solicitud no es un JSON válido.',
+        MISSING_FILE: 'No se proporcionó ningún archivo de audio.',
+        UNAUTHORIZED: 'Se requiere una clave de API o un token válido.',
+        FORBIDDEN: 'No tiene permiso para realizar esta operación.',
+        NOT_FOUND: 'El recurso solicitado no existe.',
+        CONFLICT: 'La operación no es compatible con el estado actual del recurso.',
+        FILE_TOO_LARGE: 'El archivo supera el tamaño máximo permitido.',
+        UNSUPPORTED_FORMAT: 'El archivo no es un audio en un formato compatible.',
+        NO_SPEECH: 'No se detectó voz en el audio.',
+        RATE_LIMITED: 'Demasiadas solicitudes.',
+        QUOTA_EXCEEDED: 'Se agotaron los minutos de transcripción de hoy.',
+        DECODE_FAILED: 'No se pudo decodificar el audio.',
+        MODEL_LOAD_FAILED: 'No se pudo cargar el modelo de transcripción.',
+        CANCELLED: 'La transcripción fue cancelada.',
+        TIMEOUT: 'La operación superó el tiempo de espera.',
+        INTERNAL_ERROR: 'Error interno del servidor.',
+        ENGINE_ERROR: 'El motor de transcripción falló.',
+        TRANSLATION_FAILED: 'El servicio de traducción falló.',
+        SUMMARY_FAILED: 'El servicio de resúmenes falló.',
+        UPSTREAM_ERROR: 'El servidor remoto falló.',
+        PYTHON_ENV_MISSING: 'El entorno de Python del servidor no está instalado.',
+        DEPENDENCY_MISSING: 'Falta una dependencia del servidor (ej. FFmpeg).',
+        ENGINE_UNAVAILABLE: 'El motor de transcripción no está disponible.',
+        INSUFFICIENT_STORAGE: 'El servidor no tiene espacio libre suficiente.',
+    },
+    // Solicitudes y límites generales del servidor (server.js, lib/access.js, lib/storage.js).
+    request: {
+        originNotAllowed: 'Origen no permitido: {origin}.',
+        bodyTooLarge: 'El cuerpo de la solicitud es demasiado grande.',
+        routeNotFound: 'Ruta no encontrada: {method} {path}.',
+        rateLimited: 'Demasiadas solicitudes: el límite es de {limit} por minuto. Vuelva a intentarlo en {seconds} s.',
+        liveRateLimited: 'Demasiadas solicitudes: el límite es de {limit} por minuto.',
+        shuttingDown: 'El servidor se está deteniendo: no se aceptan nuevas transcripciones.',
+        shuttingDownLive: 'El servidor se está deteniendo: no se aceptan nuevas grabaciones.',
+        insufficientStorage: 'El servidor no tiene espacio libre suficiente para recibir más audios (quedan {freeMb} MB). Inténtelo más tarde.',
+    },
+    // Claves de API y tokens (lib/access.js, lib/apiKeys.js).
+    auth: {
+        apiKeyRequired: 'Se requiere una clave de API (cabecera X-API-Key o Authorization: Bearer).',
+        apiKeyInvalid: 'La clave de API no es válida o ha sido revocada.',
+        adminDisabled: 'La administración por API está deshabilitada. Defina ADMIN_TOKEN o use la CLI (npm run keys).',
+        adminTokenInvalid: 'Token de administración no válido.',
+        metricsTokenInvalid: 'Token de métricas no válido.',
+        keyName: 'El nombre de la clave debe ser un texto de 1 a {max} caracteres.',
+        keyLimit: 'El límite {field} debe ser un número positivo (o null para no limitar).',
+        keyNotFound: 'Clave de API no encontrada.',
+    },
+    // Minutos diarios de las claves (lib/access.js, lib/liveTranscription.js).
+    quota: {
+        exhausted: 'Se agotaron los {minutes} minutos diarios de transcripción de esta clave.',
+        audioExceeds: 'El audio ({minutes} min) supera los minutos de transcripción que le quedan hoy a esta clave ({remaining} min).',
+        recordingExceeds: 'La grabación supera los minutos de transcripción que le quedan hoy a esta clave ({remaining} min).',
+    },
+    // Subida de archivos y fragmento a transcribir (server.js).
+    upload: {
+        invalid: 'Subida no válida: {reason}',
+        tooLarge: 'El archivo supera el tamaño máximo permitido ({size} MB).',
+        missingFileOrSource: 'No se proporcionó archivo de audio (ni una URL o ruta de importación).',
+        missingFiles: 'No se proporcionó ningún archivo de audio.',
+        notAudio: "'{name}' no es un archivo de audio o vídeo reconocido.",
+        fileAndSource: 'Envíe un archivo de audio o indique su origen (url/importPath), no ambos.',
+        importDisabled: 'La importación de audios del servidor no está habilitada (IMPORT_DIR).',
+        trimBeyondDuration: 'El inicio del fragmento a transcribir supera la duración del audio ({duration} s).',
+    },
+    // Lotes y archivos ZIP (server.js, lib/archive.js).
+    batch: {
+        trimNotSupported: 'El recorte (trimStart/trimEnd) solo se admite al transcribir un único archivo.',
+        notAudio: 'No es un archivo de audio reconocido.',
+        tooManyFiles: 'Se superó el límite de {max} archivos por lote.',
+        invalidZip: 'Archivo ZIP no válido: {reason}',
+        invalidEntryName: 'Nombre de archivo no válido.',
+        unsafePath: 'Ruta no permitida (absoluta o fuera del archivo).',
+        entryTooLarge: 'El archivo descomprimido supera el tamaño máximo permitido.',
+        zipTooLarge: 'El contenido descomprimido del ZIP supera el tamaño máximo permitido.',
+        empty: 'El lote no contiene ningún archivo de audio válido.',
+        notFound: 'Lote no encontrado.',
+        noCompleted: 'El lote todavía no tiene transcripciones completadas.',
+    },
+    // Opciones de transcripción (lib/transcriptionOptions.js).
+    options: {
+        language: "Código de idioma no válido: '{value}'.",
+        model: "Modelo no permitido: '{value}'. Use uno de: {options}.",
+        englishOnly: "El modelo '{model}' solo admite inglés.",
+        task: "Tarea no válida: '{value}'. Use una de: {options}.",
+        temperature: 'La temperatura debe ser un número entre {min} y {max}.',
+        beamSize: 'El tamaño de haz (beamSize) debe ser un entero entre {min} y {max}.',
+        initialPrompt: 'El texto de contexto inicial no puede superar {max} caracteres.',
+        numSpeakers: 'El número de hablantes debe ser un entero entre {min} y {max}.',
+        translateTo: "Código de idioma de traducción no válido: '{value}'.",
+        translateWithTask: "La traducción (translateTo) no se puede combinar con task='translate', que ya sustituye el texto por su traducción al inglés.",
+        translateSameLanguage: 'El idioma de traducción coincide con el idioma del audio.',
+        translationUnavailable: "No hay un proveedor de traducción configurado (TRANSLATE_PROVIDER): solo se puede traducir a '{language}'.",
+    },
+    // Preprocesamiento del audio (lib/preprocess.js).
+    preprocess: {
+        trimField: 'El campo {field} debe ser un número de segundos no negativo.',
+        trimOrder: 'El fin del fragmento a transcribir (trimEnd) debe ser posterior a su inicio (trimStart).',
+        noAudioTrack: 'El archivo no contiene ninguna pista de audio.',
+        onlySilence: 'No se detectó voz en el audio: todo el fragmento es silencio.',
+    },
+    // Audios descargados de una URL o copiados del directorio de importación (lib/audioSources.js).
+    sources: {
+        urlAndPath: 'Indique una URL o una ruta de importación, no ambas.',
+        invalidUrl: "URL no válida: '{url}'.",
+        protocol: 'Solo se admiten URL http:// o https://.',
+        credentials: 'La URL no puede incluir credenciales; use una URL prefirmada.',
+        blockedHost: 'La URL apunta a una dirección no permitida ({host}).',
+        blockedAddress: 'La URL apunta a una dirección no permitida ({host} → {address}).',
+        timeout: 'El servidor remoto tardó demasiado en responder.',
+        downloadFailed: 'No se pudo descargar la URL: {reason}',
+        tooManyRedirects: 'La URL redirige demasiadas veces o sin destino.',
+        redirectProtocol: 'La URL redirige a un protocolo no admitido.',
+        httpStatus: 'El servidor remoto respondió con el estado {status}.',
+        notAudio: 'La URL no devuelve un archivo de audio (tipo de contenido: {contentType}).',
+        noContentType: 'La URL no devuelve un archivo de audio (tipo de contenido: desconocido).',
+        interrupted: 'La descarga se interrumpió: {reason}',
+        importRelative: 'La ruta de importación debe ser relativa al directorio de importación.',
+        importNotFound: "No existe el archivo '{path}' en el directorio de importación.",
+        importOutside: 'La ruta de importación está fuera del directorio permitido.',
+        importNotFile: "'{path}' no es un archivo.",
+        importNotAudio: "'{path}' no es un archivo de audio reconocido.",
+    },
+    // Notificaciones por webhook (lib/webhooks.js, server.js).
+    webhooks: {
+        callbackType: 'La URL de notificación (callbackUrl) debe ser un texto.',
+        callbackLength: 'La URL de notificación no puede superar {max} caracteres.',
+        callbackInvalid: "URL de notificación no válida: '{url}'.",
+        callbackProtocol: 'La URL de notificación debe ser http:// o https://.',
+        disabled: 'Las notificaciones por webhook no están habilitadas en el servidor (WEBHOOK_SECRET).',
+        invalidStatus: "Estado no válido: '{value}'. Use uno de: {options}.",
+        deliveryNotFound: 'Entrega no encontrada.',
+    },
+    // Trabajos de la cola (server.js, lib/jobQueue.js, lib/workerPool.js).
+    jobs: {
+        notFound: 'Trabajo no encontrado.',
+        noResult: 'El trabajo no tiene resultado disponible (estado: {status}).',
+        finished: 'El trabajo ya ha finalizado (estado: {status}).',
+        cancelled: 'La transcripción fue cancelada.',
+        cancelledBeforeStart: 'La transcripción fue cancelada antes de empezar.',
+        timeout: 'La transcripción superó el tiempo máximo de {duration}.',
+        cacheNotFound: 'Resultado no encontrado en la caché.',
+    },
+    // Historial, descargas y edición de transcripciones (server.js, lib/transcriptEdits.js).
+    history: {
+        notFound: 'Transcripción no encontrada en el historial.',
+        versionNotFound: 'Versión no encontrada.',
+        audioNotKept: 'El audio de esta transcripción no se conserva.',
+        exportFormat: "Formato no soportado: '{value}'. Use uno de: {options}.",
+        exportText: "Texto no soportado: '{value}'. Use uno de: {options}.",
+        noTranslation: 'La transcripción no tiene traducción (use translateTo al transcribir).',
+        nothingToUpdate: 'Indique un nuevo título (title) o nombres de hablantes (speakers).',
+        titleRequired: 'Se requiere un título no vacío.',
+        speakersObject: 'El campo speakers debe ser un objeto { identificador: nombre }.',
+        unknownSpeaker: "Hablante desconocido en esta transcripción: '{speaker}'.",
+        speakerNameLength: 'El nombre de cada hablante debe ser un texto de hasta {max} caracteres.',
+        invalidRevision: 'El campo revision debe ser un número de versión entero.',
+        revisionConflict: 'La transcripción se modificó mientras se editaba (versión actual: {revision}). Recárguela antes de guardar.',
+        segmentsList: 'El campo segments debe ser una lista no vacía de segmentos.',
+        tooManySegments: 'Una transcripción no puede tener más de {max} segmentos.',
+        invalidSegment: 'El segmento {position} no es válido.',
+        segmentTimes: 'El segmento {position} debe tener tiempos válidos (inicio y fin en segundos, con el fin después del inicio).',
+        segmentOrder: 'El segmento {position} empieza antes que el anterior: los segmentos deben estar en orden.',
+        segmentEmpty: 'El segmento {position} no tiene texto.',
+        segmentTextLength: 'El texto del segmento {position} no puede superar {max} caracteres.',
+        segmentTranslationLength: 'La traducción del segmento {position} debe ser un texto de hasta {max} caracteres.',
+        segmentSpeaker: "Hablante desconocido en el segmento {position}: '{speaker}'.",
+    },
+    // Resúmenes (server.js, lib/summarization.js).
+    summary: {
+        notConfigured: 'No hay un proveedor de resúmenes configurado (SUMMARY_PROVIDER).',
+        noText: 'La transcripción no tiene texto que resumir.',
+        notJson: 'El servicio de resúmenes devolvió una respuesta que no es un objeto JSON.',
+        missingSummary: 'El servicio de resúmenes no devolvió ningún resumen (campo `summary`).',
+        timeout: 'El servicio de resúmenes no respondió en {ms} ms.',
+        connection: 'No se pudo conectar con el servicio de resúmenes ({endpoint}).',
+        serviceError: 'El servicio de resúmenes respondió con un error ({status}): {message}',
+        unexpectedResponse: 'El servicio de resúmenes devolvió una respuesta inesperada (se esperaba `choices[0].message.content`).',
+    },
+    // Traducción de las transcripciones (lib/translation.js).
+    translation: {
+        timeout: 'El servicio de traducción no respondió en {ms} ms.',
+        connection: 'No se pudo conectar con el servicio de traducción ({endpoint}).',
+        serviceError: 'El servicio de traducción respondió con un error ({status}): {message}',
+        unexpectedResponse: 'El servicio de traducción devolvió una respuesta inesperada (se esperaba `translatedText` con un texto por segmento).',
+        notConfigured: "No hay un proveedor de traducción configurado (TRANSLATE_PROVIDER) para traducir a '{language}'.",
+    },
+    // Transcripción en vivo (lib/liveTranscription.js).
+    live: {
+        tooManySessions: 'Hay demasiadas grabaciones en curso (máximo {max}). Inténtelo de nuevo en unos minutos.',
+        noAudio: 'No se recibió audio de la grabación.',
+        tooLarge: 'La grabación supera el tamaño máximo permitido.',
+        timeout: 'La transcripción de la grabación superó el tiempo máximo de {duration}.',
+    },
+    // Motores de transcripción y workers de Python (lib/engines, lib/pythonWorker.js, lib/workerPool.js).
+    engine: {
+        shuttingDown: 'El servidor se está deteniendo.',
+        pythonEnvMissing: 'Error de configuración del backend: Entorno Python no encontrado.',
+        noWorker: 'No hay ningún worker de Python disponible. Revise el estado del backend.',
+        workerUnknownError: 'Error desconocido del worker de Python.',
+        processInterrupted: 'El proceso de transcripción fue interrumpido ({reason}).',
+        workerExited: 'El worker de Python terminó inesperadamente.',
+        workerNotRunning: 'El worker de Python no está en ejecución.',
+        workerTimeout: 'El worker de Python no respondió en {ms} ms.',
+        modelNotFound: 'Modelo de whisper.cpp no encontrado: {path}. Descárguelo o elija otro modelo.',
+        executableMissing: "Error de configuración del backend: no se encontró el ejecutable '{command}'.",
+        spawnFailed: "No se pudo ejecutar '{command}'.",
+        processFailed: "'{command}' terminó con error ({reason}).",
+        diarizationUnsupported: "El motor de transcripción '{engine}' no admite la identificación de hablantes.",
+        httpTimeout: 'El servicio de transcripción no respondió en {ms} ms.',
+        httpConnection: 'No se pudo conectar con el servicio de transcripción ({endpoint}).',
+        httpError: 'El servicio de transcripción respondió con un error ({status}): {message}',
+        httpNoSegments: 'El servicio de transcripción devolvió una respuesta sin segmentos (se esperaba `verbose_json`).',
+        audioNotFound: 'Archivo de audio no encontrado: {path}',
+    },
+};
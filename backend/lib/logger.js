@@ -0,0 +1,187 @@
+// backend/lib/logger.js
+
+// --- Importaciones de Módulos ---
+const util = require('util');                   // Formato legible de valores en el modo `pretty`.
+
+/**
+ * Niveles de registro, de menor a mayor gravedad. `silent` no registra nada (ej. en pruebas).
+ */
+const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: 100 });
+
+// Formatos de salida: una línea JSON por registro (para agregadores como Loki o Elasticsearch) o texto legible.
+const LOG_FORMATS = ['json', 'pretty'];
+
+/**
+ * Convierte un error en un objeto serializable: nombre, mensaje, código de la API, detalles técnicos y traza.
+ * @param {Error} error - Error a serializar.
+ * @param {object} [options]
+ * @param {boolean} [options.stack=true] - Si se incluye la traza.
+ * @returns {object}
+ */
+function serializeError(error, { stack = true } = {}) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.details !== undefined) serialized.details = error.details;
+    if (stack && error.stack) serialized.stack = error.stack;
+    return serialized;
+}
+
+/**
+ * Registro estructurado: cada entrada es un mensaje con un nivel y campos (ej. `requestId`, `jobId`) que se
+ * escribe como una línea JSON `{ time, level, msg, ...campos }`. Los errores de los campos se serializan con su
+ * mensaje y código (y su traza, en las entradas de nivel `error`). `debug` e `info` se escriben en la salida
+ * estándar; `warn` y `error`, en la de error.
+ *
+ * Los registros derivados (`child`) añaden sus campos a todas sus entradas, para asociarlas a una solicitud o
+ * a un trabajo sin repetirlos en cada llamada.
+ */
+class Logger {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.level='info'] - Nivel mínimo que se registra (ver `LOG_LEVELS`).
+     * @param {string} [options.format='json'] - 'json' o 'pretty'.
+     * @param {object} [options.bindings] - Campos que se añaden a todas las entradas.
+     * @param {function(string, string): void} [options.write] - Escribe una línea ya formateada con su nivel
+     *        (por defecto, en `process.stdout` o `process.stderr`).
+     */
+    constructor({ level = 'info', format = 'json', bindings = {}, write = writeLine } = {}) {
+        this.level = LOG_LEVELS[level] !== undefined ? level : 'info';
+        this.format = LOG_FORMATS.includes(format) ? format : 'json';
+        this.bindings = bindings;
+        this.write = write;
+    }
+
+    /**
+     * Crea un registro que añade los campos indicados a todas sus entradas.
+     * @param {object} bindings - Campos (ej. `{ jobId }`).
+     * @returns {Logger}
+     */
+    child(bindings) {
+        return new Logger({ level: this.level, format: this.format, bindings: { ...this.bindings, ...bindings }, write: this.write });
+    }
+
+    /**
+     * Indica si se registran las entradas del nivel indicado.
+     * @param {string} level - Nivel.
+     * @returns {boolean}
+     */
+    isEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level] && this.level !== 'silent';
+    }
+
+    /** @param {string} msg - Mensaje. @param {object} [fields] - Campos adicionales. */
+    debug(msg, fields) { this.log('debug', msg, fields); }
+
+    /** @param {string} msg - Mensaje. @param {object} [fields] - Campos adicionales. */
+    info(msg, fields) { this.log('info', msg, fields); }
+
+    /** @param {string} msg - Mensaje. @param {object} [fields] - Campos adicionales. */
+    warn(msg, fields) { this.log('warn', msg, fields); }
+
+    /** @param {string} msg - Mensaje. @param {object} [fields] - Campos adicionales. */
+    error(msg, fields) { this.log('error', msg, fields); }
+
+    /**
+     * Registra una entrada si su nivel está habilitado.
+     * @param {string} level - Nivel de la entrada.
+     * @param {string} msg - Mensaje.
+     * @param {object} [fields] - Campos adicionales (los errores se serializan).
+     */
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) return;
+        const entry = { time: new Date().toISOString(), level, msg, ...this.bindings };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) entry[key] = value instanceof Error ? serializeError(value, { stack: level === 'error' }) : value;
+        }
+        this.write(level, this.format === 'pretty' ? formatPretty(entry) : safeStringify(entry));
+    }
+}
+
+/**
+ * Convierte una entrada en JSON; los valores que no se pueden serializar (ej. referencias circulares) se
+ * sustituyen por su descripción, para que un registro nunca haga fallar la operación que lo emite.
+ * @param {object} entry - Entrada.
+ * @returns {string}
+ */
+function safeStringify(entry) {
+    try {
+        return JSON.stringify(entry);
+    } catch {
+        return JSON.stringify(Object.fromEntries(Object.entries(entry).map(([key, value]) => [key, typeof value === 'object' ? util.inspect(value) : value])));
+    }
+}
+
+/**
+ * Formato legible para desarrollo: `hora NIVEL mensaje clave=valor ...` (la traza de los errores, en líneas aparte).
+ * @param {object} entry - Entrada.
+ * @returns {string}
+ */
+function formatPretty({ time, level, msg, ...fields }) {
+    const stacks = [];
+    const pairs = Object.entries(fields).map(([key, value]) => {
+        if (value && typeof value === 'object' && value.stack) {
+            stacks.push(value.stack);
+            const { stack, ...rest } = value;
+            value = rest;
+        }
+        return `${key}=${typeof value === 'string' ? value : util.inspect(value, { breakLength: Infinity, depth: 4 })}`;
+    });
+    return [`${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? ` ${pairs.join(' ')}` : ''}`, ...stacks].join('\n');
+}
+
+/**
+ * Escritura por defecto: `warn` y `error` en la salida de error; el resto, en la estándar.
+ * @param {string} level - Nivel de la entrada.
+ * @param {string} line - Entrada formateada.
+ */
+function writeLine(level, line) {
+    (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Registro del servidor, configurado con `LOG_LEVEL` (debug, info, warn, error o silent; por defecto info) y
+ * `LOG_FORMAT` (json, por defecto, o pretty).
+ */
+const logger = new Logger({ level: process.env.LOG_LEVEL || 'info', format: process.env.LOG_FORMAT || 'json' });
+
+/**
+ * Middleware que registra cada solicitud al terminar su respuesta: identificador (`requestId`), método, ruta
+ * (el patrón de Express, ej. `/api/jobs/:id`, o la ruta sin parámetros de consulta si ninguna coincidió), estado
+ * y duración. Deja en `req.log` un registro con el `requestId` para las entradas de las rutas.
+ * Debe ir después de `requestContext` (que asigna `req.id`). Las solicitudes de `quietPaths` (sondas de salud y
+ * métricas, que llegan cada pocos segundos) se registran con nivel `debug`.
+ * @param {Logger} [log=logger] - Registro base.
+ * @param {object} [options]
+ * @param {string[]} [options.quietPaths=[]] - Rutas que se registran solo con `LOG_LEVEL=debug`.
+ * @returns {import('express').RequestHandler}
+ */
+function requestLogger(log = logger, { quietPaths = [] } = {}) {
+    return (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+        req.log = log.child({ requestId: req.id });
+        res.on('finish', () => {
+            const level = quietPaths.includes(req.path) ? 'debug'
+                : res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+            req.log.log(level, 'Solicitud atendida', {
+                method: req.method,
+                route: routeOf(req) || req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+                apiKeyId: req.apiKey?.id,
+            });
+        });
+        next();
+    };
+}
+
+/**
+ * Patrón de la ruta de Express que atendió la solicitud (ej. `/api/jobs/:id`), o null si no coincidió ninguna.
+ * @param {import('express').Request} req - Solicitud (ya respondida).
+ * @returns {string|null}
+ */
+function routeOf(req) {
+    if (!req.route) return null;
+    return `${req.baseUrl || ''}${req.route.path}`;
+}
+
+module.exports = { Logger, LOG_LEVELS, logger, serializeError, requestLogger, routeOf };
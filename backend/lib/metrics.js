@@ -0,0 +1,289 @@
+// backend/lib/metrics.js
+
+// --- Importaciones de Módulos ---
+const { routeOf } = require('./logger');        // Patrón de la ruta de Express de una solicitud.
+
+// Tipo de contenido del formato de texto de Prometheus (versión 0.0.4).
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escapa el valor de una etiqueta (barra invertida, comillas y saltos de línea).
+ * @param {*} value - Valor de la etiqueta.
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Da formato a un valor numérico (`+Inf`, `-Inf` y `NaN` con la notación de Prometheus).
+ * @param {number} value - Valor.
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Clase base de las métricas: nombre, descripción, etiquetas y una serie de valores por cada combinación de
+ * etiquetas (indexada por sus valores en el orden de `labelNames`).
+ */
+class Metric {
+    /**
+     * @param {object} options
+     * @param {string} options.name - Nombre de la métrica (ej. 'transcriptor_http_requests_total').
+     * @param {string} options.help - Descripción.
+     * @param {string[]} [options.labelNames=[]] - Nombres de las etiquetas.
+     * @param {function(Metric): void} [options.collect] - Se invoca antes de cada exportación (para las métricas
+     *        que reflejan un estado, ej. los trabajos en cola).
+     */
+    constructor({ name, help, labelNames = [], collect = null }) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        this.series = new Map(); // Clave (valores de las etiquetas) → `{ labels, ...valores }`.
+    }
+
+    /**
+     * Devuelve (creándola si no existe) la serie de una combinación de etiquetas.
+     * @param {object} labels - Valores de las etiquetas; las que falten quedan vacías.
+     * @param {function(): object} create - Valores iniciales de una serie nueva.
+     * @returns {object}
+     * @protected
+     */
+    _seriesFor(labels, create) {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = JSON.stringify(values);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: values, ...create() };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    /**
+     * Etiquetas de una serie en el formato de exportación (`{a="1",b="2"}`), con etiquetas adicionales.
+     * @param {string[]} values - Valores de las etiquetas de la serie.
+     * @param {Array<[string, string]>} [extra=[]] - Etiquetas adicionales (ej. `le` de un histograma).
+     * @returns {string}
+     * @protected
+     */
+    _formatLabels(values, extra = []) {
+        const pairs = [...this.labelNames.map((name, index) => [name, values[index]]), ...extra];
+        return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+    }
+
+    /**
+     * Elimina todas las series (ej. antes de volver a calcular una métrica de estado).
+     */
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Exporta la métrica en el formato de texto de Prometheus.
+     * @returns {string}
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(series => lines.push(...this._renderSeries(series)));
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Contador: solo aumenta (ej. solicitudes atendidas). Se reinicia al reiniciar el servidor.
+ */
+class Counter extends Metric {
+    get type() { return 'counter'; }
+
+    /**
+     * Aumenta el contador.
+     * @param {object} [labels={}] - Valores de las etiquetas.
+     * @param {number} [value=1] - Incremento (no negativo).
+     */
+    inc(labels = {}, value = 1) {
+        if (!(value >= 0)) throw new RangeError(`Los contadores solo aumentan (${this.name}: ${value}).`);
+        this._seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    /**
+     * Valor actual de una serie.
+     * @param {object} [labels={}] - Valores de las etiquetas.
+     * @returns {number}
+     */
+    get(labels = {}) {
+        return this._seriesFor(labels, () => ({ value: 0 })).value;
+    }
+
+    _renderSeries({ labels, value }) {
+        return [`${this.name}${this._formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+/**
+ * Indicador: un valor que sube y baja (ej. trabajos en cola, espacio libre).
+ */
+class Gauge extends Counter {
+    get type() { return 'gauge'; }
+
+    /**
+     * Fija el valor de una serie.
+     * @param {object} labels - Valores de las etiquetas.
+     * @param {number} value - Valor.
+     */
+    set(labels, value) {
+        this._seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    /**
+     * Aumenta (o, con un valor negativo, reduce) el valor de una serie.
+     * @param {object} [labels={}] - Valores de las etiquetas.
+     * @param {number} [value=1] - Incremento.
+     */
+    inc(labels = {}, value = 1) {
+        this._seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+}
+
+/**
+ * Histograma: distribución de las observaciones (ej. duraciones) en intervalos acumulados (`le`), con su suma
+ * y su número total.
+ */
+class Histogram extends Metric {
+    /**
+     * @param {object} options - Opciones de `Metric`, más:
+     * @param {number[]} options.buckets - Límites superiores de los intervalos, en orden creciente.
+     */
+    constructor({ buckets, ...options }) {
+        super(options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    get type() { return 'histogram'; }
+
+    /**
+     * Registra una observación.
+     * @param {object} labels - Valores de las etiquetas.
+     * @param {number} value - Valor observado.
+     */
+    observe(labels, value) {
+        if (!Number.isFinite(value)) return;
+        const series = this._seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => { if (value <= bound) series.counts[index]++; });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Número de observaciones y suma de una serie.
+     * @param {object} [labels={}] - Valores de las etiquetas.
+     * @returns {{count: number, sum: number}}
+     */
+    get(labels = {}) {
+        const { count, sum } = this._seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        return { count, sum };
+    }
+
+    _renderSeries({ labels, counts, sum, count }) {
+        return [
+            ...this.buckets.map((bound, index) => `${this.name}_bucket${this._formatLabels(labels, [['le', formatValue(bound)]])} ${counts[index]}`),
+            `${this.name}_bucket${this._formatLabels(labels, [['le', '+Inf']])} ${count}`,
+            `${this.name}_sum${this._formatLabels(labels)} ${formatValue(sum)}`,
+            `${this.name}_count${this._formatLabels(labels)} ${count}`,
+        ];
+    }
+}
+
+/**
+ * Conjunto de métricas que se exportan juntas en `GET /metrics`.
+ */
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Registra una métrica.
+     * @param {Metric} metric - Métrica.
+     * @returns {Metric} La misma métrica.
+     * @throws {Error} Si ya hay una métrica con el mismo nombre.
+     */
+    register(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`La métrica '${metric.name}' ya está registrada.`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /** @param {object} options - Opciones de `Counter`. @returns {Counter} */
+    counter(options) { return this.register(new Counter(options)); }
+
+    /** @param {object} options - Opciones de `Gauge`. @returns {Gauge} */
+    gauge(options) { return this.register(new Gauge(options)); }
+
+    /** @param {object} options - Opciones de `Histogram`. @returns {Histogram} */
+    histogram(options) { return this.register(new Histogram(options)); }
+
+    /**
+     * Exporta todas las métricas en el formato de texto de Prometheus, actualizando antes las de estado.
+     * @returns {Promise<string>}
+     */
+    async render() {
+        const metrics = [...this.metrics.values()];
+        await Promise.all(metrics.filter(metric => metric.collect).map(metric => metric.collect(metric)));
+        return `${metrics.map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+// --- Métricas Comunes ---
+// Las de los módulos de `lib` (ej. las caídas de los workers Python) se definen aquí, en el registro del servidor;
+// las que dependen del estado del servidor (cola, sesiones en vivo, disco) se definen en `server.js`.
+
+const registry = new Registry();
+
+// Duración de las solicitudes HTTP (s): de las consultas rápidas a las subidas de archivos grandes.
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const httpRequests = registry.counter({
+    name: 'transcriptor_http_requests_total',
+    help: 'Solicitudes HTTP atendidas, por método, ruta (patrón de Express) y código de estado.',
+    labelNames: ['method', 'route', 'status'],
+});
+const httpRequestDuration = registry.histogram({
+    name: 'transcriptor_http_request_duration_seconds',
+    help: 'Duración de las solicitudes HTTP (s), por método y ruta.',
+    labelNames: ['method', 'route'],
+    buckets: HTTP_DURATION_BUCKETS,
+});
+const pythonProcessFailures = registry.counter({
+    name: 'transcriptor_python_process_failures_total',
+    help: 'Fallos de los procesos Python de transcripción, por motivo (crash, spawn_error, env_missing, health_check).',
+    labelNames: ['reason'],
+});
+
+/**
+ * Middleware que cuenta las solicitudes HTTP y mide su duración. La ruta es el patrón de Express (ej.
+ * `/api/jobs/:id`) para no crear una serie por cada identificador; las que no coinciden con ninguna ruta se
+ * agrupan como `unmatched`.
+ * @returns {import('express').RequestHandler}
+ */
+function httpMetrics() {
+    return (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            const route = routeOf(req) || 'unmatched';
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            httpRequestDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        });
+        next();
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE, Counter, Gauge, Histogram, Registry,
+    registry, httpRequests, httpRequestDuration, pythonProcessFailures, httpMetrics,
+};
@@ -0,0 +1,300 @@
+// backend/lib/preprocess.js
+
+// --- Importaciones de Módulos ---
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const fs = require('fs');                       // Módulo para interactuar con el sistema de archivos.
+const { createError, errorMessage } = require('./errors'); // Errores con código de la API y mensajes localizables.
+const { parseBoolean, isMissing } = require('./transcriptionOptions'); // Interpretación de campos de formulario.
+const {
+    SAMPLE_RATE, runProcess, createRunContext, runStep, cancelRun, createWorkDir,
+} = require('./engines/common'); // Ejecución cancelable de FFmpeg.
+
+// Ejecutables de FFmpeg y FFprobe (por defecto, los del PATH).
+const ffmpegExecutable = process.env.FFMPEG_PATH || 'ffmpeg';
+const ffprobeExecutable = process.env.FFPROBE_PATH || 'ffprobe';
+
+// --- Parámetros del Preprocesamiento ---
+// Nivel (dB) por debajo del cual el audio se considera silencio.
+const SILENCE_THRESHOLD_DB = -40;
+// Duración mínima (s) de un silencio para eliminarlo (las pausas naturales del habla se conservan).
+const MIN_SILENCE_SECONDS = 1;
+// Margen (s) de silencio que se conserva a cada lado de la voz, para no cortar el principio o el final de las palabras.
+const SILENCE_PADDING_SECONDS = 0.25;
+// Normalización de sonoridad EBU R128 (una pasada): sonoridad integrada, pico real y rango de sonoridad.
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+// Frecuencia de muestreo con la que se conserva el audio normalizado si no se remuestrea
+// (loudnorm trabaja internamente a 192 kHz).
+const DEFAULT_OUTPUT_SAMPLE_RATE = 48000;
+
+/**
+ * Valida las opciones de preprocesamiento recibidas en el cuerpo de la solicitud.
+ * Todas son opcionales; sin ninguna, el audio llega al motor de transcripción tal como se subió.
+ *
+ * @param {object} body - Campos recibidos (`req.body`).
+ * @param {string} [body.trimStart] - Inicio (s) del fragmento a transcribir.
+ * @param {string} [body.trimEnd] - Fin (s) del fragmento a transcribir.
+ * @param {string} [body.removeSilence] - Si se eliminan los silencios largos (detección de actividad de voz).
+ * @param {string} [body.normalize] - Si se normaliza la sonoridad.
+ * @param {string} [body.resample] - Si se convierte a mono y 16 kHz antes de transcribir.
+ * @returns {{options?: object, error?: object}} Opciones validadas o un mensaje de error (ver `errorMessage`).
+ */
+function parsePreprocessOptions(body = {}) {
+    const options = { trimStart: null, trimEnd: null, removeSilence: false, normalize: false, resample: false };
+
+    for (const field of ['trimStart', 'trimEnd']) {
+        if (isMissing(body[field])) continue;
+        const seconds = Number(body[field]);
+        if (!Number.isFinite(seconds) || seconds < 0) {
+            return { error: errorMessage('preprocess.trimField', { field }) };
+        }
+        options[field] = seconds;
+    }
+    if (options.trimStart === 0) options.trimStart = null;
+    if (options.trimEnd !== null && options.trimEnd <= (options.trimStart || 0)) {
+        return { error: errorMessage('preprocess.trimOrder') };
+    }
+
+    for (const field of ['removeSilence', 'normalize', 'resample']) {
+        if (!isMissing(body[field])) options[field] = parseBoolean(body[field]);
+    }
+    return { options };
+}
+
+/**
+ * Indica si alguna opción de preprocesamiento está activa.
+ * @param {object|null} options - Opciones devueltas por `parsePreprocessOptions`.
+ * @returns {boolean}
+ */
+function needsPreprocessing(options) {
+    return Boolean(options && (options.trimStart !== null || options.trimEnd !== null
+        || options.removeSilence || options.normalize || options.resample));
+}
+
+/**
+ * Obtiene con FFprobe la duración y el formato de un archivo de audio.
+ * @param {string} filePath - Archivo a analizar.
+ * @returns {Promise<{duration: number|null, format: string, formatName: string, codec: string|null,
+ *          sampleRate: number|null, channels: number|null, bitRate: number|null}>}
+ *          Se rechaza si FFprobe no está disponible o el archivo no contiene audio.
+ */
+async function probeAudio(filePath) {
+    const { stdout } = await runProcess(ffprobeExecutable, [
+        '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', '-select_streams', 'a:0', filePath,
+    ], { failureCode: 'DECODE_FAILED' }).promise;
+    const { format = {}, streams = [] } = JSON.parse(stdout || '{}');
+    const stream = streams[0];
+    if (!stream) {
+        throw createError(errorMessage('preprocess.noAudioTrack'), undefined, 'UNSUPPORTED_FORMAT');
+    }
+    const toNumber = (value) => (Number.isFinite(Number(value)) && value !== undefined ? Number(value) : null);
+    const duration = toNumber(format.duration) ?? toNumber(stream.duration);
+    return {
+        duration: duration !== null ? Math.round(duration * 1000) / 1000 : null,
+        format: String(format.format_name || '').split(',')[0],
+        formatName: format.format_long_name || null,
+        codec: stream.codec_name || null,
+        sampleRate: toNumber(stream.sample_rate),
+        channels: toNumber(stream.channels),
+        bitRate: toNumber(format.bit_rate),
+    };
+}
+
+/**
+ * Argumentos de FFmpeg que limitan la entrada al fragmento a transcribir.
+ * @param {object} options - Opciones de preprocesamiento.
+ * @returns {string[]}
+ */
+function trimArgs(options) {
+    const args = [];
+    if (options.trimStart) args.push('-ss', String(options.trimStart));
+    if (options.trimEnd !== null) args.push('-to', String(options.trimEnd));
+    return args;
+}
+
+/**
+ * Interpreta la salida del filtro `silencedetect` de FFmpeg.
+ * @param {string[]} lines - Líneas de la salida de error de FFmpeg.
+ * @returns {Array<{start: number, end: number|null}>} Silencios detectados (`end` es null si llega al final del audio).
+ */
+function parseSilences(lines) {
+    const silences = [];
+    for (const line of lines) {
+        const start = /silence_start: (-?[\d.]+)/.exec(line);
+        if (start) silences.push({ start: Math.max(0, Number(start[1])), end: null });
+        const end = /silence_end: ([\d.]+)/.exec(line);
+        if (end && silences.length > 0) silences[silences.length - 1].end = Number(end[1]);
+    }
+    return silences;
+}
+
+/**
+ * Calcula los intervalos de voz que se conservan a partir de los silencios detectados.
+ * Los silencios se recortan `padding` segundos por cada lado, para no cortar el principio o el final de la voz.
+ * @param {Array<{start: number, end: number|null}>} silences - Silencios detectados.
+ * @param {number} duration - Duración (s) del audio analizado (Infinity si se desconoce).
+ * @param {number} [padding=SILENCE_PADDING_SECONDS] - Margen de silencio que se conserva.
+ * @returns {Array<{start: number, end: number}>} Intervalos conservados, en orden.
+ */
+function keptIntervals(silences, duration, padding = SILENCE_PADDING_SECONDS) {
+    const intervals = [];
+    let cursor = 0;
+    for (const silence of silences) {
+        const removeFrom = silence.start <= 0 ? 0 : silence.start + padding;
+        const removeTo = silence.end === null ? duration : silence.end - padding;
+        if (removeTo <= removeFrom) continue;
+        if (removeFrom > cursor) intervals.push({ start: cursor, end: removeFrom });
+        cursor = removeTo;
+    }
+    if (cursor < duration) intervals.push({ start: cursor, end: duration });
+    return intervals;
+}
+
+/**
+ * Crea la función que traduce un instante del audio preprocesado al instante correspondiente del audio original,
+ * teniendo en cuenta el recorte inicial y los silencios eliminados.
+ * @param {Array<{start: number, end: number}>} intervals - Intervalos conservados (relativos al fragmento recortado).
+ * @param {number} offset - Inicio (s) del fragmento dentro del audio original.
+ * @returns {function(number): number}
+ */
+function createTimeMap(intervals, offset) {
+    return (time) => {
+        let elapsed = 0;
+        for (const interval of intervals) {
+            const length = interval.end - interval.start;
+            if (time <= elapsed + length) return offset + interval.start + (time - elapsed);
+            elapsed += length;
+        }
+        const last = intervals[intervals.length - 1];
+        return offset + (last ? last.end : 0) + (time - elapsed);
+    };
+}
+
+/**
+ * Traduce los tiempos de un resultado de transcripción al audio original.
+ * @param {object} result - Resultado del motor sobre el audio preprocesado.
+ * @param {function(number): number} mapTime - Función creada por `createTimeMap`.
+ * @param {number|null} inputDuration - Duración del audio original, si se conoce.
+ * @returns {object} El resultado con tiempos del audio original.
+ */
+function remapResult(result, mapTime, inputDuration) {
+    const round = (seconds) => Math.round(mapTime(seconds) * 1000) / 1000;
+    const segments = result.segments.map(segment => ({
+        ...segment,
+        start: round(segment.start),
+        end: round(segment.end),
+        ...(segment.words ? { words: segment.words.map(word => ({ ...word, start: round(word.start), end: round(word.end) })) } : {}),
+    }));
+    return { ...result, segments, duration: inputDuration ?? (segments.length ? segments[segments.length - 1].end : result.duration) };
+}
+
+/**
+ * Detecta los silencios del audio (o del fragmento a transcribir) con el filtro `silencedetect` de FFmpeg.
+ * @param {string} inputPath - Audio original.
+ * @param {object} options - Opciones de preprocesamiento (para el recorte).
+ * @returns {{promise: Promise<Array<{start: number, end: number|null}>>, cancel: function(): void}}
+ */
+function detectSilences(inputPath, options) {
+    const lines = [];
+    const controller = runProcess(ffmpegExecutable, [
+        '-nostdin', '-hide_banner', '-nostats', ...trimArgs(options), '-i', inputPath,
+        '-af', `silencedetect=noise=${SILENCE_THRESHOLD_DB}dB:d=${MIN_SILENCE_SECONDS}`, '-f', 'null', '-',
+    ], { onStderrLine: line => lines.push(line), failureCode: 'DECODE_FAILED' });
+    return { promise: controller.promise.then(() => parseSilences(lines)), cancel: controller.cancel };
+}
+
+/**
+ * Genera el audio preprocesado (WAV PCM de 16 bits) aplicando el recorte, la eliminación de silencios,
+ * la normalización y el remuestreo indicados.
+ * @param {string} inputPath - Audio original.
+ * @param {string} outputPath - WAV a generar.
+ * @param {object} options - Opciones de preprocesamiento.
+ * @param {Array<{start: number, end: number}>|null} intervals - Intervalos a conservar (null: todo el audio).
+ * @param {object|null} input - Datos de FFprobe del audio original (frecuencia de muestreo).
+ * @returns {{promise: Promise<object>, cancel: function(): void}}
+ */
+function renderAudio(inputPath, outputPath, options, intervals, input) {
+    const filters = [];
+    if (intervals) {
+        // Las comas dentro de una expresión deben escaparse en la sintaxis de filtros de FFmpeg.
+        const ranges = intervals.map(({ start, end }) => (
+            Number.isFinite(end) ? `between(t\\,${start.toFixed(3)}\\,${end.toFixed(3)})` : `gte(t\\,${start.toFixed(3)})`
+        ));
+        filters.push(`aselect=${ranges.join('+')}`, 'asetpts=N/SR/TB');
+    }
+    if (options.normalize) {
+        filters.push(LOUDNORM_FILTER);
+        if (!options.resample) filters.push(`aresample=${input?.sampleRate || DEFAULT_OUTPUT_SAMPLE_RATE}`);
+    }
+
+    const args = ['-nostdin', '-hide_banner', '-loglevel', 'error', '-y', ...trimArgs(options), '-i', inputPath, '-vn'];
+    if (filters.length > 0) args.push('-af', filters.join(','));
+    if (options.resample) args.push('-ac', '1', '-ar', String(SAMPLE_RATE));
+    args.push('-c:a', 'pcm_s16le', outputPath);
+    return runProcess(ffmpegExecutable, args, { failureCode: 'DECODE_FAILED' });
+}
+
+/**
+ * Ejecuta una transcripción con el motor, preprocesando antes el audio con FFmpeg si se pidió.
+ * Los tiempos del resultado (y de los segmentos que se van emitiendo) se refieren siempre al audio original,
+ * de modo que coinciden con el audio que se reproduce en el editor aunque se haya recortado o eliminado silencio.
+ *
+ * @param {object} engine - Motor de transcripción (ver `lib/engines`).
+ * @param {object} request - Solicitud creada por `toWorkerRequest` sobre el audio original.
+ * @param {object} options
+ * @param {object|null} options.preprocess - Opciones devueltas por `parsePreprocessOptions`.
+ * @param {object|null} [options.input] - Datos de FFprobe del audio original.
+ * @param {function(object): void} [options.onEvent] - Receptor de los eventos del motor.
+ * @returns {{promise: Promise<object>, cancel: function(): void}}
+ */
+function runWithPreprocessing(engine, request, { preprocess, input = null, onEvent }) {
+    if (!needsPreprocessing(preprocess)) {
+        return engine.run(request, { onEvent });
+    }
+
+    const context = createRunContext();
+    const promise = (async () => {
+        const workDir = await createWorkDir();
+        try {
+            const offset = preprocess.trimStart || 0;
+            const end = preprocess.trimEnd ?? input?.duration ?? Infinity;
+            let intervals = null;
+            if (preprocess.removeSilence) {
+                const silences = await runStep(context, () => detectSilences(request.audio_file, preprocess));
+                intervals = keptIntervals(silences, end - offset);
+                if (intervals.length === 0) {
+                    throw createError(errorMessage('preprocess.onlySilence'), undefined, 'NO_SPEECH');
+                }
+            }
+            const outputPath = path.join(workDir, 'preprocesado.wav');
+            await runStep(context, () => renderAudio(request.audio_file, outputPath, preprocess, intervals, input));
+
+            const mapTime = createTimeMap(intervals || [{ start: 0, end: Infinity }], offset);
+            const forward = onEvent && ((event) => onEvent(event.event === 'segment'
+                ? { ...event, start: Math.round(mapTime(event.start) * 1000) / 1000, end: Math.round(mapTime(event.end) * 1000) / 1000 }
+                : event));
+            const result = await runStep(context, () => engine.run({ ...request, audio_file: outputPath }, { onEvent: forward }));
+            const removedSeconds = intervals
+                ? Math.max(0, (end - offset) - intervals.reduce((total, interval) => total + interval.end - interval.start, 0))
+                : 0;
+            return {
+                ...remapResult(result, mapTime, input?.duration ?? null),
+                preprocessing: { ...preprocess, removedSeconds: Number.isFinite(removedSeconds) ? Math.round(removedSeconds * 10) / 10 : null },
+            };
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    })();
+
+    return { promise, cancel: () => cancelRun(context) };
+}
+
+module.exports = {
+    parsePreprocessOptions,
+    needsPreprocessing,
+    probeAudio,
+    parseSilences,
+    keptIntervals,
+    createTimeMap,
+    remapResult,
+    runWithPreprocessing,
+};
@@ -0,0 +1,400 @@
+// backend/lib/pythonWorker.js
+
+// --- Importaciones de Módulos ---
+const { spawn } = require('child_process');     // Módulo para crear procesos hijos (ejecutar Python).
+const { EventEmitter } = require('events');    // Emisor de eventos para notificar cambios de estado del worker.
+const { randomUUID } = require('crypto');      // Identificadores de las solicitudes enviadas al worker.
+const readline = require('readline');           // Lectura línea a línea del protocolo JSON en stdout.
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const fs = require('fs');                       // Módulo para interactuar con el sistema de archivos.
+const { createError, errorMessage } = require('./errors'); // Errores con código de la API y detalles para depuración.
+const { logger } = require('./logger');         // Registro estructurado del servidor.
+const { pythonProcessFailures } = require('./metrics'); // Métrica de los fallos de los procesos Python.
+
+// --- Configuración del Entorno Python ---
+// Define la ruta al ejecutable de Python dentro del entorno virtual 'pyenv'.
+// NOTA: Podría ser necesario cambiar a 'python3' si el ejecutable se llama así en el venv.
+const pythonExecutable = path.join(__dirname, '..', 'pyenv', 'bin', 'python');
+// Define la ruta al script Python del worker persistente.
+const workerScriptPath = path.join(__dirname, '..', 'worker.py');
+
+// Espera máxima (ms) entre reintentos de arranque tras fallos consecutivos.
+const MAX_RESTART_DELAY_MS = 30000;
+// Cantidad máxima de salida de error (caracteres) que se conserva para diagnosticar caídas.
+const STDERR_TAIL_LENGTH = 4000;
+// Espera (ms) tras SIGTERM antes de forzar con SIGKILL el fin de un proceso que no responde.
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Termina un proceso hijo: primero con SIGTERM y, si sigue vivo pasado `graceMs`, con SIGKILL (ej. un proceso
+ * bloqueado en código nativo que no atiende la señal). No hace nada si el proceso ya terminó.
+ * @param {import('child_process').ChildProcess|null} child - Proceso a terminar.
+ * @param {number} [graceMs=KILL_GRACE_MS] - Espera antes de forzar el fin.
+ */
+function terminateProcess(child, graceMs = KILL_GRACE_MS) {
+    if (!child || child.exitCode !== null || child.signalCode !== null) return;
+    child.kill('SIGTERM');
+    const killTimer = setTimeout(() => {
+        if (child.exitCode !== null || child.signalCode !== null) return;
+        logger.warn('El proceso no terminó tras SIGTERM: forzando su fin (SIGKILL)', { pid: child.pid });
+        child.kill('SIGKILL');
+    }, graceMs);
+    killTimer.unref();
+    child.once('exit', () => clearTimeout(killTimer));
+}
+
+/**
+ * Estados posibles de un worker.
+ * - `starting`: Proceso lanzado, esperando el mensaje `ready` (importar Whisper tarda unos segundos).
+ * - `idle`: Listo para atender una transcripción.
+ * - `busy`: Transcribiendo.
+ * - `restarting`: El proceso terminó; se relanzará tras una espera.
+ * - `unavailable`: No existe el ejecutable de Python; se reintenta periódicamente.
+ * - `stopped`: Detenido a petición del servidor.
+ */
+const WORKER_STATE = Object.freeze({
+    STARTING: 'starting',
+    IDLE: 'idle',
+    BUSY: 'busy',
+    RESTARTING: 'restarting',
+    UNAVAILABLE: 'unavailable',
+    STOPPED: 'stopped',
+});
+
+/**
+ * Proceso Python persistente (worker.py) que mantiene los modelos de Whisper cargados entre solicitudes.
+ *
+ * La comunicación usa un protocolo de JSON delimitado por líneas: las solicitudes se escriben en stdin
+ * y las respuestas, eventos de progreso y comprobaciones de salud se leen de stdout. Si el proceso
+ * termina inesperadamente, las solicitudes pendientes fallan y el worker se relanza con una espera
+ * creciente. Periódicamente se comprueba su salud con un `ping` mientras está inactivo.
+ *
+ * Eventos emitidos:
+ * - `state` (state): Cada vez que cambia el estado del worker.
+ * - `idle`: Cuando el worker queda libre para una nueva transcripción.
+ */
+class PythonWorker extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.id=1] - Número del worker (para los registros).
+     * @param {number} [options.healthCheckIntervalMs=30000] - Intervalo entre comprobaciones de salud.
+     * @param {number} [options.healthCheckTimeoutMs=10000] - Espera máxima de la respuesta a un `ping`.
+     */
+    constructor({ id = 1, healthCheckIntervalMs = 30000, healthCheckTimeoutMs = 10000 } = {}) {
+        super();
+        this.id = id;
+        this.healthCheckIntervalMs = healthCheckIntervalMs;
+        this.healthCheckTimeoutMs = healthCheckTimeoutMs;
+        this.state = WORKER_STATE.STOPPED;
+        this.process = null;
+        this.pending = new Map();      // Solicitudes en curso, indexadas por ID: `{ resolve, reject, onEvent, timer }`.
+        this.loadedModels = [];        // Modelos cargados en memoria según el último mensaje del worker.
+        this.restarts = 0;             // Número total de relanzamientos.
+        this.consecutiveFailures = 0;  // Caídas seguidas sin llegar a estar listo (para la espera creciente).
+        this.startedAt = null;
+        this.lastHealthCheck = null;   // `{ at, ok, latencyMs, error }` de la última comprobación.
+        this.stderrTail = '';
+        this.expectedExit = false;     // true si el proceso se terminó a propósito (ej. cancelación).
+        this.restartTimer = null;
+        this.healthTimer = null;
+        this.log = logger.child({ worker: id });
+    }
+
+    /**
+     * Lanza el proceso del worker y activa las comprobaciones de salud periódicas.
+     */
+    start() {
+        if (this.process) return;
+        this._spawn();
+        this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckIntervalMs);
+        this.healthTimer.unref(); // No impide que Node termine si es lo único pendiente.
+    }
+
+    /**
+     * Detiene el worker definitivamente (sin relanzarlo). Las solicitudes pendientes fallan.
+     */
+    stop() {
+        this._setState(WORKER_STATE.STOPPED);
+        clearTimeout(this.restartTimer);
+        clearInterval(this.healthTimer);
+        terminateProcess(this.process);
+    }
+
+    /**
+     * Reserva el worker si está libre, marcándolo como ocupado antes de enviarle trabajo.
+     * @returns {boolean} true si se reservó; false si no estaba libre.
+     */
+    reserve() {
+        if (this.state !== WORKER_STATE.IDLE) return false;
+        this._setState(WORKER_STATE.BUSY);
+        return true;
+    }
+
+    /**
+     * Indica si el worker está arrancando o relanzándose sin fallos seguidos (ej. tras cancelar una transcripción,
+     * o por primera vez): volverá a estar libre en cuanto el proceso esté listo.
+     * @returns {boolean}
+     */
+    get recovering() {
+        return [WORKER_STATE.STARTING, WORKER_STATE.RESTARTING].includes(this.state) && this.consecutiveFailures === 0;
+    }
+
+    /**
+     * Libera un worker reservado al que finalmente no se envió trabajo.
+     */
+    release() {
+        if (this.state === WORKER_STATE.BUSY && this.pending.size === 0) {
+            this._setState(WORKER_STATE.IDLE);
+        }
+    }
+
+    /**
+     * Solicita una transcripción al worker. Solo debe llamarse con el worker reservado (ver `reserve`).
+     *
+     * @param {object} request - Solicitud del protocolo (`audio_file`, `language`, `model`, `decode_options`).
+     * @param {object} [hooks]
+     * @param {function(object): void} [hooks.onEvent] - Recibe los eventos de progreso (`{ event, ... }`).
+     * @returns {{promise: Promise<object>, cancel: function(): void}}
+     *          La promesa se resuelve con el resultado de la transcripción o se rechaza con un Error.
+     *          `cancel()` termina el proceso (que se relanza de inmediato, perdiendo los modelos cargados).
+     */
+    transcribe(request, { onEvent } = {}) {
+        this._setState(WORKER_STATE.BUSY);
+        const promise = this._send({ ...request, type: 'transcribe', progress: Boolean(onEvent) }, { onEvent });
+        const cancel = () => {
+            if (this.state !== WORKER_STATE.BUSY || !this.process) return;
+            // Whisper no puede interrumpirse a mitad de una transcripción: se termina el proceso.
+            this.log.info('Cancelando transcripción: terminando el proceso', { pid: this.process.pid });
+            this.expectedExit = true;
+            terminateProcess(this.process);
+        };
+        return { promise, cancel };
+    }
+
+    /**
+     * Comprobación de salud: envía un `ping` si el worker está inactivo y registra el resultado.
+     * Si no responde a tiempo, se termina el proceso para relanzarlo.
+     * @returns {Promise<object|null>} El resultado registrado, o null si el worker no estaba inactivo.
+     */
+    async checkHealth() {
+        if (this.state !== WORKER_STATE.IDLE) return null;
+        const startedAt = Date.now();
+        try {
+            const pong = await this._send({ type: 'ping' }, { timeoutMs: this.healthCheckTimeoutMs });
+            this.loadedModels = pong.models || this.loadedModels;
+            this.lastHealthCheck = { at: new Date().toISOString(), ok: true, latencyMs: Date.now() - startedAt };
+        } catch (pingError) {
+            this.lastHealthCheck = { at: new Date().toISOString(), ok: false, error: pingError.message };
+            this.log.error('Falló la comprobación de salud: reiniciando', { err: pingError });
+            pythonProcessFailures.inc({ reason: 'health_check' });
+            if (this.process) this.process.kill('SIGKILL');
+        }
+        return this.lastHealthCheck;
+    }
+
+    /**
+     * Devuelve un resumen del estado del worker para `GET /api/status`.
+     * @returns {object}
+     */
+    describe() {
+        return {
+            id: this.id,
+            pid: this.process ? this.process.pid : null,
+            state: this.state,
+            loadedModels: this.loadedModels,
+            restarts: this.restarts,
+            startedAt: this.startedAt,
+            lastHealthCheck: this.lastHealthCheck,
+        };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Actualiza el estado del worker y lo notifica.
+     * @param {string} state - Nuevo estado.
+     * @private
+     */
+    _setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.emit('state', state);
+        if (state === WORKER_STATE.IDLE) this.emit('idle');
+    }
+
+    /**
+     * Lanza el proceso Python y conecta los manejadores del protocolo.
+     * @private
+     */
+    _spawn() {
+        // Validación: Comprueba si el ejecutable de Python especificado realmente existe.
+        if (!fs.existsSync(pythonExecutable)) {
+            // Solo se registra la primera vez: se reintenta periódicamente hasta que se instale el entorno.
+            if (this.state !== WORKER_STATE.UNAVAILABLE) {
+                this.log.error('Ejecutable de Python no encontrado: compruebe que el entorno virtual ("pyenv") existe en el directorio backend', { executable: pythonExecutable });
+                pythonProcessFailures.inc({ reason: 'env_missing' });
+            }
+            this._setState(WORKER_STATE.UNAVAILABLE);
+            return this._scheduleRestart();
+        }
+
+        this.log.info('Iniciando el worker de Python', { executable: pythonExecutable, script: workerScriptPath });
+        this._setState(WORKER_STATE.STARTING);
+        this.stderrTail = '';
+        this.expectedExit = false;
+        // `-u` desactiva el búfer de salida de Python para que los mensajes lleguen de inmediato.
+        const child = spawn(pythonExecutable, ['-u', workerScriptPath], { cwd: path.dirname(workerScriptPath) });
+        this.process = child;
+        this.startedAt = new Date().toISOString();
+
+        // Cada línea de stdout es un mensaje JSON del protocolo.
+        readline.createInterface({ input: child.stdout }).on('line', line => this._handleMessage(line));
+
+        // stderr contiene registros de Whisper y trazas de error: se muestran y se conserva el final.
+        child.stderr.on('data', (data) => {
+            const text = data.toString();
+            this.stderrTail = (this.stderrTail + text).slice(-STDERR_TAIL_LENGTH);
+            text.split('\n').filter(Boolean).forEach(line => this.log.info(line, { stream: 'stderr' }));
+        });
+
+        // Escribir en stdin de un proceso que acaba de terminar produce EPIPE; se registra sin detener el servidor.
+        child.stdin.on('error', (stdinError) => {
+            this.log.error('Error al escribir en el worker', { err: stdinError });
+        });
+
+        // Evento 'error': Se dispara si ocurre un error al intentar *iniciar* el proceso hijo.
+        child.on('error', (spawnError) => {
+            this.log.error('No se pudo iniciar el proceso Python', { err: spawnError });
+            pythonProcessFailures.inc({ reason: 'spawn_error' });
+        });
+
+        // Evento 'close': el proceso terminó (caída, cancelación o parada del servidor).
+        child.on('close', (code, signal) => this._handleExit(code, signal));
+    }
+
+    /**
+     * Procesa un mensaje recibido del worker.
+     * @param {string} line - Línea JSON recibida por stdout.
+     * @private
+     */
+    _handleMessage(line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (parseError) {
+            this.log.error('Mensaje no válido recibido de Python', { line });
+            return;
+        }
+
+        if (message.type === 'ready') {
+            this.log.info('Worker listo', { pid: message.pid });
+            this.consecutiveFailures = 0;
+            this.loadedModels = message.models || [];
+            return this._setState(WORKER_STATE.IDLE);
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        if (message.models) this.loadedModels = message.models;
+
+        if (message.type === 'event') {
+            const { id, type, ...event } = message;
+            if (request.onEvent) request.onEvent(event);
+            return;
+        }
+
+        // Cualquier otro mensaje es la respuesta final de la solicitud.
+        this.pending.delete(message.id);
+        clearTimeout(request.timer);
+        if (message.type === 'error') {
+            // worker.py clasifica sus errores (ej. UNSUPPORTED_FORMAT, MODEL_LOAD_FAILED) y adjunta los detalles técnicos.
+            request.reject(createError(message.error || errorMessage('engine.workerUnknownError'), message.details, message.code || 'ENGINE_ERROR'));
+        } else {
+            request.resolve(message.type === 'result' ? message.result : message);
+        }
+        // Una transcripción finalizada deja el worker libre para la siguiente.
+        if (this.state === WORKER_STATE.BUSY && message.type !== 'pong') {
+            this._setState(WORKER_STATE.IDLE);
+        }
+    }
+
+    /**
+     * Gestiona el fin del proceso: falla las solicitudes pendientes y programa el relanzamiento.
+     * @param {number|null} code - Código de salida.
+     * @param {string|null} signal - Señal que terminó el proceso, si la hubo.
+     * @private
+     */
+    _handleExit(code, signal) {
+        const expected = this.expectedExit || this.state === WORKER_STATE.STOPPED;
+        const reachedReady = this.state !== WORKER_STATE.STARTING;
+        if (expected) {
+            this.log.info('Proceso finalizado', { code, signal });
+        } else {
+            this.log.error('El proceso terminó inesperadamente', { code, signal, stderr: this.stderrTail || undefined });
+            pythonProcessFailures.inc({ reason: 'crash' });
+        }
+        this.process = null;
+        this.loadedModels = [];
+
+        // Las solicitudes en curso no recibirán respuesta.
+        const exitError = expected
+            ? createError(errorMessage('engine.processInterrupted', { reason: signal || code }), undefined, 'ENGINE_UNAVAILABLE')
+            : createError(errorMessage('engine.workerExited'), this.stderrTail || 'Sin salida de error estándar.', 'ENGINE_ERROR');
+        this.pending.forEach((request) => {
+            clearTimeout(request.timer);
+            request.reject(exitError);
+        });
+        this.pending.clear();
+
+        if (this.state === WORKER_STATE.STOPPED) return;
+        if (!expected && !reachedReady) this.consecutiveFailures++;
+        this._setState(WORKER_STATE.RESTARTING);
+        this._scheduleRestart(expected ? 0 : undefined);
+    }
+
+    /**
+     * Programa el relanzamiento del proceso con una espera que crece con los fallos consecutivos.
+     * @param {number} [delayMs] - Espera explícita (ej. 0 tras una cancelación).
+     * @private
+     */
+    _scheduleRestart(delayMs) {
+        if (this.state === WORKER_STATE.STOPPED) return;
+        const delay = delayMs ?? Math.min(MAX_RESTART_DELAY_MS, 1000 * 2 ** this.consecutiveFailures);
+        if (this.state === WORKER_STATE.UNAVAILABLE) this.consecutiveFailures++;
+        clearTimeout(this.restartTimer);
+        this.restartTimer = setTimeout(() => {
+            this.restarts++;
+            this._spawn();
+        }, delay);
+        this.restartTimer.unref();
+    }
+
+    /**
+     * Envía una solicitud al worker y espera su respuesta final.
+     * @param {object} message - Mensaje del protocolo (sin ID; se asigna aquí).
+     * @param {object} [options]
+     * @param {function(object): void} [options.onEvent] - Receptor de eventos intermedios.
+     * @param {number} [options.timeoutMs] - Espera máxima de la respuesta.
+     * @returns {Promise<object>}
+     * @private
+     */
+    _send(message, { onEvent, timeoutMs } = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.process) {
+                return reject(createError(errorMessage('engine.workerNotRunning'), undefined, 'ENGINE_UNAVAILABLE'));
+            }
+            const id = randomUUID();
+            const request = { resolve, reject, onEvent, timer: null };
+            if (timeoutMs) {
+                request.timer = setTimeout(() => {
+                    this.pending.delete(id);
+                    reject(createError(errorMessage('engine.workerTimeout', { ms: timeoutMs }), undefined, 'TIMEOUT'));
+                }, timeoutMs);
+            }
+            this.pending.set(id, request);
+            this.process.stdin.write(JSON.stringify({ ...message, id }) + '\n');
+        });
+    }
+}
+
+module.exports = { PythonWorker, WORKER_STATE, terminateProcess };
@@ -0,0 +1,284 @@
+// backend/lib/resultCache.js
+
+// --- Importaciones de Módulos ---
+const fs = require('fs');                       // Módulo para leer y escribir los resultados guardados.
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const { createHash } = require('crypto');       // Hash del contenido de los audios y de las claves de la caché.
+const { logger } = require('./logger');         // Registro estructurado del servidor.
+
+// Las claves de la caché son hashes SHA-256 en hexadecimal (también sirven como nombre de archivo).
+const CACHE_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Calcula el hash SHA-256 del contenido de un archivo, leyéndolo por partes (los audios pueden ocupar cientos de MB).
+ * @param {string} filePath - Archivo a analizar.
+ * @returns {Promise<string>} Hash en hexadecimal.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Serializa un valor en JSON con las claves de los objetos ordenadas, para que dos opciones iguales
+ * produzcan siempre la misma clave de caché.
+ * @param {*} value - Valor a serializar.
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Caché persistente de resultados de transcripción, indexada por el contenido del audio y las opciones.
+ *
+ * Cada resultado se guarda en `<dir>/<clave>.json`; el índice (`<dir>/index.json`) conserva, por clave, el tamaño,
+ * la fecha de creación, el último acierto, el número de aciertos y una descripción (archivo, modelo, idioma).
+ * La caché se limita por tamaño total (se descartan primero los resultados usados hace más tiempo) y por
+ * antigüedad (los resultados más antiguos que `maxAgeMs` se descartan aunque se sigan usando, para que las
+ * mejoras de los modelos o del motor acaben reflejándose).
+ */
+class ResultCache {
+    /**
+     * @param {string} dir - Directorio de la caché.
+     * @param {object} [options]
+     * @param {number} [options.maxBytes=200 MB] - Tamaño máximo de los resultados guardados (0 deshabilita la caché).
+     * @param {number} [options.maxAgeMs=30 días] - Antigüedad máxima de un resultado.
+     */
+    constructor(dir, { maxBytes = 200 * 1024 * 1024, maxAgeMs = 30 * 24 * 60 * 60 * 1000 } = {}) {
+        this.dir = dir;
+        this.indexPath = path.join(dir, 'index.json');
+        this.maxBytes = maxBytes;
+        this.maxAgeMs = maxAgeMs;
+        this.entries = new Map(); // Clave → `{ key, size, createdAt, lastHitAt, hits, description }`.
+        this.stats = { hits: 0, misses: 0 }; // Desde el arranque del servidor.
+        this._load();
+    }
+
+    /**
+     * Indica si la caché está habilitada.
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this.maxBytes > 0;
+    }
+
+    /**
+     * Calcula la clave de caché de una transcripción: el mismo audio con el mismo motor y las mismas opciones
+     * de transcripción y de preprocesamiento produce la misma clave.
+     * @param {object} parts
+     * @param {string} parts.audioHash - Hash del contenido del audio (`hashFile`).
+     * @param {string} parts.engine - Motor de transcripción.
+     * @param {object} parts.options - Opciones validadas por `parseTranscriptionOptions` (modelo, idioma, decodificación...).
+     * @param {object|null} [parts.preprocess] - Opciones de preprocesamiento.
+     * @returns {string} Clave (hash SHA-256 en hexadecimal).
+     */
+    static keyFor({ audioHash, engine, options, preprocess = null }) {
+        return createHash('sha256').update(stableStringify({ audioHash, engine, options, preprocess })).digest('hex');
+    }
+
+    /**
+     * Busca un resultado en la caché y registra el acierto o el fallo.
+     * @param {string} key - Clave de caché.
+     * @returns {object|null} El resultado guardado, o null si no está (o ha caducado).
+     */
+    get(key) {
+        const entry = this.enabled ? this.entries.get(key) : null;
+        if (entry && this._isExpired(entry)) {
+            this._delete(key);
+            this._saveIndex();
+        } else if (entry) {
+            try {
+                const { result } = JSON.parse(fs.readFileSync(this._resultPath(key), 'utf8'));
+                entry.hits += 1;
+                entry.lastHitAt = new Date().toISOString();
+                this.stats.hits += 1;
+                this._saveIndex();
+                return result;
+            } catch (readError) {
+                // Un resultado ilegible o borrado a mano se trata como un fallo y se retira del índice.
+                logger.error('No se pudo leer el resultado en caché', { cacheKey: key, err: readError });
+                this._delete(key);
+                this._saveIndex();
+            }
+        }
+        this.stats.misses += 1;
+        return null;
+    }
+
+    /**
+     * Guarda un resultado en la caché y descarta los resultados caducados o que excedan el tamaño máximo.
+     * @param {string} key - Clave de caché.
+     * @param {object} result - Resultado de la transcripción.
+     * @param {object} [description] - Datos informativos para el listado (ej. `{ fileName, model, language }`).
+     */
+    set(key, result, description = {}) {
+        if (!this.enabled) return;
+        const content = JSON.stringify({ key, result });
+        const size = Buffer.byteLength(content);
+        if (size > this.maxBytes) return; // Un resultado mayor que toda la caché no se guarda.
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        const tempPath = `${this._resultPath(key)}.tmp`;
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, this._resultPath(key));
+        const now = new Date().toISOString();
+        this.entries.set(key, { key, size, createdAt: now, lastHitAt: null, hits: 0, description });
+        this._evict();
+        this._saveIndex();
+    }
+
+    /**
+     * Lista los resultados guardados (del usado más recientemente al que menos) y las estadísticas de la caché.
+     * @returns {{enabled: boolean, entries: object[], count: number, totalBytes: number, maxBytes: number,
+     *            maxAgeMs: number, hits: number, misses: number}}
+     */
+    describe() {
+        this._evict();
+        const entries = Array.from(this.entries.values())
+            .sort((a, b) => this._lastUsed(b) - this._lastUsed(a));
+        return {
+            enabled: this.enabled,
+            entries,
+            count: entries.length,
+            totalBytes: this._totalBytes(),
+            maxBytes: this.maxBytes,
+            maxAgeMs: this.maxAgeMs,
+            ...this.stats,
+        };
+    }
+
+    /**
+     * Elimina un resultado de la caché.
+     * @param {string} key - Clave de caché.
+     * @returns {boolean} true si existía.
+     */
+    remove(key) {
+        if (!this.entries.has(key)) return false;
+        this._delete(key);
+        this._saveIndex();
+        return true;
+    }
+
+    /**
+     * Vacía la caché.
+     * @returns {number} Número de resultados eliminados.
+     */
+    clear() {
+        const count = this.entries.size;
+        Array.from(this.entries.keys()).forEach(key => this._delete(key));
+        this._saveIndex();
+        return count;
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Ruta del archivo de un resultado.
+     * @param {string} key - Clave de caché (validada: solo hexadecimal, para que no pueda salir del directorio).
+     * @returns {string}
+     * @private
+     */
+    _resultPath(key) {
+        if (!CACHE_KEY_PATTERN.test(key)) throw new Error(`Clave de caché no válida: ${key}`);
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * Último uso de un resultado (último acierto o, si no ha tenido ninguno, su creación), en ms.
+     * @param {object} entry - Entrada del índice.
+     * @returns {number}
+     * @private
+     */
+    _lastUsed(entry) {
+        return Date.parse(entry.lastHitAt || entry.createdAt);
+    }
+
+    /**
+     * @param {object} entry - Entrada del índice.
+     * @returns {boolean} Si el resultado supera la antigüedad máxima.
+     * @private
+     */
+    _isExpired(entry) {
+        return Date.now() - Date.parse(entry.createdAt) > this.maxAgeMs;
+    }
+
+    /**
+     * @returns {number} Tamaño total de los resultados guardados.
+     * @private
+     */
+    _totalBytes() {
+        let total = 0;
+        this.entries.forEach((entry) => { total += entry.size; });
+        return total;
+    }
+
+    /**
+     * Descarta los resultados caducados y, si se supera el tamaño máximo, los usados hace más tiempo.
+     * @private
+     */
+    _evict() {
+        this.entries.forEach((entry, key) => {
+            if (this._isExpired(entry)) this._delete(key);
+        });
+        let total = this._totalBytes();
+        if (total <= this.maxBytes) return;
+        const leastRecentFirst = Array.from(this.entries.values()).sort((a, b) => this._lastUsed(a) - this._lastUsed(b));
+        for (const entry of leastRecentFirst) {
+            if (total <= this.maxBytes) break;
+            total -= entry.size;
+            this._delete(entry.key);
+        }
+    }
+
+    /**
+     * Retira un resultado del índice y borra su archivo.
+     * @param {string} key - Clave de caché.
+     * @private
+     */
+    _delete(key) {
+        this.entries.delete(key);
+        fs.rm(this._resultPath(key), { force: true }, (rmError) => {
+            if (rmError) logger.error('No se pudo eliminar el resultado en caché', { cacheKey: key, err: rmError });
+        });
+    }
+
+    /**
+     * Carga el índice desde disco. Si no existe o está dañado, se empieza con la caché vacía.
+     * @private
+     */
+    _load() {
+        if (!fs.existsSync(this.indexPath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+            (data.entries || [])
+                .filter(entry => CACHE_KEY_PATTERN.test(entry.key))
+                .forEach(entry => this.entries.set(entry.key, entry));
+        } catch (loadError) {
+            // La caché se puede reconstruir: un índice dañado solo hace que se pierdan los aciertos.
+            logger.error('No se pudo leer el índice de la caché', { file: this.indexPath, err: loadError });
+        }
+    }
+
+    /**
+     * Escribe el índice en disco de forma atómica.
+     * @private
+     */
+    _saveIndex() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const tempPath = `${this.indexPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ entries: Array.from(this.entries.values()) }, null, 2));
+        fs.renameSync(tempPath, this.indexPath);
+    }
+}
+
+module.exports = { ResultCache, hashFile };
@@ -0,0 +1,50 @@
+// backend/lib/sse.js
+
+// Intervalo (ms) entre comentarios de mantenimiento, para que proxies y navegadores no cierren la conexión inactiva.
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Convierte una respuesta HTTP de Express en un flujo de Server-Sent Events (SSE).
+ *
+ * Envía las cabeceras del flujo de inmediato y mantiene la conexión abierta con comentarios periódicos.
+ * Cuando el cliente se desconecta (o se llama a `close()`), se ejecuta la función `onClose` para que
+ * quien abrió el flujo pueda retirar sus oyentes.
+ *
+ * @param {import('express').Request} req - Solicitud del cliente suscrito.
+ * @param {import('express').Response} res - Respuesta que se usará como flujo de eventos.
+ * @param {function(): void} [onClose] - Se ejecuta una sola vez al cerrarse el flujo.
+ * @returns {{send: function(string, object): void, close: function(): void}}
+ *          `send(event, data)` escribe un evento con datos JSON; `close()` finaliza el flujo.
+ */
+function openEventStream(req, res, onClose = () => {}) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+    let closed = false;
+
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        onClose();
+    };
+    // El cliente cerró la conexión (ej. el usuario abandonó la página).
+    req.on('close', cleanup);
+
+    return {
+        send(event, data) {
+            if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close() {
+            cleanup();
+            res.end();
+        },
+    };
+}
+
+module.exports = { openEventStream };
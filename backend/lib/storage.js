@@ -0,0 +1,205 @@
+// backend/lib/storage.js
+
+// --- Importaciones de Módulos ---
+const path = require('path');   // Módulo para trabajar con rutas de archivos y directorios.
+const fs = require('fs');       // Módulo para interactuar con el sistema de archivos.
+const { logger } = require('./logger'); // Registro estructurado del servidor.
+const { errorMessage } = require('./errors'); // Mensajes de error localizables.
+
+/**
+ * Limpieza de los audios subidos que quedaron huérfanos en el directorio de subidas.
+ *
+ * Los audios se eliminan al terminar su trabajo, pero pueden quedar restos si el servidor se detiene a mitad
+ * (caída, reinicio sin cierre ordenado) o si falla una subida. Al arrancar se eliminan todos los archivos
+ * anteriores al arranque (ningún trabajo los usa ya) y después, periódicamente, los que superan `maxAgeMs` sin
+ * modificarse y no pertenecen a un trabajo en curso. Por eso el directorio no debe compartirse entre varias
+ * instancias del servidor.
+ */
+class UploadJanitor {
+    /**
+     * @param {string} dir - Directorio de subidas.
+     * @param {object} [options]
+     * @param {number} [options.maxAgeMs=3600000] - Antigüedad (desde la última modificación) a partir de la cual
+     *        un archivo que no está en uso se considera huérfano.
+     * @param {number} [options.intervalMs=900000] - Intervalo entre limpiezas periódicas (0 = solo al arrancar).
+     * @param {function(string): boolean} [options.isInUse] - Indica si un archivo (ruta absoluta) pertenece a un
+     *        trabajo o sesión en curso y no debe eliminarse.
+     */
+    constructor(dir, { maxAgeMs = 60 * 60 * 1000, intervalMs = 15 * 60 * 1000, isInUse = () => false } = {}) {
+        this.dir = path.resolve(dir);
+        this.maxAgeMs = maxAgeMs;
+        this.intervalMs = intervalMs;
+        this.isInUse = isInUse;
+        this.timer = null;
+        this.lastSweep = null;    // `{ at, removed, bytes }` de la última limpieza.
+        this.totalRemoved = 0;
+    }
+
+    /**
+     * Limpia los archivos huérfanos al arrancar y programa las limpiezas periódicas.
+     * @returns {Promise<object>} El resultado de la limpieza inicial.
+     */
+    async start() {
+        const result = await this.sweep({ before: Date.now() });
+        if (this.intervalMs > 0 && !this.timer) {
+            this.timer = setInterval(() => this.sweep(), this.intervalMs);
+            this.timer.unref(); // No impide que Node termine si es lo único pendiente.
+        }
+        return result;
+    }
+
+    /**
+     * Detiene las limpiezas periódicas.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Elimina los archivos huérfanos del directorio de subidas. Nunca falla: los errores se registran.
+     * @param {object} [options]
+     * @param {number} [options.before] - Eliminar los modificados antes de este instante (ms), en lugar de los que
+     *        superan `maxAgeMs`.
+     * @returns {Promise<{removed: number, bytes: number}>} Archivos eliminados y espacio liberado.
+     */
+    async sweep({ before } = {}) {
+        const result = { removed: 0, bytes: 0 };
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+        } catch (readError) {
+            if (readError.code !== 'ENOENT') logger.error('No se pudo revisar el directorio de subidas', { dir: this.dir, err: readError });
+            return result;
+        }
+
+        const cutoff = before ?? Date.now() - this.maxAgeMs;
+        for (const entry of entries) {
+            // Solo archivos normales; los ocultos (ej. `.gitkeep`) se conservan.
+            if (!entry.isFile() || entry.name.startsWith('.')) continue;
+            const filePath = path.join(this.dir, entry.name);
+            if (this.isInUse(filePath)) continue;
+            try {
+                const stats = await fs.promises.stat(filePath);
+                if (stats.mtimeMs >= cutoff) continue;
+                await fs.promises.unlink(filePath);
+                result.removed++;
+                result.bytes += stats.size;
+            } catch (unlinkError) {
+                // Otro proceso (ej. el propio trabajo al terminar) pudo eliminarlo mientras tanto.
+                if (unlinkError.code !== 'ENOENT') logger.error('No se pudo eliminar el archivo huérfano', { file: filePath, err: unlinkError });
+            }
+        }
+
+        this.totalRemoved += result.removed;
+        this.lastSweep = { at: new Date().toISOString(), ...result };
+        if (result.removed > 0) {
+            logger.info('Limpieza de subidas: archivos huérfanos eliminados', { removed: result.removed, bytes: result.bytes });
+        }
+        return result;
+    }
+
+    /**
+     * Resumen de la limpieza para `GET /api/status`.
+     * @returns {object}
+     */
+    describe() {
+        return {
+            maxAgeMinutes: this.maxAgeMs / 60000,
+            intervalMinutes: this.intervalMs / 60000,
+            lastSweep: this.lastSweep,
+            totalRemoved: this.totalRemoved,
+        };
+    }
+}
+
+/**
+ * Comprobación del espacio libre en el disco de las subidas, para rechazarlas antes de llenarlo (un disco lleno
+ * también impide convertir los audios y guardar el historial).
+ *
+ * El espacio libre se consulta con `statfs` y se reutiliza durante `cacheMs` para no repetir la consulta en cada
+ * solicitud. Si el sistema no permite consultarlo, no se rechaza nada.
+ */
+class DiskSpaceGuard {
+    /**
+     * @param {string} dir - Directorio cuyo disco se vigila.
+     * @param {object} [options]
+     * @param {number} [options.minFreeBytes=0] - Espacio libre mínimo que debe quedar tras la subida (0 = sin límite).
+     * @param {number} [options.cacheMs=5000] - Validez de la última consulta del espacio libre.
+     */
+    constructor(dir, { minFreeBytes = 0, cacheMs = 5000 } = {}) {
+        this.dir = dir;
+        this.minFreeBytes = minFreeBytes;
+        this.cacheMs = cacheMs;
+        this.freeBytes = null;   // Espacio libre según la última consulta (null si aún no se consultó o no se pudo).
+        this.checkedAt = 0;
+        this.unsupported = false;
+    }
+
+    /**
+     * Consulta el espacio libre (o devuelve el de la última consulta si aún es válida).
+     * @returns {Promise<number|null>} Bytes libres para el usuario del servidor, o null si no se pudo consultar.
+     */
+    async refresh() {
+        if (this.unsupported || Date.now() - this.checkedAt < this.cacheMs) return this.freeBytes;
+        try {
+            const stats = await fs.promises.statfs(this.dir);
+            this.freeBytes = stats.bavail * stats.bsize;
+        } catch (statError) {
+            if (statError.code === 'ENOENT') return null; // El directorio aún no existe: se reintentará.
+            logger.warn('No se puede consultar el espacio libre: no se limitarán las subidas', { dir: this.dir, err: statError });
+            this.unsupported = true;
+            this.freeBytes = null;
+        }
+        this.checkedAt = Date.now();
+        return this.freeBytes;
+    }
+
+    /**
+     * Comprueba si hay espacio para recibir una subida.
+     * @param {number} [incomingBytes=0] - Tamaño anunciado de la subida (ej. `Content-Length`).
+     * @returns {Promise<object|null>} Mensaje de error (ver `errorMessage`) si no hay espacio suficiente; null si se
+     *          puede aceptar.
+     */
+    async check(incomingBytes = 0) {
+        if (!this.minFreeBytes) return null;
+        const free = await this.refresh();
+        return this.describeShortage(free, incomingBytes);
+    }
+
+    /**
+     * Variante síncrona de `check` con el resultado de la última consulta (ej. al autorizar una conexión
+     * WebSocket). Lanza en segundo plano una nueva consulta para la próxima vez.
+     * @returns {object|null}
+     */
+    checkCached() {
+        if (!this.minFreeBytes) return null;
+        this.refresh().catch(() => {});
+        return this.describeShortage(this.freeBytes, 0);
+    }
+
+    /**
+     * Resumen para `GET /api/status`.
+     * @returns {object}
+     */
+    describe() {
+        return {
+            minFreeMb: Math.round(this.minFreeBytes / 1024 / 1024),
+            freeMb: this.freeBytes === null ? null : Math.round(this.freeBytes / 1024 / 1024),
+            low: this.describeShortage(this.freeBytes, 0) !== null,
+        };
+    }
+
+    /**
+     * @param {number|null} free - Bytes libres.
+     * @param {number} incomingBytes - Tamaño de la subida.
+     * @returns {object|null}
+     * @private
+     */
+    describeShortage(free, incomingBytes) {
+        if (!this.minFreeBytes || free === null || free - incomingBytes >= this.minFreeBytes) return null;
+        return errorMessage('request.insufficientStorage', { freeMb: Math.max(0, Math.round(free / 1024 / 1024)) });
+    }
+}
+
+module.exports = { UploadJanitor, DiskSpaceGuard };
@@ -0,0 +1,176 @@
+// backend/lib/subtitles.js
+
+/**
+ * Formatea un tiempo en segundos como marca de tiempo de subtítulos ("HH:MM:SS,mmm" o "HH:MM:SS.mmm").
+ * @param {number} seconds - Tiempo en segundos.
+ * @param {string} decimalMarker - Separador de milisegundos (',' para SRT, '.' para WebVTT).
+ * @returns {string}
+ */
+function formatTimestamp(seconds, decimalMarker) {
+    const totalMs = Math.round(Math.max(0, seconds) * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${decimalMarker}${pad(ms, 3)}`;
+}
+
+/**
+ * Nombre visible de un hablante: el que asignó el usuario o "Hablante N" por defecto.
+ * @param {object} result - Resultado de la transcripción (`speakerNames` contiene los nombres asignados).
+ * @param {string} speakerId - Identificador del hablante (ej. 'SPEAKER_1').
+ * @returns {string}
+ */
+function speakerLabel(result, speakerId) {
+    const customName = result.speakerNames?.[speakerId];
+    if (customName) return customName;
+    const number = /^SPEAKER_(\d+)$/.exec(speakerId)?.[1];
+    return number ? `Hablante ${number}` : speakerId;
+}
+
+/**
+ * Indica si la transcripción tiene hablantes identificados.
+ * @param {object} result - Resultado de la transcripción.
+ * @returns {boolean}
+ */
+function hasSpeakers(result) {
+    return result.segments.some(segment => segment.speaker);
+}
+
+/**
+ * Texto de un subtítulo, precedido por el nombre del hablante si se identificó ("Ana: Hola.").
+ * @param {object} result - Resultado de la transcripción.
+ * @param {object} segment - Segmento a mostrar.
+ * @returns {string}
+ */
+function cueText(result, segment) {
+    const text = segment.text.trim();
+    return segment.speaker ? `${speakerLabel(result, segment.speaker)}: ${text}` : text;
+}
+
+/**
+ * Genera subtítulos en formato SubRip (.srt).
+ * @param {object} result - Resultado de la transcripción (`{ transcription, segments }`).
+ * @returns {string}
+ */
+function toSrt(result) {
+    return result.segments.map((segment, index) => [
+        index + 1,
+        `${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}`,
+        cueText(result, segment),
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Genera subtítulos en formato WebVTT (.vtt). El hablante se indica con la etiqueta de voz `<v Nombre>`.
+ * @param {object} result - Resultado de la transcripción (`{ transcription, segments }`).
+ * @returns {string}
+ */
+function toVtt(result) {
+    const cues = result.segments.map(segment => [
+        `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}`,
+        // Los caracteres '<', '>' y '&' del nombre romperían la etiqueta de voz.
+        segment.speaker
+            ? `<v ${speakerLabel(result, segment.speaker).replace(/[<>&]/g, '')}>${segment.text.trim()}`
+            : segment.text.trim(),
+    ].join('\n'));
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Genera una tabla separada por tabuladores (.tsv) con inicio y fin en milisegundos, como la de Whisper.
+ * Si hay hablantes identificados, se añade una columna `speaker` con su nombre.
+ * @param {object} result - Resultado de la transcripción (`{ transcription, segments }`).
+ * @returns {string}
+ */
+function toTsv(result) {
+    const withSpeakers = hasSpeakers(result);
+    // Los tabuladores y saltos de línea dentro del texto (ej. subtítulos bilingües) romperían las columnas y filas.
+    const clean = text => text.trim().replace(/\t/g, ' ').replace(/\s*\n\s*/g, ' / ');
+    const rows = result.segments.map(segment => [
+        Math.round(segment.start * 1000),
+        Math.round(segment.end * 1000),
+        ...(withSpeakers ? [clean(segment.speaker ? speakerLabel(result, segment.speaker) : '')] : []),
+        clean(segment.text),
+    ].join('\t'));
+    const header = withSpeakers ? 'start\tend\tspeaker\ttext' : 'start\tend\ttext';
+    return [header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Devuelve el resultado completo en formato JSON. Cada segmento con hablante incluye además
+ * su nombre visible (`speakerName`).
+ * @param {object} result - Resultado de la transcripción.
+ * @returns {string}
+ */
+function toJson(result) {
+    if (!hasSpeakers(result)) return JSON.stringify(result, null, 2);
+    const segments = result.segments.map(segment => (
+        segment.speaker ? { ...segment, speakerName: speakerLabel(result, segment.speaker) } : segment
+    ));
+    return JSON.stringify({ ...result, segments }, null, 2);
+}
+
+/**
+ * Devuelve solo el texto transcrito (.txt). Si hay hablantes identificados, el texto se divide en
+ * turnos de palabra ("Ana: ...") separados por una línea en blanco.
+ * @param {object} result - Resultado de la transcripción.
+ * @returns {string}
+ */
+function toTxt(result) {
+    if (!hasSpeakers(result)) return result.transcription.trim() + '\n';
+    const turns = [];
+    result.segments.forEach((segment) => {
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === segment.speaker) {
+            last.texts.push(segment.text.trim());
+        } else {
+            turns.push({ speaker: segment.speaker, texts: [segment.text.trim()] });
+        }
+    });
+    return turns
+        .map(turn => `${turn.speaker ? `${speakerLabel(result, turn.speaker)}: ` : ''}${turn.texts.join(' ')}`)
+        .join('\n\n') + '\n';
+}
+
+/**
+ * Textos que se pueden exportar de una transcripción traducida (parámetro `text`): el original, la traducción
+ * o ambos, con la traducción en una segunda línea de cada subtítulo.
+ */
+const TEXT_VARIANTS = ['source', 'translation', 'bilingual'];
+
+/**
+ * Sustituye el texto de cada segmento (y el texto completo) por la variante indicada, para exportarla con
+ * cualquiera de los formatos. Los segmentos sin traducción conservan su texto original.
+ * @param {object} result - Resultado de la transcripción (con `segments[].translation` si se tradujo).
+ * @param {string} variant - 'source', 'translation' o 'bilingual'.
+ * @returns {object} Un resultado nuevo con los textos de la variante.
+ */
+function applyTextVariant(result, variant) {
+    if (variant === 'source') return result;
+    const segments = result.segments.map((segment) => {
+        const translation = segment.translation?.trim();
+        if (!translation) return segment;
+        const text = variant === 'translation' ? translation : `${segment.text.trim()}\n${translation}`;
+        return { ...segment, text };
+    });
+    const transcription = variant === 'translation'
+        ? (result.translation?.text || segments.map(segment => segment.text).join(' '))
+        : segments.map(segment => segment.text).join('\n\n');
+    return { ...result, segments, transcription };
+}
+
+/**
+ * Formatos de exportación disponibles, indexados por el valor del parámetro `format`.
+ * Cada uno indica la extensión del archivo, su tipo MIME y la función que genera el contenido.
+ */
+const SUBTITLE_FORMATS = {
+    srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8', render: toSrt },
+    vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8', render: toVtt },
+    tsv: { extension: 'tsv', contentType: 'text/tab-separated-values; charset=utf-8', render: toTsv },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8', render: toJson },
+    txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8', render: toTxt },
+};
+
+module.exports = { SUBTITLE_FORMATS, TEXT_VARIANTS, applyTextVariant, formatTimestamp };
@@ -0,0 +1,314 @@
+// backend/lib/summarization.js
+
+// --- Importaciones de Módulos ---
+const { createError, errorMessage } = require('./errors'); // Errores con código de la API y detalles para depuración.
+const { cancelledError } = require('./engines/common'); // Error de las operaciones canceladas.
+
+// Caracteres de transcripción por solicitud al modelo: las transcripciones más largas se resumen por partes y los
+// resúmenes de las partes se combinan con una última solicitud (los modelos locales suelen tener contextos cortos).
+const CHUNK_CHARACTERS = 16000;
+// Longitud máxima (caracteres) del resumen, del título y del resumen de cada capítulo.
+const MAX_SUMMARY_LENGTH = 4000;
+const MAX_TITLE_LENGTH = 120;
+const MAX_CHAPTER_SUMMARY_LENGTH = 600;
+// Segmentos por capítulo del proveedor simulado.
+const MOCK_CHAPTER_SEGMENTS = 4;
+
+// Instrucciones comunes a todas las solicitudes al modelo.
+const SYSTEM_PROMPT = 'Eres un asistente que resume transcripciones de reuniones, clases y entrevistas. '
+    + 'Responde únicamente con un objeto JSON válido, sin texto antes ni después.';
+
+/**
+ * Recorta un texto del modelo: sin espacios en los extremos y con una longitud máxima.
+ * @param {*} value - Valor recibido.
+ * @param {number} maxLength - Longitud máxima.
+ * @returns {string} El texto (vacío si el valor no es un texto).
+ */
+function cleanText(value, maxLength) {
+    return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').slice(0, maxLength) : '';
+}
+
+/**
+ * Valida los capítulos propuestos por el proveedor y los ajusta a la transcripción: descarta los que no tienen
+ * título o un inicio dentro del audio, los ordena, alinea cada inicio con el del segmento en que cae y hace que
+ * cada capítulo termine donde empieza el siguiente (el último, al final de la transcripción).
+ * @param {*} chapters - Capítulos recibidos (`{ title, start, summary? }`).
+ * @param {Array<{start: number, end: number}>} segments - Segmentos de la transcripción.
+ * @returns {Array<{title: string, start: number, end: number, summary: string}>}
+ */
+function normalizeChapters(chapters, segments) {
+    const transcriptEnd = segments.reduce((end, segment) => Math.max(end, segment.end), 0);
+    const segmentStartAt = time => segments.reduce((start, segment) => (segment.start <= time ? segment.start : start), 0);
+    const valid = (Array.isArray(chapters) ? chapters : [])
+        .map(chapter => ({
+            title: cleanText(chapter?.title, MAX_TITLE_LENGTH),
+            start: typeof chapter?.start === 'string' ? Number(chapter.start) : chapter?.start,
+            summary: cleanText(chapter?.summary, MAX_CHAPTER_SUMMARY_LENGTH),
+        }))
+        .filter(chapter => chapter.title && Number.isFinite(chapter.start) && chapter.start >= 0 && chapter.start < transcriptEnd)
+        .map(chapter => ({ ...chapter, start: segmentStartAt(chapter.start) }))
+        .sort((a, b) => a.start - b.start)
+        .filter((chapter, index, list) => index === 0 || chapter.start > list[index - 1].start);
+    return valid.map((chapter, index) => ({
+        title: chapter.title,
+        start: chapter.start,
+        end: valid[index + 1]?.start ?? transcriptEnd,
+        summary: chapter.summary,
+    }));
+}
+
+/**
+ * Divide los segmentos en líneas `[inicio] texto` y las agrupa en partes de hasta `maxCharacters` caracteres.
+ * @param {Array<{start: number, text: string}>} segments - Segmentos de la transcripción.
+ * @param {number} maxCharacters - Caracteres máximos por parte (una línea más larga forma una parte por sí sola).
+ * @returns {string[]} El texto de cada parte.
+ */
+function chunkTranscript(segments, maxCharacters) {
+    const chunks = [];
+    let lines = [];
+    let length = 0;
+    segments.forEach((segment) => {
+        const line = `[${Math.round(segment.start * 10) / 10}] ${segment.text.trim()}`;
+        if (lines.length > 0 && length + line.length > maxCharacters) {
+            chunks.push(lines.join('\n'));
+            lines = [];
+            length = 0;
+        }
+        lines.push(line);
+        length += line.length + 1;
+    });
+    if (lines.length > 0) chunks.push(lines.join('\n'));
+    return chunks;
+}
+
+/**
+ * Extrae el objeto JSON de la respuesta de un modelo, que puede venir rodeado de texto o de un bloque de código.
+ * @param {string} content - Respuesta del modelo.
+ * @returns {object}
+ * @throws {Error} SUMMARY_FAILED si la respuesta no contiene un objeto JSON.
+ */
+function parseJsonReply(content) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        try {
+            return JSON.parse(content.slice(start, end + 1));
+        } catch {
+            // Se informa más abajo con la respuesta recibida.
+        }
+    }
+    throw createError(errorMessage('summary.notJson'), content.slice(0, 500), 'SUMMARY_FAILED');
+}
+
+/**
+ * Proveedor de resúmenes con un modelo de lenguaje compatible con la API de chat de OpenAI
+ * (`POST <url>/chat/completions`), como los servidores locales de llama.cpp, Ollama, LM Studio o vLLM.
+ * Pide al modelo un resumen y los capítulos de la transcripción en JSON; las transcripciones largas se resumen
+ * por partes (ver `CHUNK_CHARACTERS`).
+ */
+class HttpSummarizer {
+    /**
+     * @param {object} options
+     * @param {string} options.url - URL base de la API (ej. 'http://localhost:11434/v1').
+     * @param {string} [options.apiKey] - Clave de la API (cabecera `Authorization: Bearer`).
+     * @param {string} [options.model] - Modelo (ej. 'llama3.1'); sin él, el servidor usa el que tenga cargado.
+     * @param {number} [options.timeoutMs=300000] - Espera máxima de cada respuesta.
+     * @param {number} [options.chunkCharacters=16000] - Caracteres de transcripción por solicitud.
+     */
+    constructor({ url, apiKey, model, timeoutMs = 300000, chunkCharacters = CHUNK_CHARACTERS } = {}) {
+        if (!url) {
+            throw new Error('El proveedor de resúmenes HTTP necesita la URL del servicio (SUMMARY_HTTP_URL).');
+        }
+        this.name = 'http';
+        this.url = url.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model || null;
+        this.timeoutMs = timeoutMs;
+        this.chunkCharacters = chunkCharacters;
+    }
+
+    /**
+     * Resume una transcripción y la divide en capítulos.
+     * @param {Array<{start: number, end: number, text: string}>} segments - Segmentos de la transcripción.
+     * @param {object} [options]
+     * @param {string|null} [options.language] - Idioma de la transcripción (el resumen se escribe en él).
+     * @returns {{promise: Promise<{text: string, chapters: object[], provider: string, model: string|null}>, cancel: function(): void}}
+     */
+    summarize(segments, { language } = {}) {
+        const controller = new AbortController();
+        let cancelled = false;
+        const promise = (async () => {
+            const parts = [];
+            for (const chunk of chunkTranscript(segments, this.chunkCharacters)) {
+                parts.push(parseJsonReply(await this._complete(chunkPrompt(chunk, language), controller.signal)));
+            }
+            let text = cleanText(parts[0]?.summary, MAX_SUMMARY_LENGTH);
+            if (parts.length > 1) {
+                const combined = parseJsonReply(await this._complete(combinePrompt(parts.map(part => cleanText(part.summary, MAX_SUMMARY_LENGTH)), language), controller.signal));
+                text = cleanText(combined.summary, MAX_SUMMARY_LENGTH);
+            }
+            if (!text) {
+                throw createError(errorMessage('summary.missingSummary'), JSON.stringify(parts).slice(0, 500), 'SUMMARY_FAILED');
+            }
+            return { text, chapters: normalizeChapters(parts.flatMap(part => part.chapters || []), segments), provider: this.name, model: this.model };
+        })().catch((error) => { throw cancelled ? cancelledError() : error; });
+        return { promise, cancel: () => { cancelled = true; controller.abort(); } };
+    }
+
+    /**
+     * Estado del proveedor para `GET /api/status` (sin la clave del servicio).
+     * @returns {object}
+     */
+    describe() {
+        return { name: this.name, url: this.url, model: this.model };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Envía una conversación al modelo.
+     * @param {string} prompt - Mensaje del usuario.
+     * @param {AbortSignal} signal - Señal de cancelación.
+     * @returns {Promise<string>} El texto de la respuesta.
+     * @private
+     */
+    async _complete(prompt, signal) {
+        const endpoint = `${this.url}/chat/completions`;
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }) },
+                body: JSON.stringify({
+                    ...(this.model && { model: this.model }),
+                    messages: [{ role: 'system', content: SYSTEM_PROMPT }, { role: 'user', content: prompt }],
+                    temperature: 0.2,
+                    stream: false,
+                }),
+                signal: AbortSignal.any([signal, AbortSignal.timeout(this.timeoutMs)]),
+            });
+        } catch (fetchError) {
+            if (fetchError.name === 'TimeoutError') {
+                throw createError(errorMessage('summary.timeout', { ms: this.timeoutMs }), undefined, 'TIMEOUT');
+            }
+            throw createError(errorMessage('summary.connection', { endpoint }), fetchError.cause?.message || fetchError.message, 'SUMMARY_FAILED');
+        }
+
+        const body = await response.text();
+        let data = null;
+        try {
+            data = JSON.parse(body);
+        } catch {
+            // Se informa más abajo con el cuerpo recibido.
+        }
+        if (!response.ok) {
+            const message = data?.error?.message || (typeof data?.error === 'string' && data.error) || body.slice(0, 200);
+            throw createError(errorMessage('summary.serviceError', { status: response.status, message }), undefined, 'SUMMARY_FAILED');
+        }
+        const content = data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw createError(errorMessage('summary.unexpectedResponse'), body.slice(0, 500), 'SUMMARY_FAILED');
+        }
+        return content;
+    }
+}
+
+/**
+ * Mensaje para resumir una parte de la transcripción y dividirla en capítulos.
+ * @param {string} chunk - Líneas `[inicio] texto` de la parte.
+ * @param {string|null} [language] - Idioma de la transcripción.
+ * @returns {string}
+ */
+function chunkPrompt(chunk, language) {
+    return [
+        `Resume la siguiente transcripción${language ? ` (idioma: ${language})` : ''} y divídela en capítulos. Escribe en el idioma de la transcripción.`,
+        'Devuelve un objeto JSON con esta forma:',
+        '{"summary": "resumen de 3 a 6 frases", "chapters": [{"title": "título breve", "start": 0, "summary": "una frase"}]}',
+        'Cada capítulo agrupa las líneas consecutivas sobre un mismo tema; "start" es el instante en segundos, entre corchetes, de su primera línea.',
+        '',
+        'Transcripción (cada línea empieza con su instante en segundos):',
+        chunk,
+    ].join('\n');
+}
+
+/**
+ * Mensaje para combinar los resúmenes de las partes de una transcripción larga en uno solo.
+ * @param {string[]} summaries - Resúmenes de las partes, en orden.
+ * @param {string|null} [language] - Idioma de la transcripción.
+ * @returns {string}
+ */
+function combinePrompt(summaries, language) {
+    return [
+        `Estos son los resúmenes de las partes consecutivas de una misma transcripción${language ? ` (idioma: ${language})` : ''}.`,
+        'Escribe un resumen de toda la transcripción, de 4 a 8 frases, en su idioma. Devuelve un objeto JSON con esta forma: {"summary": "..."}',
+        '',
+        ...summaries.map((summary, index) => `Parte ${index + 1}: ${summary}`),
+    ].join('\n');
+}
+
+/**
+ * Proveedor simulado y determinista, para desarrollo y pruebas: un capítulo cada pocos segmentos, titulado con las
+ * primeras palabras de su primer segmento, y un resumen con el primer segmento de cada capítulo.
+ */
+class MockSummarizer {
+    constructor() {
+        this.name = 'mock';
+    }
+
+    /**
+     * @param {Array<{start: number, end: number, text: string}>} segments - Segmentos de la transcripción.
+     * @returns {{promise: Promise<object>, cancel: function(): void}}
+     */
+    summarize(segments) {
+        const chapters = [];
+        for (let index = 0; index < segments.length; index += MOCK_CHAPTER_SEGMENTS) {
+            const text = segments[index].text.trim();
+            chapters.push({ title: text.split(/\s+/).slice(0, 5).join(' '), start: segments[index].start, summary: text });
+        }
+        const text = chapters.map(chapter => chapter.summary).join(' ');
+        return { promise: Promise.resolve({ text, chapters: normalizeChapters(chapters, segments), provider: this.name, model: null }), cancel: () => {} };
+    }
+
+    /**
+     * @returns {object}
+     */
+    describe() {
+        return { name: this.name };
+    }
+}
+
+/**
+ * Proveedores de resúmenes disponibles, indexados por el nombre usado en `SUMMARY_PROVIDER`.
+ * Todos implementan `summarize(segments, { language })`, que devuelve `{ promise, cancel }` con el resumen
+ * (`{ text, chapters, provider, model }`), y `describe()`.
+ */
+const SUMMARIZERS = {
+    // Modelo de lenguaje (local o remoto) con la API de chat de OpenAI.
+    http: env => new HttpSummarizer({
+        url: env.SUMMARY_HTTP_URL,
+        apiKey: env.SUMMARY_HTTP_API_KEY || undefined,
+        model: env.SUMMARY_HTTP_MODEL || undefined,
+        timeoutMs: (Number(env.SUMMARY_TIMEOUT_SECONDS) || 300) * 1000,
+        chunkCharacters: Number(env.SUMMARY_CHUNK_CHARACTERS) || undefined,
+    }),
+    // Resúmenes simulados, sin dependencias externas.
+    mock: () => new MockSummarizer(),
+};
+
+/**
+ * Crea el proveedor de resúmenes indicado.
+ * @param {string} [name] - Nombre del proveedor: 'http' o 'mock'. Sin nombre, no hay proveedor.
+ * @param {object} [env=process.env] - Variables de entorno con la configuración del proveedor.
+ * @returns {object|null} El proveedor, o null si no se configuró ninguno (no se generan resúmenes).
+ * @throws {Error} Si el proveedor no existe o su configuración no es válida.
+ */
+function createSummarizer(name, env = process.env) {
+    if (!name) return null;
+    const factory = SUMMARIZERS[name];
+    if (!factory) {
+        throw new Error(`Proveedor de resúmenes no soportado: '${name}'. Use uno de: ${Object.keys(SUMMARIZERS).join(', ')}.`);
+    }
+    return factory(env);
+}
+
+module.exports = { createSummarizer, normalizeChapters, HttpSummarizer, MockSummarizer };
@@ -0,0 +1,117 @@
+// backend/lib/transcriptEdits.js
+
+// --- Importaciones de Módulos ---
+const { errorMessage } = require('./errors'); // Mensajes de error localizables.
+
+// Número máximo de segmentos de una transcripción editada.
+const MAX_SEGMENTS = 10000;
+// Longitud máxima (caracteres) del texto de un segmento.
+const MAX_SEGMENT_TEXT_LENGTH = 2000;
+
+/**
+ * Redondea un tiempo a milisegundos (la precisión de los formatos de subtítulos).
+ * @param {number} seconds - Tiempo en segundos.
+ * @returns {number}
+ */
+function roundTime(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Indica si un valor es un tiempo válido (número finito no negativo).
+ * @param {*} value - Valor a comprobar.
+ * @returns {boolean}
+ */
+function isTime(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Valida los segmentos de una transcripción editada en el navegador y los normaliza con el formato
+ * del resultado original (`{ id, start, end, text, speaker?, words?, translation? }`).
+ *
+ * Reglas:
+ * - Al menos un segmento, con texto no vacío y tiempos `0 <= start <= end`.
+ * - Los segmentos van en orden cronológico (cada uno empieza después del inicio del anterior).
+ * - `speaker`, si se indica, debe ser uno de los hablantes identificados en la transcripción.
+ * - `words` es opcional; si no es válido se descarta (el editor lo elimina al cambiar el texto).
+ * - `translation` (texto traducido del segmento) es opcional y tiene el mismo límite de longitud que `text`.
+ *
+ * @param {*} segments - Segmentos recibidos (`req.body.segments`).
+ * @param {object} [context]
+ * @param {string[]} [context.speakers] - Hablantes identificados en la transcripción.
+ * @returns {{segments?: object[], error?: object}} Los segmentos normalizados o un mensaje de error (ver `errorMessage`).
+ */
+function parseEditedSegments(segments, { speakers = [] } = {}) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+        return { error: errorMessage('history.segmentsList') };
+    }
+    if (segments.length > MAX_SEGMENTS) {
+        return { error: errorMessage('history.tooManySegments', { max: MAX_SEGMENTS }) };
+    }
+
+    const parsed = [];
+    for (const [index, segment] of segments.entries()) {
+        const position = index + 1;
+        if (!segment || typeof segment !== 'object') {
+            return { error: errorMessage('history.invalidSegment', { position }) };
+        }
+        if (!isTime(segment.start) || !isTime(segment.end) || segment.end < segment.start) {
+            return { error: errorMessage('history.segmentTimes', { position }) };
+        }
+        const previous = parsed[parsed.length - 1];
+        if (previous && segment.start < previous.start) {
+            return { error: errorMessage('history.segmentOrder', { position }) };
+        }
+        const text = typeof segment.text === 'string' ? segment.text.trim() : '';
+        if (!text) {
+            return { error: errorMessage('history.segmentEmpty', { position }) };
+        }
+        if (text.length > MAX_SEGMENT_TEXT_LENGTH) {
+            return { error: errorMessage('history.segmentTextLength', { position, max: MAX_SEGMENT_TEXT_LENGTH }) };
+        }
+        if (segment.translation != null && (typeof segment.translation !== 'string' || segment.translation.length > MAX_SEGMENT_TEXT_LENGTH)) {
+            return { error: errorMessage('history.segmentTranslationLength', { position, max: MAX_SEGMENT_TEXT_LENGTH }) };
+        }
+        if (segment.speaker != null && !speakers.includes(segment.speaker)) {
+            return { error: errorMessage('history.segmentSpeaker', { position, speaker: segment.speaker }) };
+        }
+
+        const entry = { id: index, start: roundTime(segment.start), end: roundTime(segment.end), text };
+        if (segment.speaker != null) entry.speaker = segment.speaker;
+        if (segment.translation != null) entry.translation = segment.translation.trim();
+        const words = Array.isArray(segment.words) && segment.words.every(word => (
+            word && typeof word.word === 'string' && isTime(word.start) && isTime(word.end)
+        )) ? segment.words : null;
+        if (words) {
+            entry.words = words.map(word => ({
+                word: word.word,
+                start: roundTime(word.start),
+                end: roundTime(word.end),
+                probability: typeof word.probability === 'number' ? word.probability : null,
+            }));
+        }
+        parsed.push(entry);
+    }
+    return { segments: parsed };
+}
+
+/**
+ * Texto completo de una transcripción a partir de sus segmentos.
+ * @param {Array<{text: string}>} segments - Segmentos.
+ * @returns {string}
+ */
+function joinSegments(segments) {
+    return segments.map(segment => segment.text).join(' ');
+}
+
+/**
+ * Texto traducido completo a partir de las traducciones de los segmentos (los que no tienen se omiten).
+ * @param {Array<{translation?: string}>} segments - Segmentos.
+ * @returns {string}
+ */
+function joinTranslations(segments) {
+    return segments.map(segment => segment.translation).filter(Boolean).join(' ');
+}
+
+module.exports = { parseEditedSegments, joinSegments, joinTranslations, MAX_SEGMENTS };
@@ -0,0 +1,210 @@
+// backend/lib/transcriptInsights.js
+
+// Número de palabras clave que se extraen de cada transcripción.
+const KEYWORD_LIMIT = 15;
+// Número máximo de instantes guardados por palabra clave (los de los primeros segmentos en que aparece).
+const MAX_KEYWORD_TIMES = 20;
+// Veces que debe aparecer un término para considerarlo clave (uno que se menciona una sola vez no es un tema).
+const MIN_KEYWORD_COUNT = 2;
+// Longitud mínima de las palabras que pueden ser clave.
+const MIN_WORD_LENGTH = 3;
+// Duración aproximada (s) de los tramos en que se divide la transcripción para identificar sus temas.
+const TOPIC_WINDOW_SECONDS = 180;
+// Palabras clave con las que se describe cada tema.
+const TOPIC_KEYWORDS = 3;
+
+// Palabras vacías (artículos, preposiciones, pronombres, verbos auxiliares y muletillas) en español e inglés,
+// normalizadas como los términos (minúsculas y sin tildes). No pueden ser palabras clave.
+const STOPWORDS = new Set(`
+    a al algo algun alguna algunas alguno algunos ahi ahora alli ante antes aqui asi aun bastante bien bueno cada casi
+    claro como con contra cosa cosas creo cual cuales cualquier cuando cuanto de decir del desde dice dicho dijo donde
+    dos durante e eh el ella ellas ello ellos en entonces entre era eramos eran eres es esa esas ese eso esos esta estaba
+    estaban estado estamos estan estar estas este esto estos estoy fue fueron fui gracias ha haber habia habian hace
+    hacemos hacen hacer hacia han has hasta hay he hemos igual la las le les lo los luego mas me mi mia mias mio mios
+    mis mismo mucha muchas mucho muchos muy nada ni no nos nosotras nosotros nuestra nuestras nuestro nuestros nunca o
+    os otra otras otro otros para pero poco poder podemos pone por porque pues puede pueden que quien quienes se sea
+    sean segun ser si sido siempre sin sino sobre sois solo somos son soy su sus suya suyas suyo suyos tal tambien
+    tampoco tan tanto te tendra tenemos tener tengo ti tiene tienen toda todas todavia todo todos tu tus tuya tuyo
+    un una uno unos usted ustedes va vais vale vamos van vaya ver vez vosotras vosotros voy y ya yo
+    about above after again all also am an and any are aren as at be because been before being below between both
+    but by can could did do does doing don done down during each even few for from further get gets getting go going
+    gonna got had has have having he her here hers him his how if in into is isn it its just know like me more most
+    much my no nor not now of off ok okay on once one only or other our ours out over own really right said same say
+    says she should so some something such than that the their theirs them then there these they thing things think
+    this those through to too um uh under until up us very was wasn way we well were what when where which while who
+    whom why will with would yeah yes you your yours
+`.trim().split(/\s+/));
+
+/**
+ * Normaliza un término: minúsculas y sin tildes ni diacríticos ("Canción" → "cancion"), como las búsquedas del
+ * historial.
+ * @param {string} text - Texto a normalizar.
+ * @returns {string}
+ */
+function normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Indica si una palabra (normalizada) puede formar parte de una palabra clave.
+ * @param {string} word - Palabra normalizada.
+ * @returns {boolean}
+ */
+function isContentWord(word) {
+    return word.length >= MIN_WORD_LENGTH && !STOPWORDS.has(word) && !/^\d+$/.test(word);
+}
+
+/**
+ * Divide el texto de un segmento en frases (separadas por signos de puntuación) y cada frase en palabras, para
+ * no formar expresiones de dos palabras a través de un punto o una coma.
+ * @param {string} text - Texto del segmento.
+ * @returns {Array<Array<{key: string, form: string}>>} Las palabras de cada frase: normalizada y tal como aparece.
+ */
+function tokenize(text) {
+    return String(text || '').split(/[.,;:!?¿¡()[\]{}"«»“”…\n–—]+/)
+        .map(phrase => (phrase.match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || []).map(form => ({ key: normalize(form), form })))
+        .filter(words => words.length > 0);
+}
+
+/**
+ * Segmentos con los que se analiza una transcripción: los suyos o, si no tiene (ej. un resultado sin marcas de
+ * tiempo), uno solo con el texto completo.
+ * @param {{segments?: object[], transcription?: string, duration?: number}} transcript - Transcripción o entrada del historial.
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function transcriptSegments({ segments, transcription, duration }) {
+    if (Array.isArray(segments) && segments.length > 0) return segments;
+    return transcription ? [{ start: 0, end: duration || 0, text: transcription }] : [];
+}
+
+/**
+ * Cuenta los términos candidatos (palabras y expresiones de dos palabras) de los segmentos.
+ * @param {object[]} segments - Segmentos de la transcripción.
+ * @returns {Map<string, {key: string, words: number, count: number, forms: Map<string, number>, segments: Set<number>}>}
+ *          Términos indexados por su forma normalizada.
+ */
+function countTerms(segments) {
+    const terms = new Map();
+    const add = (key, form, words, index) => {
+        let term = terms.get(key);
+        if (!term) {
+            term = { key, words, count: 0, forms: new Map(), segments: new Set() };
+            terms.set(key, term);
+        }
+        term.count++;
+        term.forms.set(form, (term.forms.get(form) || 0) + 1);
+        term.segments.add(index);
+    };
+    segments.forEach((segment, index) => {
+        tokenize(segment.text).forEach((words) => {
+            words.forEach((word, position) => {
+                if (!isContentWord(word.key)) return;
+                add(word.key, word.form, 1, index);
+                const next = words[position + 1];
+                if (next && isContentWord(next.key)) add(`${word.key} ${next.key}`, `${word.form} ${next.form}`, 2, index);
+            });
+        });
+    });
+    return terms;
+}
+
+/**
+ * Forma con la que se muestra un término: la más frecuente en el texto (con las mayúsculas de los nombres
+ * propios) o, si hay varias igual de frecuentes, la que está en minúsculas.
+ * @param {{forms: Map<string, number>}} term - Término contado.
+ * @returns {string}
+ */
+function displayForm({ forms }) {
+    let best = null;
+    forms.forEach((count, form) => {
+        if (!best || count > best.count || (count === best.count && form === form.toLowerCase())) best = { form, count };
+    });
+    return best.form;
+}
+
+/**
+ * Extrae las palabras clave de una transcripción: los términos (palabras o expresiones de dos palabras, sin
+ * palabras vacías) que más se repiten. Las expresiones puntúan por cada palabra y las palabras que casi siempre
+ * aparecen dentro de una expresión clave se descartan en su favor ("presupuesto anual" en lugar de "presupuesto"
+ * y "anual").
+ * @param {object[]} segments - Segmentos de la transcripción (`{ start, end, text }`).
+ * @param {object} [options]
+ * @param {number} [options.limit=15] - Número máximo de palabras clave.
+ * @returns {Array<{term: string, count: number, times: number[]}>} Las palabras clave, de la más a la menos
+ *          relevante, con su número de apariciones y el inicio (s) de los segmentos en que aparecen.
+ */
+function extractKeywords(segments, { limit = KEYWORD_LIMIT } = {}) {
+    const terms = countTerms(segments);
+    const phrases = [...terms.values()].filter(term => term.words === 2 && term.count >= MIN_KEYWORD_COUNT);
+    const absorbed = new Set();
+    phrases.forEach((phrase) => {
+        phrase.key.split(' ').forEach((key) => {
+            if (phrase.count * 2 >= terms.get(key).count) absorbed.add(key);
+        });
+    });
+
+    return [...terms.values()]
+        .filter(term => term.count >= MIN_KEYWORD_COUNT && !absorbed.has(term.key))
+        .sort((a, b) => b.count * b.words - a.count * a.words || a.key.localeCompare(b.key))
+        .slice(0, limit)
+        .map(term => ({
+            term: displayForm(term),
+            count: term.count,
+            times: [...term.segments].slice(0, MAX_KEYWORD_TIMES).map(index => segments[index].start),
+        }));
+}
+
+/**
+ * Identifica los temas de una transcripción a lo largo del tiempo: la divide en tramos de unos minutos y describe
+ * cada uno con las palabras que más se repiten en él y menos en el resto (TF-IDF). Los tramos consecutivos con la
+ * misma palabra principal, o sin ninguna repetida, se unen al anterior.
+ * @param {object[]} segments - Segmentos de la transcripción (`{ start, end, text }`).
+ * @param {object} [options]
+ * @param {number} [options.windowSeconds=180] - Duración aproximada de cada tramo.
+ * @returns {Array<{start: number, end: number, keywords: string[]}>} Los temas, en orden cronológico.
+ */
+function extractTopics(segments, { windowSeconds = TOPIC_WINDOW_SECONDS } = {}) {
+    const windows = [];
+    segments.forEach((segment) => {
+        let current = windows[windows.length - 1];
+        if (!current || segment.start - current.start >= windowSeconds) {
+            current = { start: segment.start, end: segment.end, segments: [] };
+            windows.push(current);
+        }
+        current.end = Math.max(current.end, segment.end);
+        current.segments.push(segment);
+    });
+
+    const counts = windows.map(window => [...countTerms(window.segments).values()].filter(term => term.words === 1));
+    const documentFrequency = new Map();
+    counts.forEach(terms => terms.forEach(term => documentFrequency.set(term.key, (documentFrequency.get(term.key) || 0) + 1)));
+
+    const topics = [];
+    windows.forEach((window, index) => {
+        const keywords = counts[index]
+            .filter(term => term.count >= MIN_KEYWORD_COUNT)
+            .map(term => ({ term, score: term.count * Math.log(1 + windows.length / documentFrequency.get(term.key)) }))
+            .sort((a, b) => b.score - a.score || a.term.key.localeCompare(b.term.key))
+            .slice(0, TOPIC_KEYWORDS)
+            .map(({ term }) => ({ key: term.key, form: displayForm(term) }));
+        const previous = topics[topics.length - 1];
+        if (previous && (keywords.length === 0 || keywords[0].key === previous.keywords[0].key)) {
+            previous.end = window.end;
+        } else if (keywords.length > 0) {
+            topics.push({ start: window.start, end: window.end, keywords });
+        }
+    });
+    return topics.map(topic => ({ ...topic, keywords: topic.keywords.map(keyword => keyword.form) }));
+}
+
+/**
+ * Analiza una transcripción sin servicios externos: palabras clave y temas, ambos con sus instantes en el audio.
+ * @param {{segments?: object[], transcription?: string, duration?: number}} transcript - Transcripción o entrada del historial.
+ * @returns {{keywords: object[], topics: object[]}} Ver `extractKeywords` y `extractTopics`.
+ */
+function analyzeTranscript(transcript) {
+    const segments = transcriptSegments(transcript);
+    return { keywords: extractKeywords(segments), topics: extractTopics(segments) };
+}
+
+module.exports = { analyzeTranscript, extractKeywords, extractTopics, transcriptSegments };
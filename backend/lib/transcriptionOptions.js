@@ -0,0 +1,219 @@
+// backend/lib/transcriptionOptions.js
+
+// --- Importaciones de Módulos ---
+const { errorMessage } = require('./errors'); // Mensajes de error localizables.
+
+/**
+ * Modelos de Whisper que se permite solicitar. Los modelos más grandes son más precisos,
+ * pero consumen más memoria y tiempo. Las variantes `.en` solo admiten inglés.
+ * `parameters` es orientativo y se muestra en la UI para ayudar a elegir.
+ */
+const MODELS = [
+    { name: 'tiny', parameters: '39M', englishOnly: false },
+    { name: 'tiny.en', parameters: '39M', englishOnly: true },
+    { name: 'base', parameters: '74M', englishOnly: false },
+    { name: 'base.en', parameters: '74M', englishOnly: true },
+    { name: 'small', parameters: '244M', englishOnly: false },
+    { name: 'small.en', parameters: '244M', englishOnly: true },
+    { name: 'medium', parameters: '769M', englishOnly: false },
+    { name: 'medium.en', parameters: '769M', englishOnly: true },
+    { name: 'large', parameters: '1550M', englishOnly: false },
+    { name: 'large-v2', parameters: '1550M', englishOnly: false },
+    { name: 'large-v3', parameters: '1550M', englishOnly: false },
+    { name: 'turbo', parameters: '809M', englishOnly: false },
+];
+
+// Modelo usado cuando la solicitud no indica ninguno (el mismo que el valor por defecto de transcribe.py).
+const DEFAULT_MODEL = 'base';
+
+// Tareas de Whisper: transcribir en el idioma original o traducir al inglés.
+const TASKS = ['transcribe', 'translate'];
+
+// Rangos permitidos para las opciones numéricas de decodificación.
+const TEMPERATURE_RANGE = { min: 0, max: 1, step: 0.1 };
+const BEAM_SIZE_RANGE = { min: 1, max: 10, default: 5 };
+// Longitud máxima del texto de contexto inicial (initial prompt).
+const INITIAL_PROMPT_MAX_LENGTH = 500;
+// Número de hablantes que se puede indicar al identificar hablantes (diarización).
+const SPEAKERS_RANGE = { min: 1, max: 10 };
+// Formato de los códigos de idioma aceptados (ISO 639-1 o 639-2, ej. 'es', 'en', 'haw').
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+// Idioma al que traduce Whisper por sí mismo (tarea 'translate'); el resto necesita un proveedor de traducción.
+const WHISPER_TRANSLATION_TARGET = 'en';
+
+/**
+ * Describe los valores permitidos para cada opción, tal como se exponen en `GET /api/models`.
+ * El frontend construye sus controles a partir de esta descripción.
+ * @param {object} [context]
+ * @param {string} [context.translationProvider] - Proveedor de traducción configurado (`TRANSLATE_PROVIDER`).
+ * @returns {object}
+ */
+function describeOptions({ translationProvider } = {}) {
+    return {
+        models: MODELS,
+        defaultModel: DEFAULT_MODEL,
+        tasks: TASKS,
+        defaultTask: 'transcribe',
+        temperature: { ...TEMPERATURE_RANGE, default: null }, // null: Whisper usa su estrategia de temperaturas por defecto.
+        beamSize: BEAM_SIZE_RANGE,
+        initialPrompt: { maxLength: INITIAL_PROMPT_MAX_LENGTH },
+        wordTimestamps: { default: false },
+        diarize: { default: false, numSpeakers: SPEAKERS_RANGE }, // numSpeakers vacío: se estima automáticamente.
+        // Al inglés traduce Whisper; al resto de idiomas, el proveedor configurado (null: ninguno).
+        translateTo: { default: null, whisperTarget: WHISPER_TRANSLATION_TARGET, provider: translationProvider || null },
+    };
+}
+
+/**
+ * Interpreta un valor booleano recibido en un formulario ('true', '1', 'on', true...).
+ * @param {*} value - Valor recibido.
+ * @returns {boolean}
+ */
+function parseBoolean(value) {
+    return value === true || ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Comprueba que un campo vacío se considere "no indicado" (los formularios envían cadenas vacías).
+ * @param {*} value - Valor recibido.
+ * @returns {boolean}
+ */
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Valida las opciones de transcripción recibidas en el cuerpo de la solicitud contra la lista blanca.
+ * Solo los valores validados se envían después al motor de transcripción.
+ *
+ * @param {object} [body] - Cuerpo de la solicitud (campos del FormData).
+ * @returns {{options: object}|{error: object}} Las opciones normalizadas
+ *          (`{ language, model, task, temperature, beamSize, initialPrompt, wordTimestamps, diarize, numSpeakers, translateTo }`)
+ *          o un mensaje de error (ver `errorMessage`) si algún valor no es válido.
+ */
+function parseTranscriptionOptions(body = {}) {
+    const options = {
+        language: null,
+        model: DEFAULT_MODEL,
+        task: 'transcribe',
+        temperature: null,
+        beamSize: null,
+        initialPrompt: null,
+        wordTimestamps: false,
+        diarize: false,
+        numSpeakers: null,
+        translateTo: null,
+    };
+
+    if (!isMissing(body.language)) {
+        const language = String(body.language).toLowerCase();
+        if (!LANGUAGE_PATTERN.test(language)) {
+            return { error: errorMessage('options.language', { value: body.language }) };
+        }
+        options.language = language;
+    }
+
+    if (!isMissing(body.model)) {
+        const model = MODELS.find(candidate => candidate.name === body.model);
+        if (!model) {
+            return { error: errorMessage('options.model', { value: body.model, options: MODELS.map(m => m.name).join(', ') }) };
+        }
+        if (model.englishOnly && options.language && options.language !== 'en') {
+            return { error: errorMessage('options.englishOnly', { model: model.name }) };
+        }
+        options.model = model.name;
+    }
+
+    if (!isMissing(body.task)) {
+        if (!TASKS.includes(body.task)) {
+            return { error: errorMessage('options.task', { value: body.task, options: TASKS.join(', ') }) };
+        }
+        options.task = body.task;
+    }
+
+    if (!isMissing(body.temperature)) {
+        const temperature = Number(body.temperature);
+        if (!Number.isFinite(temperature) || temperature < TEMPERATURE_RANGE.min || temperature > TEMPERATURE_RANGE.max) {
+            return { error: errorMessage('options.temperature', TEMPERATURE_RANGE) };
+        }
+        options.temperature = temperature;
+    }
+
+    if (!isMissing(body.beamSize)) {
+        const beamSize = Number(body.beamSize);
+        if (!Number.isInteger(beamSize) || beamSize < BEAM_SIZE_RANGE.min || beamSize > BEAM_SIZE_RANGE.max) {
+            return { error: errorMessage('options.beamSize', BEAM_SIZE_RANGE) };
+        }
+        options.beamSize = beamSize;
+    }
+
+    if (!isMissing(body.initialPrompt)) {
+        const initialPrompt = String(body.initialPrompt).trim();
+        if (initialPrompt.length > INITIAL_PROMPT_MAX_LENGTH) {
+            return { error: errorMessage('options.initialPrompt', { max: INITIAL_PROMPT_MAX_LENGTH }) };
+        }
+        options.initialPrompt = initialPrompt || null;
+    }
+
+    if (!isMissing(body.wordTimestamps)) {
+        options.wordTimestamps = parseBoolean(body.wordTimestamps);
+    }
+
+    if (!isMissing(body.diarize)) {
+        options.diarize = parseBoolean(body.diarize);
+    }
+
+    if (!isMissing(body.numSpeakers)) {
+        const numSpeakers = Number(body.numSpeakers);
+        if (!Number.isInteger(numSpeakers) || numSpeakers < SPEAKERS_RANGE.min || numSpeakers > SPEAKERS_RANGE.max) {
+            return { error: errorMessage('options.numSpeakers', SPEAKERS_RANGE) };
+        }
+        options.numSpeakers = numSpeakers;
+    }
+
+    // Traducción del texto transcrito, que se conserva junto a la traducción (a diferencia de task='translate').
+    if (!isMissing(body.translateTo)) {
+        const translateTo = String(body.translateTo).toLowerCase();
+        if (!LANGUAGE_PATTERN.test(translateTo)) {
+            return { error: errorMessage('options.translateTo', { value: body.translateTo }) };
+        }
+        if (options.task === 'translate') {
+            return { error: errorMessage('options.translateWithTask') };
+        }
+        if (translateTo === options.language) {
+            return { error: errorMessage('options.translateSameLanguage') };
+        }
+        options.translateTo = translateTo;
+    }
+
+    return { options };
+}
+
+/**
+ * Convierte opciones ya validadas en una solicitud de transcripción para el motor (ver `lib/engines`).
+ * Es el formato del protocolo del worker Python (worker.py), que el resto de motores traducen al suyo.
+ * Las claves de `decode_options` coinciden con los argumentos de `model.transcribe` de Whisper;
+ * `diarize` es null si no se pidió identificar hablantes.
+ * @param {string} audioFilePath - Ruta del archivo de audio a transcribir.
+ * @param {object} options - Opciones devueltas por `parseTranscriptionOptions`.
+ * @returns {object}
+ */
+function toWorkerRequest(audioFilePath, options) {
+    return {
+        audio_file: audioFilePath,
+        language: options.language || null,
+        model: options.model || DEFAULT_MODEL,
+        decode_options: {
+            task: options.task || null,
+            temperature: options.temperature ?? null,
+            beam_size: options.beamSize || null,
+            initial_prompt: options.initialPrompt || null,
+            word_timestamps: options.wordTimestamps || null,
+        },
+        diarize: options.diarize ? { num_speakers: options.numSpeakers || null } : null,
+    };
+}
+
+module.exports = {
+    describeOptions, parseTranscriptionOptions, toWorkerRequest, parseBoolean, isMissing, DEFAULT_MODEL, WHISPER_TRANSLATION_TARGET,
+};
@@ -0,0 +1,258 @@
+// backend/lib/translation.js
+
+// --- Importaciones de Módulos ---
+const { createError, errorMessage } = require('./errors'); // Errores con código de la API y detalles para depuración.
+const { createRunContext, runStep, cancelRun, cancelledError } = require('./engines/common'); // Pasos cancelables.
+const { WHISPER_TRANSLATION_TARGET } = require('./transcriptionOptions'); // Idioma al que traduce Whisper.
+
+// Número máximo de segmentos por solicitud al proveedor de traducción.
+const TRANSLATION_BATCH_SIZE = 50;
+
+/**
+ * Proveedor de traducción con la API de LibreTranslate (`POST <url>/translate` con `q` como lista de textos),
+ * que se puede ejecutar localmente (ej. `libretranslate` en Docker) o sustituir por cualquier servicio que
+ * la imite. Los segmentos se envían en bloques, conservando su orden.
+ */
+class HttpTranslator {
+    /**
+     * @param {object} options
+     * @param {string} options.url - URL base del servicio (ej. 'http://localhost:5000').
+     * @param {string} [options.apiKey] - Clave del servicio (campo `api_key`).
+     * @param {number} [options.timeoutMs=120000] - Espera máxima de cada respuesta.
+     */
+    constructor({ url, apiKey, timeoutMs = 120000 } = {}) {
+        if (!url) {
+            throw new Error('El proveedor de traducción HTTP necesita la URL del servicio (TRANSLATE_HTTP_URL).');
+        }
+        this.name = 'http';
+        this.url = url.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Traduce una lista de textos.
+     * @param {string[]} texts - Textos a traducir (uno por segmento).
+     * @param {object} languages
+     * @param {string|null} languages.source - Idioma de los textos (null: lo detecta el servicio).
+     * @param {string} languages.target - Idioma de destino.
+     * @returns {{promise: Promise<string[]>, cancel: function(): void}} Las traducciones, en el mismo orden.
+     */
+    translate(texts, { source, target }) {
+        const controller = new AbortController();
+        let cancelled = false;
+        const promise = (async () => {
+            const translations = [];
+            for (let start = 0; start < texts.length; start += TRANSLATION_BATCH_SIZE) {
+                const batch = texts.slice(start, start + TRANSLATION_BATCH_SIZE);
+                translations.push(...await this._post(batch, source, target, controller.signal));
+            }
+            return translations;
+        })().catch((error) => { throw cancelled ? cancelledError() : error; });
+        return { promise, cancel: () => { cancelled = true; controller.abort(); } };
+    }
+
+    /**
+     * Estado del proveedor para `GET /api/status` (sin la clave del servicio).
+     * @returns {object}
+     */
+    describe() {
+        return { name: this.name, url: this.url };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Envía un bloque de textos al servicio.
+     * @returns {Promise<string[]>}
+     * @private
+     */
+    async _post(texts, source, target, signal) {
+        const endpoint = `${this.url}/translate`;
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ q: texts, source: source || 'auto', target, format: 'text', api_key: this.apiKey }),
+                signal: AbortSignal.any([signal, AbortSignal.timeout(this.timeoutMs)]),
+            });
+        } catch (fetchError) {
+            if (fetchError.name === 'TimeoutError') {
+                throw createError(errorMessage('translation.timeout', { ms: this.timeoutMs }), undefined, 'TIMEOUT');
+            }
+            throw createError(errorMessage('translation.connection', { endpoint }), fetchError.cause?.message || fetchError.message, 'TRANSLATION_FAILED');
+        }
+
+        const body = await response.text();
+        let data = null;
+        try {
+            data = JSON.parse(body);
+        } catch {
+            // Se informa más abajo con el cuerpo recibido.
+        }
+        if (!response.ok) {
+            throw createError(errorMessage('translation.serviceError', { status: response.status, message: data?.error || body.slice(0, 200) }), undefined, 'TRANSLATION_FAILED');
+        }
+        const translated = data?.translatedText;
+        if (!Array.isArray(translated) || translated.length !== texts.length) {
+            throw createError(errorMessage('translation.unexpectedResponse'), body.slice(0, 500), 'TRANSLATION_FAILED');
+        }
+        return translated.map(text => String(text ?? '').trim());
+    }
+}
+
+/**
+ * Proveedor simulado y determinista, para desarrollo y pruebas: antepone el idioma de destino a cada texto
+ * ("[fr] Hola.").
+ */
+class MockTranslator {
+    constructor() {
+        this.name = 'mock';
+    }
+
+    /**
+     * @param {string[]} texts - Textos a traducir.
+     * @param {{target: string}} languages - Idioma de destino.
+     * @returns {{promise: Promise<string[]>, cancel: function(): void}}
+     */
+    translate(texts, { target }) {
+        return { promise: Promise.resolve(texts.map(text => `[${target}] ${text.trim()}`)), cancel: () => {} };
+    }
+
+    /**
+     * @returns {object}
+     */
+    describe() {
+        return { name: this.name };
+    }
+}
+
+/**
+ * Proveedores de traducción disponibles, indexados por el nombre usado en `TRANSLATE_PROVIDER`.
+ * Todos implementan `translate(texts, { source, target })`, que devuelve `{ promise, cancel }` con una
+ * traducción por texto, y `describe()`.
+ */
+const TRANSLATORS = {
+    // Servicio compatible con la API de LibreTranslate.
+    http: env => new HttpTranslator({ url: env.TRANSLATE_HTTP_URL, apiKey: env.TRANSLATE_HTTP_API_KEY || undefined }),
+    // Traducciones simuladas, sin dependencias externas.
+    mock: () => new MockTranslator(),
+};
+
+/**
+ * Crea el proveedor de traducción indicado.
+ * @param {string} [name] - Nombre del proveedor: 'http' o 'mock'. Sin nombre, no hay proveedor.
+ * @param {object} [env=process.env] - Variables de entorno con la configuración del proveedor.
+ * @returns {object|null} El proveedor, o null si no se configuró ninguno (solo se traduce al inglés, con Whisper).
+ * @throws {Error} Si el proveedor no existe o su configuración no es válida.
+ */
+function createTranslator(name, env = process.env) {
+    if (!name) return null;
+    const factory = TRANSLATORS[name];
+    if (!factory) {
+        throw new Error(`Proveedor de traducción no soportado: '${name}'. Use uno de: ${Object.keys(TRANSLATORS).join(', ')}.`);
+    }
+    return factory(env);
+}
+
+/**
+ * Reparte los segmentos de una traducción de Whisper (con sus propios tiempos) entre los segmentos del texto
+ * original: cada segmento traducido se asigna al original que contiene su punto medio o, si cae entre dos,
+ * al más cercano.
+ * @param {Array<{start: number, end: number}>} sourceSegments - Segmentos del texto original.
+ * @param {Array<{start: number, end: number, text: string}>} translatedSegments - Segmentos traducidos.
+ * @returns {string[]} Una traducción por segmento original (vacía si no le corresponde ninguna).
+ */
+function alignTranslation(sourceSegments, translatedSegments) {
+    const texts = sourceSegments.map(() => []);
+    if (sourceSegments.length === 0) return [];
+    translatedSegments.forEach((translated) => {
+        const middle = (translated.start + translated.end) / 2;
+        let best = 0;
+        let bestDistance = Infinity;
+        sourceSegments.forEach((segment, index) => {
+            const distance = middle < segment.start ? segment.start - middle : Math.max(0, middle - segment.end);
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        });
+        texts[best].push(translated.text.trim());
+    });
+    return texts.map(parts => parts.join(' ').trim());
+}
+
+/**
+ * Adapta los eventos de una pasada de transcripción cuando hay dos (el original y la traducción de Whisper):
+ * el progreso de cada una ocupa la mitad de la barra y solo se reenvían los segmentos del texto original.
+ * @param {function(object): void} [onEvent] - Receptor de los eventos del trabajo.
+ * @param {number} pass - 0 (texto original) o 1 (traducción).
+ * @returns {function(object): void|undefined}
+ * @private
+ */
+function halfProgress(onEvent, pass) {
+    return onEvent && ((event) => {
+        if (event.event === 'segment') {
+            if (pass === 0) onEvent(event);
+        } else if (event.event === 'progress' && event.percent != null) {
+            onEvent({ ...event, percent: pass * 50 + event.percent / 2 });
+        } else {
+            onEvent(event);
+        }
+    });
+}
+
+/**
+ * Ejecuta una transcripción y, si se pidió `translateTo`, traduce su texto segmento a segmento: al inglés con la
+ * tarea 'translate' de Whisper (una segunda pasada alineada con la primera) y al resto de idiomas con el proveedor
+ * de traducción. Cada segmento del resultado conserva su texto original en `text` y su traducción en
+ * `translation`; `result.translation` resume el idioma, el proveedor y el texto traducido completo.
+ * @param {function(object, function(object): void): {promise: Promise<object>, cancel: function(): void}} transcribe -
+ *        Lanza una transcripción con las opciones indicadas sobre las del trabajo (`{}` o `{ task: 'translate', ... }`).
+ * @param {object} options
+ * @param {string|null} options.translateTo - Idioma de destino (null: sin traducción).
+ * @param {object|null} options.translator - Proveedor de traducción (ver `createTranslator`).
+ * @param {function(object): void} [options.onEvent] - Recibe los eventos `progress` y `segment`.
+ * @returns {{promise: Promise<object>, cancel: function(): void}}
+ */
+function runWithTranslation(transcribe, { translateTo, translator, onEvent }) {
+    if (!translateTo) {
+        return transcribe({}, onEvent);
+    }
+
+    const context = createRunContext();
+    const withWhisper = translateTo === WHISPER_TRANSLATION_TARGET;
+    const promise = (async () => {
+        const result = await runStep(context, () => transcribe({}, withWhisper ? halfProgress(onEvent, 0) : onEvent));
+        const source = result.language || null;
+        let translations;
+        let provider;
+        if (source === translateTo) {
+            // El audio ya está en el idioma de destino: la traducción es el propio texto.
+            translations = result.segments.map(segment => segment.text.trim());
+            provider = null;
+        } else if (withWhisper) {
+            // La segunda pasada solo aporta el texto: sin hablantes ni marcas por palabra.
+            const overrides = { task: 'translate', diarize: false, wordTimestamps: false };
+            const translated = await runStep(context, () => transcribe(overrides, halfProgress(onEvent, 1)));
+            translations = alignTranslation(result.segments, translated.segments);
+            provider = 'whisper';
+        } else {
+            if (!translator) {
+                throw createError(errorMessage('translation.notConfigured', { language: translateTo }), undefined, 'TRANSLATION_FAILED');
+            }
+            translations = await runStep(context, () => translator.translate(result.segments.map(segment => segment.text.trim()), { source, target: translateTo }));
+            provider = translator.name;
+        }
+        return {
+            ...result,
+            segments: result.segments.map((segment, index) => ({ ...segment, translation: translations[index] || '' })),
+            translation: { language: translateTo, source, provider, text: translations.filter(Boolean).join(' ') },
+        };
+    })();
+
+    return { promise, cancel: () => cancelRun(context) };
+}
+
+module.exports = { createTranslator, alignTranslation, runWithTranslation, HttpTranslator, MockTranslator };
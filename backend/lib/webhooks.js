@@ -0,0 +1,473 @@
+// backend/lib/webhooks.js
+
+// --- Importaciones de Módulos ---
+const fs = require('fs');                       // Registro de entregas en disco.
+const http = require('http');                   // Notificaciones por HTTP...
+const https = require('https');                 // ...y por HTTPS.
+const { createHmac, randomUUID } = require('crypto'); // Firma de las notificaciones e identificadores de entrega.
+const { guardedLookup } = require('./audioSources'); // Protección frente a SSRF al conectar con la URL de destino.
+const { logger } = require('./logger');         // Registro estructurado del servidor.
+const { JsonFileWriter } = require('./jsonFile'); // Escritura diferida y asíncrona del registro.
+const { errorMessage, formatMessage } = require('./errors'); // Mensajes de error localizables.
+
+/**
+ * Eventos que se notifican, según el estado final del trabajo (los trabajos cancelados no se notifican).
+ */
+const WEBHOOK_EVENTS = Object.freeze({
+    done: 'transcription.completed',
+    failed: 'transcription.failed',
+});
+
+/**
+ * Estados de una entrega: en curso o a la espera de un reintento, entregada (respuesta 2xx) o fallida
+ * (se agotaron los intentos; se puede reenviar con `replay`).
+ */
+const DELIVERY_STATUS = Object.freeze({
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+});
+
+// Longitud máxima de una URL de notificación.
+const MAX_CALLBACK_URL_LENGTH = 2048;
+// Espera máxima entre dos intentos, por muchos que se hayan hecho.
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// Caracteres de la respuesta del destino que se guardan en cada intento (para depurar los rechazos).
+const RESPONSE_EXCERPT_LENGTH = 500;
+// Intentos que se conservan por entrega (los más recientes).
+const MAX_ATTEMPTS_LOGGED = 50;
+
+/**
+ * Firma una notificación: HMAC-SHA256, con el secreto compartido, de `<timestamp>.<cuerpo>`. El destino la
+ * recalcula con el cuerpo recibido y la cabecera `X-Webhook-Timestamp` y rechaza las que no coincidan (o
+ * las de hace demasiado tiempo, para impedir que se reenvíe una notificación capturada).
+ * @param {string} secret - Secreto compartido (`WEBHOOK_SECRET`).
+ * @param {number|string} timestamp - Segundos desde la época Unix del envío.
+ * @param {string} body - Cuerpo JSON tal como se envía.
+ * @returns {string} Valor de la cabecera `X-Webhook-Signature` (`sha256=<hex>`).
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Valida una URL de notificación (la de una solicitud, `callbackUrl`, o una de `WEBHOOK_URLS`).
+ * Las direcciones a las que resuelve se comprueban después, al conectar (ver `guardedLookup`).
+ * @param {*} value - Valor recibido.
+ * @returns {{url: string|null, error: object|null}} La URL normalizada (null si no se indicó) o un mensaje de error
+ *          (ver `errorMessage`).
+ */
+function parseCallbackUrl(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+        return { url: null, error: errorMessage('webhooks.callbackType') };
+    }
+    if (!text) return { url: null, error: null };
+    if (text.length > MAX_CALLBACK_URL_LENGTH) {
+        return { url: null, error: errorMessage('webhooks.callbackLength', { max: MAX_CALLBACK_URL_LENGTH }) };
+    }
+    let parsed;
+    try {
+        parsed = new URL(text);
+    } catch {
+        return { url: null, error: errorMessage('webhooks.callbackInvalid', { url: text }) };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { url: null, error: errorMessage('webhooks.callbackProtocol') };
+    }
+    return { url: parsed.href, error: null };
+}
+
+/**
+ * Interpreta la lista de URL que reciben las notificaciones de todos los trabajos (`WEBHOOK_URLS`).
+ * @param {string} [value] - URL separadas por comas.
+ * @returns {string[]}
+ * @throws {Error} Si alguna URL no es válida.
+ */
+function parseWebhookUrls(value = '') {
+    return value.split(',').map(item => item.trim()).filter(Boolean).map((item) => {
+        const { url, error } = parseCallbackUrl(item);
+        if (error) throw new Error(`WEBHOOK_URLS: ${formatMessage(error)}`);
+        return url;
+    });
+}
+
+/**
+ * Envía notificaciones firmadas (webhooks) a URL externas y lleva un registro persistente de cada entrega.
+ *
+ * Cada notificación es un POST con un cuerpo JSON y las cabeceras `X-Webhook-Id` (identificador de la
+ * entrega, el mismo en los reintentos), `X-Webhook-Event`, `X-Webhook-Timestamp` y `X-Webhook-Signature`
+ * (ver `signPayload`). Se considera entregada con cualquier respuesta 2xx; si no (error de red, tiempo de
+ * espera agotado u otro código), se reintenta con espera exponencial (`retryBaseMs`, el doble cada vez)
+ * hasta `maxAttempts` intentos. Las entregas pendientes se reanudan al reiniciar el servidor.
+ *
+ * Formato de cada entrega del registro (`<dataDir>/webhooks.json`):
+ * `{ id, event, jobId, url, status, payload, attempts: [{ at, durationMs, statusCode, error, response }],
+ *    remainingAttempts, nextAttemptAt, createdAt, updatedAt, deliveredAt, replays }`.
+ * `payload` solo guarda los datos pequeños de la notificación (ej. los del trabajo); el cuerpo se completa en cada
+ * intento con `expandPayload` (ej. con el resultado de la transcripción, que se obtiene del trabajo o del
+ * historial), para que el registro no repita transcripciones completas. Se conservan las `maxEntries` entregas
+ * más recientes; el registro se escribe de forma asíncrona, agrupando los cambios seguidos (ver `JsonFileWriter`).
+ */
+class WebhookDispatcher {
+    /**
+     * @param {string} filePath - Archivo JSON del registro de entregas.
+     * @param {object} [options]
+     * @param {string} [options.secret] - Secreto con el que se firman las notificaciones. Sin él, no se envían.
+     * @param {number} [options.maxAttempts=6] - Intentos por entrega (incluido el primero).
+     * @param {number} [options.retryBaseMs=10000] - Espera antes del primer reintento.
+     * @param {number} [options.timeoutMs=10000] - Espera máxima de la respuesta del destino.
+     * @param {number} [options.maxEntries=500] - Entregas que se conservan en el registro.
+     * @param {function(string): boolean} [options.allowPrivateHost] - Hosts que pueden resolver a direcciones
+     *        no públicas (ver `parsePrivateHosts` en `lib/audioSources.js`).
+     * @param {function(object): object} [options.expandPayload] - Datos que se añaden al cuerpo de una entrega en
+     *        cada intento, sin guardarse en el registro (recibe la entrega, con su `jobId`).
+     */
+    constructor(filePath, {
+        secret = '', maxAttempts = 6, retryBaseMs = 10000, timeoutMs = 10000, maxEntries = 500, allowPrivateHost = () => false,
+        expandPayload = () => ({}),
+    } = {}) {
+        this.filePath = filePath;
+        this.secret = secret;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseMs = retryBaseMs;
+        this.timeoutMs = timeoutMs;
+        this.maxEntries = maxEntries;
+        this.allowPrivateHost = allowPrivateHost;
+        this.expandPayload = expandPayload;
+        this.deliveries = new Map();
+        this.timers = new Map();     // Reintentos programados, por ID de entrega.
+        this.requests = new Set();   // Solicitudes en curso (se abortan al detener el servidor).
+        this.sending = new Set();    // Entregas con un intento en curso.
+        this.stopped = false;
+        this.writer = new JsonFileWriter(filePath, () => ({ deliveries: Array.from(this.deliveries.values()) }), {
+            description: 'registro de webhooks',
+        });
+        this._load();
+    }
+
+    /**
+     * Indica si las notificaciones están habilitadas (hay un secreto con el que firmarlas).
+     * @returns {boolean}
+     */
+    get enabled() {
+        return Boolean(this.secret);
+    }
+
+    /**
+     * Reanuda las entregas pendientes del registro (las interrumpidas por un reinicio del servidor).
+     */
+    start() {
+        this.stopped = false;
+        if (!this.enabled) return;
+        for (const delivery of this.deliveries.values()) {
+            if (delivery.status === DELIVERY_STATUS.PENDING) {
+                this._schedule(delivery, Date.parse(delivery.nextAttemptAt) - Date.now());
+            }
+        }
+    }
+
+    /**
+     * Detiene los reintentos programados y aborta los envíos en curso. Las entregas quedan pendientes en el
+     * registro y se reanudan con `start`.
+     */
+    stop() {
+        this.stopped = true;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.requests.forEach(request => request.destroy());
+        this.requests.clear();
+    }
+
+    /**
+     * Escribe en disco los cambios pendientes del registro (ej. antes de detener el servidor).
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writer.flush();
+    }
+
+    /**
+     * Crea una entrega por cada URL y envía el primer intento de inmediato.
+     * @param {string[]} urls - URL de destino (las repetidas se notifican una sola vez).
+     * @param {string} event - Evento (ver `WEBHOOK_EVENTS`).
+     * @param {object} payload - Datos de la notificación que se guardan en el registro (se añaden `id`, `event`,
+     *        `createdAt` y los de `expandPayload`).
+     * @param {object} [context]
+     * @param {string} [context.jobId] - Trabajo notificado, para filtrar el registro.
+     * @returns {object[]} Las entregas creadas (resumidas).
+     */
+    dispatch(urls, event, payload, { jobId = null } = {}) {
+        if (!this.enabled) return [];
+        const now = new Date().toISOString();
+        const created = [...new Set(urls)].map((url) => {
+            const id = randomUUID();
+            const delivery = {
+                id,
+                event,
+                jobId,
+                url,
+                status: DELIVERY_STATUS.PENDING,
+                payload,
+                attempts: [],
+                remainingAttempts: this.maxAttempts,
+                nextAttemptAt: now,
+                createdAt: now,
+                updatedAt: now,
+                deliveredAt: null,
+                replays: 0,
+            };
+            this.deliveries.set(id, delivery);
+            return delivery;
+        });
+        if (created.length === 0) return [];
+        this._trim();
+        this._save();
+        created.forEach(delivery => this._schedule(delivery, 0));
+        return created.map(WebhookDispatcher.summarize);
+    }
+
+    /**
+     * Lista las entregas del registro, de la más reciente a la más antigua.
+     * @param {object} [filters]
+     * @param {string} [filters.status] - Solo las entregas en este estado.
+     * @param {string} [filters.jobId] - Solo las de este trabajo.
+     * @param {number} [filters.limit=100] - Número máximo de entregas.
+     * @returns {object[]} Entregas resumidas (sin el cuerpo).
+     */
+    list({ status, jobId, limit = 100 } = {}) {
+        return Array.from(this.deliveries.values())
+            .filter(delivery => (!status || delivery.status === status) && (!jobId || delivery.jobId === jobId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit)
+            .map(WebhookDispatcher.summarize);
+    }
+
+    /**
+     * Devuelve una entrega con su cuerpo completo y todos sus intentos.
+     * @param {string} id - Identificador de la entrega.
+     * @returns {object|undefined}
+     */
+    get(id) {
+        const delivery = this.deliveries.get(id);
+        if (!delivery) return undefined;
+        return { ...delivery, payload: this._payload(delivery) };
+    }
+
+    /**
+     * Reenvía una entrega (entregada, fallida o a la espera de un reintento) de inmediato, con los mismos datos
+     * y el mismo identificador, y con una nueva serie de `maxAttempts` intentos si vuelve a fallar.
+     * @param {string} id - Identificador de la entrega.
+     * @returns {object|undefined} La entrega resumida, o undefined si no existe.
+     */
+    replay(id) {
+        const delivery = this.deliveries.get(id);
+        if (!delivery) return undefined;
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+        // Con un intento en curso, su resultado decide el siguiente paso (ya con los intentos restablecidos).
+        const sending = this.sending.has(id);
+        Object.assign(delivery, {
+            status: DELIVERY_STATUS.PENDING,
+            remainingAttempts: this.maxAttempts,
+            nextAttemptAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            replays: delivery.replays + 1,
+        });
+        this._save();
+        if (!sending) this._schedule(delivery, 0);
+        return WebhookDispatcher.summarize(delivery);
+    }
+
+    /**
+     * Resume una entrega para los listados: sin el cuerpo y solo con el último intento.
+     * @param {object} delivery - Entrega del registro.
+     * @returns {object}
+     */
+    static summarize(delivery) {
+        const { payload, attempts, ...summary } = delivery;
+        return { ...summary, attemptCount: attempts.length, lastAttempt: attempts[attempts.length - 1] || null };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Cuerpo de una notificación: los datos guardados de la entrega y los de `expandPayload`.
+     * @param {object} delivery - Entrega.
+     * @returns {object}
+     * @private
+     */
+    _payload(delivery) {
+        const { id, event, createdAt, payload } = delivery;
+        return { id, event, createdAt, ...payload, ...this.expandPayload(delivery) };
+    }
+
+    /**
+     * Programa el siguiente intento de una entrega.
+     * @param {object} delivery - Entrega pendiente.
+     * @param {number} delayMs - Espera (ms); 0 o negativa para enviarla de inmediato.
+     * @private
+     */
+    _schedule(delivery, delayMs) {
+        if (this.stopped) return;
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+            this._attempt(delivery).catch(attemptError => logger.error('Error al enviar el webhook', { deliveryId: delivery.id, jobId: delivery.jobId, err: attemptError }));
+        }, Math.max(0, delayMs));
+        // Los reintentos programados no deben impedir que el proceso termine.
+        timer.unref();
+        this.timers.set(delivery.id, timer);
+    }
+
+    /**
+     * Envía un intento de una entrega y, según el resultado, la marca como entregada, fallida o programa
+     * el siguiente reintento (`retryBaseMs * 2^(n-1)`, hasta `MAX_RETRY_DELAY_MS`).
+     * @param {object} delivery - Entrega pendiente.
+     * @private
+     */
+    async _attempt(delivery) {
+        if (delivery.status !== DELIVERY_STATUS.PENDING) return;
+        this.sending.add(delivery.id);
+        let attempt;
+        try {
+            attempt = await this._send(delivery);
+        } finally {
+            this.sending.delete(delivery.id);
+        }
+        // Un envío interrumpido al detener el servidor no cuenta como intento: se repite al reanudar.
+        if (this.stopped || !this.deliveries.has(delivery.id)) return;
+
+        const now = new Date();
+        delivery.attempts = [...delivery.attempts, attempt].slice(-MAX_ATTEMPTS_LOGGED);
+        delivery.remainingAttempts -= 1;
+        delivery.updatedAt = now.toISOString();
+        const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+        if (succeeded) {
+            Object.assign(delivery, { status: DELIVERY_STATUS.DELIVERED, deliveredAt: now.toISOString(), nextAttemptAt: null });
+        } else if (delivery.remainingAttempts <= 0) {
+            Object.assign(delivery, { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null });
+            logger.error('Webhook no entregado tras agotar los intentos', {
+                deliveryId: delivery.id, jobId: delivery.jobId, event: delivery.event, url: delivery.url,
+                attempts: this.maxAttempts, lastError: attempt.error || attempt.statusCode,
+            });
+        } else {
+            const attemptNumber = this.maxAttempts - delivery.remainingAttempts;
+            const delayMs = Math.min(this.retryBaseMs * 2 ** (attemptNumber - 1), MAX_RETRY_DELAY_MS);
+            delivery.nextAttemptAt = new Date(now.getTime() + delayMs).toISOString();
+            this._schedule(delivery, delayMs);
+        }
+        this._save();
+    }
+
+    /**
+     * Envía la notificación firmada a su URL.
+     * @param {object} delivery - Entrega.
+     * @returns {Promise<{at: string, durationMs: number, statusCode: number|null, error: string|null, response: string|null}>}
+     *          El resultado del intento (nunca se rechaza).
+     * @private
+     */
+    _send(delivery) {
+        const startedAt = Date.now();
+        const outcome = fields => ({
+            at: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            statusCode: null,
+            error: null,
+            response: null,
+            ...fields,
+        });
+        const url = new URL(delivery.url);
+        let lookup;
+        try {
+            lookup = guardedLookup(url, this.allowPrivateHost);
+        } catch (guardError) {
+            return Promise.resolve(outcome({ error: guardError.message }));
+        }
+
+        const body = JSON.stringify(this._payload(delivery));
+        const timestamp = Math.floor(startedAt / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'transcriptor-webhooks/1.0',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(this.secret, timestamp, body),
+        };
+        const client = url.protocol === 'https:' ? https : http;
+        return new Promise((resolve) => {
+            let request = null;
+            const settle = (fields) => {
+                this.requests.delete(request);
+                resolve(outcome(fields));
+            };
+            request = client.request(url, { method: 'POST', headers, lookup }, (response) => {
+                let excerpt = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => {
+                    if (excerpt.length < RESPONSE_EXCERPT_LENGTH) excerpt += chunk;
+                });
+                response.on('end', () => settle({ statusCode: response.statusCode, response: excerpt.slice(0, RESPONSE_EXCERPT_LENGTH) || null }));
+                // Conexión cortada a mitad de la respuesta: el código recibido no confirma la entrega.
+                response.on('error', responseError => settle({ error: responseError.message }));
+            });
+            request.setTimeout(this.timeoutMs, () => {
+                request.destroy(new Error(`El destino no respondió en ${this.timeoutMs} ms.`));
+            });
+            request.on('error', requestError => settle({ error: requestError.message }));
+            this.requests.add(request);
+            request.end(body);
+        });
+    }
+
+    /**
+     * Descarta las entregas más antiguas que superan `maxEntries` (nunca las pendientes).
+     * @private
+     */
+    _trim() {
+        const finished = Array.from(this.deliveries.values())
+            .filter(delivery => delivery.status !== DELIVERY_STATUS.PENDING)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        let excess = this.deliveries.size - this.maxEntries;
+        for (const delivery of finished) {
+            if (excess <= 0) break;
+            this.deliveries.delete(delivery.id);
+            excess -= 1;
+        }
+    }
+
+    /**
+     * Carga el registro de entregas desde disco (vacío si no existe o no se puede leer).
+     * @private
+     */
+    _load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.deliveries = new Map((data.deliveries || []).map(delivery => [delivery.id, delivery]));
+            // Las entregas de los registros anteriores guardaban el cuerpo completo.
+            for (const delivery of this.deliveries.values()) {
+                if (delivery.body === undefined) continue;
+                const { id, event, createdAt, ...payload } = JSON.parse(delivery.body);
+                delivery.payload = payload;
+                delete delivery.body;
+            }
+        } catch (loadError) {
+            if (loadError.code !== 'ENOENT') {
+                logger.error('No se pudo leer el registro de webhooks', { file: this.filePath, err: loadError });
+            }
+        }
+    }
+
+    /**
+     * Programa la escritura del registro de entregas en disco (asíncrona y atómica, ver `JsonFileWriter`).
+     * @private
+     */
+    _save() {
+        this.writer.schedule();
+    }
+}
+
+module.exports = {
+    WebhookDispatcher, WEBHOOK_EVENTS, DELIVERY_STATUS, signPayload, parseCallbackUrl, parseWebhookUrls,
+};
@@ -0,0 +1,175 @@
+// backend/lib/workerPool.js
+
+// --- Importaciones de Módulos ---
+const { PythonWorker, WORKER_STATE } = require('./pythonWorker'); // Proceso Python persistente.
+const { createError, errorMessage } = require('./errors');      // Errores con código de la API.
+
+// Espera máxima (ms) para obtener un worker libre antes de dar por fallida la transcripción. No cuenta mientras
+// algún worker se relanza sin fallos (ej. tras una cancelación, recargando su modelo): ver `_acquire`.
+const ACQUIRE_TIMEOUT_MS = 120000;
+
+/**
+ * Conjunto pequeño de workers Python persistentes. Cada transcripción se asigna a un worker libre;
+ * si todos están ocupados o arrancando, espera a que alguno quede libre.
+ *
+ * El tamaño del pool coincide con la concurrencia de la cola de trabajos, de modo que normalmente
+ * siempre hay un worker libre para cada trabajo que empieza a ejecutarse.
+ */
+class WorkerPool {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.size=1] - Número de workers.
+     * @param {object} [options.workerOptions] - Opciones para cada `PythonWorker` (comprobaciones de salud).
+     * @param {number} [options.acquireTimeoutMs=ACQUIRE_TIMEOUT_MS] - Espera máxima de un worker libre.
+     */
+    constructor({ size = 1, workerOptions = {}, acquireTimeoutMs = ACQUIRE_TIMEOUT_MS } = {}) {
+        this.workers = Array.from({ length: Math.max(1, size) }, (_, index) =>
+            new PythonWorker({ ...workerOptions, id: index + 1 }));
+        this.acquireTimeoutMs = acquireTimeoutMs;
+        this.waiters = []; // Solicitudes esperando un worker libre: `{ resolve, reject, timer }`.
+        // Cuando un worker queda libre, se asigna al primero que espera.
+        this.workers.forEach(worker => worker.on('idle', () => this._assignIdle()));
+    }
+
+    /**
+     * Lanza todos los workers.
+     */
+    start() {
+        this.workers.forEach(worker => worker.start());
+    }
+
+    /**
+     * Detiene todos los workers y rechaza las esperas pendientes.
+     */
+    stop() {
+        this.workers.forEach(worker => worker.stop());
+        this.waiters.forEach(waiter => waiter.reject(createError(errorMessage('engine.shuttingDown'), undefined, 'ENGINE_UNAVAILABLE')));
+        this.waiters = [];
+    }
+
+    /**
+     * Ejecuta una transcripción en el primer worker libre.
+     *
+     * @param {object} request - Solicitud del protocolo (`audio_file`, `language`, `model`, `decode_options`).
+     * @param {object} [hooks]
+     * @param {function(object): void} [hooks.onEvent] - Recibe los eventos de progreso.
+     * @returns {{promise: Promise<object>, cancel: function(): void}}
+     */
+    run(request, hooks = {}) {
+        let cancelled = false;
+        let controller = null;
+        let waiter = null;
+
+        const promise = this._acquire((pendingWaiter) => { waiter = pendingWaiter; })
+            .then((worker) => {
+                if (cancelled) {
+                    // Se canceló mientras esperaba: el worker vuelve a quedar libre.
+                    worker.release();
+                    throw createError(errorMessage('jobs.cancelledBeforeStart'), undefined, 'CANCELLED');
+                }
+                controller = worker.transcribe(request, hooks);
+                return controller.promise;
+            });
+
+        const cancel = () => {
+            cancelled = true;
+            if (controller) return controller.cancel();
+            if (waiter) {
+                this.waiters = this.waiters.filter(pending => pending !== waiter);
+                clearTimeout(waiter.timer);
+                waiter.reject(createError(errorMessage('jobs.cancelledBeforeStart'), undefined, 'CANCELLED'));
+            }
+        };
+
+        return { promise, cancel };
+    }
+
+    /**
+     * Devuelve el estado del pool para `GET /api/status`.
+     * @returns {object}
+     */
+    describe() {
+        const workers = this.workers.map(worker => worker.describe());
+        return {
+            size: this.workers.length,
+            idle: workers.filter(worker => worker.state === WORKER_STATE.IDLE).length,
+            // Modelos cargados en al menos un worker (sin repetidos).
+            loadedModels: [...new Set(workers.flatMap(worker => worker.loadedModels))],
+            workers,
+        };
+    }
+
+    /**
+     * Comprobación de disponibilidad para `GET /api/status/ready`: el pool puede atender transcripciones si al
+     * menos un worker está listo (libre u ocupado). Sin entorno Python, o con todos arrancando o reiniciando, no.
+     * @returns {{ok: boolean, code?: string, message?: string}}
+     */
+    health() {
+        const states = this.workers.map(worker => worker.state);
+        if (states.some(state => state === WORKER_STATE.IDLE || state === WORKER_STATE.BUSY)) return { ok: true };
+        if (states.every(state => state === WORKER_STATE.UNAVAILABLE)) {
+            return { ok: false, code: 'PYTHON_ENV_MISSING', message: 'Entorno Python no encontrado: ningún worker puede arrancar.' };
+        }
+        return { ok: false, code: 'ENGINE_UNAVAILABLE', message: `Ningún worker de Python está listo (${[...new Set(states)].join(', ')}).` };
+    }
+
+    // --- Métodos Internos ---
+
+    /**
+     * Obtiene un worker libre, esperando si es necesario. La espera falla pasado `acquireTimeoutMs`, salvo si
+     * entonces algún worker se está relanzando sin fallos (ver `PythonWorker.recovering`): el sistema está sano y
+     * solo tarda en cargar (ej. un modelo grande en CPU tras cancelar una transcripción), así que se sigue esperando.
+     * @param {function(object): void} onWait - Recibe el registro de espera (para poder cancelarla).
+     * @returns {Promise<PythonWorker>}
+     * @private
+     */
+    _acquire(onWait) {
+        // Sin entorno Python no hay nada que esperar: se falla de inmediato.
+        if (this.workers.every(worker => worker.state === WORKER_STATE.UNAVAILABLE)) {
+            return Promise.reject(createError(errorMessage('engine.pythonEnvMissing'), undefined, 'PYTHON_ENV_MISSING'));
+        }
+        const idle = this._takeIdleWorker();
+        if (idle) return Promise.resolve(idle);
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+            const expire = () => {
+                if (this.workers.some(worker => worker.recovering)) {
+                    waiter.timer = setTimeout(expire, this.acquireTimeoutMs);
+                    return;
+                }
+                this.waiters = this.waiters.filter(pending => pending !== waiter);
+                reject(createError(errorMessage('engine.noWorker'), undefined, 'ENGINE_UNAVAILABLE'));
+            };
+            waiter.timer = setTimeout(expire, this.acquireTimeoutMs);
+            this.waiters.push(waiter);
+            onWait(waiter);
+        });
+    }
+
+    /**
+     * Reserva y devuelve un worker libre, o null si no hay ninguno.
+     * La reserva es inmediata, para que dos solicitudes simultáneas no reciban el mismo worker.
+     * @returns {PythonWorker|null}
+     * @private
+     */
+    _takeIdleWorker() {
+        return this.workers.find(worker => worker.reserve()) || null;
+    }
+
+    /**
+     * Asigna los workers libres a las solicitudes que esperan, por orden de llegada.
+     * @private
+     */
+    _assignIdle() {
+        while (this.waiters.length > 0) {
+            const worker = this._takeIdleWorker();
+            if (!worker) return;
+            const waiter = this.waiters.shift();
+            clearTimeout(waiter.timer);
+            waiter.resolve(worker);
+        }
+    }
+}
+
+module.exports = { WorkerPool };
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// backend/scripts/api-keys.js
+// CLI de administración de las claves de API. Trabaja sobre el mismo archivo que el servidor
+// (`DATA_DIR/api-keys.json`), que aplica los cambios sin reiniciarse.
+//
+// Uso (desde backend/):
+//   npm run keys -- list
+//   npm run keys -- create <nombre> [--max-upload-mb N] [--minutes-per-day N] [--requests-per-minute N]
+//   npm run keys -- update <id|prefijo> [--name <nombre>] [--max-upload-mb N|none] [--minutes-per-day N|none] [--requests-per-minute N|none]
+//   npm run keys -- revoke <id|prefijo>
+
+// --- Importaciones de Módulos ---
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const { ApiKeyStore, parseKeyFields } = require('../lib/apiKeys'); // Almacén de claves compartido con el servidor.
+const { formatMessage } = require('../lib/errors'); // Texto de los mensajes de error de la validación.
+
+// Opciones de la línea de comandos y campo de la clave al que corresponden.
+const OPTION_FIELDS = {
+    '--name': 'name',
+    '--max-upload-mb': 'maxUploadMb',
+    '--minutes-per-day': 'minutesPerDay',
+    '--requests-per-minute': 'requestsPerMinute',
+};
+
+const USAGE = `Uso: npm run keys -- <comando>
+  list                            Lista las claves, sus límites y el consumo de hoy.
+  create <nombre> [límites]       Crea una clave (se muestra una sola vez).
+  update <id|prefijo> [límites]   Cambia el nombre (--name) o los límites ("none" elimina un límite).
+  revoke <id|prefijo>             Revoca una clave.
+Límites: --max-upload-mb N, --minutes-per-day N, --requests-per-minute N`;
+
+/**
+ * Separa los argumentos posicionales de las opciones `--campo valor`.
+ * @param {string[]} args - Argumentos tras el comando.
+ * @returns {{positional: string[], fields: object}}
+ */
+function parseArgs(args) {
+    const positional = [];
+    const fields = {};
+    for (let i = 0; i < args.length; i++) {
+        const field = OPTION_FIELDS[args[i]];
+        if (!field) {
+            if (args[i].startsWith('--')) throw new Error(`Opción desconocida: ${args[i]}`);
+            positional.push(args[i]);
+            continue;
+        }
+        if (args[i + 1] === undefined) throw new Error(`Falta el valor de ${args[i]}.`);
+        fields[field] = args[i + 1] === 'none' ? null : args[i + 1];
+        i += 1;
+    }
+    return { positional, fields };
+}
+
+/**
+ * Describe los límites de una clave en una línea.
+ * @param {object} limits - Límites de la clave.
+ * @returns {string}
+ */
+function describeLimits({ maxUploadMb, minutesPerDay, requestsPerMinute }) {
+    return [
+        `subida ${maxUploadMb ? `${maxUploadMb} MB` : 'sin límite propio'}`,
+        `${minutesPerDay ? `${minutesPerDay} min/día` : 'minutos ilimitados'}`,
+        `${requestsPerMinute ? `${requestsPerMinute} solicitudes/min` : 'solicitudes/min por defecto'}`,
+    ].join(', ');
+}
+
+/**
+ * Ejecuta un comando de la CLI.
+ * @param {string[]} argv - Argumentos (sin `node` ni el nombre del script).
+ * @returns {number} Código de salida.
+ */
+function main(argv) {
+    const [command, ...rest] = argv;
+    const store = new ApiKeyStore(path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'api-keys.json'));
+    const { positional, fields } = parseArgs(rest);
+
+    switch (command) {
+        case 'list': {
+            const keys = store.list();
+            if (keys.length === 0) console.log('No hay claves de API. Cree una con: npm run keys -- create <nombre>');
+            keys.forEach((key) => {
+                const state = key.revokedAt ? `revocada el ${key.revokedAt}` : 'activa';
+                console.log(`${key.prefix}…  ${key.name}  (${state})\n    id: ${key.id}\n    ${describeLimits(key.limits)}`
+                    + `\n    hoy: ${Math.round(key.usage.seconds / 6) / 10} min, ${key.usage.requests} solicitudes`);
+            });
+            return 0;
+        }
+        case 'create': {
+            const { values, error } = parseKeyFields({ ...fields, name: positional.join(' ') });
+            if (error) throw new Error(formatMessage(error));
+            const { key, record } = store.create(values);
+            console.log(`Clave creada para "${record.name}" (${describeLimits(record.limits)}):\n\n    ${key}\n`);
+            console.log('Guárdela ahora: no podrá volver a mostrarse.');
+            return 0;
+        }
+        case 'update':
+        case 'revoke': {
+            if (!positional[0]) throw new Error(`Indique el id o el prefijo de la clave.\n${USAGE}`);
+            let record;
+            if (command === 'revoke') {
+                record = store.revoke(positional[0]);
+            } else {
+                const { values, error } = parseKeyFields(fields, { requireName: false });
+                if (error) throw new Error(formatMessage(error));
+                record = store.update(positional[0], values);
+            }
+            if (!record) throw new Error(`Clave no encontrada: ${positional[0]}`);
+            console.log(command === 'revoke'
+                ? `Clave ${record.prefix}… (${record.name}) revocada.`
+                : `Clave ${record.prefix}… (${record.name}) actualizada: ${describeLimits(record.limits)}.`);
+            return 0;
+        }
+        default:
+            console.log(USAGE);
+            return command ? 1 : 0;
+    }
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (cliError) {
+    console.error(cliError.message);
+    process.exitCode = 1;
+}
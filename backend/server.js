@@ -4,27 +4,160 @@
 const express = require('express');             // Framework web para Node.js.
 const cors = require('cors');                   // Middleware para habilitar Cross-Origin Resource Sharing.
 const multer = require('multer');               // Middleware para manejar la carga de archivos (multipart/form-data).
-const { spawn } = require('child_process');     // Módulo para crear procesos hijos (ejecutar Python).
 const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
 const fs = require('fs');                       // Módulo para interactuar con el sistema de archivos.
+const { JobQueue, JOB_STATUS, FINAL_STATUSES } = require('./lib/jobQueue'); // Cola de trabajos de transcripción con concurrencia limitada.
+const { openEventStream } = require('./lib/sse'); // Flujos Server-Sent Events para el progreso de los trabajos.
+const { SUBTITLE_FORMATS, TEXT_VARIANTS, applyTextVariant } = require('./lib/subtitles'); // Exportación de transcripciones (SRT, WebVTT, TSV, JSON, TXT).
+const { HistoryStore } = require('./lib/historyStore'); // Historial persistente de transcripciones.
+const { AudioStore } = require('./lib/audioStore'); // Audios originales de las transcripciones (para el editor).
+const { parseEditedSegments, joinSegments, joinTranslations } = require('./lib/transcriptEdits'); // Validación de transcripciones editadas.
+const { parsePreprocessOptions, needsPreprocessing, probeAudio, runWithPreprocessing } = require('./lib/preprocess'); // Preprocesamiento del audio con FFmpeg.
+const { describeOptions, parseTranscriptionOptions, toWorkerRequest, WHISPER_TRANSLATION_TARGET } = require('./lib/transcriptionOptions'); // Lista blanca de modelos y opciones.
+const { createTranslator, runWithTranslation } = require('./lib/translation'); // Traducción de las transcripciones por segmento.
+const { createSummarizer } = require('./lib/summarization'); // Resúmenes y capítulos con un modelo de lenguaje.
+const { transcriptSegments } = require('./lib/transcriptInsights'); // Segmentos con los que se analiza una transcripción.
+const { createEngine } = require('./lib/engines'); // Motores de transcripción intercambiables (Python, CLI, HTTP, simulado).
+const { attachLiveTranscription } = require('./lib/liveTranscription'); // Transcripción en vivo de grabaciones por WebSocket.
+const { BatchTracker } = require('./lib/batchTracker'); // Seguimiento de lotes de varios archivos.
+const { isZipFile, extractAudioEntries, createZipStream, AUDIO_EXTENSIONS } = require('./lib/archive'); // Extracción y creación de archivos ZIP.
+const { ApiKeyStore, parseKeyFields } = require('./lib/apiKeys'); // Claves de API con límites por cliente.
+const { ResultCache, hashFile } = require('./lib/resultCache'); // Caché de resultados por contenido del audio y opciones.
+const { AudioSourceError, parseAudioSource, parsePrivateHosts, downloadAudio, importAudio } = require('./lib/audioSources'); // Audios desde una URL o del directorio de importación.
+const { WebhookDispatcher, WEBHOOK_EVENTS, DELIVERY_STATUS, parseCallbackUrl, parseWebhookUrls } = require('./lib/webhooks'); // Notificaciones firmadas al terminar los trabajos.
+const {
+    resolveApiKey, requireApiKey, ownerOf, canAccess, requireAdminToken, requireMetricsToken, RateLimiter, rateLimit, clientIdOf,
+    maxUploadBytes, checkDailyQuota, secondsUntilQuotaReset, parseAllowedOrigins,
+} = require('./lib/access'); // Autenticación, límites de uso y orígenes permitidos.
+const {
+    ERROR_CODES, requestContext, errorHandler, errorCodeOf, errorMessage, errorMessageOf,
+} = require('./lib/errors');                    // Identificador de solicitud, forma común y mensajes de los errores.
+const { UploadJanitor, DiskSpaceGuard } = require('./lib/storage'); // Limpieza de subidas huérfanas y espacio libre en disco.
+const { logger, requestLogger } = require('./lib/logger'); // Registro estructurado (JSON) con los identificadores de solicitud y trabajo.
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, registry: metricsRegistry, httpMetrics } = require('./lib/metrics'); // Métricas en formato Prometheus.
 
 // --- Inicialización de Express ---
 const app = express();
 const port = 5001; // Puerto en el que escuchará el servidor backend.
+// Número máximo de transcripciones simultáneas (cada una es un proceso Whisper que consume CPU/RAM).
+const maxConcurrentJobs = parseInt(process.env.TRANSCRIBE_CONCURRENCY, 10) || 1;
+// Motor de transcripción: 'python' (openai-whisper, por defecto), 'cli' (whisper.cpp / faster-whisper),
+// 'http' (API compatible con OpenAI) o 'mock' (resultados simulados, para desarrollo y pruebas).
+const engineName = process.env.TRANSCRIBE_ENGINE || 'python';
+// Proveedor de traducción a idiomas distintos del inglés (al inglés traduce Whisper): 'http' (servicio compatible
+// con LibreTranslate, en `TRANSLATE_HTTP_URL`) o 'mock'. Sin definir, solo se puede traducir al inglés.
+const translationProviderName = process.env.TRANSLATE_PROVIDER || '';
+// Proveedor de los resúmenes con capítulos de las transcripciones: 'http' (modelo de lenguaje con la API de chat de
+// OpenAI, en `SUMMARY_HTTP_URL`, ej. un servidor local de llama.cpp u Ollama) o 'mock'. Sin definir, no hay resúmenes.
+const summaryProviderName = process.env.SUMMARY_PROVIDER || '';
+
+// --- Configuración del Control de Acceso ---
+// Las rutas de la API exigen una clave (ver `lib/apiKeys.js`), salvo que se desactive explícitamente para desarrollo.
+const apiKeysRequired = process.env.REQUIRE_API_KEY !== 'false';
+// Token de las rutas de administración de claves (`/api/admin/*`). Sin él, las claves se gestionan solo con la CLI.
+const adminToken = process.env.ADMIN_TOKEN || '';
+// Token que debe enviar Prometheus para leer `GET /metrics`. Sin él, las métricas son públicas.
+const metricsToken = process.env.METRICS_TOKEN || '';
+// Orígenes desde los que el navegador puede llamar a la API (por defecto, el servidor de desarrollo de Vite).
+const allowedOrigins = parseAllowedOrigins(process.env.CORS_ORIGINS ?? 'http://localhost:5173,http://127.0.0.1:5173');
+// Solicitudes por minuto y cliente: a cualquier ruta de la API y, de ellas, de transcripción (subidas, lotes y
+// grabaciones en vivo). Cada clave puede tener su propio límite de transcripciones (`requestsPerMinute`).
+const apiRateLimit = parseInt(process.env.API_RATE_LIMIT, 10) || 300;
+const transcribeRateLimit = parseInt(process.env.TRANSCRIBE_RATE_LIMIT, 10) || 10;
+
+// --- Configuración de las Fuentes de Audio Remotas ---
+// Directorio del servidor desde el que se pueden importar audios por su ruta (sin definir, la importación está deshabilitada).
+const importDir = process.env.IMPORT_DIR ? path.resolve(process.env.IMPORT_DIR) : null;
+// Hosts de las URL que pueden resolver a direcciones no públicas (ej. el servidor de archivos interno); `*` permite cualquiera.
+const allowPrivateHost = parsePrivateHosts(process.env.URL_IMPORT_PRIVATE_HOSTS);
+// Inactividad máxima de la descarga de una URL.
+const urlImportTimeoutMs = (parseInt(process.env.URL_IMPORT_TIMEOUT_SECONDS, 10) || 60) * 1000;
+
+// --- Configuración de la Caché de Resultados ---
+// Tamaño máximo (MB) y antigüedad máxima (días) de los resultados guardados. `RESULT_CACHE_MAX_MB=0` deshabilita la caché.
+const resultCacheMaxMb = Number(process.env.RESULT_CACHE_MAX_MB ?? 200);
+const resultCacheMaxAgeDays = Number(process.env.RESULT_CACHE_MAX_AGE_DAYS ?? 30);
+
+// --- Configuración de las Notificaciones (Webhooks) ---
+// Secreto con el que se firman las notificaciones; sin él, los webhooks están deshabilitados.
+const webhookSecret = process.env.WEBHOOK_SECRET || '';
+// URL que reciben las notificaciones de todos los trabajos (además de la `callbackUrl` de cada solicitud).
+const globalWebhookUrls = parseWebhookUrls(process.env.WEBHOOK_URLS);
+if (globalWebhookUrls.length > 0 && !webhookSecret) {
+    throw new Error('WEBHOOK_URLS necesita WEBHOOK_SECRET para firmar las notificaciones.');
+}
+// Intentos por notificación, espera antes del primer reintento (se duplica en cada uno) y espera máxima de la respuesta.
+const webhookMaxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const webhookRetryBaseMs = (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 10) * 1000;
+const webhookTimeoutMs = (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10) * 1000;
+
+// --- Configuración de los Límites de Recursos ---
+/**
+ * Lee un número no negativo de una variable de entorno (admite decimales, ej. `0.5`).
+ * @param {string} name - Nombre de la variable.
+ * @param {number} fallback - Valor si no está definida o no es válida.
+ * @returns {number}
+ */
+function envNumber(name, fallback) {
+    const value = Number(process.env[name] ?? fallback);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+// Tiempo máximo de ejecución de cada trabajo: pasado ese tiempo se termina su proceso y falla con TIMEOUT (0 = sin límite).
+const jobTimeoutMs = envNumber('JOB_TIMEOUT_SECONDS', 2 * 60 * 60) * 1000;
+// Antigüedad a partir de la cual un audio subido que no pertenece a ningún trabajo en curso se elimina, e
+// intervalo entre limpiezas (los restos de una caída se eliminan además al arrancar).
+const uploadMaxAgeMs = envNumber('UPLOAD_MAX_AGE_MINUTES', 60) * 60 * 1000;
+const uploadSweepIntervalMs = envNumber('UPLOAD_SWEEP_INTERVAL_MINUTES', 15) * 60 * 1000;
+// Espacio libre mínimo (MB) en el disco de las subidas: por debajo, se rechazan con 507 (0 = sin comprobación).
+const minFreeDiskBytes = envNumber('MIN_FREE_DISK_MB', 500) * 1024 * 1024;
+// Espera máxima de los trabajos en ejecución al detener el servidor (SIGTERM/SIGINT) antes de cancelarlos.
+const shutdownGraceMs = envNumber('SHUTDOWN_GRACE_SECONDS', 30) * 1000;
+// Número máximo de grabaciones en vivo simultáneas (0 = sin límite). Sus ventanas comparten además los huecos de
+// `TRANSCRIBE_CONCURRENCY` con los trabajos de la cola.
+const maxLiveSessions = envNumber('LIVE_MAX_SESSIONS', 10);
 
 // --- Configuración de Middleware Global ---
-app.use(cors()); // Habilita CORS para permitir solicitudes desde el frontend (servidor de desarrollo React).
+// Identifica cada solicitud (`X-Request-Id`) y da a todas las respuestas de error la forma `{ error, code, requestId }`.
+app.use(requestContext());
+// Registra cada solicitud (JSON con `requestId`, ruta, estado y duración) y la cuenta en las métricas. Las sondas
+// de salud y las lecturas de las métricas, que llegan cada pocos segundos, solo se registran con `LOG_LEVEL=debug`.
+app.use(requestLogger(logger, { quietPaths: ['/metrics', '/api/status/live', '/api/status/ready'] }));
+app.use(httpMetrics());
+// Habilita CORS solo para los orígenes configurados (el frontend) y expone las cabeceras de los límites de uso
+// y el identificador de la solicitud.
+app.use(cors({
+    origin: (origin, callback) => callback(null, allowedOrigins.isAllowed(origin)),
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id'],
+}));
+// CORS solo impide al navegador leer la respuesta: las solicitudes de otros orígenes se rechazan también aquí
+// (un formulario multipart de otra web se enviaría sin consulta previa).
+app.use((req, res, next) => {
+    if (allowedOrigins.isAllowed(req.headers.origin)) return next();
+    res.status(403).json({ error: errorMessage('request.originNotAllowed', { origin: req.headers.origin }) });
+});
 app.use(express.urlencoded({ extended: true })); // Middleware para parsear datos URL-encoded (necesario para leer campos de FormData como 'language' en req.body).
 app.use(express.json()); // Middleware para parsear cuerpos de solicitud JSON (útil para otras rutas o APIs).
 
 // --- Configuración de Carga de Archivos (Multer) ---
 // Define el directorio donde se almacenarán temporalmente los archivos subidos.
-const uploadDir = path.join(__dirname, 'uploads');
+const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
 // Crea el directorio si no existe.
 if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir);
+    fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Audios huérfanos del directorio de subidas (ver `lib/storage.js`): no se tocan los de los trabajos en curso.
+// Las grabaciones en vivo se escriben continuamente, así que nunca superan la antigüedad máxima mientras duran.
+const uploadJanitor = new UploadJanitor(uploadDir, {
+    maxAgeMs: uploadMaxAgeMs,
+    intervalMs: uploadSweepIntervalMs,
+    // Los audios de los trabajos en curso y las grabaciones de las sesiones en vivo (ver `attachLiveTranscription`).
+    isInUse: filePath => jobQueue.list().some(job => !FINAL_STATUSES.includes(job.status) && path.resolve(job.payload.audioFilePath) === filePath)
+        || Boolean(liveServer?.isInUse(filePath)),
+});
+// Espacio libre del disco de las subidas.
+const diskGuard = new DiskSpaceGuard(uploadDir, { minFreeBytes: minFreeDiskBytes });
+
 // Define la configuración de almacenamiento para Multer (dónde y cómo guardar archivos).
 const storage = multer.diskStorage({
     // Especifica el directorio de destino para los archivos subidos.
@@ -36,155 +169,1677 @@ const storage = multer.diskStorage({
     }
 });
 
-// Crea la instancia del middleware Multer con la configuración de almacenamiento y límites.
-// Se espera que el archivo venga en un campo llamado 'audioFile' desde el FormData del frontend.
-const upload = multer({ storage: storage, limits: { fileSize: 150 * 1024 * 1024 } }); // Establece un límite de tamaño de archivo (ej. 150MB).
+// Tamaño máximo de cada archivo de audio (subido o extraído de un ZIP).
+const MAX_FILE_SIZE = 150 * 1024 * 1024;
+// Número máximo de archivos de audio por lote (contando los extraídos de archivos ZIP).
+const MAX_BATCH_FILES = 50;
+// Tamaño máximo del contenido descomprimido de los ZIP de un lote (protección frente a bombas ZIP).
+const MAX_EXTRACTED_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * Crea el middleware de Multer de una ruta con el límite de tamaño del cliente: el global (150 MB) o el de su
+ * clave de API, si es menor. Multer deja de escribir el archivo en cuanto supera el límite y lo elimina;
+ * la solicitud se responde con 413.
+ * @param {function(multer.Multer): import('express').RequestHandler} select - Elige los campos de archivo
+ *        (ej. `upload => upload.single('audioFile')`).
+ * @returns {import('express').RequestHandler}
+ */
+function acceptUploads(select) {
+    return (req, res, next) => {
+        const maxBytes = maxUploadBytes(req.apiKey, MAX_FILE_SIZE);
+        const upload = multer({ storage: storage, limits: { fileSize: maxBytes } });
+        select(upload)(req, res, (uploadError) => {
+            if (!uploadError) return next();
+            if (uploadError.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: errorMessage('upload.tooLarge', { size: Math.round(maxBytes / 1024 / 1024) }), code: 'FILE_TOO_LARGE' });
+            }
+            if (uploadError instanceof multer.MulterError) {
+                return res.status(400).json({ error: errorMessage('upload.invalid', { reason: uploadError.message }) });
+            }
+            next(uploadError);
+        });
+    };
+}
+
+/**
+ * Comprueba si un archivo recibido parece un audio (o un vídeo con pista de audio): por su extensión o, si no tiene
+ * una reconocida, por el tipo MIME indicado por el cliente.
+ * @param {{originalname: string, mimetype: string}} file - Archivo gestionado por Multer (o descargado/importado).
+ * @returns {boolean}
+ */
+function isAudioUpload(file) {
+    return AUDIO_EXTENSIONS.has(path.extname(file.originalname).toLowerCase()) || /^(audio|video)\//.test(file.mimetype || '');
+}
+
+/**
+ * Middleware que obtiene el audio de una URL (`url`) o del directorio de importación (`importPath`) cuando la
+ * solicitud no incluye un archivo subido, y lo deja en `req.file` con los mismos campos que Multer: a partir de
+ * ahí la transcripción sigue el mismo camino que una subida. Se aplica el mismo tamaño máximo que a las subidas.
+ * @type {import('express').RequestHandler}
+ */
+async function acceptAudioSource(req, res, next) {
+    const { source, error } = parseAudioSource(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!source) return next();
+    if (req.file) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ error: errorMessage('upload.fileAndSource') });
+    }
+    if (source.type === 'path' && !importDir) {
+        return res.status(403).json({ error: errorMessage('upload.importDisabled') });
+    }
+
+    const maxBytes = maxUploadBytes(req.apiKey, MAX_FILE_SIZE);
+    try {
+        req.file = source.type === 'url'
+            ? await downloadAudio(source.url, uploadDir, { maxBytes, allowPrivateHost, timeoutMs: urlImportTimeoutMs })
+            : await importAudio(importDir, source.path, uploadDir, { maxBytes });
+    } catch (sourceError) {
+        if (!(sourceError instanceof AudioSourceError)) return next(sourceError);
+        req.log.warn('No se pudo obtener el audio', { source: source.type === 'url' ? source.url.href : source.path, err: sourceError });
+        return res.status(sourceError.status).json({ error: errorMessageOf(sourceError) });
+    }
+    req.log.info('Audio obtenido', { source: source.type === 'url' ? source.url.host : 'import', fileName: req.file.originalname, bytes: req.file.size });
+    next();
+}
+
+// --- Configuración del Historial Persistente ---
+// Las transcripciones completadas se guardan en un archivo JSON local para sobrevivir a reinicios.
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const historyStore = new HistoryStore(path.join(dataDir, 'history.json'));
+// Los audios de las transcripciones guardadas se conservan para reproducirlos en el editor.
+const audioStore = new AudioStore(path.join(dataDir, 'audio'));
+// Claves de API y su consumo diario (compartidas con la CLI de administración `scripts/api-keys.js`).
+const apiKeyStore = new ApiKeyStore(path.join(dataDir, 'api-keys.json'));
+// Resultados de transcripción reutilizables cuando se vuelve a subir el mismo audio con las mismas opciones.
+const resultCache = new ResultCache(path.join(dataDir, 'cache'), {
+    maxBytes: (Number.isFinite(resultCacheMaxMb) ? Math.max(0, resultCacheMaxMb) : 200) * 1024 * 1024,
+    maxAgeMs: (Number.isFinite(resultCacheMaxAgeDays) && resultCacheMaxAgeDays > 0 ? resultCacheMaxAgeDays : 30) * 24 * 60 * 60 * 1000,
+});
+
+// Notificaciones enviadas al terminar los trabajos, con su registro de entregas y reintentos.
+const webhooks = new WebhookDispatcher(path.join(dataDir, 'webhooks.json'), {
+    secret: webhookSecret,
+    maxAttempts: webhookMaxAttempts,
+    retryBaseMs: webhookRetryBaseMs,
+    timeoutMs: webhookTimeoutMs,
+    // Como las URL de audio: los destinos internos se permiten solo expresamente.
+    allowPrivateHost: parsePrivateHosts(process.env.WEBHOOK_PRIVATE_HOSTS),
+    // El resultado no se guarda en el registro de entregas: se añade en cada intento (ver `webhookResult`).
+    expandPayload: delivery => ({ result: webhookResult(delivery.jobId) }),
+});
+
+// --- Configuración del Motor de Transcripción ---
+// Con el motor 'python', un worker persistente por cada transcripción simultánea: cada uno carga los
+// modelos una sola vez y los reutiliza entre solicitudes. Ver `lib/engines` para el resto de motores.
+const engine = createEngine(engineName, { concurrency: maxConcurrentJobs });
+// Proveedor de las traducciones que no hace Whisper (null si no se configuró ninguno).
+const translator = createTranslator(translationProviderName);
+// Proveedor de los resúmenes de las transcripciones (null si no se configuró ninguno).
+const summarizer = createSummarizer(summaryProviderName);
+
+// --- Configuración de la Cola de Trabajos ---
+// Cada trabajo se envía al motor de transcripción (tras preprocesar el audio, si se pidió) y, con `translateTo`,
+// se traduce después (una segunda pasada de Whisper para el inglés); la cola limita cuántos corren a la vez.
+// Los eventos de progreso emitidos por el motor se reenvían a la cola para publicarlos por SSE.
+const jobQueue = new JobQueue({
+    runner: (job, report) => runWithTranslation(
+        (overrides, onEvent) => runWithPreprocessing(
+            engine,
+            toWorkerRequest(job.payload.audioFilePath, { ...job.payload.options, ...overrides }),
+            { preprocess: job.payload.preprocess, input: job.meta.input, onEvent }
+        ),
+        { translateTo: job.payload.options.translateTo, translator, onEvent: report }
+    ),
+    concurrency: maxConcurrentJobs,
+    timeoutMs: jobTimeoutMs,
+});
+
+// Los lotes agrupan trabajos de la cola para seguirlos y descargarlos como una unidad.
+const batchTracker = new BatchTracker(jobQueue);
+
+// --- Registro y Métricas de los Trabajos ---
+
+/**
+ * Registro de un trabajo: sus entradas incluyen el identificador del trabajo (`jobId`) y el de la solicitud que
+ * lo creó (`requestId`), para seguirlo desde la subida hasta el final.
+ * @param {object} job - Trabajo de la cola.
+ * @returns {import('./lib/logger').Logger}
+ */
+function jobLogger(job) {
+    return logger.child({ jobId: job.id, requestId: job.payload.requestId, batchId: job.meta.batchId });
+}
+
+// Duración de las transcripciones (s): de un audio corto con un modelo pequeño a una grabación larga con uno grande.
+const transcriptionDuration = metricsRegistry.histogram({
+    name: 'transcriptor_transcription_duration_seconds',
+    help: 'Duración de la ejecución de los trabajos de transcripción (s), por motor, modelo y estado final.',
+    labelNames: ['engine', 'model', 'status'],
+    buckets: [1, 5, 10, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200],
+});
+const audioSecondsProcessed = metricsRegistry.counter({
+    name: 'transcriptor_audio_seconds_processed_total',
+    help: 'Segundos de audio transcritos por los trabajos completados (sin los resultados de la caché), por motor y modelo.',
+    labelNames: ['engine', 'model'],
+});
+// Factor de tiempo real: segundos de ejecución por segundo de audio (por debajo de 1, más rápido que el audio).
+const realTimeFactor = metricsRegistry.histogram({
+    name: 'transcriptor_real_time_factor',
+    help: 'Factor de tiempo real de las transcripciones completadas (duración de la ejecución / duración del audio), por motor y modelo.',
+    labelNames: ['engine', 'model'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10],
+});
+const jobsFinished = metricsRegistry.counter({
+    name: 'transcriptor_jobs_finished_total',
+    help: 'Trabajos finalizados, por estado final y si el resultado vino de la caché.',
+    labelNames: ['status', 'cached'],
+});
+metricsRegistry.gauge({
+    name: 'transcriptor_queue_jobs',
+    help: 'Trabajos en la cola, por estado (queued: en espera; running: en ejecución).',
+    labelNames: ['state'],
+    collect: (gauge) => {
+        gauge.set({ state: 'queued' }, jobQueue.queuedCount);
+        gauge.set({ state: 'running' }, jobQueue.runningCount);
+    },
+});
+metricsRegistry.gauge({
+    name: 'transcriptor_live_sessions',
+    help: 'Sesiones de transcripción en vivo abiertas.',
+    collect: gauge => gauge.set({}, liveServer ? liveServer.clients.size : 0),
+});
+metricsRegistry.gauge({
+    name: 'transcriptor_disk_free_bytes',
+    help: 'Espacio libre en el disco de las subidas (bytes); sin valor si el sistema no permite consultarlo.',
+    collect: async (gauge) => {
+        const free = await diskGuard.refresh();
+        if (free === null) gauge.reset();
+        else gauge.set({}, free);
+    },
+});
+
+/**
+ * Registra las métricas de un trabajo finalizado. Los resultados de la caché solo cuentan como trabajos
+ * finalizados: no ocupan el motor de transcripción.
+ * @param {object} job - Trabajo finalizado.
+ */
+function recordJobMetrics(job) {
+    jobsFinished.inc({ status: job.status, cached: Boolean(job.meta.cached) });
+    if (job.meta.cached || !job.startedAt) return;
+    const labels = { engine: engineName, model: job.meta.model };
+    const seconds = (Date.parse(job.finishedAt) - Date.parse(job.startedAt)) / 1000;
+    transcriptionDuration.observe({ ...labels, status: job.status }, seconds);
+    if (job.status !== JOB_STATUS.DONE) return;
+    const audio = audioSeconds(job.result.duration, job.result.preprocessing);
+    if (!audio) return;
+    audioSecondsProcessed.inc(labels, audio);
+    realTimeFactor.observe(labels, seconds / audio);
+}
+
+// Registra el inicio de la ejecución de cada trabajo (el resto de cambios de estado se registran al encolarlo y al terminar).
+jobQueue.on('update', (job) => {
+    if (job.status === JOB_STATUS.RUNNING) jobLogger(job).info('Trabajo en ejecución', { model: job.meta.model, engine: engineName });
+});
+
+// Elimina el archivo de audio temporal cuando el trabajo falla o se cancela (incluso si nunca llegó a ejecutarse).
+// Si termina correctamente, el audio pasa al almacén de audios junto con la entrada del historial.
+jobQueue.on('finished', (job) => {
+    const log = jobLogger(job);
+    const { audioFilePath, apiKeyId, cacheKey, quotaSeconds } = job.payload;
+    // Libera los minutos reservados al aceptar el trabajo: si se completó, se descuentan los realmente transcritos.
+    if (apiKeyId) apiKeyStore.release(apiKeyId, quotaSeconds);
+    if (job.status === JOB_STATUS.FAILED) {
+        // La API solo expone el código y el mensaje: los detalles técnicos quedan en el registro, con la solicitud de origen.
+        log.error('Trabajo fallido', { status: job.status, error: job.error });
+    } else {
+        log.info('Trabajo finalizado', { status: job.status, cached: job.meta.cached });
+    }
+    recordJobMetrics(job);
+    notifyWebhooks(job);
+    // Guarda las transcripciones completadas en el historial (con el mismo ID que el trabajo).
+    if (job.status === JOB_STATUS.DONE) {
+        if (!job.meta.cached) {
+            // Descuenta los minutos transcritos del límite diario de la clave que lo solicitó
+            // (los resultados de la caché no ocupan el motor de transcripción y no se descuentan).
+            if (apiKeyId) apiKeyStore.recordUsage(apiKeyId, { seconds: audioSeconds(job.result.duration, job.result.preprocessing) || 0 });
+            storeInCache(cacheKey, job);
+        }
+        let audioFile = null;
+        try {
+            audioFile = audioStore.save(job.id, audioFilePath);
+        } catch (audioError) {
+            log.error('No se pudo conservar el audio del trabajo', { err: audioError });
+        }
+        try {
+            historyStore.create({ id: job.id, fileName: job.meta.fileName, createdAt: job.createdAt, audioFile, apiKeyId, ...job.result });
+        } catch (saveError) {
+            log.error('No se pudo guardar el trabajo en el historial', { err: saveError });
+            audioStore.remove(audioFile);
+        }
+        if (audioFile) return;
+    }
+    fs.unlink(audioFilePath, (unlinkErr) => {
+        if (unlinkErr) log.error('Error al eliminar el archivo temporal', { file: audioFilePath, err: unlinkErr });
+        else log.debug('Archivo temporal eliminado', { file: audioFilePath });
+    });
+});
+
+// Servidor WebSocket de transcripción en vivo (se crea al iniciar el servidor HTTP).
+let liveServer = null;
+// true mientras el servidor se detiene (ver `shutdownServer`): no se aceptan nuevas transcripciones.
+let shuttingDown = false;
+
+// --- Middleware de Control de Acceso ---
+// Autenticación por clave de API (deja la clave en `req.apiKey`; el token de administración deja `req.isAdmin`).
+const authenticateApiKey = requireApiKey({ store: apiKeyStore, required: apiKeysRequired, adminToken });
+// Límite general de solicitudes por cliente.
+const limitApiRequests = rateLimit(new RateLimiter(), () => apiRateLimit);
+// Límite de solicitudes de transcripción por cliente (lo comparten las subidas, los lotes y las grabaciones en vivo).
+const transcribeLimiter = new RateLimiter();
+const transcribeLimitFor = req => req.apiKey?.limits.requestsPerMinute || transcribeRateLimit;
+const limitTranscriptions = rateLimit(transcribeLimiter, transcribeLimitFor);
+const authenticateAdmin = requireAdminToken(adminToken);
+
+/**
+ * Middleware de las rutas que reciben audios: los rechaza antes de leer el cuerpo si el servidor se está
+ * deteniendo (503) o si el disco de las subidas no tiene espacio para el tamaño anunciado (507).
+ * @type {import('express').RequestHandler}
+ */
+async function ensureCapacity(req, res, next) {
+    if (shuttingDown) {
+        return res.status(503).json({ error: errorMessage('request.shuttingDown'), code: 'ENGINE_UNAVAILABLE' });
+    }
+    const storageError = await diskGuard.check(Number(req.headers['content-length']) || 0);
+    if (storageError) {
+        req.log.error('Subida rechazada por falta de espacio en disco', { freeBytes: diskGuard.freeBytes });
+        return res.status(507).json({ error: storageError, code: 'INSUFFICIENT_STORAGE' });
+    }
+    next();
+}
+
+// --- Funciones Auxiliares de las Rutas ---
+
+// Cada clave de API solo accede a sus propios trabajos, lotes y transcripciones (ver `canAccess`): los de otra
+// clave se tratan como inexistentes (404), para no revelar ni siquiera que existen.
+
+/**
+ * Trabajo de `req.params.id`, si existe y pertenece al cliente.
+ * @param {import('express').Request} req - Solicitud.
+ * @returns {object|undefined}
+ */
+function findJob(req) {
+    const job = jobQueue.get(req.params.id);
+    return job && canAccess(req, job.payload.apiKeyId) ? job : undefined;
+}
+
+/**
+ * Lote de `req.params.id`, si existe y pertenece al cliente.
+ * @param {import('express').Request} req - Solicitud.
+ * @returns {object|undefined}
+ */
+function findBatch(req) {
+    const batch = batchTracker.get(req.params.id);
+    return batch && canAccess(req, batch.apiKeyId) ? batch : undefined;
+}
+
+/**
+ * Entrada del historial de `req.params.id`, si existe y pertenece al cliente.
+ * @param {import('express').Request} req - Solicitud.
+ * @returns {object|undefined}
+ */
+function findEntry(req) {
+    const entry = historyStore.get(req.params.id);
+    return entry && canAccess(req, entry.apiKeyId) ? entry : undefined;
+}
+
+/**
+ * Segundos de audio que se transcriben: la duración completa o, con un recorte, la del fragmento.
+ * Se usa para estimar el consumo antes de encolar y para descontarlo del límite diario al terminar.
+ * @param {number|null} duration - Duración del audio completo (s).
+ * @param {object|null} [preprocess] - Opciones de preprocesamiento (`trimStart`, `trimEnd`).
+ * @returns {number|null} Segundos, o null si se desconoce la duración.
+ */
+function audioSeconds(duration, preprocess) {
+    if (!duration) return null;
+    const end = Math.min(preprocess?.trimEnd ?? duration, duration);
+    return Math.max(0, end - (preprocess?.trimStart ?? 0));
+}
+
+/**
+ * Responde 429 si la transcripción no cabe en el límite diario de minutos de la clave del cliente.
+ * @param {import('express').Request} req - Solicitud (con `apiKey`).
+ * @param {import('express').Response} res - Respuesta HTTP.
+ * @param {number|null} seconds - Duración estimada del audio.
+ * @param {object} [extra] - Campos adicionales de la respuesta de error.
+ * @returns {boolean} true si se respondió con el error.
+ */
+function rejectOverQuota(req, res, seconds, extra = {}) {
+    const quotaError = checkDailyQuota(apiKeyStore, req.apiKey, seconds);
+    if (!quotaError) return false;
+    res.set('Retry-After', String(secondsUntilQuotaReset()));
+    res.status(quotaError.status).json({ error: quotaError.error, code: quotaError.code, ...extra });
+    return true;
+}
+
+/**
+ * Reserva en la clave del cliente los segundos de una transcripción aceptada, para que las siguientes solicitudes
+ * los den por gastados hasta que termine (al terminar se libera la reserva y se descuenta el consumo real). Si se
+ * desconoce la duración (sin FFprobe), se reserva todo lo que le queda hoy a la clave.
+ * @param {import('express').Request} req - Solicitud (con `apiKey`).
+ * @param {number|null} seconds - Duración estimada del audio.
+ * @returns {number} Segundos reservados (se guardan en el trabajo como `quotaSeconds`).
+ */
+function reserveQuota(req, seconds) {
+    return req.apiKey ? apiKeyStore.reserve(req.apiKey.id, seconds) : 0;
+}
+
+/**
+ * Busca en la caché el resultado de un audio subido con las opciones solicitadas. La caché es una optimización:
+ * si no se puede calcular el hash del archivo, se transcribe como si no hubiera caché.
+ * @param {string} filePath - Archivo subido.
+ * @param {object} options - Opciones de transcripción validadas.
+ * @param {object} preprocess - Opciones de preprocesamiento validadas.
+ * @returns {Promise<{cacheKey: string|null, cachedResult: object|null}>} La clave de caché (para guardar el
+ *          resultado al terminar) y el resultado guardado, si lo hay.
+ */
+async function lookupCachedResult(filePath, options, preprocess) {
+    if (!resultCache.enabled) return { cacheKey: null, cachedResult: null };
+    try {
+        const cacheKey = ResultCache.keyFor({ audioHash: await hashFile(filePath), engine: engineName, options, preprocess });
+        return { cacheKey, cachedResult: resultCache.get(cacheKey) };
+    } catch (hashError) {
+        logger.warn('No se pudo calcular el hash del audio', { file: filePath, err: hashError });
+        return { cacheKey: null, cachedResult: null };
+    }
+}
+
+/**
+ * Guarda en la caché el resultado de un trabajo completado.
+ * @param {string|null} cacheKey - Clave calculada al recibir el audio (null si la caché está deshabilitada).
+ * @param {object} job - Trabajo completado.
+ */
+function storeInCache(cacheKey, job) {
+    if (!cacheKey) return;
+    try {
+        resultCache.set(cacheKey, job.result, {
+            fileName: job.meta.fileName,
+            model: job.meta.model,
+            language: job.result.language || job.meta.language,
+        });
+    } catch (cacheError) {
+        jobLogger(job).error('No se pudo guardar el resultado en la caché', { err: cacheError });
+    }
+}
+
+/**
+ * Encola un trabajo de transcripción o, si el resultado está en la caché, lo registra ya completado.
+ * En ambos casos `meta.cached` indica si el resultado viene de la caché.
+ * @param {object} payload - Datos de ejecución del trabajo (ver `JobQueue.add`).
+ * @param {object} meta - Información pública del trabajo.
+ * @param {object|null} cachedResult - Resultado recuperado de la caché.
+ * @returns {object} El trabajo creado.
+ */
+function enqueueTranscription(payload, meta, cachedResult) {
+    return cachedResult
+        ? jobQueue.addCompleted(payload, { ...meta, cached: true }, cachedResult)
+        : jobQueue.add(payload, { ...meta, cached: false });
+}
+
+/**
+ * Valida la URL de notificación de una solicitud (`callbackUrl`).
+ * @param {object} body - Campos de la solicitud.
+ * @returns {{callbackUrl: string|null, error: object|null}}
+ */
+function parseJobCallback(body = {}) {
+    const { url, error } = parseCallbackUrl(body.callbackUrl);
+    if (url && !webhooks.enabled) {
+        return { callbackUrl: null, error: errorMessage('webhooks.disabled') };
+    }
+    return { callbackUrl: url, error };
+}
+
+/**
+ * Notifica el final de un trabajo (completado o fallido) a las URL globales y a la de su solicitud.
+ * El cuerpo incluye los datos públicos del trabajo, el resultado (`result`, ver `webhookResult`) o el error
+ * (`error`).
+ * @param {object} job - Trabajo finalizado.
+ */
+function notifyWebhooks(job) {
+    const event = WEBHOOK_EVENTS[job.status];
+    const urls = [...globalWebhookUrls, ...(job.payload.callbackUrl ? [job.payload.callbackUrl] : [])];
+    if (!event || urls.length === 0) return;
+    const { result, error, progress, ...details } = JobQueue.serialize(job);
+    webhooks.dispatch(urls, event, { job: details, error: error || null }, { jobId: job.id });
+}
+
+/**
+ * Resultado de un trabajo para sus notificaciones: el del trabajo mientras siga en la cola o, después (ej. en
+ * los reintentos tras un reinicio), el de su entrada del historial, con la versión actual de la transcripción.
+ * @param {string|null} jobId - Trabajo notificado.
+ * @returns {object|null} null si el trabajo falló o su entrada se eliminó.
+ */
+function webhookResult(jobId) {
+    const job = jobId && jobQueue.get(jobId);
+    if (job) return job.result || null;
+    const entry = jobId && historyStore.get(jobId);
+    if (!entry) return null;
+    // La entrada guarda los campos del resultado junto a los suyos propios (título, versiones, análisis...).
+    const {
+        id, title, fileName, createdAt, updatedAt, audioFile, apiKeyId, speakerNames, revision, revisedAt, revisions, insights,
+        ...result
+    } = entry;
+    return result;
+}
+
+// Longitud máxima del nombre asignado a un hablante.
+const MAX_SPEAKER_NAME_LENGTH = 80;
+
+/**
+ * Analiza un audio subido con FFprobe (duración y formato) para informar al cliente.
+ * El análisis es informativo: si FFprobe no está disponible o no reconoce el archivo, devuelve null
+ * y será el motor de transcripción quien informe del error si el audio no es válido.
+ * @param {string} filePath - Archivo subido.
+ * @returns {Promise<object|null>} Los datos de `probeAudio`, o null.
+ */
+async function probeUpload(filePath) {
+    try {
+        return await probeAudio(filePath);
+    } catch (probeError) {
+        logger.warn('No se pudo analizar el audio', { file: filePath, err: probeError });
+        return null;
+    }
+}
+
+/**
+ * Comprueba si se puede traducir al idioma pedido: al inglés traduce Whisper; al resto, el proveedor configurado.
+ * @param {object} options - Opciones de transcripción validadas.
+ * @returns {object|null} Un mensaje de error (ver `errorMessage`), o null si la traducción es posible (o no se pidió).
+ */
+function translationUnavailable(options) {
+    if (!options.translateTo || options.translateTo === WHISPER_TRANSLATION_TARGET || translator) return null;
+    return errorMessage('options.translationUnavailable', { language: WHISPER_TRANSLATION_TARGET });
+}
+
+/**
+ * Valida el formato y el texto (original, traducción o ambos) de una exportación.
+ * @param {string} [requestedFormat='srt'] - Formato solicitado: 'srt', 'vtt', 'tsv', 'json' o 'txt'.
+ * @param {string} [requestedText='source'] - Texto solicitado: 'source', 'translation' o 'bilingual'.
+ * @returns {{exporter: object, format: string, text: string}|{error: object}}
+ */
+function parseExportRequest(requestedFormat, requestedText) {
+    // Validación: el formato solicitado debe ser uno de los soportados.
+    const format = String(requestedFormat || 'srt').toLowerCase();
+    const exporter = SUBTITLE_FORMATS[format];
+    if (!exporter) {
+        return { error: errorMessage('history.exportFormat', { value: format, options: Object.keys(SUBTITLE_FORMATS).join(', ') }) };
+    }
+    const text = String(requestedText || 'source').toLowerCase();
+    if (!TEXT_VARIANTS.includes(text)) {
+        return { error: errorMessage('history.exportText', { value: text, options: TEXT_VARIANTS.join(', ') }) };
+    }
+    return { exporter, format, text };
+}
+
+/**
+ * Genera el contenido y el sufijo del nombre de una exportación. El JSON incluye siempre ambos textos.
+ * @param {object} result - Resultado de la transcripción.
+ * @param {{exporter: object, format: string, text: string}} request - Exportación validada con `parseExportRequest`.
+ * @returns {{content: string, suffix: string}|{error: object}} Error si se pidió una traducción que no existe.
+ */
+function renderExport(result, { exporter, format, text }) {
+    if (text === 'source' || format === 'json') {
+        return { content: exporter.render(result), suffix: '' };
+    }
+    if (!result.translation) {
+        return { error: errorMessage('history.noTranslation') };
+    }
+    const suffix = text === 'bilingual' ? '.bilingue' : `.${result.translation.language}`;
+    return { content: exporter.render(applyTextVariant(result, text)), suffix };
+}
+
+/**
+ * Envía un resultado de transcripción como archivo descargable en el formato solicitado.
+ * @param {import('express').Response} res - Respuesta HTTP.
+ * @param {object} result - Resultado de la transcripción (`{ transcription, segments, ... }`).
+ * @param {string} [fileName] - Nombre original del audio, usado para nombrar el archivo descargado.
+ * @param {string} [requestedFormat='srt'] - Formato solicitado: 'srt', 'vtt', 'tsv', 'json' o 'txt'.
+ * @param {string} [requestedText='source'] - Texto de las transcripciones traducidas: 'source', 'translation' o 'bilingual'.
+ */
+function sendExport(res, result, fileName, requestedFormat, requestedText) {
+    const request = parseExportRequest(requestedFormat, requestedText);
+    const rendered = request.error ? request : renderExport(result, request);
+    if (rendered.error) {
+        return res.status(400).json({ error: rendered.error });
+    }
+
+    // El archivo descargado conserva el nombre original del audio, con la extensión del formato
+    // (y el idioma de la traducción o `.bilingue`, si se exporta la traducción).
+    const baseName = path.parse(fileName || 'transcripcion').name;
+    res.attachment(`${baseName}${rendered.suffix}.${request.exporter.extension}`);
+    res.type(request.exporter.contentType);
+    res.send(rendered.content);
+}
+
+/**
+ * Comprobaciones de disponibilidad del servidor: el motor de transcripción (con el motor 'python', que exista el
+ * entorno Python y haya algún worker listo), el espacio libre en el disco de las subidas (`MIN_FREE_DISK_MB`) y
+ * que el servidor no se esté deteniendo.
+ * @returns {Promise<{ready: boolean, checks: object}>} `checks` tiene un `{ ok, ... }` por comprobación.
+ */
+async function checkReadiness() {
+    await diskGuard.refresh();
+    const disk = diskGuard.describe();
+    const checks = {
+        engine: { name: engineName, ...(engine.health ? engine.health() : { ok: true }) },
+        disk: { ok: !disk.low, freeMb: disk.freeMb, minFreeMb: disk.minFreeMb },
+        shutdown: { ok: !shuttingDown },
+    };
+    return { ready: Object.values(checks).every(check => check.ok), checks };
+}
+
+// --- Rutas de Observabilidad ---
+
+/**
+ * @route GET /metrics
+ * @description Métricas del servidor en el formato de texto de Prometheus: solicitudes HTTP por ruta y estado,
+ *              duración de las transcripciones, segundos de audio procesados, factor de tiempo real, trabajos en
+ *              cola, fallos de los procesos Python, sesiones en vivo y espacio libre. Ver "Registro y Métricas"
+ *              en el README.
+ * @access Public, o `Authorization: Bearer <METRICS_TOKEN>` si se define el token.
+ */
+app.get('/metrics', requireMetricsToken(metricsToken), async (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(await metricsRegistry.render());
+});
 
 // --- Definición de Rutas de la API ---
 
+/**
+ * @route GET /api/status/live
+ * @description Comprobación de vida (liveness): responde mientras el proceso atiende solicitudes, aunque el
+ *              motor no esté disponible (reiniciar el proceso no lo arreglaría).
+ * @access Public
+ * @returns {200} `{ status: 'ok', uptimeSeconds }`.
+ */
+app.get('/api/status/live', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+/**
+ * @route GET /api/status/ready
+ * @description Comprobación de disponibilidad (readiness): si el servidor puede aceptar transcripciones ahora
+ *              mismo (ver `checkReadiness`). Los balanceadores y orquestadores dejan de enviarle tráfico mientras
+ *              responda 503 (ej. al arrancar, hasta que los workers de Python estén listos, o al detenerse).
+ * @access Public
+ * @returns {200|503} `{ status: 'ready'|'unavailable', checks }`.
+ */
+app.get('/api/status/ready', async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks });
+});
+
 /**
  * @route GET /api/status
- * @description Endpoint simple para verificar si el servidor backend está en ejecución.
+ * @description Endpoint para verificar si el servidor backend está en ejecución. Incluye el motor de
+ *              transcripción configurado y su estado; con el motor 'python', el de cada worker (inactivo,
+ *              ocupado, reiniciando...), los modelos cargados en memoria y la última comprobación de salud.
+ *              También los límites de recursos (`limits`), la limpieza de subidas y el espacio libre (`storage`),
+ *              si el servidor se está deteniendo (`shuttingDown`) y el resultado de las comprobaciones de
+ *              disponibilidad (`status`: 'ready' o 'unavailable', y `checks`, como en `GET /api/status/ready`).
  * @access Public
  */
-app.get('/api/status', (req, res) => {
-    res.json({ message: 'Backend is running!' });
+app.get('/api/status', async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    res.json({
+        message: 'Backend is running!',
+        status: ready ? 'ready' : 'unavailable',
+        checks,
+        engine: { name: engineName, ...engine.describe() },
+        queue: { queued: jobQueue.queuedCount, running: jobQueue.runningCount },
+        limits: { jobTimeoutSeconds: jobTimeoutMs / 1000, shutdownGraceSeconds: shutdownGraceMs / 1000, liveMaxSessions: maxLiveSessions },
+        storage: { uploads: uploadJanitor.describe(), disk: diskGuard.describe() },
+        shuttingDown,
+        liveSessions: liveServer ? liveServer.clients.size : 0,
+        translation: translator ? translator.describe() : null,
+        summaries: summarizer ? summarizer.describe() : null,
+        webhooks: { enabled: webhooks.enabled, globalUrls: globalWebhookUrls.length },
+    });
 });
 
 /**
- * @route POST /api/transcribe
- * @description Endpoint que recibe un archivo de audio y un idioma opcional,
- *              lo procesa usando un script Python con Whisper y devuelve la transcripción.
+ * @route GET /api/models
+ * @description Devuelve los modelos de Whisper y los valores permitidos para cada opción de decodificación
+ *              (tareas, rangos de temperatura y tamaño de haz, longitud del contexto inicial...) y los
+ *              idiomas a los que se puede traducir (`translateTo.provider`: proveedor para los distintos del inglés).
  * @access Public
- * @param {File} req.file - El archivo de audio subido (gestionado por Multer).
- * @param {string} [req.body.language] - El código de idioma opcional (ej. 'es', 'en').
  */
-app.post('/api/transcribe', upload.single('audioFile'), (req, res) => {
-    // Registro inicial de la solicitud recibida.
-    console.log('POST /api/transcribe recibido');
+app.get('/api/models', (req, res) => {
+    res.json(describeOptions({ translationProvider: translator?.name }));
+});
 
-    // --- Extracción de Datos de la Solicitud ---
-    // Extrae el código de idioma opcional enviado desde el frontend en el cuerpo de la solicitud.
-    // Se asigna null si no se proporciona, para indicar auto-detección en Whisper.
-    const language = req.body.language || null;
-    console.log(`Idioma solicitado desde el cuerpo del formulario: ${language || 'Auto-detectar'}`);
+// --- Rutas de Administración de Claves de API ---
+// Protegidas con `ADMIN_TOKEN` en lugar de con una clave de API (deshabilitadas si no se define).
+
+/**
+ * @route GET /api/admin/keys
+ * @description Lista las claves de API (activas y revocadas) con sus límites y el consumo del día. Nunca
+ *              devuelve las claves en claro, solo su prefijo.
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ */
+app.get('/api/admin/keys', authenticateAdmin, (req, res) => {
+    res.json({ keys: apiKeyStore.list(), required: apiKeysRequired });
+});
+
+/**
+ * @route POST /api/admin/keys
+ * @description Crea una clave de API. La clave en claro solo se devuelve en esta respuesta.
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ * @param {string} req.body.name - Nombre descriptivo (persona, equipo o integración).
+ * @param {number} [req.body.maxUploadMb] - Tamaño máximo de cada archivo subido (MB).
+ * @param {number} [req.body.minutesPerDay] - Minutos de audio transcribibles al día.
+ * @param {number} [req.body.requestsPerMinute] - Solicitudes de transcripción por minuto.
+ * @returns {201} La clave creada (`{ key, id, name, prefix, limits, ... }`).
+ */
+app.post('/api/admin/keys', authenticateAdmin, (req, res) => {
+    const { values, error } = parseKeyFields(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const { key, record } = apiKeyStore.create(values);
+    req.log.info('Clave de API creada', { apiKeyName: record.name, prefix: record.prefix });
+    res.status(201).json({ key, ...ApiKeyStore.summarize(record) });
+});
+
+/**
+ * @route PATCH /api/admin/keys/:id
+ * @description Cambia el nombre y/o los límites de una clave (null elimina un límite).
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ * @param {string} req.params.id - Identificador de la clave (o su prefijo).
+ */
+app.patch('/api/admin/keys/:id', authenticateAdmin, (req, res) => {
+    const { values, error } = parseKeyFields(req.body || {}, { requireName: false });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const record = apiKeyStore.update(req.params.id, values);
+    if (!record) {
+        return res.status(404).json({ error: errorMessage('auth.keyNotFound') });
+    }
+    res.json(ApiKeyStore.summarize(record));
+});
+
+/**
+ * @route DELETE /api/admin/keys/:id
+ * @description Revoca una clave de API: deja de aceptarse de inmediato, pero se conserva en el listado.
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ * @param {string} req.params.id - Identificador de la clave (o su prefijo).
+ */
+app.delete('/api/admin/keys/:id', authenticateAdmin, (req, res) => {
+    const record = apiKeyStore.revoke(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: errorMessage('auth.keyNotFound') });
+    }
+    req.log.info('Clave de API revocada', { apiKeyName: record.name, prefix: record.prefix });
+    res.json(ApiKeyStore.summarize(record));
+});
+
+// --- Rutas de Administración de la Caché de Resultados ---
+
+/**
+ * @route GET /api/admin/cache
+ * @description Estado de la caché de resultados: límites, tamaño ocupado, aciertos y fallos desde el arranque
+ *              y los resultados guardados (clave, tamaño, fechas, número de aciertos, archivo, modelo e idioma),
+ *              del usado más recientemente al que menos.
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ */
+app.get('/api/admin/cache', authenticateAdmin, (req, res) => {
+    res.json(resultCache.describe());
+});
+
+/**
+ * @route DELETE /api/admin/cache
+ * @description Vacía la caché de resultados. Las transcripciones del historial no se modifican.
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ * @returns {200} `{ removed }` con el número de resultados eliminados.
+ */
+app.delete('/api/admin/cache', authenticateAdmin, (req, res) => {
+    const removed = resultCache.clear();
+    req.log.info('Caché de resultados vaciada', { removed });
+    res.json({ removed });
+});
+
+/**
+ * @route DELETE /api/admin/cache/:key
+ * @description Elimina un resultado de la caché (ej. uno incorrecto, para que el audio se vuelva a transcribir).
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ * @param {string} req.params.key - Clave de caché (ver `GET /api/admin/cache`).
+ */
+app.delete('/api/admin/cache/:key', authenticateAdmin, (req, res) => {
+    if (!resultCache.remove(req.params.key)) {
+        return res.status(404).json({ error: errorMessage('jobs.cacheNotFound') });
+    }
+    res.json({ removed: 1 });
+});
+
+// --- Rutas de Administración de las Notificaciones (Webhooks) ---
+
+/**
+ * @route GET /api/admin/webhooks
+ * @description Registro de entregas de notificaciones, de la más reciente a la más antigua: evento, trabajo,
+ *              URL de destino, estado (pending, delivered o failed), número de intentos, último intento
+ *              (código de respuesta o error) y fecha del próximo reintento.
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ * @param {string} [req.query.status] - Solo las entregas en este estado.
+ * @param {string} [req.query.jobId] - Solo las de este trabajo.
+ * @param {number} [req.query.limit=100] - Número máximo de entregas (hasta 1000).
+ */
+app.get('/api/admin/webhooks', authenticateAdmin, (req, res) => {
+    const { status, jobId } = req.query;
+    if (status !== undefined && !Object.values(DELIVERY_STATUS).includes(status)) {
+        return res.status(400).json({ error: errorMessage('webhooks.invalidStatus', { value: status, options: Object.values(DELIVERY_STATUS).join(', ') }) });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    res.json({ enabled: webhooks.enabled, deliveries: webhooks.list({ status, jobId, limit }) });
+});
+
+/**
+ * @route GET /api/admin/webhooks/:id
+ * @description Una entrega con el cuerpo enviado (`payload`) y todos sus intentos (fecha, duración, código
+ *              de respuesta, error y comienzo de la respuesta del destino).
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ * @param {string} req.params.id - Identificador de la entrega (cabecera `X-Webhook-Id`).
+ */
+app.get('/api/admin/webhooks/:id', authenticateAdmin, (req, res) => {
+    const delivery = webhooks.get(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ error: errorMessage('webhooks.deliveryNotFound') });
+    }
+    res.json(delivery);
+});
 
+/**
+ * @route POST /api/admin/webhooks/:id/replay
+ * @description Reenvía una entrega de inmediato (ej. una fallida, tras corregir el destino), con el mismo cuerpo
+ *              e identificador y una nueva serie de reintentos si vuelve a fallar.
+ * @access Admin (`Authorization: Bearer <ADMIN_TOKEN>`)
+ * @param {string} req.params.id - Identificador de la entrega.
+ * @returns {202} La entrega resumida, de nuevo en estado `pending`.
+ */
+app.post('/api/admin/webhooks/:id/replay', authenticateAdmin, (req, res) => {
+    if (!webhooks.enabled) {
+        return res.status(409).json({ error: errorMessage('webhooks.disabled') });
+    }
+    const delivery = webhooks.replay(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ error: errorMessage('webhooks.deliveryNotFound') });
+    }
+    req.log.info('Webhook reenviado', { deliveryId: delivery.id, jobId: delivery.jobId, url: delivery.url });
+    res.status(202).json(delivery);
+});
+
+// El resto de rutas de la API requieren una clave de API (salvo con `REQUIRE_API_KEY=false`)
+// y están sujetas al límite general de solicitudes por cliente.
+app.use('/api', authenticateApiKey, limitApiRequests);
+
+/**
+ * @route POST /api/transcribe
+ * @description Endpoint que recibe un archivo de audio (subido, o descargado por el servidor desde una URL o
+ *              copiado del directorio de importación) y opciones de transcripción y encola un trabajo
+ *              de transcripción. Responde inmediatamente con el ID del trabajo; el resultado se
+ *              consulta después mediante `GET /api/jobs/:id`. Si ya se transcribió el mismo audio (por su
+ *              contenido) con el mismo motor y las mismas opciones, el trabajo se crea ya completado con el
+ *              resultado guardado en la caché, sin descontar minutos del límite diario.
+ * @access API key (sujeta al límite de transcripciones por minuto, al tamaño máximo y a los minutos diarios de la clave)
+ * @param {File} [req.file] - El archivo de audio subido (gestionado por Multer).
+ * @param {string} [req.body.url] - En lugar de un archivo: URL http(s) del audio, que descarga el servidor
+ *                                  (también admite un cuerpo JSON).
+ * @param {string} [req.body.importPath] - En lugar de un archivo: ruta del audio dentro de `IMPORT_DIR`.
+ * @param {string} [req.body.language] - El código de idioma opcional (ej. 'es', 'en').
+ * @param {string} [req.body.model] - Modelo de Whisper (ver `GET /api/models`).
+ * @param {string} [req.body.task] - 'transcribe' o 'translate' (traducir al inglés).
+ * @param {number} [req.body.temperature] - Temperatura de muestreo (0 a 1).
+ * @param {number} [req.body.beamSize] - Tamaño del haz para la búsqueda (beam search).
+ * @param {string} [req.body.initialPrompt] - Texto de contexto que guía el vocabulario y el estilo.
+ * @param {boolean} [req.body.wordTimestamps] - Si se incluyen marcas de tiempo por palabra.
+ * @param {boolean} [req.body.diarize] - Si se identifica a los hablantes (campo `speaker` en cada segmento).
+ * @param {number} [req.body.numSpeakers] - Número de hablantes, si se conoce (con `diarize`).
+ * @param {string} [req.body.translateTo] - Idioma al que traducir cada segmento (`translation`), conservando el
+ *                                          original: 'en' con Whisper, otros con el proveedor de traducción.
+ * @param {string} [req.body.callbackUrl] - URL que recibe una notificación firmada al terminar el trabajo (ver
+ *                                          "Notificaciones por webhook" en el README; requiere `WEBHOOK_SECRET`).
+ * @param {number} [req.body.trimStart] - Preprocesamiento: inicio (s) del fragmento a transcribir.
+ * @param {number} [req.body.trimEnd] - Preprocesamiento: fin (s) del fragmento a transcribir.
+ * @param {boolean} [req.body.removeSilence] - Preprocesamiento: eliminar los silencios largos.
+ * @param {boolean} [req.body.normalize] - Preprocesamiento: normalizar la sonoridad.
+ * @param {boolean} [req.body.resample] - Preprocesamiento: convertir a mono y 16 kHz.
+ * @returns {202} `{ jobId, status, input, cached }` con el trabajo recién encolado (o completado, si `cached`)
+ *          y la duración y el formato del audio según FFprobe (`input` es null si no pudo analizarse). 400 (MISSING_FILE) sin audio,
+ *          401 sin una clave válida, 413 (FILE_TOO_LARGE) si el archivo supera el tamaño permitido, 415 (UNSUPPORTED_FORMAT) si
+ *          no es un audio y 429 si se supera el límite de solicitudes o de minutos diarios. Ver los códigos en `lib/errors.js`.
+ *          Con `url` o `importPath`: 403 si el destino no está permitido, 404 si no existe el archivo, 415 si no
+ *          es un audio y 502/504 si el servidor remoto falla o no responde.
+ */
+app.post('/api/transcribe', limitTranscriptions, ensureCapacity, acceptUploads(upload => upload.single('audioFile')), acceptAudioSource, async (req, res) => {
     // Validación: Verifica si Multer procesó y adjuntó un archivo a la solicitud.
     if (!req.file) {
-        console.error("No se subió ningún archivo.");
         // Responde con un error 400 (Bad Request) si no hay archivo.
-        return res.status(400).json({ error: 'No se proporcionó archivo de audio.' });
+        return res.status(400).json({ error: errorMessage('upload.missingFileOrSource'), code: 'MISSING_FILE' });
+    }
+    // Validación: Rechaza con 415 los archivos que no son audio (ej. un documento subido por error).
+    if (!isAudioUpload(req.file)) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(415).json({ error: errorMessage('upload.notAudio', { name: req.file.originalname }), code: 'UNSUPPORTED_FORMAT' });
+    }
+
+    // --- Extracción de Datos de la Solicitud ---
+    // Valida el idioma, el modelo y las opciones de decodificación contra la lista blanca.
+    // Un idioma vacío o ausente se deja en null, para indicar auto-detección en Whisper.
+    const { options, error: parseError } = parseTranscriptionOptions(req.body);
+    const { callbackUrl, error: callbackError } = parseJobCallback(req.body);
+    const optionsError = parseError || translationUnavailable(options) || callbackError;
+    // Valida también las opciones de preprocesamiento del audio (recorte, silencios, normalización, remuestreo).
+    const { options: preprocess, error: preprocessError } = optionsError ? {} : parsePreprocessOptions(req.body);
+    // El archivo ya se guardó en disco: se elimina si el trabajo no llega a encolarse.
+    const removeUpload = () => fs.unlink(req.file.path, (unlinkErr) => { if (unlinkErr) req.log.error('Error al eliminar el archivo temporal', { file: req.file.path, err: unlinkErr }); });
+    if (optionsError || preprocessError) {
+        removeUpload();
+        return res.status(400).json({ error: optionsError || preprocessError });
     }
 
     // Ruta completa al archivo de audio subido y guardado temporalmente (en el sistema de archivos WSL2).
     const audioFilePath = req.file.path;
-    console.log(`Archivo guardado temporalmente en: ${audioFilePath}`);
-
-    // --- Ejecución del Script de Transcripción (Python) ---
-    // Define la ruta al ejecutable de Python dentro del entorno virtual 'pyenv'.
-    // NOTA: Podría ser necesario cambiar a 'python3' si el ejecutable se llama así en el venv.
-    const pythonExecutable = path.join(__dirname, 'pyenv', 'bin', 'python');
-    // Define la ruta al script Python que realiza la transcripción.
-    const scriptPath = path.join(__dirname, 'transcribe.py');
-
-    // Prepara el array de argumentos que se pasarán al script Python.
-    const scriptArgs = [
-        scriptPath,      // Argumento 0: La ruta del script a ejecutar.
-        audioFilePath    // Argumento 1: La ruta requerida del archivo de audio.
-    ];
-    // Añade el argumento de idioma al comando Python solo si se proporcionó uno.
-    if (language) {
-        // Argumentos 2 y 3 (opcionales): Flag y código de idioma.
-        scriptArgs.push('--language', language);
-    }
-
-    // Validación: Comprueba si el ejecutable de Python especificado realmente existe.
-    if (!fs.existsSync(pythonExecutable)) {
-         console.error(`Ejecutable de Python no encontrado en: ${pythonExecutable}`);
-         console.error('Asegúrese de que el entorno virtual ("pyenv") existe en el directorio backend y contiene el ejecutable de Python.');
-         // Intenta eliminar el archivo temporal incluso si falla la validación de Python.
-         fs.unlink(audioFilePath, (unlinkErr) => { if (unlinkErr) console.error(`Error al eliminar archivo temporal ${audioFilePath}:`, unlinkErr); });
-         // Responde con un error 500 (Internal Server Error) por configuración incorrecta.
-         return res.status(500).json({ error: 'Error de configuración del backend: Entorno Python no encontrado.' });
-    }
-
-    // Registra en consola el comando exacto que se va a ejecutar (útil para depuración).
-    console.log(`Ejecutando: "${pythonExecutable}" ${scriptArgs.map(arg => `"${arg}"`).join(' ')}`);
-
-    // Inicia el script de Python como un proceso hijo.
-    const pythonProcess = spawn(pythonExecutable, scriptArgs); // Pasa el array de argumentos.
-
-    // Variables para acumular la salida del proceso hijo.
-    let stdoutData = ''; // Salida estándar
-    let stderrData = ''; // Salida de error estándar
-
-    // --- Manejo de Eventos del Proceso Hijo ---
-
-    // Evento 'data' para la salida estándar (stdout) del proceso Python.
-    pythonProcess.stdout.on('data', (data) => {
-        stdoutData += data.toString(); // Concatena los fragmentos de datos recibidos.
+
+    // Duración y formato del audio, para informar al cliente y validar el fragmento a transcribir.
+    const input = await probeUpload(audioFilePath);
+    if (input?.duration && preprocess.trimStart !== null && preprocess.trimStart >= input.duration) {
+        removeUpload();
+        return res.status(400).json({ error: errorMessage('upload.trimBeyondDuration', { duration: input.duration }), input });
+    }
+    // Resultado guardado de una transcripción anterior del mismo audio con las mismas opciones.
+    const { cacheKey, cachedResult } = await lookupCachedResult(audioFilePath, options, preprocess);
+    // Límite diario de minutos de la clave (con la duración del fragmento, si se pudo analizar el audio).
+    if (!cachedResult && rejectOverQuota(req, res, audioSeconds(input?.duration, preprocess), { input })) {
+        removeUpload();
+        return;
+    }
+
+    // Reserva los minutos del audio en la clave hasta que termine el trabajo (ver `reserveQuota`).
+    const quotaSeconds = cachedResult ? 0 : reserveQuota(req, audioSeconds(input?.duration, preprocess));
+
+    // Encola el trabajo. Los datos de `payload` solo los usa el runner, el registro del consumo y la caché; `meta` se expone en la API.
+    const job = enqueueTranscription(
+        { audioFilePath, options, preprocess, apiKeyId: ownerOf(req), cacheKey, callbackUrl, requestId: req.id, quotaSeconds },
+        {
+            fileName: req.file.originalname,
+            fileSize: req.file.size,
+            input,
+            preprocessing: needsPreprocessing(preprocess) ? preprocess : null,
+            ...options,
+        },
+        cachedResult
+    );
+    jobLogger(job).info(cachedResult ? 'Trabajo completado con un resultado de la caché' : 'Trabajo encolado', {
+        fileName: req.file.originalname, bytes: req.file.size, model: options.model, language: options.language, task: options.task,
+        queued: jobQueue.queuedCount, running: jobQueue.runningCount,
+    });
+    if (req.apiKey) apiKeyStore.recordUsage(req.apiKey.id, { requests: 1 });
+
+    // Responde con 202 (Accepted): la solicitud se aceptó pero aún no se ha procesado (salvo con un resultado de la caché).
+    res.status(202).json({ jobId: job.id, status: job.status, input, cached: Boolean(cachedResult) });
+});
+
+/**
+ * @route POST /api/batch
+ * @description Recibe varios archivos de audio y/o archivos ZIP y encola un trabajo por cada audio, agrupados
+ *              en un lote. Los ZIP se descomprimen en el servidor: solo se extraen los archivos de audio, con
+ *              nombres generados, y se rechazan las rutas peligrosas (absolutas o con `..`). Todos los archivos
+ *              usan las mismas opciones de transcripción. Los archivos descartados se informan en `rejected`.
+ * @access API key
+ * @param {File[]} req.files - Archivos subidos en el campo 'audioFiles' (audio o ZIP).
+ * @param {string} [req.body.*] - Idioma, modelo y opciones de decodificación y de preprocesamiento
+ *                                (ver `POST /api/transcribe`), salvo el recorte, que depende de cada archivo.
+ * @param {string} [req.body.callbackUrl] - URL notificada al terminar cada archivo (un trabajo, con su `batchId`).
+ * @returns {202} El lote serializado (`{ id, status, total, counts, jobs, rejected }`). Los límites de la clave
+ *          se aplican como en `POST /api/transcribe`: el lote cuenta como una solicitud y sus audios suman minutos.
+ *          Los audios con un resultado en la caché se completan al instante (`cached` en cada trabajo) y no suman minutos.
+ */
+app.post('/api/batch', limitTranscriptions, ensureCapacity, acceptUploads(upload => upload.array('audioFiles', MAX_BATCH_FILES)), async (req, res) => {
+    const uploadedFiles = req.files || [];
+    const removeUploads = (files) => files.forEach(file => fs.unlink(file.path, (unlinkErr) => {
+        if (unlinkErr) req.log.error('Error al eliminar el archivo temporal', { file: file.path, err: unlinkErr });
+    }));
+
+    if (uploadedFiles.length === 0) {
+        return res.status(400).json({ error: errorMessage('upload.missingFiles'), code: 'MISSING_FILE' });
+    }
+    const { options, error: parseError } = parseTranscriptionOptions(req.body);
+    const { callbackUrl, error: callbackError } = parseJobCallback(req.body);
+    const optionsError = parseError || translationUnavailable(options) || callbackError;
+    const { options: preprocess, error: preprocessError } = optionsError ? {} : parsePreprocessOptions(req.body);
+    if (optionsError || preprocessError) {
+        removeUploads(uploadedFiles);
+        return res.status(400).json({ error: optionsError || preprocessError });
+    }
+    if (preprocess.trimStart !== null || preprocess.trimEnd !== null) {
+        removeUploads(uploadedFiles);
+        return res.status(400).json({ error: errorMessage('batch.trimNotSupported') });
+    }
+
+    // Reúne los archivos de audio del lote: los subidos directamente y los extraídos de cada ZIP.
+    const accepted = []; // `{ path, fileName, size }`
+    const rejected = []; // `{ fileName, reason }`
+    let extractedBytes = 0;
+    for (const file of uploadedFiles) {
+        if (!isZipFile(file)) {
+            if (!isAudioUpload(file)) {
+                rejected.push({ fileName: file.originalname, reason: errorMessage('batch.notAudio') });
+                removeUploads([file]);
+            } else if (accepted.length < MAX_BATCH_FILES) {
+                accepted.push({ path: file.path, fileName: file.originalname, size: file.size });
+            } else {
+                rejected.push({ fileName: file.originalname, reason: errorMessage('batch.tooManyFiles', { max: MAX_BATCH_FILES }) });
+                removeUploads([file]);
+            }
+            continue;
+        }
+        try {
+            const extracted = await extractAudioEntries(file.path, uploadDir, {
+                maxFiles: MAX_BATCH_FILES - accepted.length,
+                maxFileBytes: maxUploadBytes(req.apiKey, MAX_FILE_SIZE),
+                maxTotalBytes: MAX_EXTRACTED_BYTES - extractedBytes,
+            });
+            // Los archivos extraídos conservan su ruta dentro del ZIP como nombre (ej. 'notas/lunes.m4a').
+            extracted.files.forEach((entry) => {
+                extractedBytes += entry.size;
+                accepted.push({ path: entry.path, fileName: entry.fileName, size: entry.size });
+            });
+            extracted.rejected.forEach(entry => rejected.push({ fileName: `${file.originalname}/${entry.fileName}`, reason: entry.reason }));
+        } catch (zipError) {
+            req.log.warn('No se pudo descomprimir el archivo ZIP', { fileName: file.originalname, err: zipError });
+            rejected.push({ fileName: file.originalname, reason: errorMessage('batch.invalidZip', { reason: zipError.message }) });
+        } finally {
+            removeUploads([file]); // El ZIP ya no hace falta: sus audios se extrajeron a archivos propios.
+        }
+    }
+
+    if (accepted.length === 0) {
+        return res.status(400).json({
+            error: errorMessage('batch.empty'),
+            rejected: BatchTracker.serializeRejected(rejected, { locale: req.locale }),
+        });
+    }
+
+    // Analiza los audios antes de encolarlos: el lote completo (salvo lo que ya está en la caché) debe caber
+    // en los minutos diarios de la clave.
+    for (const file of accepted) {
+        file.input = await probeUpload(file.path);
+        Object.assign(file, await lookupCachedResult(file.path, options, preprocess));
+    }
+    // Sin la duración de algún audio, el total se desconoce (y cada audio sin duración reserva lo que quede).
+    const uncached = accepted.filter(file => !file.cachedResult);
+    const totalSeconds = uncached.every(file => file.input?.duration)
+        ? uncached.reduce((total, file) => total + file.input.duration, 0)
+        : null;
+    if (rejectOverQuota(req, res, totalSeconds, {
+        rejected: BatchTracker.serializeRejected(rejected, { locale: req.locale }),
+    })) {
+        removeUploads(accepted);
+        return;
+    }
+
+    // Encola un trabajo por archivo, con las mismas opciones, y los agrupa en el lote.
+    const batch = batchTracker.create({ rejected, apiKeyId: ownerOf(req) });
+    for (const file of accepted) {
+        const job = enqueueTranscription(
+            {
+                audioFilePath: file.path, options, preprocess, apiKeyId: ownerOf(req), cacheKey: file.cacheKey, callbackUrl, requestId: req.id,
+                quotaSeconds: file.cachedResult ? 0 : reserveQuota(req, file.input?.duration || null),
+            },
+            {
+                fileName: file.fileName,
+                fileSize: file.size,
+                batchId: batch.id,
+                input: file.input,
+                preprocessing: needsPreprocessing(preprocess) ? preprocess : null,
+                ...options,
+            },
+            file.cachedResult
+        );
+        batchTracker.addJob(batch, job);
+    }
+    req.log.info('Lote encolado', { batchId: batch.id, accepted: accepted.length, rejected: rejected.length, jobIds: batch.jobIds });
+    if (req.apiKey) apiKeyStore.recordUsage(req.apiKey.id, { requests: 1 });
+
+    res.status(202).json(batchTracker.serialize(batch, { locale: req.locale }));
+});
+
+/**
+ * @route GET /api/batch/:id
+ * @description Estado de un lote: estado global (queued, running, done, partial o failed), recuento por estado
+ *              y estado y progreso de cada archivo. El texto de cada transcripción se consulta en el historial
+ *              (con el mismo ID que su trabajo).
+ * @access API key
+ * @param {string} req.params.id - Identificador del lote.
+ */
+app.get('/api/batch/:id', (req, res) => {
+    const batch = findBatch(req);
+    if (!batch) {
+        return res.status(404).json({ error: errorMessage('batch.notFound') });
+    }
+    res.json(batchTracker.serialize(batch, { locale: req.locale }));
+});
+
+/**
+ * @route GET /api/batch/:id/events
+ * @description Flujo Server-Sent Events con el estado del lote. Se envía un evento `status` (lote serializado)
+ *              al conectarse y cada vez que cambia el estado o el progreso de alguno de sus archivos.
+ *              El flujo se cierra cuando todos los archivos han finalizado.
+ * @access API key
+ * @param {string} req.params.id - Identificador del lote.
+ */
+app.get('/api/batch/:id/events', (req, res) => {
+    const batch = findBatch(req);
+    if (!batch) {
+        return res.status(404).json({ error: errorMessage('batch.notFound') });
+    }
+
+    const onUpdate = (updatedBatch) => {
+        if (updatedBatch.id !== batch.id) return;
+        stream.send('status', batchTracker.serialize(batch, { locale: req.locale }));
+        if (batchTracker.isFinished(batch)) stream.close();
+    };
+    const stream = openEventStream(req, res, () => batchTracker.off('update', onUpdate));
+
+    stream.send('status', batchTracker.serialize(batch, { locale: req.locale }));
+    if (batchTracker.isFinished(batch)) {
+        return stream.close();
+    }
+    batchTracker.on('update', onUpdate);
+});
+
+/**
+ * @route GET /api/batch/:id/download
+ * @description Descarga en un único ZIP las transcripciones completadas del lote, una por archivo de audio,
+ *              en el formato solicitado. Usa la versión guardada en el historial (con los nombres de hablantes
+ *              asignados); los archivos que fallaron o siguen en curso no se incluyen.
+ * @access API key
+ * @param {string} req.params.id - Identificador del lote.
+ * @param {string} [req.query.format=srt] - Formato de cada transcripción: 'srt', 'vtt', 'tsv', 'json' o 'txt'.
+ * @param {string} [req.query.text=source] - Texto de las transcripciones traducidas: 'source', 'translation' o 'bilingual'.
+ */
+app.get('/api/batch/:id/download', (req, res) => {
+    const batch = findBatch(req);
+    if (!batch) {
+        return res.status(404).json({ error: errorMessage('batch.notFound') });
+    }
+    const request = parseExportRequest(req.query.format, req.query.text);
+    if (request.error) {
+        return res.status(400).json({ error: request.error });
+    }
+    const { exporter, format } = request;
+
+    // Con `text`, los archivos sin traducción se incluyen con su texto original.
+    const entries = batchTracker.jobs(batch)
+        .filter(job => job.status === JOB_STATUS.DONE)
+        .map((job) => {
+            const result = historyStore.get(job.id) || job.result;
+            const rendered = renderExport(result, request);
+            const { content, suffix } = rendered.error ? renderExport(result, { ...request, text: 'source' }) : rendered;
+            return { name: `${path.parse(job.fileName).name}${suffix}.${exporter.extension}`, content };
+        });
+    if (entries.length === 0) {
+        // 409 (Conflict): aún no hay ninguna transcripción completada que descargar.
+        return res.status(409).json({ error: errorMessage('batch.noCompleted') });
+    }
+
+    res.attachment(`transcripciones-${batch.id.slice(0, 8)}-${format}.zip`);
+    res.type('application/zip');
+    createZipStream(entries).pipe(res);
+});
+
+/**
+ * @route DELETE /api/batch/:id
+ * @description Cancela los archivos del lote que siguen en espera o en ejecución.
+ * @access API key
+ * @param {string} req.params.id - Identificador del lote.
+ */
+app.delete('/api/batch/:id', (req, res) => {
+    const batch = findBatch(req);
+    if (!batch) {
+        return res.status(404).json({ error: errorMessage('batch.notFound') });
+    }
+    const cancelled = batchTracker.cancel(batch);
+    req.log.info('Lote cancelado', { batchId: batch.id, cancelled });
+    res.json(batchTracker.serialize(batch, { locale: req.locale }));
+});
+
+/**
+ * @route GET /api/jobs
+ * @description Lista los trabajos de transcripción conocidos de la clave del cliente (todos, con el token de
+ *              administración), del más reciente al más antiguo. `queued` y `running` cuentan los de todas las claves.
+ * @access API key
+ */
+app.get('/api/jobs', (req, res) => {
+    res.json({
+        jobs: jobQueue.list().filter(job => canAccess(req, job.payload.apiKeyId)).map(JobQueue.serialize),
+        queued: jobQueue.queuedCount,
+        running: jobQueue.runningCount,
+        concurrency: jobQueue.concurrency,
+    });
+});
+
+/**
+ * @route GET /api/jobs/:id
+ * @description Devuelve el estado de un trabajo (queued, running, done, failed o cancelled) y su resultado.
+ * @access API key
+ * @param {string} req.params.id - Identificador del trabajo.
+ */
+app.get('/api/jobs/:id', (req, res) => {
+    const job = findJob(req);
+    if (!job) {
+        return res.status(404).json({ error: errorMessage('jobs.notFound') });
+    }
+    res.json(JobQueue.serialize(job, { locale: req.locale }));
+});
+
+/**
+ * @route GET /api/jobs/:id/events
+ * @description Flujo Server-Sent Events con el avance de un trabajo. Al conectarse se envía el estado actual
+ *              y los segmentos ya decodificados; después, cada novedad en cuanto se produce. El flujo se cierra
+ *              cuando el trabajo alcanza un estado final.
+ *              Eventos: `status` (trabajo serializado), `progress` ({ percent, elapsed }) y
+ *              `segment` ({ start, end, text }).
+ * @access API key
+ * @param {string} req.params.id - Identificador del trabajo.
+ */
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = findJob(req);
+    if (!job) {
+        return res.status(404).json({ error: errorMessage('jobs.notFound') });
+    }
+
+    // Oyentes de la cola filtrados por el trabajo solicitado.
+    const onUpdate = (updatedJob) => {
+        if (updatedJob.id !== job.id) return;
+        stream.send('status', JobQueue.serialize(updatedJob, { locale: req.locale }));
+        if (FINAL_STATUSES.includes(updatedJob.status)) stream.close();
+    };
+    const onProgress = (updatedJob, event) => {
+        if (updatedJob.id !== job.id) return;
+        const { event: type, ...data } = event;
+        stream.send(type, data);
+    };
+
+    // Abre el flujo y retira los oyentes cuando se cierre (por el cliente o al finalizar el trabajo).
+    const stream = openEventStream(req, res, () => {
+        jobQueue.off('update', onUpdate);
+        jobQueue.off('progress', onProgress);
     });
 
-    // Evento 'data' para la salida de error estándar (stderr) del proceso Python.
-    pythonProcess.stderr.on('data', (data) => {
-        stderrData += data.toString(); // Concatena los fragmentos de datos recibidos.
+    // Envía el estado actual y repite los segmentos ya decodificados para clientes que se conectan tarde.
+    stream.send('status', JobQueue.serialize(job, { locale: req.locale }));
+    job.segments.forEach(segment => stream.send('segment', segment));
+    if (job.progress) stream.send('progress', job.progress);
+    if (FINAL_STATUSES.includes(job.status)) {
+        return stream.close();
+    }
+
+    jobQueue.on('update', onUpdate);
+    jobQueue.on('progress', onProgress);
+});
+
+/**
+ * @route GET /api/jobs/:id/download
+ * @description Descarga el resultado de un trabajo completado como archivo de subtítulos o texto.
+ *              Si la transcripción se editó en el historial, se descarga la versión editada.
+ * @access API key
+ * @param {string} req.params.id - Identificador del trabajo.
+ * @param {string} [req.query.format=srt] - Formato de salida: 'srt', 'vtt', 'tsv', 'json' o 'txt'.
+ * @param {string} [req.query.text=source] - Con una traducción: 'source' (original), 'translation' o 'bilingual'
+ *                                           (original y traducción en cada subtítulo).
+ */
+app.get('/api/jobs/:id/download', (req, res) => {
+    const job = findJob(req);
+    if (!job) {
+        return res.status(404).json({ error: errorMessage('jobs.notFound') });
+    }
+    if (job.status !== JOB_STATUS.DONE) {
+        // 409 (Conflict): el resultado aún no existe (o el trabajo falló/se canceló).
+        return res.status(409).json({ error: errorMessage('jobs.noResult', { status: job.status }) });
+    }
+    sendExport(res, historyStore.get(job.id) || job.result, job.meta.fileName, req.query.format, req.query.text);
+});
+
+/**
+ * @route DELETE /api/jobs/:id
+ * @description Cancela un trabajo en espera o en ejecución (interrumpiendo el motor de transcripción si ya se inició).
+ * @access API key
+ * @param {string} req.params.id - Identificador del trabajo.
+ */
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = findJob(req);
+    if (!job) {
+        return res.status(404).json({ error: errorMessage('jobs.notFound') });
+    }
+    if (!jobQueue.cancel(job.id)) {
+        // 409 (Conflict): el trabajo ya había finalizado y no puede cancelarse.
+        return res.status(409).json({ error: errorMessage('jobs.finished', { status: job.status }) });
+    }
+    req.log.info('Trabajo cancelado', { jobId: job.id });
+    res.json(JobQueue.serialize(job, { locale: req.locale }));
+});
+
+/**
+ * @route GET /api/history
+ * @description Lista el historial de transcripciones guardadas de la clave del cliente (todas, con el token de
+ *              administración) sin el texto completo, de la más reciente a la más antigua. Con `q`, realiza una
+ *              búsqueda de texto completo (sin distinguir mayúsculas ni tildes) en el título, el nombre del archivo
+ *              y el texto transcrito.
+ * @access API key
+ * @param {string} [req.query.q] - Términos de búsqueda; deben aparecer todos.
+ * @param {number} [req.query.limit] - Número máximo de entradas a devolver.
+ */
+app.get('/api/history', (req, res) => {
+    const entries = historyStore.list({
+        query: req.query.q,
+        limit: parseInt(req.query.limit, 10) || undefined,
+        apiKeyId: req.isAdmin ? undefined : ownerOf(req),
     });
+    res.json({ entries });
+});
+
+/**
+ * @route GET /api/history/:id
+ * @description Devuelve una transcripción guardada completa: texto y segmentos de la última versión editada,
+ *              número de versión (`revision`), si se conserva el audio (`hasAudio`), su análisis (`insights`, como
+ *              en `GET /api/history/:id/insights`) y la lista de versiones anteriores.
+ * @access API key
+ * @param {string} req.params.id - Identificador de la entrada.
+ */
+app.get('/api/history/:id', (req, res) => {
+    const entry = findEntry(req);
+    if (!entry) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    res.json(HistoryStore.detail(entry));
+});
 
-    // Evento 'close': Se dispara cuando el proceso Python finaliza.
-    pythonProcess.on('close', (code) => {
-        console.log(`Proceso Python finalizado con código ${code}`);
-         // Intenta eliminar el archivo de audio temporal una vez que el proceso Python finaliza.
-         fs.unlink(audioFilePath, (unlinkErr) => {
-            if (unlinkErr) console.error(`Error al eliminar archivo temporal ${audioFilePath}:`, unlinkErr);
-            else console.log(`Archivo temporal eliminado: ${audioFilePath}`);
+/**
+ * @route PUT /api/history/:id/transcript
+ * @description Guarda una versión editada de la transcripción (texto y tiempos de los segmentos, incluidos los
+ *              segmentos divididos o unidos). La versión anterior se conserva en `revisions` y las exportaciones
+ *              usan a partir de ese momento la versión editada.
+ * @access API key
+ * @param {string} req.params.id - Identificador de la entrada.
+ * @param {object[]} req.body.segments - Segmentos editados (`{ start, end, text, speaker?, words?, translation? }`), en orden.
+ * @param {number} [req.body.revision] - Versión sobre la que se hicieron los cambios. Si ya no es la actual
+ *                                       (otra edición se guardó antes), responde 409 para no sobrescribirla.
+ * @returns {200} La transcripción actualizada (como `GET /api/history/:id`).
+ */
+app.put('/api/history/:id/transcript', (req, res) => {
+    const entry = findEntry(req);
+    if (!entry) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    const { segments: editedSegments, revision } = req.body || {};
+    if (revision !== undefined && !Number.isInteger(revision)) {
+        return res.status(400).json({ error: errorMessage('history.invalidRevision') });
+    }
+    if (revision !== undefined && revision !== (entry.revision || 0)) {
+        // 409 (Conflict): la transcripción cambió desde que se abrió en el editor.
+        return res.status(409).json({
+            error: errorMessage('history.revisionConflict', { revision: entry.revision || 0 }),
+            revision: entry.revision || 0,
         });
+    }
+    const { segments, error } = parseEditedSegments(editedSegments, { speakers: entry.speakers || [] });
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-        // Evalúa el código de salida del proceso Python.
-        if (code === 0) { // El proceso Python terminó correctamente.
-            try {
-                // Intenta interpretar la salida estándar (stdout) como un objeto JSON.
-                const result = JSON.parse(stdoutData);
-                // Verifica si el JSON contiene la clave esperada 'transcription'.
-                if (result.transcription !== undefined) {
-                    console.log("Transcripción exitosa.");
-                    // Envía la transcripción extraída al cliente frontend.
-                    res.json({ transcription: result.transcription });
-                } else {
-                    // Maneja el caso de éxito (código 0) pero salida inesperada (sin clave 'transcription').
-                    console.error("Éxito del script Python (código 0), pero no se encontró la clave 'transcription':", stdoutData);
-                    res.status(500).json({ error: 'El proceso de transcripción tuvo éxito pero devolvió datos inesperados.', details: stdoutData });
-                }
-            } catch (parseError) {
-                // Maneja errores al parsear la salida estándar (stdout) si no es JSON válido.
-                console.error('Error al parsear JSON del stdout de Python:', parseError);
-                console.error('Datos stdout de Python:', stdoutData);
-                res.status(500).json({ error: 'No se pudo parsear el resultado de la transcripción desde el proceso.', details: stdoutData });
+    // El texto traducido completo se recalcula con las traducciones editadas de los segmentos.
+    const translation = entry.translation ? { ...entry.translation, text: joinTranslations(segments) } : undefined;
+    const updated = historyStore.saveRevision(entry.id, { segments, transcription: joinSegments(segments), translation });
+    req.log.info('Transcripción editada', { historyId: entry.id, revision: updated.revision });
+    res.json(HistoryStore.detail(updated));
+});
+
+/**
+ * @route GET /api/history/:id/revisions/:revision
+ * @description Devuelve una versión anterior de una transcripción (0 = resultado original), para consultarla
+ *              o restaurarla guardándola de nuevo con `PUT /api/history/:id/transcript`.
+ * @access API key
+ * @param {string} req.params.id - Identificador de la entrada.
+ * @param {number} req.params.revision - Número de versión.
+ */
+app.get('/api/history/:id/revisions/:revision', (req, res) => {
+    if (!findEntry(req)) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    const version = historyStore.getRevision(req.params.id, Number(req.params.revision));
+    if (!version) {
+        return res.status(404).json({ error: errorMessage('history.versionNotFound') });
+    }
+    res.json(version);
+});
+
+/**
+ * @route GET /api/history/:id/insights
+ * @description Devuelve el análisis de una transcripción guardada: sus palabras clave (`keywords`: `{ term, count,
+ *              times }`, con el inicio de los segmentos en que aparecen), sus temas a lo largo del audio (`topics`:
+ *              `{ start, end, keywords }`) y, si se generó, su resumen con capítulos (`summary`: `{ revision,
+ *              generatedAt, provider, model, text, chapters: [{ title, start, end, summary }] }`). Las palabras clave
+ *              y los temas corresponden siempre a la versión actual (`revision`); el resumen, a la versión a partir
+ *              de la que se generó. `summaryProvider` es el proveedor de resúmenes configurado (null: no hay).
+ * @access API key
+ * @param {string} req.params.id - Identificador de la entrada.
+ */
+app.get('/api/history/:id/insights', (req, res) => {
+    const entry = findEntry(req);
+    if (!entry) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    res.json({ ...HistoryStore.insights(entry), summaryProvider: summarizer?.name || null });
+});
+
+/**
+ * @route POST /api/history/:id/summary
+ * @description Genera (o vuelve a generar) el resumen con capítulos de la versión actual de una transcripción con
+ *              el proveedor de resúmenes (`SUMMARY_PROVIDER`) y lo guarda en su análisis. La respuesta llega cuando
+ *              el modelo termina (puede tardar varios minutos con transcripciones largas); si el cliente se
+ *              desconecta antes, la solicitud al modelo se cancela.
+ * @access API key
+ * @param {string} req.params.id - Identificador de la entrada.
+ * @returns {200} El análisis actualizado (como `GET /api/history/:id/insights`). 400 si no hay un proveedor
+ *          configurado; 502 (SUMMARY_FAILED) o 504 (TIMEOUT) si el proveedor falla o no responde.
+ */
+app.post('/api/history/:id/summary', async (req, res, next) => {
+    const entry = findEntry(req);
+    if (!entry) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    if (!summarizer) {
+        return res.status(400).json({ error: errorMessage('summary.notConfigured') });
+    }
+    const segments = transcriptSegments(entry);
+    if (segments.length === 0) {
+        return res.status(400).json({ error: errorMessage('summary.noText') });
+    }
+
+    const revision = entry.revision || 0;
+    const run = summarizer.summarize(segments, { language: entry.language });
+    res.on('close', () => {
+        if (!res.writableFinished) run.cancel();
+    });
+    let summary;
+    try {
+        summary = await run.promise;
+    } catch (summaryError) {
+        const code = errorCodeOf(summaryError);
+        if (code === 'INTERNAL_ERROR') return next(summaryError);
+        req.log.warn('No se pudo generar el resumen', { historyId: entry.id, provider: summarizer.name, err: summaryError });
+        return res.status(ERROR_CODES[code].status).json({ error: errorMessageOf(summaryError), code });
+    }
+
+    const updated = historyStore.saveSummary(entry.id, { revision, generatedAt: new Date().toISOString(), ...summary });
+    if (!updated) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    req.log.info('Resumen generado', { historyId: entry.id, provider: summary.provider, chapters: summary.chapters.length });
+    res.json({ ...HistoryStore.insights(updated), summaryProvider: summarizer.name });
+});
+
+/**
+ * @route GET /api/history/:id/audio
+ * @description Reproduce el audio original de una transcripción guardada (admite peticiones `Range`
+ *              para que el reproductor del navegador pueda saltar a cualquier instante).
+ * @access API key
+ * @param {string} req.params.id - Identificador de la entrada.
+ */
+app.get('/api/history/:id/audio', (req, res) => {
+    const entry = findEntry(req);
+    if (!entry) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    const audioPath = audioStore.resolve(entry.audioFile);
+    if (!audioPath) {
+        return res.status(404).json({ error: errorMessage('history.audioNotKept') });
+    }
+    res.sendFile(audioPath);
+});
+
+/**
+ * @route PATCH /api/history/:id
+ * @description Renombra una transcripción guardada y/o los hablantes identificados en ella.
+ *              Los nombres de los hablantes se usan al mostrar la transcripción y al exportarla.
+ * @access API key
+ * @param {string} req.params.id - Identificador de la entrada.
+ * @param {string} [req.body.title] - Nuevo título (no vacío).
+ * @param {object} [req.body.speakers] - Nombres de los hablantes por identificador (ej. `{ "SPEAKER_1": "Ana" }`).
+ *                                        Un nombre vacío restablece el nombre por defecto ("Hablante N").
+ */
+app.patch('/api/history/:id', (req, res) => {
+    const entry = findEntry(req);
+    if (!entry) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    const { title, speakers } = req.body || {};
+    if (title === undefined && speakers === undefined) {
+        return res.status(400).json({ error: errorMessage('history.nothingToUpdate') });
+    }
+
+    const changes = {};
+    if (title !== undefined) {
+        changes.title = typeof title === 'string' ? title.trim() : '';
+        if (!changes.title) {
+            return res.status(400).json({ error: errorMessage('history.titleRequired') });
+        }
+    }
+    if (speakers !== undefined) {
+        if (!speakers || typeof speakers !== 'object' || Array.isArray(speakers)) {
+            return res.status(400).json({ error: errorMessage('history.speakersObject') });
+        }
+        const speakerNames = { ...entry.speakerNames };
+        for (const [speakerId, name] of Object.entries(speakers)) {
+            if (!(entry.speakers || []).includes(speakerId)) {
+                return res.status(400).json({ error: errorMessage('history.unknownSpeaker', { speaker: speakerId }) });
             }
-        } else { // El proceso Python terminó con un error (código de salida distinto de 0).
-            console.error(`Falló el script Python (código ${code}).`);
-            console.error('stderr de Python:', stderrData); // Registra la salida de error estándar (stderr) completa de Python.
-            try {
-                 // Intenta interpretar stderr como JSON (el script Python debería emitir errores JSON).
-                const errorResult = JSON.parse(stderrData);
-                res.status(500).json({ error: `Falló la transcripción: ${errorResult.error || 'Error desconocido de Python'}`, details: stderrData });
-            } catch (parseError) {
-                // Si stderr no es JSON, devuelve el contenido de stderr como texto plano.
-                res.status(500).json({ error: 'Falló el script de transcripción.', details: stderrData || 'Sin salida de error estándar.' });
+            if (typeof name !== 'string' || name.trim().length > MAX_SPEAKER_NAME_LENGTH) {
+                return res.status(400).json({ error: errorMessage('history.speakerNameLength', { max: MAX_SPEAKER_NAME_LENGTH }) });
             }
+            if (name.trim()) speakerNames[speakerId] = name.trim();
+            else delete speakerNames[speakerId];
         }
-    });
+        changes.speakerNames = speakerNames;
+    }
 
-    // Evento 'error': Se dispara si ocurre un error al intentar *iniciar* el proceso hijo.
-    pythonProcess.on('error', (spawnError) => {
-        console.error('No se pudo iniciar el proceso Python:', spawnError); // Ej. errores de permisos (EPERM), archivo no encontrado (ENOENT).
-        // Intenta eliminar el archivo temporal si el proceso Python ni siquiera pudo iniciarse.
-         fs.unlink(audioFilePath, (unlinkErr) => { if (unlinkErr) console.error(`Error al eliminar archivo temporal ${audioFilePath} tras error de spawn:`, unlinkErr); });
-        res.status(500).json({ error: 'No se pudo iniciar el proceso de transcripción.', details: spawnError.message });
-    });
+    res.json(HistoryStore.summarize(historyStore.update(entry.id, changes)));
 });
 
+/**
+ * @route DELETE /api/history/:id
+ * @description Elimina una transcripción del historial, junto con su audio.
+ * @access API key
+ * @param {string} req.params.id - Identificador de la entrada.
+ */
+app.delete('/api/history/:id', (req, res) => {
+    const entry = findEntry(req);
+    if (!entry || !historyStore.remove(entry.id)) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    audioStore.remove(entry.audioFile);
+    res.status(204).end();
+});
+
+/**
+ * @route GET /api/history/:id/download
+ * @description Descarga una transcripción guardada como archivo de subtítulos o texto.
+ * @access API key
+ * @param {string} req.params.id - Identificador de la entrada.
+ * @param {string} [req.query.format=srt] - Formato de salida: 'srt', 'vtt', 'tsv', 'json' o 'txt'.
+ * @param {string} [req.query.text=source] - Con una traducción: 'source' (original), 'translation' o 'bilingual'
+ *                                           (original y traducción en cada subtítulo).
+ */
+app.get('/api/history/:id/download', (req, res) => {
+    const entry = findEntry(req);
+    if (!entry) {
+        return res.status(404).json({ error: errorMessage('history.notFound') });
+    }
+    sendExport(res, entry, entry.fileName, req.query.format, req.query.text);
+});
+
+// --- Gestión de Errores ---
+// Las rutas de la API que no existen responden en JSON, con la misma forma que el resto de errores.
+app.use('/api', (req, res) => {
+    res.status(404).json({ error: errorMessage('request.routeNotFound', { method: req.method, path: req.originalUrl.split('?')[0] }) });
+});
+// Errores no gestionados por las rutas (ej. un cuerpo JSON mal formado): sin trazas ni detalles internos.
+app.use(errorHandler());
+
 // --- Inicio del Servidor ---
-// Inicia el servidor Express y lo pone a escuchar en el puerto especificado.
-app.listen(port, () => {
-    console.log(`Servidor backend ejecutándose en http://localhost:${port}`);
-});
\ No newline at end of file
+
+/**
+ * Inicia el servidor Express en el puerto indicado, arranca el motor de transcripción y publica
+ * el endpoint WebSocket de transcripción en vivo.
+ * @param {number} [listenPort=port] - Puerto (0 elige uno libre, como en las pruebas automáticas).
+ * @returns {import('http').Server} El servidor HTTP.
+ */
+function startServer(listenPort = port) {
+    const server = app.listen(listenPort, () => {
+        logger.info('Servidor backend en ejecución', { url: `http://localhost:${server.address().port}`, engine: engineName, concurrency: maxConcurrentJobs });
+    });
+    // Arranca el motor (con 'python', lanza los workers; el primero en estar listo atenderá los trabajos en cola).
+    engine.start();
+    // Reanuda las notificaciones pendientes de la ejecución anterior.
+    webhooks.start();
+    // Elimina los audios que dejó una ejecución anterior interrumpida y programa las limpiezas periódicas.
+    uploadJanitor.start();
+    diskGuard.refresh();
+
+    /**
+     * @route WS /api/live
+     * @description Transcripción en vivo de una grabación del micrófono. El navegador envía los fragmentos de audio
+     *              del MediaRecorder y recibe texto parcial y segmentos consolidados a medida que se transcriben
+     *              ventanas sucesivas. Al detener la grabación, el resultado consolidado se guarda en el historial
+     *              y se envía al cliente. Ver el protocolo en `lib/liveTranscription.js`.
+     * @access API key (parámetro `apiKey`: el navegador no permite cabeceras propias en un WebSocket). Cada grabación
+     *         cuenta como una solicitud de transcripción y sus minutos se descuentan del límite diario de la clave;
+     *         si la grabación supera los minutos que le quedan, la sesión se cierra con QUOTA_EXCEEDED.
+     * @param {string} [query.apiKey] - Clave de API.
+     * @param {string} [query.language] - Código de idioma opcional (ej. 'es').
+     * @param {string} [query.model] - Modelo de Whisper y demás opciones de `POST /api/transcribe`.
+     */
+    liveServer = attachLiveTranscription(server, {
+        engine,
+        // Las ventanas de las grabaciones ocupan un hueco de la cola (con prioridad sobre los trabajos en espera),
+        // para que `TRANSCRIBE_CONCURRENCY` limite todas las transcripciones simultáneas.
+        schedule: start => jobQueue.runTask(start),
+        maxSessions: maxLiveSessions,
+        uploadDir,
+        // Cada ventana de la grabación tiene el mismo tiempo máximo que un trabajo de la cola.
+        timeoutMs: jobTimeoutMs,
+        // Los WebSocket no están sujetos a CORS: el origen, la clave y sus límites se comprueban al conectarse.
+        authorize: (req) => {
+            if (shuttingDown) return { error: errorMessage('request.shuttingDownLive'), code: 'ENGINE_UNAVAILABLE' };
+            if (!allowedOrigins.isAllowed(req.headers.origin)) return { error: errorMessage('request.originNotAllowed', { origin: req.headers.origin }), code: 'FORBIDDEN' };
+            const { apiKey, error } = resolveApiKey(req, { store: apiKeyStore, required: apiKeysRequired });
+            if (error) return { error, code: 'UNAUTHORIZED' };
+            req.apiKey = apiKey;
+            const { allowed, limit } = transcribeLimiter.consume(clientIdOf(req), transcribeLimitFor(req));
+            if (!allowed) return { error: errorMessage('request.liveRateLimited', { limit }), code: 'RATE_LIMITED' };
+            const quotaError = checkDailyQuota(apiKeyStore, apiKey, null);
+            if (quotaError) return { error: quotaError.error, code: quotaError.code };
+            const storageError = diskGuard.checkCached();
+            if (storageError) return { error: storageError, code: 'INSUFFICIENT_STORAGE' };
+            // Los minutos que le quedan hoy a la clave limitan la duración de la grabación (ver `LiveSession`) y se
+            // reservan hasta que termine, para que las demás grabaciones y trabajos de la clave no los usen a la vez.
+            const maxSeconds = apiKey ? apiKeyStore.remainingSeconds(apiKey) : Infinity;
+            const reserved = apiKey ? apiKeyStore.reserve(apiKey.id) : 0;
+            return {
+                client: apiKey,
+                maxBytes: maxUploadBytes(apiKey, MAX_FILE_SIZE),
+                maxSeconds,
+                onFinish: () => apiKey && apiKeyStore.release(apiKey.id, reserved),
+            };
+        },
+        // Cada grabación cuenta como una solicitud, con los segundos transcritos aunque no llegue a completarse.
+        onUsage: (seconds, client) => {
+            if (client) apiKeyStore.recordUsage(client.id, { seconds, requests: 1 });
+        },
+        onComplete: (result, { id, createdAt, audioFilePath, client }) => {
+            let audioFile = null;
+            try {
+                audioFile = audioStore.save(id, audioFilePath, { move: false });
+            } catch (audioError) {
+                logger.error('No se pudo conservar el audio de la grabación', { sessionId: id, err: audioError });
+            }
+            return HistoryStore.detail(historyStore.create({ id, createdAt, audioFile, apiKeyId: client?.id || null, ...result }));
+        },
+    });
+    return server;
+}
+
+/**
+ * Detiene el servidor iniciado con `startServer`: cierra las conexiones abiertas (SSE y WebSocket),
+ * detiene el motor de transcripción, los reintentos de las notificaciones y la limpieza de subidas, y escribe
+ * en disco los cambios pendientes del historial y del registro de notificaciones.
+ * @param {import('http').Server} server - Servidor devuelto por `startServer`.
+ * @returns {Promise<void>}
+ */
+async function stopServer(server) {
+    engine.stop();
+    webhooks.stop();
+    uploadJanitor.stop();
+    liveServer?.clients.forEach(client => client.terminate());
+    await new Promise((resolve) => {
+        if (!server.listening) return resolve();
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+    await Promise.all([historyStore.flush(), webhooks.flush()]);
+}
+
+/**
+ * Cierre ordenado (ej. al recibir SIGTERM): deja de aceptar transcripciones (503), cancela los trabajos en
+ * espera, da a los que están en ejecución hasta `graceMs` para terminar (cancelando los demás, cuyos audios
+ * se eliminan) y después detiene el servidor con `stopServer`.
+ * @param {import('http').Server} server - Servidor devuelto por `startServer`.
+ * @param {object} [options]
+ * @param {number} [options.graceMs=shutdownGraceMs] - Espera máxima de los trabajos en ejecución.
+ * @returns {Promise<{completed: number, cancelled: number}>} Trabajos que terminaron a tiempo y cancelados.
+ */
+async function shutdownServer(server, { graceMs = shutdownGraceMs } = {}) {
+    shuttingDown = true;
+    logger.info('Deteniendo el servidor: se cancelan los trabajos en espera y se espera a los que están en ejecución', {
+        graceSeconds: graceMs / 1000, running: jobQueue.runningCount, queued: jobQueue.queuedCount,
+    });
+    const summary = await jobQueue.shutdown({ graceMs });
+    logger.info('Trabajos en ejecución al detener el servidor', summary);
+    await stopServer(server);
+    return summary;
+}
+
+// Se inicia solo al ejecutarse directamente (`node server.js`); las pruebas importan la app sin iniciarla.
+if (require.main === module) {
+    const server = startServer();
+    // SIGTERM (ej. `docker stop`, systemd) y Ctrl+C detienen el servidor de forma ordenada; una segunda señal
+    // lo termina de inmediato.
+    const onSignal = (signal) => {
+        if (shuttingDown) {
+            logger.warn('Señal recibida de nuevo: terminando de inmediato', { signal });
+            process.exit(1);
+        }
+        logger.info('Señal recibida', { signal });
+        shutdownServer(server)
+            .then(() => process.exit(0))
+            .catch((shutdownError) => {
+                logger.error('Error durante el cierre ordenado', { err: shutdownError });
+                process.exit(1);
+            });
+    };
+    process.on('SIGTERM', onSignal);
+    process.on('SIGINT', onSignal);
+}
+
+module.exports = { app, startServer, stopServer, shutdownServer };
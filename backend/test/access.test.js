@@ -0,0 +1,234 @@
+// backend/test/access.test.js
+// Pruebas de las claves de API, sus límites de uso y los orígenes permitidos (CORS).
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startTestServer, fakeAudio, postForm, requestJson, waitForJob } = require('./helpers');
+
+const ADMIN_TOKEN = 'token-de-administracion';
+const ALLOWED_ORIGIN = 'http://app.example.test';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = await startTestServer({
+        REQUIRE_API_KEY: 'true',
+        ADMIN_TOKEN,
+        CORS_ORIGINS: ALLOWED_ORIGIN,
+        TRANSCRIBE_RATE_LIMIT: '20',
+        // Los trabajos tardan lo suficiente para que coincidan las solicitudes simultáneas de una clave.
+        MOCK_ENGINE_DELAY_MS: '50',
+    });
+    baseUrl = server.baseUrl;
+});
+
+after(() => server.stop());
+
+/**
+ * Crea una clave de API mediante la ruta de administración.
+ * @param {object} fields - Nombre y límites de la clave.
+ * @returns {Promise<object>} La clave creada (`{ key, id, limits, ... }`).
+ */
+async function createKey(fields) {
+    const { status, body } = await requestJson(`${baseUrl}/api/admin/keys`, {
+        method: 'POST',
+        body: fields,
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    assert.equal(status, 201);
+    return body;
+}
+
+test('Las rutas de la API exigen una clave válida, salvo el estado y los modelos', async () => {
+    assert.equal((await requestJson(`${baseUrl}/api/status`)).status, 200);
+    assert.equal((await requestJson(`${baseUrl}/api/models`)).status, 200);
+
+    const missing = await requestJson(`${baseUrl}/api/history`);
+    assert.equal(missing.status, 401);
+    const invalid = await requestJson(`${baseUrl}/api/history`, { headers: { 'X-API-Key': 'tk_inventada' } });
+    assert.equal(invalid.status, 401);
+
+    const { key } = await createKey({ name: 'Frontend' });
+    assert.equal((await requestJson(`${baseUrl}/api/history`, { headers: { 'X-API-Key': key } })).status, 200);
+    assert.equal((await requestJson(`${baseUrl}/api/history`, { headers: { Authorization: `Bearer ${key}` } })).status, 200);
+    // Para SSE, `<audio>` y descargas, la clave también puede ir en la URL.
+    assert.equal((await requestJson(`${baseUrl}/api/history?apiKey=${key}`)).status, 200);
+});
+
+test('Cada clave solo accede a sus trabajos, lotes y transcripciones; el administrador, a todos', async () => {
+    const owner = { 'X-API-Key': (await createKey({ name: 'Propietaria' })).key };
+    const other = { 'X-API-Key': (await createKey({ name: 'Ajena' })).key };
+    const admin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+    const upload = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(2), 'privada.wav']], owner);
+    assert.equal(upload.status, 202);
+    const { id } = await waitForJob(baseUrl, upload.body.jobId, 5000, owner);
+    const batch = await postForm(`${baseUrl}/api/batch`, {}, [['audioFiles', fakeAudio(1), 'lote.wav']], owner);
+    assert.equal(batch.status, 202);
+
+    // Los recursos de otra clave se responden como inexistentes.
+    const foreign = [
+        `/api/jobs/${id}`, `/api/jobs/${id}/download`, `/api/history/${id}`, `/api/history/${id}/audio`,
+        `/api/history/${id}/insights`, `/api/history/${id}/download`, `/api/batch/${batch.body.id}`,
+    ];
+    for (const route of foreign) {
+        assert.equal((await fetch(`${baseUrl}${route}`, { headers: other })).status, 404, route);
+        assert.equal((await fetch(`${baseUrl}${route}`, { headers: owner })).status, 200, route);
+    }
+    assert.equal((await requestJson(`${baseUrl}/api/history/${id}`, { method: 'PATCH', body: { title: 'Ajeno' }, headers: other })).status, 404);
+    assert.equal((await requestJson(`${baseUrl}/api/history/${id}`, { method: 'DELETE', headers: other })).status, 404);
+    assert.equal((await requestJson(`${baseUrl}/api/batch/${batch.body.id}`, { method: 'DELETE', headers: other })).status, 404);
+
+    // Los listados solo incluyen los recursos de la clave.
+    const ids = async (route, field, headers) => (await requestJson(`${baseUrl}${route}`, { headers })).body[field].map(item => item.id);
+    assert.ok(!(await ids('/api/jobs', 'jobs', other)).includes(id));
+    assert.ok(!(await ids('/api/history', 'entries', other)).includes(id));
+    assert.ok((await ids('/api/jobs', 'jobs', owner)).includes(id));
+    assert.ok((await ids('/api/history', 'entries', owner)).includes(id));
+
+    // El token de administración accede a los recursos de todas las claves.
+    assert.ok((await ids('/api/history', 'entries', admin)).includes(id));
+    assert.equal((await requestJson(`${baseUrl}/api/history/${id}`, { headers: admin })).status, 200);
+    assert.equal((await requestJson(`${baseUrl}/api/history/${id}`, { method: 'DELETE', headers: admin })).status, 204);
+});
+
+test('Las rutas de administración requieren ADMIN_TOKEN y no exponen las claves', async () => {
+    assert.equal((await requestJson(`${baseUrl}/api/admin/keys`)).status, 401);
+
+    const created = await createKey({ name: 'Integración', minutesPerDay: 10, maxUploadMb: 5 });
+    assert.match(created.key, /^tk_/);
+    assert.deepEqual(created.limits, { maxUploadMb: 5, minutesPerDay: 10, requestsPerMinute: null });
+
+    const { body } = await requestJson(`${baseUrl}/api/admin/keys`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    const listed = body.keys.find(item => item.id === created.id);
+    assert.equal(listed.key, undefined);
+    assert.equal(listed.hash, undefined);
+    assert.equal(created.key.startsWith(listed.prefix), true);
+
+    const invalid = await requestJson(`${baseUrl}/api/admin/keys`, {
+        method: 'POST',
+        body: { name: 'Mal', minutesPerDay: -1 },
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    assert.equal(invalid.status, 400);
+
+    // Una clave revocada deja de aceptarse de inmediato.
+    const revoked = await requestJson(`${baseUrl}/api/admin/keys/${created.id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    assert.ok(revoked.body.revokedAt);
+    assert.equal((await requestJson(`${baseUrl}/api/history`, { headers: { 'X-API-Key': created.key } })).status, 401);
+});
+
+test('Las subidas mayores que el límite de la clave se rechazan con 413', async () => {
+    const { key } = await createKey({ name: 'Subidas pequeñas', maxUploadMb: 0.01 });
+    const { status, body } = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(2), 'grande.wav']], { 'X-API-Key': key });
+    assert.equal(status, 413);
+    assert.match(body.error, /tamaño máximo/);
+});
+
+test('Se rechazan con 429 las solicitudes por encima del límite por minuto', async () => {
+    const { key } = await createKey({ name: 'Limitada', requestsPerMinute: 2 });
+    const headers = { 'X-API-Key': key };
+    // Las solicitudes cuentan aunque fallen (aquí, por no incluir un archivo).
+    assert.equal((await postForm(`${baseUrl}/api/transcribe`, {}, [], headers)).status, 400);
+    assert.equal((await postForm(`${baseUrl}/api/transcribe`, {}, [], headers)).status, 400);
+    const limited = await postForm(`${baseUrl}/api/transcribe`, {}, [], headers);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+});
+
+test('Los minutos transcritos se descuentan del límite diario de la clave', async () => {
+    const { key, id } = await createKey({ name: 'Diaria', minutesPerDay: 0.2 }); // 12 s al día.
+    const headers = { 'X-API-Key': key };
+    const first = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(15), 'largo.wav']], headers);
+    assert.equal(first.status, 202);
+    assert.equal((await waitForJob(baseUrl, first.body.jobId, 5000, headers)).status, 'done');
+
+    const { body } = await requestJson(`${baseUrl}/api/admin/keys`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.equal(body.keys.find(item => item.id === id).usage.seconds, 15);
+
+    const second = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(1), 'corto.wav']], headers);
+    assert.equal(second.status, 429);
+    assert.match(second.body.error, /minutos diarios/);
+    assert.ok(Number(second.headers.get('retry-after')) > 0);
+});
+
+test('Las transcripciones simultáneas de una clave no superan juntas sus minutos diarios', async () => {
+    const { key, id } = await createKey({ name: 'Simultáneas', minutesPerDay: 1 });
+    const headers = { 'X-API-Key': key };
+    const upload = fileName => postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(40), fileName]], headers);
+    const usedSeconds = async () => {
+        const { body } = await requestJson(`${baseUrl}/api/admin/keys`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+        return body.keys.find(item => item.id === id).usage.seconds;
+    };
+
+    // Los minutos del primer trabajo aceptado quedan reservados mientras se transcribe: el segundo no cabe.
+    const responses = await Promise.all([upload('primera.wav'), upload('segunda.wav')]);
+    assert.deepEqual(responses.map(response => response.status).sort(), [202, 429]);
+    const accepted = responses.find(response => response.status === 202);
+    assert.equal(responses.find(response => response.status === 429).body.code, 'QUOTA_EXCEEDED');
+
+    // Al terminar, la reserva se sustituye por los segundos transcritos y lo que queda vuelve a estar disponible.
+    assert.equal((await waitForJob(baseUrl, accepted.body.jobId, 5000, headers)).status, 'done');
+    assert.equal(await usedSeconds(), 40);
+    const third = await upload('tercera.wav');
+    assert.equal(third.status, 202);
+    assert.equal((await upload('cuarta.wav')).status, 429);
+
+    // Un trabajo cancelado libera su reserva sin descontar minutos.
+    assert.equal((await requestJson(`${baseUrl}/api/jobs/${third.body.jobId}`, { method: 'DELETE', headers })).status, 200);
+    assert.equal(await usedSeconds(), 40);
+    assert.equal((await upload('quinta.wav')).status, 202);
+});
+
+test('Solo se admiten los orígenes configurados para CORS', async () => {
+    const allowed = await fetch(`${baseUrl}/api/status`, { headers: { Origin: ALLOWED_ORIGIN } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), ALLOWED_ORIGIN);
+
+    const denied = await fetch(`${baseUrl}/api/status`, { headers: { Origin: 'http://otra-web.test' } });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.headers.get('access-control-allow-origin'), null);
+});
+
+test('WS /api/live rechaza las conexiones sin una clave válida', async () => {
+    const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/api/live`);
+    const messages = [];
+    socket.on('message', data => messages.push(JSON.parse(data)));
+    const code = await new Promise(resolve => socket.on('close', resolve));
+    assert.equal(code, 1008);
+    assert.match(messages[0].error, /clave de API/);
+});
+
+test('WS /api/live cierra la grabación con QUOTA_EXCEEDED al superar los minutos diarios de la clave', async () => {
+    const { key, id } = await createKey({ name: 'Grabaciones', minutesPerDay: 0.1 }); // 6 s al día.
+    const liveUrl = `${baseUrl.replace('http', 'ws')}/api/live?language=es&apiKey=${key}`;
+    const socket = new WebSocket(liveUrl);
+    const messages = [];
+    const ready = new Promise(resolve => socket.on('message', (data) => {
+        const message = JSON.parse(data);
+        messages.push(message);
+        if (message.type === 'ready') resolve();
+    }));
+    await ready;
+    // Los minutos que quedan se reservan para la grabación en curso: otra sesión simultánea no puede empezar.
+    const second = new WebSocket(liveUrl);
+    const rejected = await new Promise(resolve => second.on('message', data => resolve(JSON.parse(data))));
+    assert.equal(rejected.code, 'QUOTA_EXCEEDED');
+
+    socket.send(Buffer.alloc(16000 * 7)); // 7 s de audio simulado.
+    socket.send(JSON.stringify({ type: 'stop' }));
+    await new Promise(resolve => socket.on('close', resolve));
+    const error = messages.find(message => message.type === 'error');
+    assert.equal(error.code, 'QUOTA_EXCEEDED');
+    assert.ok(!messages.some(message => message.type === 'done'));
+
+    // Los segundos transcritos se descuentan aunque la grabación no se guarde.
+    const { body } = await requestJson(`${baseUrl}/api/admin/keys`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.equal(body.keys.find(item => item.id === id).usage.seconds, 7);
+});
@@ -0,0 +1,131 @@
+// backend/test/cache.test.js
+// Pruebas de la caché de resultados: aciertos al volver a subir el mismo audio, claves por opciones,
+// descarte por tamaño y antigüedad y rutas de administración.
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResultCache } = require('../lib/resultCache');
+const { startTestServer, fakeAudio, postForm, requestJson, waitForJob } = require('./helpers');
+
+const ADMIN_TOKEN = 'token-de-administracion';
+const adminHeaders = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = await startTestServer({ RESULT_CACHE_MAX_MB: '10', ADMIN_TOKEN });
+    baseUrl = server.baseUrl;
+});
+
+after(() => server.stop());
+
+/**
+ * Sube un audio ficticio para transcribirlo.
+ * @param {number} seconds - Duración simulada (el contenido depende solo de la duración).
+ * @param {object} [fields] - Opciones de transcripción.
+ * @returns {Promise<object>} La respuesta de `POST /api/transcribe`.
+ */
+async function upload(seconds, fields = {}) {
+    const { status, body } = await postForm(`${baseUrl}/api/transcribe`, fields, [['audioFile', fakeAudio(seconds), 'repetido.wav']]);
+    assert.equal(status, 202);
+    return body;
+}
+
+test('Volver a subir el mismo audio con las mismas opciones devuelve el resultado de la caché', async () => {
+    const first = await upload(7, { language: 'es' });
+    assert.equal(first.cached, false);
+    const original = await waitForJob(baseUrl, first.jobId);
+    assert.equal(original.status, 'done');
+    assert.equal(original.cached, false);
+
+    // El trabajo se crea ya completado, con el mismo resultado, y se guarda en el historial como uno nuevo.
+    const second = await upload(7, { language: 'es' });
+    assert.equal(second.cached, true);
+    assert.equal(second.status, 'done');
+    const { body: job } = await requestJson(`${baseUrl}/api/jobs/${second.jobId}`);
+    assert.equal(job.cached, true);
+    assert.deepEqual(job.result, original.result);
+    assert.equal((await requestJson(`${baseUrl}/api/history/${second.jobId}`)).status, 200);
+});
+
+test('Otro modelo, otro idioma u otro audio no comparten el resultado guardado', async () => {
+    const base = await upload(3, { language: 'es' });
+    await waitForJob(baseUrl, base.jobId);
+
+    assert.equal((await upload(3, { language: 'es', model: 'tiny' })).cached, false);
+    assert.equal((await upload(3, { language: 'en' })).cached, false);
+    assert.equal((await upload(3, { language: 'es', removeSilence: 'true' })).cached, false);
+    assert.equal((await upload(4, { language: 'es' })).cached, false);
+});
+
+test('Los lotes reutilizan los resultados de la caché archivo por archivo', async () => {
+    const single = await upload(2);
+    await waitForJob(baseUrl, single.jobId);
+
+    const { status, body } = await postForm(`${baseUrl}/api/batch`, {}, [
+        ['audioFiles', fakeAudio(2), 'ya-transcrito.wav'],
+        ['audioFiles', fakeAudio(9), 'nuevo.wav'],
+    ]);
+    assert.equal(status, 202);
+    const [cachedJob, newJob] = body.jobs;
+    assert.equal(cachedJob.cached, true);
+    assert.equal(cachedJob.status, 'done');
+    assert.equal(newJob.cached, false);
+    assert.equal((await waitForJob(baseUrl, newJob.id)).status, 'done');
+});
+
+test('Las rutas de administración muestran y vacían la caché', async () => {
+    assert.equal((await requestJson(`${baseUrl}/api/admin/cache`)).status, 401);
+
+    const first = await upload(5);
+    await waitForJob(baseUrl, first.jobId);
+    await upload(5);
+
+    const { body: cache } = await requestJson(`${baseUrl}/api/admin/cache`, { headers: adminHeaders });
+    assert.equal(cache.enabled, true);
+    assert.ok(cache.hits >= 1);
+    assert.ok(cache.totalBytes > 0);
+    const [latest] = cache.entries;
+    assert.equal(latest.hits, 1);
+    assert.equal(latest.description.fileName, 'repetido.wav');
+
+    const removed = await requestJson(`${baseUrl}/api/admin/cache/${latest.key}`, { method: 'DELETE', headers: adminHeaders });
+    assert.deepEqual(removed.body, { removed: 1 });
+    assert.equal((await requestJson(`${baseUrl}/api/admin/cache/${latest.key}`, { method: 'DELETE', headers: adminHeaders })).status, 404);
+    const retranscribed = await upload(5);
+    assert.equal(retranscribed.cached, false);
+    await waitForJob(baseUrl, retranscribed.jobId);
+
+    const cleared = await requestJson(`${baseUrl}/api/admin/cache`, { method: 'DELETE', headers: adminHeaders });
+    assert.ok(cleared.body.removed >= 1);
+    assert.equal((await requestJson(`${baseUrl}/api/admin/cache`, { headers: adminHeaders })).body.count, 0);
+});
+
+test('ResultCache descarta los resultados caducados y los menos usados al superar el tamaño máximo', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const keys = ['a', 'b', 'c'].map(audioHash => ResultCache.keyFor({ audioHash, engine: 'mock', options: { model: 'base' } }));
+    const result = { transcription: 'x'.repeat(400), segments: [] };
+
+    // Caben dos resultados: al guardar el tercero se descarta el usado hace más tiempo ('b', porque 'a' acaba de acertar).
+    const cache = new ResultCache(dir, { maxBytes: 1200 });
+    cache.set(keys[0], result);
+    cache.set(keys[1], result);
+    cache.entries.get(keys[1]).createdAt = new Date(Date.now() - 1000).toISOString();
+    cache.entries.get(keys[0]).createdAt = new Date(Date.now() - 2000).toISOString();
+    assert.deepEqual(cache.get(keys[0]), result);
+    cache.set(keys[2], result);
+    assert.deepEqual(cache.describe().entries.map(entry => entry.key).sort(), [keys[0], keys[2]].sort());
+    assert.equal(cache.get(keys[1]), null);
+
+    // El índice sobrevive a un reinicio; los resultados más antiguos que `maxAgeMs` se descartan al consultarlos.
+    const reopened = new ResultCache(dir, { maxBytes: 1200, maxAgeMs: 1500 });
+    assert.equal(reopened.describe().count, 1);
+    assert.equal(reopened.get(keys[0]), null);
+    assert.deepEqual(reopened.get(keys[2]), result);
+});
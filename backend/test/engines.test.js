@@ -0,0 +1,134 @@
+// backend/test/engines.test.js
+// Pruebas de los motores de transcripción que no necesitan binarios externos (simulado y HTTP).
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { createEngine } = require('../lib/engines');
+const { toWorkerRequest, parseTranscriptionOptions } = require('../lib/transcriptionOptions');
+
+let tempDir;
+let audioFile;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-engines-'));
+    audioFile = path.join(tempDir, 'audio.wav');
+    fs.writeFileSync(audioFile, Buffer.alloc(16000 * 8)); // 8 s para el motor simulado.
+});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Crea una solicitud de transcripción a partir de campos de formulario, como lo hace el servidor.
+ * @param {object} [fields] - Opciones de transcripción.
+ * @returns {object}
+ */
+function buildRequest(fields = {}) {
+    const { options, error } = parseTranscriptionOptions(fields);
+    assert.equal(error, undefined);
+    return toWorkerRequest(audioFile, options);
+}
+
+test('createEngine rechaza motores desconocidos y configuraciones incompletas', () => {
+    assert.throws(() => createEngine('desconocido'), /no soportado/);
+    assert.throws(() => createEngine('http', {}, {}), /TRANSCRIBE_HTTP_URL/);
+    assert.throws(() => createEngine('cli', {}, { WHISPER_CLI_FLAVOR: 'otro' }), /no soportada/);
+});
+
+test('El motor simulado es determinista y emite progreso y segmentos', async () => {
+    const engine = createEngine('mock', {}, {});
+    const events = [];
+    const first = await engine.run(buildRequest({ language: 'es' }), { onEvent: event => events.push(event) }).promise;
+    const second = await engine.run(buildRequest({ language: 'es' })).promise;
+
+    assert.deepEqual(first, second);
+    assert.equal(first.duration, 8);
+    assert.equal(first.segments.length, 2);
+    assert.deepEqual(events.filter(event => event.event === 'segment').map(event => event.end), [5, 8]);
+    assert.equal(events.at(-1).percent, 100);
+});
+
+test('El motor simulado respeta clip_timestamps con tiempos absolutos', async () => {
+    const engine = createEngine('mock', {}, {});
+    const request = buildRequest();
+    request.decode_options.clip_timestamps = '5';
+    const result = await engine.run(request).promise;
+
+    assert.deepEqual(result.segments.map(segment => [segment.start, segment.end]), [[5, 8]]);
+    assert.equal(result.duration, 8);
+});
+
+test('El motor simulado puede cancelarse', async () => {
+    const engine = createEngine('mock', {}, { MOCK_ENGINE_DELAY_MS: '50' });
+    const controller = engine.run(buildRequest());
+    controller.cancel();
+    await assert.rejects(controller.promise, /cancelada/);
+    assert.equal(engine.describe().running, 0);
+});
+
+// --- Motor HTTP contra un servicio local que imita la API de OpenAI ---
+
+test('El motor HTTP envía el audio y las opciones y adapta la respuesta verbose_json', async () => {
+    const received = [];
+    const standIn = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('latin1');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ url: req.url, authorization: req.headers.authorization, body });
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({
+                task: 'transcribe',
+                language: 'es',
+                duration: 4.5,
+                text: ' hola mundo',
+                segments: [{ id: 0, start: 0, end: 2, text: ' hola' }, { id: 1, start: 2, end: 4.5, text: ' mundo' }],
+                words: [{ word: 'hola', start: 0.1, end: 1.5 }, { word: 'mundo', start: 2.2, end: 4 }],
+            }));
+        });
+    });
+    await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const engine = createEngine('http', {}, {
+            TRANSCRIBE_HTTP_URL: `http://127.0.0.1:${standIn.address().port}/v1/`,
+            TRANSCRIBE_HTTP_API_KEY: 'clave-de-prueba',
+        });
+        const result = await engine.run(buildRequest({ language: 'es', model: 'small', wordTimestamps: 'true' })).promise;
+
+        assert.equal(received[0].url, '/v1/audio/transcriptions');
+        assert.equal(received[0].authorization, 'Bearer clave-de-prueba');
+        assert.match(received[0].body, /name="model"\r\n\r\nsmall/);
+        assert.match(received[0].body, /name="response_format"\r\n\r\nverbose_json/);
+        assert.equal(result.transcription, 'hola mundo');
+        assert.equal(result.model, 'small');
+        assert.equal(result.duration, 4.5);
+        assert.deepEqual(result.segments.map(segment => segment.words.map(word => word.word)), [['hola'], ['mundo']]);
+    } finally {
+        standIn.close();
+    }
+});
+
+test('El motor HTTP informa de los errores del servicio y no admite diarización', async () => {
+    const standIn = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            res.statusCode = 401;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ error: { message: 'Clave no válida' } }));
+        });
+    });
+    await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const engine = createEngine('http', {}, { TRANSCRIBE_HTTP_URL: `http://127.0.0.1:${standIn.address().port}/v1` });
+        await assert.rejects(engine.run(buildRequest()).promise, /\(401\): Clave no válida/);
+        await assert.rejects(engine.run(buildRequest({ diarize: 'true' })).promise, /no admite la identificación de hablantes/);
+    } finally {
+        standIn.close();
+    }
+});
@@ -0,0 +1,237 @@
+// backend/test/errors.test.js
+// Pruebas de la forma común de los errores de la API: códigos, identificador de solicitud, errores de los
+// trabajos sin detalles internos e idioma de los mensajes.
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    createError, errorMessage, errorCodeOf, defaultCodeFor, negotiateLocale, formatMessage, localizeErrorBody,
+    ERROR_CODES, MESSAGES,
+} = require('../lib/errors');
+const { startTestServer, fakeAudio, postForm, requestJson, waitForJob } = require('./helpers');
+
+const ADMIN_TOKEN = 'token-de-administracion';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = await startTestServer({
+        ADMIN_TOKEN,
+        // Un servicio de traducción que no responde hace fallar los trabajos que piden traducir.
+        TRANSLATE_PROVIDER: 'http',
+        TRANSLATE_HTTP_URL: 'http://127.0.0.1:9',
+    });
+    baseUrl = server.baseUrl;
+});
+
+after(() => server.stop());
+
+test('Las respuestas de error incluyen el código y el identificador de la solicitud', async () => {
+    const response = await fetch(`${baseUrl}/api/jobs/desconocido`);
+    const body = await response.json();
+    assert.equal(response.status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+    assert.equal(body.error, 'Trabajo no encontrado.');
+    assert.match(body.requestId, /^[0-9a-f-]{36}$/);
+    assert.equal(response.headers.get('x-request-id'), body.requestId);
+
+    // Se respeta el identificador de un proxy o del cliente si es válido; si no, se genera uno nuevo.
+    const traced = await fetch(`${baseUrl}/api/jobs/desconocido`, { headers: { 'X-Request-Id': 'proxy-123.abc' } });
+    assert.equal((await traced.json()).requestId, 'proxy-123.abc');
+    const invalid = await fetch(`${baseUrl}/api/jobs/desconocido`, { headers: { 'X-Request-Id': 'no válido <>' } });
+    assert.notEqual(invalid.headers.get('x-request-id'), 'no válido <>');
+    // Las respuestas correctas también llevan la cabecera, pero su cuerpo no cambia.
+    const ok = await fetch(`${baseUrl}/api/history`);
+    assert.ok(ok.headers.get('x-request-id'));
+    assert.deepEqual(Object.keys(await ok.json()), ['entries']);
+
+    // Los datos adicionales de cada error se conservan junto al código.
+    const { status, body: noAudio } = await postForm(`${baseUrl}/api/batch`, {}, [['audioFiles', new Blob(['hola'], { type: 'text/plain' }), 'notas.txt']]);
+    assert.equal(status, 400);
+    assert.equal(noAudio.code, 'INVALID_REQUEST');
+    assert.deepEqual(noAudio.rejected, [{ fileName: 'notas.txt', reason: 'No es un archivo de audio reconocido.' }]);
+});
+
+test('Las subidas sin archivo, demasiado grandes o que no son audio tienen su propio código', async () => {
+    const missing = await postForm(`${baseUrl}/api/transcribe`, { language: 'es' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'MISSING_FILE');
+
+    const notAudio = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), 'factura.pdf']]);
+    assert.equal(notAudio.status, 415);
+    assert.equal(notAudio.body.code, 'UNSUPPORTED_FORMAT');
+    // Sin una extensión reconocida, decide el tipo MIME.
+    const byType = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(1), 'grabacion']]);
+    assert.equal(byType.status, 202);
+
+    const { body: created } = await requestJson(`${baseUrl}/api/admin/keys`, {
+        method: 'POST',
+        body: { name: 'Subidas pequeñas', maxUploadMb: 0.01 },
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    const tooLarge = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(2), 'grande.wav']], { 'X-API-Key': created.key });
+    assert.equal(tooLarge.status, 413);
+    assert.equal(tooLarge.body.code, 'FILE_TOO_LARGE');
+    assert.ok(tooLarge.body.requestId);
+});
+
+test('Los cuerpos JSON mal formados y las rutas inexistentes responden con JSON', async () => {
+    const response = await fetch(`${baseUrl}/api/transcribe`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"url": ',
+    });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.code, 'INVALID_JSON');
+    assert.equal(body.requestId, response.headers.get('x-request-id'));
+    assert.equal(body.stack, undefined);
+
+    const unknown = await requestJson(`${baseUrl}/api/no-existe?x=1`);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'NOT_FOUND');
+    assert.match(unknown.body.error, /GET \/api\/no-existe\./);
+});
+
+test('Los trabajos fallidos exponen el código y el mensaje, sin los detalles internos', async () => {
+    const { body } = await postForm(`${baseUrl}/api/transcribe`, { language: 'es', translateTo: 'fr' }, [['audioFile', fakeAudio(2), 'charla.wav']]);
+    const job = await waitForJob(baseUrl, body.jobId);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.code, 'TRANSLATION_FAILED');
+    assert.match(job.error.message, /servicio de traducción/);
+    assert.deepEqual(Object.keys(job.error).sort(), ['code', 'message']);
+
+    const done = await postForm(`${baseUrl}/api/transcribe`, { language: 'es' }, [['audioFile', fakeAudio(1), 'corto.wav']]);
+    assert.equal((await waitForJob(baseUrl, done.body.jobId)).error, null);
+});
+
+test('Los mensajes de error siguen el idioma de Accept-Language', async () => {
+    const english = { 'Accept-Language': 'en-US,en;q=0.9,es;q=0.5' };
+    const response = await fetch(`${baseUrl}/api/jobs/desconocido`, { headers: english });
+    const body = await response.json();
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('content-language'), 'en');
+    assert.match(response.headers.get('vary'), /Accept-Language/);
+    assert.equal(body.error, 'Job not found.');
+    assert.equal(body.detail, undefined);
+    assert.equal(body.code, 'NOT_FOUND');
+
+    // Sin la cabecera, o con un idioma no disponible, se responde en español.
+    const spanish = await requestJson(`${baseUrl}/api/jobs/desconocido`, { headers: { 'Accept-Language': 'fr' } });
+    assert.equal(spanish.body.error, 'Trabajo no encontrado.');
+
+    // Los errores de validación se traducen con su caso concreto (el campo, el valor recibido...).
+    const trim = await postForm(`${baseUrl}/api/transcribe`, { trimStart: 10, trimEnd: 5 }, [['audioFile', fakeAudio(1), 'corto.wav']], english);
+    assert.equal(trim.status, 400);
+    assert.equal(trim.body.code, 'INVALID_REQUEST');
+    assert.equal(trim.body.error, 'The end of the fragment to transcribe (trimEnd) must be after its start (trimStart).');
+    const language = await postForm(`${baseUrl}/api/transcribe`, { language: 'klingon' }, [['audioFile', fakeAudio(1), 'corto.wav']], english);
+    assert.equal(language.body.error, "Invalid language code: 'klingon'.");
+    const field = await postForm(`${baseUrl}/api/transcribe`, { trimStart: -1 }, [['audioFile', fakeAudio(1), 'corto.wav']], english);
+    assert.equal(field.body.error, 'The trimStart field must be a non-negative number of seconds.');
+
+    // Los errores de los trabajos también se traducen al consultarlos.
+    const { body: created } = await postForm(`${baseUrl}/api/transcribe`, { language: 'es', translateTo: 'fr' }, [['audioFile', fakeAudio(1), 'charla.wav']]);
+    await waitForJob(baseUrl, created.jobId);
+    const { body: job } = await requestJson(`${baseUrl}/api/jobs/${created.jobId}`, { headers: english });
+    assert.deepEqual(job.error, { code: 'TRANSLATION_FAILED', message: 'Could not connect to the translation service (http://127.0.0.1:9/translate).' });
+
+    // También los de los middlewares (límite de solicitudes, rutas inexistentes) y los motivos de rechazo de los lotes.
+    const { body: key } = await requestJson(`${baseUrl}/api/admin/keys`, {
+        method: 'POST',
+        body: { name: 'Una por minuto', requestsPerMinute: 1 },
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    await postForm(`${baseUrl}/api/transcribe`, {}, [], { 'X-API-Key': key.key });
+    const limited = await postForm(`${baseUrl}/api/transcribe`, {}, [], { ...english, 'X-API-Key': key.key });
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /^Too many requests: the limit is 1 per minute\. Try again in \d+ s\.$/);
+    const unknown = await requestJson(`${baseUrl}/api/no-existe`, { headers: english });
+    assert.equal(unknown.body.error, 'Route not found: GET /api/no-existe.');
+    const batch = await postForm(`${baseUrl}/api/batch`, {}, [['audioFiles', new Blob(['hola'], { type: 'text/plain' }), 'notas.txt']], english);
+    assert.equal(batch.body.error, 'The batch does not contain any valid audio file.');
+    assert.deepEqual(batch.body.rejected, [{ fileName: 'notas.txt', reason: 'Not a recognized audio file.' }]);
+});
+
+test('Los catálogos de mensajes tienen las mismas claves y marcadores en todos los idiomas', () => {
+    const leaves = (node, prefix = '') => Object.entries(node).flatMap(([name, value]) => (typeof value === 'object'
+        ? leaves(value, `${prefix}${name}.`)
+        : [[`${prefix}${name}`, value]]));
+    const placeholders = text => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+    const [reference, ...others] = Object.values(MESSAGES).map(catalog => new Map(leaves(catalog)));
+    for (const catalog of others) {
+        assert.deepEqual([...catalog.keys()].sort(), [...reference.keys()].sort());
+        for (const [key, text] of catalog) {
+            assert.equal(typeof text, 'string', key);
+            assert.ok(text.trim(), key);
+            assert.deepEqual(placeholders(text), placeholders(reference.get(key)), key);
+        }
+    }
+    // Cada código de la API tiene su mensaje genérico.
+    Object.keys(ERROR_CODES).forEach(code => assert.ok(reference.has(`codes.${code}`), code));
+
+    // Todas las claves que usa el código existen en el catálogo.
+    const sources = [path.join(__dirname, '..', 'server.js')];
+    const collect = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) collect(entryPath);
+        else if (entry.name.endsWith('.js')) sources.push(entryPath);
+    });
+    collect(path.join(__dirname, '..', 'lib'));
+    const used = sources.flatMap(file => [...fs.readFileSync(file, 'utf8').matchAll(/errorMessage\(\s*['`]([\w.]+)['`]/g)]
+        .map(match => match[1]));
+    assert.ok(used.length > 100);
+    used.forEach(key => assert.ok(reference.has(key), `Clave sin mensaje: ${key}`));
+});
+
+test('formatMessage sustituye los marcadores y recurre al idioma de referencia', () => {
+    const message = errorMessage('jobs.noResult', { status: 'queued' });
+    assert.equal(formatMessage(message), 'El trabajo no tiene resultado disponible (estado: queued).');
+    assert.equal(formatMessage(message, 'en'), 'The job has no result available (status: queued).');
+    assert.equal(formatMessage('Texto sin traducción.', 'en'), 'Texto sin traducción.');
+    assert.equal(formatMessage(errorMessage('clave.inexistente'), 'en'), 'clave.inexistente');
+
+    // Un texto sin traducción (ej. de un servicio externo) se sustituye por el mensaje de su código, con el
+    // original en `detail`; en español se conserva.
+    assert.deepEqual(localizeErrorBody({ error: 'Fallo del servicio.', code: 'ENGINE_ERROR' }, 'en'), {
+        error: formatMessage(errorMessage('codes.ENGINE_ERROR'), 'en'),
+        detail: 'Fallo del servicio.',
+        code: 'ENGINE_ERROR',
+    });
+    assert.deepEqual(localizeErrorBody({ error: 'Fallo del servicio.', code: 'ENGINE_ERROR' }, 'es'), {
+        error: 'Fallo del servicio.',
+        code: 'ENGINE_ERROR',
+    });
+    // Los errores creados con un mensaje localizable conservan su clave y su texto en español.
+    const error = createError(errorMessage('jobs.cancelled'), undefined, 'CANCELLED');
+    assert.equal(error.message, 'La transcripción fue cancelada.');
+    assert.equal(error.key, 'jobs.cancelled');
+});
+
+test('negotiateLocale elige el idioma admitido con más peso', () => {
+    const localeOf = header => negotiateLocale({ headers: { 'accept-language': header } });
+    assert.equal(negotiateLocale({ headers: {} }), 'es');
+    assert.equal(localeOf('en-GB'), 'en');
+    assert.equal(localeOf('fr, en;q=0.5'), 'en');
+    assert.equal(localeOf('es;q=0.2, en;q=0.9'), 'en');
+    assert.equal(localeOf('en;q=0, de'), 'es');
+    // El parámetro `lang` de la URL (flujos SSE y WebSocket) tiene prioridad si es un idioma admitido.
+    assert.equal(negotiateLocale({ url: '/api/jobs/1/events?lang=en', headers: { 'accept-language': 'es' } }), 'en');
+    assert.equal(negotiateLocale({ url: '/api/jobs/1/events?lang=fr', headers: { 'accept-language': 'es' } }), 'es');
+});
+
+test('errorCodeOf solo acepta los códigos de la API', () => {
+    const error = createError('El modelo no existe.', 'traza', 'MODEL_LOAD_FAILED');
+    assert.equal(error.details, 'traza');
+    assert.equal(errorCodeOf(error), 'MODEL_LOAD_FAILED');
+    // Los códigos de Node.js (ej. de `fs`) y los errores sin código son errores internos.
+    assert.equal(errorCodeOf(Object.assign(new Error('sin archivo'), { code: 'ENOENT' })), 'INTERNAL_ERROR');
+    assert.equal(errorCodeOf(new Error('inesperado')), 'INTERNAL_ERROR');
+    assert.equal(defaultCodeFor(429), 'RATE_LIMITED');
+    assert.equal(defaultCodeFor(418), 'INVALID_REQUEST');
+    assert.equal(ERROR_CODES[defaultCodeFor(504)].status, 504);
+});
@@ -0,0 +1,181 @@
+// backend/test/helpers.js
+
+// --- Importaciones de Módulos ---
+const path = require('path');                   // Módulo para trabajar con rutas de archivos y directorios.
+const os = require('os');                       // Directorio temporal del sistema.
+const fs = require('fs');                       // Módulo para interactuar con el sistema de archivos.
+const assert = require('node:assert/strict');   // Comprobaciones de las respuestas.
+const yazl = require('yazl');                   // Creación de archivos ZIP de prueba.
+
+// Estados finales de un trabajo (ver `lib/jobQueue.js`).
+const FINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+/**
+ * Inicia el servidor con el motor simulado, con el historial y las subidas en un directorio temporal.
+ * Por defecto no exige claves de API ni limita las transcripciones por minuto (ver `test/access.test.js`), y
+ * deshabilita la caché de resultados para que cada subida se transcriba (ver `test/cache.test.js`).
+ * Debe llamarse antes de cualquier otro `require` de `server.js` (la configuración se lee al cargarlo).
+ *
+ * @param {object} [env] - Variables de entorno adicionales (ej. `MOCK_ENGINE_DELAY_MS`).
+ * @returns {Promise<{baseUrl: string, uploadDir: string, dataDir: string, server: import('http').Server, stop: function(): Promise<void>}>}
+ */
+async function startTestServer(env = {}) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-test-'));
+    Object.assign(process.env, {
+        TRANSCRIBE_ENGINE: 'mock',
+        DATA_DIR: path.join(tempDir, 'data'),
+        UPLOAD_DIR: path.join(tempDir, 'uploads'),
+        REQUIRE_API_KEY: 'false',
+        TRANSCRIBE_RATE_LIMIT: '1000',
+        RESULT_CACHE_MAX_MB: '0',
+        ...env,
+    });
+    const { startServer, stopServer } = require('../server');
+    const server = startServer(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        uploadDir: process.env.UPLOAD_DIR,
+        dataDir: process.env.DATA_DIR,
+        server,
+        stop: async () => {
+            await stopServer(server);
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        },
+    };
+}
+
+/**
+ * Crea un archivo de audio ficticio del tamaño indicado. El motor simulado no analiza el contenido:
+ * cada 16000 bytes equivalen a un segundo de audio.
+ * @param {number} seconds - Duración simulada.
+ * @returns {Blob}
+ */
+function fakeAudio(seconds) {
+    return new Blob([Buffer.alloc(Math.round(seconds * 16000))], { type: 'audio/wav' });
+}
+
+/**
+ * Crea un ZIP en memoria. Los nombres que empiezan por `..` se escriben tal cual (yazl los rechaza),
+ * para probar la protección frente a path traversal.
+ * @param {Array<{name: string, content: Buffer}>} entries - Archivos del ZIP.
+ * @returns {Promise<Blob>}
+ */
+async function createZip(entries) {
+    const zip = new yazl.ZipFile();
+    // yazl no admite rutas con `..`: se añade un nombre de la misma longitud y se sustituye en los bytes.
+    const placeholders = entries.map(({ name, content }) => {
+        const safeName = name.startsWith('../') ? `__${name.slice(2)}` : name;
+        zip.addBuffer(content, safeName);
+        return { safeName, name };
+    });
+    zip.end();
+    const chunks = [];
+    for await (const chunk of zip.outputStream) chunks.push(chunk);
+    let buffer = Buffer.concat(chunks);
+    placeholders.forEach(({ safeName, name }) => {
+        if (safeName === name) return;
+        buffer = Buffer.from(buffer.toString('latin1').split(safeName).join(name), 'latin1');
+    });
+    return new Blob([buffer], { type: 'application/zip' });
+}
+
+/**
+ * Envía un formulario multipart.
+ * @param {string} url - URL de destino.
+ * @param {object} fields - Campos de texto.
+ * @param {Array<[string, Blob, string]>} [files] - Archivos: `[campo, contenido, nombre]`.
+ * @param {object} [headers] - Cabeceras adicionales (ej. `X-API-Key`).
+ * @returns {Promise<{status: number, body: object, headers: Headers}>}
+ */
+async function postForm(url, fields = {}, files = [], headers = {}) {
+    const form = new FormData();
+    files.forEach(([field, blob, fileName]) => form.append(field, blob, fileName));
+    Object.entries(fields).forEach(([name, value]) => form.append(name, String(value)));
+    const response = await fetch(url, { method: 'POST', body: form, headers });
+    return { status: response.status, body: await response.json(), headers: response.headers };
+}
+
+/**
+ * Envía una solicitud con cuerpo JSON opcional y devuelve el estado y el JSON de la respuesta.
+ * @param {string} url - URL de destino.
+ * @param {object} [options]
+ * @param {string} [options.method='GET'] - Método HTTP.
+ * @param {object} [options.body] - Cuerpo, enviado como JSON.
+ * @param {object} [options.headers] - Cabeceras adicionales (ej. `Authorization`).
+ * @returns {Promise<{status: number, body: object|null}>}
+ */
+async function requestJson(url, { method = 'GET', body, headers = {} } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+/**
+ * Consulta un trabajo hasta que alcanza un estado final.
+ * @param {string} baseUrl - URL base del servidor.
+ * @param {string} jobId - Identificador del trabajo.
+ * @param {number} [timeoutMs=5000] - Espera máxima.
+ * @param {object} [headers] - Cabeceras adicionales (ej. `X-API-Key`).
+ * @returns {Promise<object>} El trabajo finalizado.
+ */
+async function waitForJob(baseUrl, jobId, timeoutMs = 5000, headers = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const { body } = await requestJson(`${baseUrl}/api/jobs/${jobId}`, { headers });
+        if (FINAL_STATUSES.includes(body.status)) return body;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`El trabajo ${jobId} no finalizó en ${timeoutMs} ms.`);
+}
+
+/**
+ * Encola la transcripción de un audio ficticio (`POST /api/transcribe`) y espera a que finalice.
+ * @param {string} baseUrl - URL base del servidor.
+ * @param {number} seconds - Duración simulada del audio.
+ * @param {object} [fields] - Opciones de transcripción.
+ * @param {string} [fileName='prueba.wav'] - Nombre del archivo subido.
+ * @returns {Promise<object>} El trabajo finalizado.
+ */
+async function transcribeFake(baseUrl, seconds, fields = {}, fileName = 'prueba.wav') {
+    const { status, body } = await postForm(`${baseUrl}/api/transcribe`, fields, [['audioFile', fakeAudio(seconds), fileName]]);
+    assert.equal(status, 202, body.error);
+    return waitForJob(baseUrl, body.jobId);
+}
+
+/**
+ * Espera a que se cumpla una condición, comprobándola periódicamente (puede ser asíncrona, ej. una consulta a la API).
+ * @param {function(): (boolean|Promise<boolean>)} predicate - Condición.
+ * @param {number} [timeoutMs=5000] - Espera máxima.
+ */
+async function waitFor(predicate, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await predicate())) {
+        if (Date.now() > deadline) throw new Error('La condición no se cumplió a tiempo.');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * Lee un flujo Server-Sent Events hasta que se cierra y devuelve los eventos recibidos.
+ * @param {string} url - URL del flujo.
+ * @returns {Promise<Array<{event: string, data: object}>>}
+ */
+async function readEventStream(url) {
+    const response = await fetch(url);
+    const text = await response.text(); // El servidor cierra el flujo al finalizar el trabajo.
+    return text.split('\n\n')
+        .map(block => ({
+            event: /^event: (.*)$/m.exec(block)?.[1],
+            data: /^data: (.*)$/m.exec(block)?.[1],
+        }))
+        .filter(message => message.event)
+        .map(message => ({ event: message.event, data: JSON.parse(message.data) }));
+}
+
+module.exports = { startTestServer, fakeAudio, createZip, postForm, requestJson, waitForJob, transcribeFake, waitFor, readEventStream };
@@ -0,0 +1,191 @@
+// backend/test/insights.test.js
+// Pruebas del análisis de las transcripciones: palabras clave y temas (locales) y resúmenes con capítulos con un
+// servicio compatible con la API de chat de OpenAI (un servidor local que hace de modelo de lenguaje).
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { extractKeywords, extractTopics } = require('../lib/transcriptInsights');
+const { createSummarizer, normalizeChapters, HttpSummarizer, MockSummarizer } = require('../lib/summarization');
+const { startTestServer, requestJson, transcribeFake } = require('./helpers');
+
+let server;
+let baseUrl;
+let modelService; // Servicio local que hace de modelo de lenguaje.
+let modelUrl;
+const modelRequests = [];
+
+/**
+ * Respuesta del modelo simulado: cada parte de la transcripción es un capítulo que empieza en su primera línea
+ * (más uno sin título y otro fuera del audio, que deben descartarse), en un bloque de código como los que
+ * devuelven muchos modelos; la combinación de las partes, un resumen global.
+ * @param {string} prompt - Mensaje del usuario.
+ * @returns {string}
+ */
+function modelReply(prompt) {
+    if (prompt.includes('Parte 1:')) return JSON.stringify({ summary: 'Resumen global de la reunión.' });
+    const starts = [...prompt.matchAll(/^\[([\d.]+)\]/gm)].map(match => Number(match[1]));
+    const chapters = [
+        { title: `Capítulo desde ${starts[0]}`, start: String(starts[0] + 1), summary: 'Se habla del tema.' },
+        { title: '', start: starts[0] },
+        { title: 'Fuera del audio', start: 9999 },
+    ];
+    return `Aquí tienes el resumen:\n\`\`\`json\n${JSON.stringify({ summary: `Parte con ${starts.length} líneas.`, chapters })}\n\`\`\``;
+}
+
+before(async () => {
+    modelService = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            modelRequests.push({ path: req.url, authorization: req.headers.authorization, ...request });
+            if (req.url.startsWith('/fallo')) {
+                return res.writeHead(500, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: { message: 'Modelo no cargado' } }));
+            }
+            const content = req.url.startsWith('/texto') ? 'No sé resumir esto.' : modelReply(request.messages.at(-1).content);
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+        });
+    });
+    await new Promise(resolve => modelService.listen(0, '127.0.0.1', resolve));
+    modelUrl = `http://127.0.0.1:${modelService.address().port}`;
+
+    server = await startTestServer({
+        SUMMARY_PROVIDER: 'http',
+        SUMMARY_HTTP_URL: `${modelUrl}/v1/`,
+        SUMMARY_HTTP_API_KEY: 'clave-del-modelo',
+        SUMMARY_HTTP_MODEL: 'modelo-local',
+        // Partes pequeñas para que las transcripciones de prueba se resuman por partes.
+        SUMMARY_CHUNK_CHARACTERS: '150',
+    });
+    baseUrl = server.baseUrl;
+});
+
+after(async () => {
+    await server.stop();
+    await new Promise(resolve => modelService.close(resolve));
+});
+
+test('Las palabras clave son los términos más repetidos, sin palabras vacías, con los instantes en que aparecen', () => {
+    const segments = [
+        { start: 0, end: 4, text: 'Hoy revisamos el presupuesto anual con Marta.' },
+        { start: 4, end: 9, text: 'El presupuesto anual sube, según Marta.' },
+        { start: 9, end: 12, text: 'Presupuesto anual: aprobado. Y la contratación, también.' },
+        { start: 12, end: 15, text: 'La contratación empieza en marzo.' },
+    ];
+    const keywords = extractKeywords(segments);
+    assert.deepEqual(keywords.map(keyword => keyword.term), ['presupuesto anual', 'contratación', 'Marta']);
+    assert.deepEqual(keywords[0], { term: 'presupuesto anual', count: 3, times: [0, 4, 9] });
+    assert.deepEqual(keywords[1].times, [9, 12]);
+    assert.deepEqual(extractKeywords(segments, { limit: 1 }).map(keyword => keyword.term), ['presupuesto anual']);
+    assert.deepEqual(extractKeywords([]), []);
+});
+
+test('Los temas describen cada tramo del audio con sus palabras más características', () => {
+    const segments = [
+        { start: 0, end: 60, text: 'Empezamos con el presupuesto. El presupuesto de la reunión.' },
+        { start: 60, end: 120, text: 'Más presupuesto para la reunión.' },
+        { start: 200, end: 260, text: 'Ahora la contratación. La contratación de la reunión.' },
+        { start: 400, end: 460, text: 'Seguimos con la contratación y la contratación.' },
+    ];
+    const topics = extractTopics(segments);
+    assert.deepEqual(topics.map(({ start, end }) => [start, end]), [[0, 120], [200, 460]]);
+    // "reunión" aparece en varios tramos: describe el primero peor que "presupuesto", que solo aparece en él.
+    assert.deepEqual(topics[0].keywords, ['presupuesto', 'reunión']);
+    // El tercer tramo sigue con el tema del segundo y se une a él.
+    assert.deepEqual(topics[1].keywords, ['contratación']);
+});
+
+test('Cada transcripción guarda sus palabras clave y temas, que se recalculan al editarla', async () => {
+    const job = await transcribeFake(baseUrl, 30, { language: 'es' }, 'reunion.wav');
+    const { status, body: insights } = await requestJson(`${baseUrl}/api/history/${job.id}/insights`);
+    assert.equal(status, 200);
+    assert.equal(insights.revision, 0);
+    assert.equal(insights.summary, null);
+    assert.equal(insights.summaryProvider, 'http');
+    const terms = insights.keywords.map(keyword => keyword.term);
+    assert.deepEqual(insights.keywords.find(keyword => keyword.term === 'transcripción simulada'), { term: 'transcripción simulada', count: 2, times: [0, 15] });
+    assert.ok(!terms.includes('transcripción') && !terms.includes('esta'));
+    assert.equal(insights.topics.length, 1);
+
+    // El análisis se incluye en la transcripción completa, pero no en el listado del historial.
+    const { body: entry } = await requestJson(`${baseUrl}/api/history/${job.id}`);
+    assert.deepEqual(entry.insights.keywords, insights.keywords);
+    const { body: list } = await requestJson(`${baseUrl}/api/history`);
+    assert.ok(list.entries.every(item => !('insights' in item)));
+
+    const segments = entry.segments.map((segment, index) => ({ ...segment, text: index < 2 ? 'Revisamos el calendario semanal.' : segment.text }));
+    const { body: edited } = await requestJson(`${baseUrl}/api/history/${job.id}/transcript`, { method: 'PUT', body: { segments } });
+    assert.equal(edited.insights.revision, 1);
+    assert.deepEqual(edited.insights.keywords[0], { term: 'calendario semanal', count: 2, times: [0, 5] });
+
+    assert.equal((await requestJson(`${baseUrl}/api/history/no-existe/insights`)).status, 404);
+});
+
+test('POST /api/history/:id/summary resume la transcripción por partes con el modelo y guarda los capítulos', async () => {
+    const job = await transcribeFake(baseUrl, 30, { language: 'es' }, 'reunion.wav');
+    modelRequests.length = 0;
+    const { status, body } = await requestJson(`${baseUrl}/api/history/${job.id}/summary`, { method: 'POST' });
+    assert.equal(status, 200, body?.error);
+
+    // Una solicitud por parte y otra para combinar sus resúmenes, con el modelo y la clave configurados.
+    assert.ok(modelRequests.length >= 3);
+    modelRequests.forEach((request) => {
+        assert.equal(request.path, '/v1/chat/completions');
+        assert.equal(request.authorization, 'Bearer clave-del-modelo');
+        assert.equal(request.model, 'modelo-local');
+        assert.equal(request.messages[0].role, 'system');
+    });
+    assert.match(modelRequests[0].messages[1].content, /\(idioma: es\)/);
+    assert.match(modelRequests[0].messages[1].content, /^\[0\] Esta es una transcripción simulada\.$/m);
+
+    const { summary } = body;
+    assert.equal(summary.text, 'Resumen global de la reunión.');
+    assert.equal(summary.revision, 0);
+    assert.equal(summary.provider, 'http');
+    assert.equal(summary.model, 'modelo-local');
+    // Los capítulos empiezan en el segmento en que cae su inicio y terminan donde empieza el siguiente.
+    assert.equal(summary.chapters.length, modelRequests.length - 1);
+    assert.deepEqual(summary.chapters[0], { title: 'Capítulo desde 0', start: 0, end: summary.chapters[1].start, summary: 'Se habla del tema.' });
+    assert.equal(summary.chapters.at(-1).end, 30);
+    summary.chapters.forEach(chapter => assert.ok(job.result.segments.some(segment => segment.start === chapter.start)));
+
+    // El resumen se guarda y se conserva al editar, con la versión a partir de la que se generó.
+    const { body: entry } = await requestJson(`${baseUrl}/api/history/${job.id}`);
+    assert.deepEqual(entry.insights.summary, summary);
+    const { body: edited } = await requestJson(`${baseUrl}/api/history/${job.id}/transcript`, { method: 'PUT', body: { segments: entry.segments } });
+    assert.equal(edited.insights.revision, 1);
+    assert.equal(edited.insights.summary.revision, 0);
+
+    assert.equal((await requestJson(`${baseUrl}/api/history/no-existe/summary`, { method: 'POST' })).status, 404);
+    assert.equal((await requestJson(`${baseUrl}/api/status`)).body.summaries.model, 'modelo-local');
+});
+
+test('Los fallos del servicio de resúmenes se informan con SUMMARY_FAILED', async () => {
+    const segments = [{ start: 0, end: 5, text: 'Hola.' }];
+    const failing = new HttpSummarizer({ url: `${modelUrl}/fallo` });
+    await assert.rejects(failing.summarize(segments).promise, { code: 'SUMMARY_FAILED', message: /\(500\): Modelo no cargado/ });
+    const plainText = new HttpSummarizer({ url: `${modelUrl}/texto` });
+    await assert.rejects(plainText.summarize(segments).promise, { code: 'SUMMARY_FAILED', message: /no es un objeto JSON/ });
+    const unreachable = new HttpSummarizer({ url: 'http://127.0.0.1:9' });
+    await assert.rejects(unreachable.summarize(segments).promise, { code: 'SUMMARY_FAILED', message: /No se pudo conectar/ });
+});
+
+test('El proveedor simulado resume sin servicios externos y la configuración se valida', async () => {
+    const segments = Array.from({ length: 6 }, (_, index) => ({ start: index * 5, end: index * 5 + 5, text: `Frase número ${index + 1} de la prueba.` }));
+    const summary = await new MockSummarizer().summarize(segments).promise;
+    assert.equal(summary.provider, 'mock');
+    assert.deepEqual(summary.chapters.map(({ start, end }) => [start, end]), [[0, 20], [20, 30]]);
+    assert.equal(summary.chapters[1].title, 'Frase número 5 de la');
+    assert.equal(summary.text, 'Frase número 1 de la prueba. Frase número 5 de la prueba.');
+
+    assert.deepEqual(normalizeChapters([{ title: 'B', start: 12 }, { title: 'A', start: 1 }, { title: 'Otra A', start: 2 }], segments), [
+        { title: 'A', start: 0, end: 10, summary: '' },
+        { title: 'B', start: 10, end: 30, summary: '' },
+    ]);
+    assert.equal(createSummarizer(''), null);
+    assert.throws(() => createSummarizer('otro'), /no soportado/);
+    assert.throws(() => createSummarizer('http', {}), /SUMMARY_HTTP_URL/);
+});
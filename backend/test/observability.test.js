@@ -0,0 +1,217 @@
+// backend/test/observability.test.js
+// Pruebas del registro estructurado, las métricas de Prometheus y las comprobaciones de vida y disponibilidad.
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { Logger, requestLogger } = require('../lib/logger');
+const { Registry } = require('../lib/metrics');
+const { requestContext } = require('../lib/errors');
+const { WorkerPool } = require('../lib/workerPool');
+const { WORKER_STATE } = require('../lib/pythonWorker');
+const { startTestServer, fakeAudio, postForm, requestJson, waitForJob } = require('./helpers');
+
+// Token que debe enviar Prometheus para leer las métricas.
+const METRICS_TOKEN = 'token-de-metricas';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = await startTestServer({ METRICS_TOKEN });
+    baseUrl = server.baseUrl;
+});
+
+after(async () => {
+    await server.stop();
+});
+
+/**
+ * Crea un registro que guarda sus entradas (ya convertidas de JSON) en lugar de escribirlas.
+ * @param {object} [options] - Opciones de `Logger`.
+ * @returns {{log: Logger, entries: object[]}}
+ */
+function memoryLogger(options = {}) {
+    const entries = [];
+    const log = new Logger({ ...options, write: (level, line) => entries.push(JSON.parse(line)) });
+    return { log, entries };
+}
+
+/**
+ * Lee las métricas del servidor.
+ * @param {object} [headers] - Cabeceras de la solicitud.
+ * @returns {Promise<{status: number, contentType: string, text: string}>}
+ */
+async function fetchMetrics(headers = { Authorization: `Bearer ${METRICS_TOKEN}` }) {
+    const response = await fetch(`${baseUrl}/metrics`, { headers });
+    return { status: response.status, contentType: response.headers.get('content-type'), text: await response.text() };
+}
+
+/**
+ * Valor de una serie en la exportación de Prometheus.
+ * @param {string} text - Métricas exportadas.
+ * @param {string} series - Nombre y etiquetas de la serie, tal como se exportan.
+ * @returns {number|null} El valor, o null si la serie no aparece.
+ */
+function seriesValue(text, series) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : null;
+}
+
+test('El registro escribe líneas JSON con los campos de los registros derivados y los errores serializados', () => {
+    const { log, entries } = memoryLogger({ level: 'info' });
+    const jobLog = log.child({ jobId: 'trabajo-1' });
+    jobLog.debug('No se registra por debajo del nivel configurado');
+    jobLog.error('Trabajo fallido', { err: Object.assign(new Error('Fallo del motor'), { code: 'ENGINE_ERROR' }), omitido: undefined });
+
+    assert.equal(entries.length, 1);
+    const [entry] = entries;
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.msg, 'Trabajo fallido');
+    assert.equal(entry.jobId, 'trabajo-1');
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    assert.equal(entry.err.message, 'Fallo del motor');
+    assert.equal(entry.err.code, 'ENGINE_ERROR');
+    assert.match(entry.err.stack, /Fallo del motor/);
+    assert.ok(!('omitido' in entry));
+
+    const silent = memoryLogger({ level: 'silent' });
+    silent.log.error('Nunca se registra');
+    assert.equal(silent.entries.length, 0);
+});
+
+test('Cada solicitud se registra con su requestId, el patrón de la ruta, el estado y la duración', async () => {
+    const { log, entries } = memoryLogger({ level: 'debug' });
+    const app = express();
+    app.use(requestContext());
+    app.use(requestLogger(log, { quietPaths: ['/salud'] }));
+    app.get('/trabajos/:id', (req, res) => res.json({ id: req.params.id }));
+    app.get('/salud', (req, res) => res.json({ ok: true }));
+    const listener = app.listen(0);
+    await new Promise(resolve => listener.once('listening', resolve));
+    try {
+        const url = `http://127.0.0.1:${listener.address().port}`;
+        await fetch(`${url}/trabajos/abc?x=1`, { headers: { 'X-Request-Id': 'solicitud-prueba-1' } });
+        await fetch(`${url}/no-existe`);
+        await fetch(`${url}/salud`);
+    } finally {
+        await new Promise(resolve => listener.close(resolve));
+    }
+
+    const [matched, unmatched, probe] = entries;
+    assert.deepEqual(
+        { requestId: matched.requestId, method: matched.method, route: matched.route, status: matched.status, level: matched.level },
+        { requestId: 'solicitud-prueba-1', method: 'GET', route: '/trabajos/:id', status: 200, level: 'info' }
+    );
+    assert.equal(typeof matched.durationMs, 'number');
+    // Sin ruta coincidente se registra la ruta solicitada, sin parámetros de consulta, y los 4xx como avisos.
+    assert.equal(unmatched.route, '/no-existe');
+    assert.equal(unmatched.level, 'warn');
+    assert.equal(probe.level, 'debug');
+});
+
+test('Las métricas se exportan en el formato de texto de Prometheus', async () => {
+    const registry = new Registry();
+    const requests = registry.counter({ name: 'prueba_solicitudes_total', help: 'Solicitudes.', labelNames: ['ruta'] });
+    const durations = registry.histogram({ name: 'prueba_duracion_segundos', help: 'Duración.', buckets: [1, 5] });
+    registry.gauge({ name: 'prueba_cola', help: 'Cola.', collect: gauge => gauge.set({}, 3) });
+    requests.inc({ ruta: '/a"b\\c' });
+    requests.inc({ ruta: '/a"b\\c' }, 2);
+    durations.observe({}, 0.5);
+    durations.observe({}, 3);
+    durations.observe({}, 60);
+
+    const text = await registry.render();
+    assert.match(text, /^# HELP prueba_solicitudes_total Solicitudes\.\n# TYPE prueba_solicitudes_total counter\n/);
+    assert.equal(seriesValue(text, 'prueba_solicitudes_total{ruta="/a\\"b\\\\c"}'), 3);
+    assert.equal(seriesValue(text, 'prueba_duracion_segundos_bucket{le="1"}'), 1);
+    assert.equal(seriesValue(text, 'prueba_duracion_segundos_bucket{le="5"}'), 2);
+    assert.equal(seriesValue(text, 'prueba_duracion_segundos_bucket{le="+Inf"}'), 3);
+    assert.equal(seriesValue(text, 'prueba_duracion_segundos_sum'), 63.5);
+    assert.equal(seriesValue(text, 'prueba_duracion_segundos_count'), 3);
+    assert.equal(seriesValue(text, 'prueba_cola'), 3);
+    assert.throws(() => requests.inc({}, -1), RangeError);
+    assert.throws(() => registry.counter({ name: 'prueba_cola', help: 'Duplicada.' }), /ya está registrada/);
+});
+
+test('GET /metrics exige el token configurado', async () => {
+    const missing = await fetchMetrics({});
+    assert.equal(missing.status, 401);
+    const wrong = await fetchMetrics({ Authorization: 'Bearer otro-token' });
+    assert.equal(wrong.status, 401);
+    const { status, contentType } = await fetchMetrics();
+    assert.equal(status, 200);
+    assert.match(contentType, /^text\/plain;.*version=0\.0\.4/);
+});
+
+test('GET /metrics incluye las solicitudes, la duración de las transcripciones, el audio procesado y la cola', async () => {
+    const { status, body } = await postForm(`${baseUrl}/api/transcribe`, { model: 'base' }, [['audioFile', fakeAudio(12), 'metricas.wav']]);
+    assert.equal(status, 202);
+    await waitForJob(baseUrl, body.jobId);
+    await requestJson(`${baseUrl}/api/jobs/${body.jobId}`);
+
+    const { text } = await fetchMetrics();
+    assert.ok(seriesValue(text, 'transcriptor_http_requests_total{method="POST",route="/api/transcribe",status="202"}') >= 1);
+    // Las rutas con parámetros se agrupan por su patrón, no por cada identificador.
+    assert.ok(seriesValue(text, 'transcriptor_http_requests_total{method="GET",route="/api/jobs/:id",status="200"}') >= 1);
+    assert.ok(!text.includes(body.jobId));
+    assert.ok(seriesValue(text, 'transcriptor_transcription_duration_seconds_count{engine="mock",model="base",status="done"}') >= 1);
+    assert.ok(seriesValue(text, 'transcriptor_audio_seconds_processed_total{engine="mock",model="base"}') >= 12);
+    assert.ok(seriesValue(text, 'transcriptor_real_time_factor_count{engine="mock",model="base"}') >= 1);
+    assert.ok(seriesValue(text, 'transcriptor_jobs_finished_total{status="done",cached="false"}') >= 1);
+    assert.equal(seriesValue(text, 'transcriptor_queue_jobs{state="queued"}'), 0);
+    assert.equal(seriesValue(text, 'transcriptor_queue_jobs{state="running"}'), 0);
+    assert.equal(seriesValue(text, 'transcriptor_live_sessions'), 0);
+    assert.match(text, /# TYPE transcriptor_python_process_failures_total counter/);
+});
+
+test('GET /api/status/live y /api/status/ready informan de la vida y la disponibilidad del servidor', async () => {
+    const live = await requestJson(`${baseUrl}/api/status/live`);
+    assert.equal(live.status, 200);
+    assert.equal(live.body.status, 'ok');
+
+    const ready = await requestJson(`${baseUrl}/api/status/ready`);
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, 'ready');
+    assert.deepEqual(Object.keys(ready.body.checks), ['engine', 'disk', 'shutdown']);
+    assert.equal(ready.body.checks.engine.name, 'mock');
+    assert.ok(Object.values(ready.body.checks).every(check => check.ok));
+
+    // `GET /api/status` incluye el mismo resultado.
+    const { body } = await requestJson(`${baseUrl}/api/status`);
+    assert.equal(body.status, 'ready');
+    assert.deepEqual(Object.keys(body.checks), ['engine', 'disk', 'shutdown']);
+});
+
+test('El pool de workers Python solo está disponible con algún worker listo', () => {
+    const pool = new WorkerPool({ size: 2 });
+    const setStates = (...states) => pool.workers.forEach((worker, index) => { worker.state = states[index]; });
+
+    setStates(WORKER_STATE.UNAVAILABLE, WORKER_STATE.UNAVAILABLE);
+    assert.equal(pool.health().ok, false);
+    assert.equal(pool.health().code, 'PYTHON_ENV_MISSING');
+
+    setStates(WORKER_STATE.STARTING, WORKER_STATE.RESTARTING);
+    assert.equal(pool.health().ok, false);
+    assert.equal(pool.health().code, 'ENGINE_UNAVAILABLE');
+
+    setStates(WORKER_STATE.BUSY, WORKER_STATE.RESTARTING);
+    assert.deepEqual(pool.health(), { ok: true });
+});
+
+test('La espera de un worker libre no caduca mientras un worker se relanza sin fallos', async () => {
+    const pool = new WorkerPool({ size: 1, acquireTimeoutMs: 30 });
+    const [worker] = pool.workers;
+    // Relanzándose tras una cancelación: la espera supera varias veces el límite y obtiene el worker al quedar libre.
+    worker.state = WORKER_STATE.RESTARTING;
+    const acquired = pool._acquire(() => {});
+    await new Promise(resolve => setTimeout(resolve, 100));
+    worker._setState(WORKER_STATE.IDLE);
+    assert.equal(await acquired, worker);
+
+    // Con fallos seguidos al arrancar, la espera sí caduca.
+    worker.state = WORKER_STATE.RESTARTING;
+    worker.consecutiveFailures = 2;
+    await assert.rejects(pool._acquire(() => {}), { code: 'ENGINE_UNAVAILABLE' });
+});
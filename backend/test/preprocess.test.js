@@ -0,0 +1,108 @@
+// backend/test/preprocess.test.js
+// Pruebas del preprocesamiento de audio. FFmpeg se sustituye por un script que imita su salida.
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-preprocess-'));
+const argsLog = path.join(tempDir, 'ffmpeg-args.log');
+// El FFmpeg simulado informa de un silencio entre 2 y 7 s y genera un WAV de 5,5 s (88000 bytes a 16000 bytes/s
+// para el motor simulado): los 10 s del fragmento menos los 4,5 s de silencio eliminados.
+process.env.FFMPEG_PATH = path.join(tempDir, 'ffmpeg');
+fs.writeFileSync(process.env.FFMPEG_PATH, `#!/bin/sh
+echo "$*" >> "${argsLog}"
+case "$*" in
+  *silencedetect*)
+    echo "[silencedetect @ 0x1] silence_start: 2" >&2
+    echo "[silencedetect @ 0x1] silence_end: 7 | silence_duration: 5" >&2 ;;
+  *)
+    for last; do :; done
+    head -c 88000 /dev/zero > "$last" ;;
+esac
+`, { mode: 0o755 });
+
+const {
+    parsePreprocessOptions, needsPreprocessing, parseSilences, keptIntervals, createTimeMap, runWithPreprocessing,
+} = require('../lib/preprocess');
+const { createEngine } = require('../lib/engines');
+const { toWorkerRequest } = require('../lib/transcriptionOptions');
+
+let audioFile;
+
+before(() => {
+    audioFile = path.join(tempDir, 'audio.mp3');
+    fs.writeFileSync(audioFile, Buffer.alloc(16000 * 12));
+});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('parsePreprocessOptions valida el fragmento y las opciones', () => {
+    assert.deepEqual(parsePreprocessOptions({}).options, {
+        trimStart: null, trimEnd: null, removeSilence: false, normalize: false, resample: false,
+    });
+    assert.equal(needsPreprocessing(parsePreprocessOptions({ trimStart: '0' }).options), false);
+
+    const { options } = parsePreprocessOptions({ trimStart: '1.5', trimEnd: '10', removeSilence: 'true', resample: 'on' });
+    assert.equal(options.trimStart, 1.5);
+    assert.equal(options.trimEnd, 10);
+    assert.equal(options.removeSilence, true);
+    assert.equal(options.resample, true);
+    assert.equal(needsPreprocessing(options), true);
+
+    assert.deepEqual(parsePreprocessOptions({ trimStart: '-1' }).error, { key: 'preprocess.trimField', params: { field: 'trimStart' } });
+    assert.equal(parsePreprocessOptions({ trimStart: '5', trimEnd: '5' }).error.key, 'preprocess.trimOrder');
+});
+
+test('Los silencios detectados se convierten en intervalos de voz con margen', () => {
+    const silences = parseSilences([
+        '[silencedetect @ 0x1] silence_start: -0.01',
+        '[silencedetect @ 0x1] silence_end: 1.5 | silence_duration: 1.5',
+        '[silencedetect @ 0x1] silence_start: 4',
+        '[silencedetect @ 0x1] silence_end: 6 | silence_duration: 2',
+        '[silencedetect @ 0x1] silence_start: 9',
+    ]);
+    assert.deepEqual(silences, [{ start: 0, end: 1.5 }, { start: 4, end: 6 }, { start: 9, end: null }]);
+    assert.deepEqual(keptIntervals(silences, 10), [{ start: 1.25, end: 4.25 }, { start: 5.75, end: 9.25 }]);
+});
+
+test('createTimeMap traduce los tiempos al audio original', () => {
+    const mapTime = createTimeMap([{ start: 0, end: 2 }, { start: 5, end: 8 }], 10);
+    assert.equal(mapTime(1), 11);
+    assert.equal(mapTime(3), 16);
+    assert.equal(mapTime(5), 18);
+});
+
+test('runWithPreprocessing recorta, elimina silencios y devuelve tiempos del audio original', async () => {
+    const engine = createEngine('mock', {}, {});
+    const { options: preprocess } = parsePreprocessOptions({ trimStart: '1', trimEnd: '11', removeSilence: 'true', normalize: 'true' });
+    const segments = [];
+    const result = await runWithPreprocessing(engine, toWorkerRequest(audioFile, { language: 'es' }), {
+        preprocess,
+        input: { duration: 12, sampleRate: 44100 },
+        onEvent: event => event.event === 'segment' && segments.push([event.start, event.end]),
+    }).promise;
+
+    // El fragmento empieza en el segundo 1; los 5,5 s procesados cubren [1, 3.25] y [7.75, 11] del original.
+    assert.deepEqual(result.segments.map(segment => [segment.start, segment.end]), [[1, 10.5], [10.5, 11]]);
+    assert.deepEqual(segments, [[1, 10.5], [10.5, 11]]);
+    assert.equal(result.duration, 12);
+    assert.equal(result.preprocessing.removedSeconds, 4.5);
+
+    const [detectArgs, renderArgs] = fs.readFileSync(argsLog, 'utf8').trim().split('\n');
+    assert.match(detectArgs, /-ss 1 -to 11 .*silencedetect/);
+    assert.match(renderArgs, /aselect=between\(t\\,0\.000\\,2\.250\)\+between\(t\\,6\.750\\,10\.000\),asetpts=N\/SR\/TB,loudnorm=[^ ]*,aresample=44100/);
+});
+
+test('Sin opciones de preprocesamiento, el audio llega al motor sin cambios', async () => {
+    const engine = createEngine('mock', {}, {});
+    fs.rmSync(argsLog, { force: true });
+    const result = await runWithPreprocessing(engine, toWorkerRequest(audioFile, {}), {
+        preprocess: parsePreprocessOptions({}).options,
+    }).promise;
+    assert.equal(result.duration, 12);
+    assert.equal(fs.existsSync(argsLog), false);
+});
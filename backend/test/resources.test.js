@@ -0,0 +1,303 @@
+// backend/test/resources.test.js
+// Pruebas de los límites de recursos: tiempo máximo de los trabajos, limpieza de subidas huérfanas, espacio
+// libre en disco, escritura del historial y cierre ordenado del servidor.
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const { UploadJanitor, DiskSpaceGuard } = require('../lib/storage');
+const { terminateProcess } = require('../lib/pythonWorker');
+const { JobQueue } = require('../lib/jobQueue');
+const { HistoryStore } = require('../lib/historyStore');
+const { attachLiveTranscription } = require('../lib/liveTranscription');
+const { startTestServer, fakeAudio, postForm, waitForJob, waitFor } = require('./helpers');
+
+// Restos de una ejecución anterior en el directorio de subidas (la limpieza al arrancar debe eliminarlos).
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-subidas-'));
+const leftover = path.join(uploadDir, 'audioFile-123-456.wav');
+const hidden = path.join(uploadDir, '.gitkeep');
+// Espacio libre al empezar: el mínimo se fija 100 MB por debajo, para que solo se rechacen las subidas grandes.
+const freeBytes = fs.statfsSync(os.tmpdir()).bavail * fs.statfsSync(os.tmpdir()).bsize;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    fs.writeFileSync(leftover, 'audio');
+    fs.writeFileSync(hidden, '');
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(leftover, hourAgo, hourAgo);
+    server = await startTestServer({
+        UPLOAD_DIR: uploadDir,
+        // 20 ms por segmento (uno cada 5 s de audio): 1 s de audio tarda 20 ms; 5 min, 1,2 s.
+        MOCK_ENGINE_DELAY_MS: '20',
+        JOB_TIMEOUT_SECONDS: '0.6',
+        LIVE_MAX_SESSIONS: '1',
+        MIN_FREE_DISK_MB: String(Math.floor((freeBytes - 100 * 1024 * 1024) / 1024 / 1024)),
+    });
+    baseUrl = server.baseUrl;
+});
+
+after(async () => {
+    await server.stop();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+/**
+ * Sube un audio ficticio y devuelve el identificador del trabajo.
+ * @param {number} seconds - Duración simulada.
+ * @returns {Promise<string>}
+ */
+async function upload(seconds) {
+    const { status, body } = await postForm(`${baseUrl}/api/transcribe`, { language: 'es' }, [['audioFile', fakeAudio(seconds), 'audio.wav']]);
+    assert.equal(status, 202, body.error);
+    return body.jobId;
+}
+
+test('Al arrancar se eliminan las subidas que dejó una ejecución anterior', async () => {
+    await waitFor(() => !fs.existsSync(leftover));
+    assert.ok(fs.existsSync(hidden), 'Los archivos ocultos se conservan.');
+    const status = await (await fetch(`${baseUrl}/api/status`)).json();
+    assert.equal(status.storage.uploads.totalRemoved, 1);
+    assert.equal(status.limits.jobTimeoutSeconds, 0.6);
+});
+
+test('Los trabajos que superan el tiempo máximo fallan con TIMEOUT y liberan su hueco', async () => {
+    const slowId = await upload(300);
+    const quickId = await upload(1);
+    const slow = await waitForJob(baseUrl, slowId);
+    assert.equal(slow.status, 'failed');
+    assert.equal(slow.error.code, 'TIMEOUT');
+    assert.match(slow.error.message, /0\.6 s/);
+    // El trabajo en espera se ejecuta después, y el audio del que expiró se elimina.
+    assert.equal((await waitForJob(baseUrl, quickId)).status, 'done');
+    await waitFor(() => fs.readdirSync(uploadDir).filter(name => !name.startsWith('.')).length === 0);
+});
+
+test('Las ventanas de una grabación en vivo que superan el tiempo máximo se cancelan con TIMEOUT', async () => {
+    const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/api/live?language=es`);
+    const messages = [];
+    socket.on('message', (data) => {
+        const message = JSON.parse(data);
+        messages.push(message);
+        if (message.type === 'ready') {
+            socket.send(Buffer.alloc(16000 * 300)); // 5 min de audio simulado: la ventana tarda 1,2 s.
+            socket.send(JSON.stringify({ type: 'stop' }));
+        }
+    });
+    await new Promise(resolve => socket.on('close', resolve));
+    const error = messages.find(message => message.type === 'error');
+    assert.equal(error.code, 'TIMEOUT');
+    assert.match(error.error, /0\.6 s/);
+    // La grabación temporal se elimina.
+    await waitFor(() => fs.readdirSync(uploadDir).filter(name => name.startsWith('live-')).length === 0);
+});
+
+test('Se rechazan las grabaciones en vivo por encima de LIVE_MAX_SESSIONS', async () => {
+    const liveUrl = `${baseUrl.replace('http', 'ws')}/api/live?language=es`;
+    const first = new WebSocket(liveUrl);
+    await new Promise(resolve => first.once('message', resolve)); // `ready`
+    const second = new WebSocket(liveUrl);
+    const [rejection] = await Promise.all([
+        new Promise(resolve => second.once('message', data => resolve(JSON.parse(data)))),
+        new Promise(resolve => second.once('close', resolve)),
+    ]);
+    assert.equal(rejection.code, 'ENGINE_UNAVAILABLE');
+    assert.match(rejection.error, /máximo 1/);
+
+    // Al cerrarse la primera, se admite otra.
+    first.close();
+    await new Promise(resolve => first.once('close', resolve));
+    await waitFor(async () => {
+        const third = new WebSocket(liveUrl);
+        const message = await new Promise(resolve => third.once('message', data => resolve(JSON.parse(data))));
+        third.close();
+        return message.type === 'ready';
+    });
+});
+
+test('JobQueue.runTask comparte los huecos del pool con los trabajos y tiene prioridad sobre los que esperan', async () => {
+    const releases = [];
+    const started = [];
+    const controllable = (name) => {
+        started.push(name);
+        return { promise: new Promise(resolve => releases.push(() => resolve(name))), cancel: () => {} };
+    };
+    const queue = new JobQueue({ runner: job => controllable(job.payload.name), concurrency: 1 });
+    queue.add({ name: 'trabajo-1' });
+    queue.add({ name: 'trabajo-2' });
+    const task = queue.runTask(() => controllable('ventana'));
+    const cancelled = queue.runTask(() => controllable('cancelada'));
+    // Con el único hueco ocupado, ni la tarea ni el segundo trabajo empiezan.
+    assert.deepEqual(started, ['trabajo-1']);
+    cancelled.cancel();
+    await assert.rejects(cancelled.promise, { code: 'CANCELLED' });
+
+    releases.shift()();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(started, ['trabajo-1', 'ventana']);
+    releases.shift()();
+    assert.equal(await task.promise, 'ventana');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(started, ['trabajo-1', 'ventana', 'trabajo-2']);
+    releases.shift()();
+});
+
+test('El hueco de un trabajo cancelado no se libera hasta que termina su ejecución', async () => {
+    const started = [];
+    const stops = [];
+    const queue = new JobQueue({
+        concurrency: 1,
+        runner: (job) => {
+            started.push(job.payload.name);
+            let reject;
+            const promise = new Promise((resolve, rejectRun) => { reject = rejectRun; });
+            // El motor tarda en detenerse (ej. un worker de Python que se termina y se relanza).
+            return { promise, cancel: () => stops.push(() => reject(new Error('cancelado'))) };
+        },
+    });
+    const first = queue.add({ name: 'cancelado' });
+    const second = queue.add({ name: 'en-espera' });
+    assert.equal(queue.cancel(first.id), true);
+    assert.equal(first.status, 'cancelled');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(started, ['cancelado']);
+    assert.equal(second.status, 'queued');
+
+    stops.shift()();
+    await waitFor(() => second.status === 'running');
+    assert.deepEqual(started, ['cancelado', 'en-espera']);
+    queue.cancel(second.id);
+    stops.shift()();
+});
+
+test('Las subidas se rechazan con 507 si dejarían el disco por debajo del espacio mínimo', async () => {
+    // Una subida pequeña cabe; una que anuncia 1 GB se rechaza antes de leer su contenido.
+    await upload(1);
+    const response = await new Promise((resolve, reject) => {
+        const req = http.request(`${baseUrl}/api/transcribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'multipart/form-data; boundary=x', 'Content-Length': String(1024 * 1024 * 1024) },
+        }, (res) => {
+            let body = '';
+            res.on('data', (chunk) => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        });
+        req.on('error', reject);
+        req.flushHeaders();
+    });
+    assert.equal(response.status, 507);
+    assert.equal(response.body.code, 'INSUFFICIENT_STORAGE');
+});
+
+test('UploadJanitor elimina solo los archivos antiguos que no están en uso', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-limpieza-'));
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    for (const name of ['huerfano.wav', 'en-uso.wav', 'reciente.wav']) {
+        fs.writeFileSync(path.join(dir, name), 'audio');
+        if (name !== 'reciente.wav') fs.utimesSync(path.join(dir, name), old, old);
+    }
+    const janitor = new UploadJanitor(dir, { maxAgeMs: 60 * 60 * 1000, isInUse: filePath => filePath.endsWith('en-uso.wav') });
+    assert.deepEqual(await janitor.sweep(), { removed: 1, bytes: 5 });
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['en-uso.wav', 'reciente.wav']);
+    // Un directorio inexistente no es un error.
+    assert.deepEqual(await new UploadJanitor(path.join(dir, 'no-existe')).sweep(), { removed: 0, bytes: 0 });
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('UploadJanitor no elimina la grabación de una sesión en vivo en curso', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-vivo-'));
+    const httpServer = http.createServer();
+    // Un motor que nunca termina: la sesión sigue grabando mientras dura la prueba.
+    const engine = { run: () => ({ promise: new Promise(() => {}), cancel: () => {} }) };
+    const wss = attachLiveTranscription(httpServer, { engine, uploadDir: dir, onComplete: () => ({}) });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    const janitor = new UploadJanitor(dir, { maxAgeMs: 60 * 60 * 1000, isInUse: wss.isInUse });
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    try {
+        const socket = new WebSocket(`ws://127.0.0.1:${httpServer.address().port}/api/live?language=es`);
+        await new Promise(resolve => socket.once('message', resolve)); // `ready`
+        socket.send(Buffer.alloc(16000));
+        await waitFor(() => fs.readdirSync(dir).length === 1);
+        const [recording] = fs.readdirSync(dir);
+        fs.writeFileSync(path.join(dir, 'huerfano.wav'), 'audio');
+        for (const name of [recording, 'huerfano.wav']) fs.utimesSync(path.join(dir, name), old, old);
+
+        // Una pausa larga deja la grabación sin modificar, pero sigue en uso.
+        assert.deepEqual(await janitor.sweep(), { removed: 1, bytes: 5 });
+        assert.deepEqual(fs.readdirSync(dir), [recording]);
+
+        // Al cerrarse la conexión, la sesión elimina su grabación y deja de estar en uso.
+        socket.close();
+        await waitFor(() => fs.readdirSync(dir).length === 0);
+        assert.equal(wss.isInUse(path.join(dir, recording)), false);
+    } finally {
+        wss.close();
+        await new Promise(resolve => httpServer.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('El historial agrupa los cambios seguidos en una escritura asíncrona con un temporal propio del proceso', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-historial-'));
+    const filePath = path.join(dir, 'history.json');
+    const store = new HistoryStore(filePath);
+    const writes = [];
+    const writeFile = fs.promises.writeFile;
+    fs.promises.writeFile = (target, ...args) => {
+        writes.push(path.basename(target));
+        return writeFile(target, ...args);
+    };
+    try {
+        store.create({ id: 'a', fileName: 'charla.wav', transcription: 'Hola.' });
+        ['Ana', 'Luis', 'Marta'].forEach(name => store.update('a', { speakerNames: { SPEAKER_1: name } }));
+        // Nada se escribe de forma síncrona.
+        assert.equal(fs.existsSync(filePath), false);
+        await store.flush();
+        assert.deepEqual(writes, [`history.json.${process.pid}.tmp`]);
+        const content = fs.readFileSync(filePath, 'utf8');
+        assert.equal(content.includes('\n'), false);
+        assert.equal(JSON.parse(content).entries[0].speakerNames.SPEAKER_1, 'Marta');
+        assert.equal(new HistoryStore(filePath).get('a').speakerNames.SPEAKER_1, 'Marta');
+    } finally {
+        fs.promises.writeFile = writeFile;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('DiskSpaceGuard tiene en cuenta el tamaño de la subida', async () => {
+    const guard = new DiskSpaceGuard(os.tmpdir(), { minFreeBytes: 1024 });
+    assert.equal(await guard.check(0), null);
+    assert.equal((await guard.check(freeBytes * 2)).key, 'request.insufficientStorage');
+    assert.equal(await new DiskSpaceGuard(os.tmpdir(), { minFreeBytes: 0 }).check(freeBytes * 2), null);
+    assert.equal(guard.describe().low, false);
+});
+
+test('terminateProcess fuerza con SIGKILL el fin de un proceso que ignora SIGTERM', async () => {
+    const child = spawn(process.execPath, ['-e', "process.on('SIGTERM', () => {}); console.log('listo'); setInterval(() => {}, 1000);"]);
+    await new Promise(resolve => child.stdout.once('data', resolve));
+    const exited = new Promise(resolve => child.once('exit', (code, signal) => resolve(signal)));
+    terminateProcess(child, 200);
+    assert.equal(await exited, 'SIGKILL');
+});
+
+test('El cierre ordenado espera a los trabajos en ejecución, cancela los que esperan y rechaza nuevas subidas', async () => {
+    await upload(20);   // En ejecución: termina dentro de la espera.
+    await upload(20);   // En espera: se cancela.
+    const { shutdownServer } = require('../server');
+    const shutdown = shutdownServer(server.server, { graceMs: 3000 });
+
+    const rejected = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(1), 'tarde.wav']]);
+    assert.equal(rejected.status, 503);
+    assert.equal(rejected.body.code, 'ENGINE_UNAVAILABLE');
+
+    assert.deepEqual(await shutdown, { completed: 1, cancelled: 1 });
+    // El audio del trabajo cancelado se elimina; el del completado pasa al almacén de audios.
+    await waitFor(() => fs.readdirSync(uploadDir).filter(name => !name.startsWith('.')).length === 0);
+});
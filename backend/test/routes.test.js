@@ -0,0 +1,300 @@
+// backend/test/routes.test.js
+// Pruebas de las rutas de la API contra el motor simulado (sin entorno Python ni modelos).
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const {
+    startTestServer, fakeAudio, createZip, postForm, requestJson, waitForJob, transcribeFake, readEventStream,
+} = require('./helpers');
+
+// Texto que el motor simulado produce para un audio de 12 s (tres segmentos de hasta 5 s).
+const EXPECTED_TEXT = 'Esta es una transcripción simulada. El motor de prueba no analiza el audio. Cada segmento dura cinco segundos.';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    // Una pequeña espera por segmento permite cancelar trabajos antes de que terminen.
+    server = await startTestServer({ MOCK_ENGINE_DELAY_MS: '10' });
+    baseUrl = server.baseUrl;
+});
+
+after(() => server.stop());
+
+// --- Estado y configuración ---
+
+test('GET /api/status informa del motor configurado', async () => {
+    const { status, body } = await requestJson(`${baseUrl}/api/status`);
+    assert.equal(status, 200);
+    assert.equal(body.engine.name, 'mock');
+    assert.deepEqual(body.queue, { queued: 0, running: 0 });
+});
+
+test('GET /api/models describe los modelos y opciones permitidos', async () => {
+    const { status, body } = await requestJson(`${baseUrl}/api/models`);
+    assert.equal(status, 200);
+    assert.ok(body.models.some(model => model.name === body.defaultModel));
+    assert.ok(body.tasks.includes('translate'));
+});
+
+// --- Transcripción de archivos ---
+
+test('POST /api/transcribe rechaza solicitudes sin archivo o con opciones no permitidas', async () => {
+    const missing = await postForm(`${baseUrl}/api/transcribe`, { language: 'es' });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /archivo/);
+
+    const invalid = await postForm(`${baseUrl}/api/transcribe`, { model: 'inexistente' }, [['audioFile', fakeAudio(1), 'a.wav']]);
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /inexistente/);
+});
+
+test('POST /api/transcribe y POST /api/batch validan las opciones de preprocesamiento', async () => {
+    const invalidRange = await postForm(`${baseUrl}/api/transcribe`, { trimStart: '10', trimEnd: '5' }, [['audioFile', fakeAudio(1), 'a.wav']]);
+    assert.equal(invalidRange.status, 400);
+    assert.match(invalidRange.body.error, /trimEnd/);
+
+    const batchTrim = await postForm(`${baseUrl}/api/batch`, { trimStart: '1' }, [['audioFiles', fakeAudio(1), 'a.wav']]);
+    assert.equal(batchTrim.status, 400);
+    assert.match(batchTrim.body.error, /recorte/);
+});
+
+test('POST /api/transcribe encola un trabajo y guarda el resultado en el historial', async () => {
+    const job = await transcribeFake(baseUrl, 12, { language: 'es' });
+    assert.equal(job.status, 'done');
+    assert.equal(job.fileName, 'prueba.wav');
+    assert.equal(job.result.transcription, EXPECTED_TEXT);
+    assert.equal(job.result.language, 'es');
+    assert.equal(job.result.duration, 12);
+    assert.deepEqual(job.result.segments.map(segment => [segment.start, segment.end]), [[0, 5], [5, 10], [10, 12]]);
+
+    const entry = await requestJson(`${baseUrl}/api/history/${job.id}`);
+    assert.equal(entry.status, 200);
+    assert.equal(entry.body.transcription, EXPECTED_TEXT);
+    assert.equal(entry.body.fileName, 'prueba.wav');
+});
+
+test('Las opciones de decodificación llegan al motor', async () => {
+    const job = await transcribeFake(baseUrl, 3, { task: 'translate', wordTimestamps: 'true' });
+    assert.equal(job.result.task, 'translate');
+    assert.equal(job.result.transcription, 'This is a simulated transcription.');
+    assert.equal(job.result.segments[0].words.length, 5);
+});
+
+test('GET /api/jobs/:id/events publica el progreso y los segmentos hasta el estado final', async () => {
+    const { body } = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(12), 'eventos.wav']]);
+    const events = await readEventStream(`${baseUrl}/api/jobs/${body.jobId}/events`);
+
+    assert.equal(events.at(-1).event, 'status');
+    assert.equal(events.at(-1).data.status, 'done');
+    // Los segmentos ya emitidos antes de conectarse se reenvían, por lo que llegan siempre los tres.
+    assert.equal(events.filter(message => message.event === 'segment').length, 3);
+});
+
+test('GET /api/jobs/:id/download exporta el resultado en el formato pedido', async () => {
+    const job = await transcribeFake(baseUrl, 12);
+
+    const srt = await fetch(`${baseUrl}/api/jobs/${job.id}/download?format=srt`);
+    assert.equal(srt.status, 200);
+    assert.match(srt.headers.get('content-disposition'), /prueba\.srt/);
+    assert.match(await srt.text(), /00:00:05,000 --> 00:00:10,000\nEl motor de prueba no analiza el audio\./);
+
+    const unsupported = await requestJson(`${baseUrl}/api/jobs/${job.id}/download?format=doc`);
+    assert.equal(unsupported.status, 400);
+});
+
+test('DELETE /api/jobs/:id cancela un trabajo en curso', async () => {
+    const { body } = await postForm(`${baseUrl}/api/transcribe`, {}, [['audioFile', fakeAudio(600), 'largo.wav']]);
+    const cancel = await requestJson(`${baseUrl}/api/jobs/${body.jobId}`, { method: 'DELETE' });
+    assert.equal(cancel.status, 200);
+
+    const job = await waitForJob(baseUrl, body.jobId);
+    assert.equal(job.status, 'cancelled');
+    const entry = await requestJson(`${baseUrl}/api/history/${body.jobId}`);
+    assert.equal(entry.status, 404);
+});
+
+test('Las rutas de trabajos responden 404 a identificadores desconocidos', async () => {
+    for (const url of ['/api/jobs/desconocido', '/api/jobs/desconocido/download']) {
+        const { status } = await requestJson(`${baseUrl}${url}`);
+        assert.equal(status, 404, url);
+    }
+    const { status } = await requestJson(`${baseUrl}/api/jobs/desconocido`, { method: 'DELETE' });
+    assert.equal(status, 404);
+});
+
+// --- Historial ---
+
+test('El historial permite buscar, renombrar y eliminar transcripciones', async () => {
+    const job = await transcribeFake(baseUrl, 3);
+
+    const search = await requestJson(`${baseUrl}/api/history?q=${encodeURIComponent('transcripcion simulada')}`);
+    assert.ok(search.body.entries.some(entry => entry.id === job.id));
+    const noMatch = await requestJson(`${baseUrl}/api/history?q=inexistente`);
+    assert.deepEqual(noMatch.body.entries, []);
+
+    const renamed = await requestJson(`${baseUrl}/api/history/${job.id}`, { method: 'PATCH', body: { title: 'Reunión' } });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.title, 'Reunión');
+    const emptyTitle = await requestJson(`${baseUrl}/api/history/${job.id}`, { method: 'PATCH', body: { title: ' ' } });
+    assert.equal(emptyTitle.status, 400);
+
+    const removed = await fetch(`${baseUrl}/api/history/${job.id}`, { method: 'DELETE' });
+    assert.equal(removed.status, 204);
+    const missing = await requestJson(`${baseUrl}/api/history/${job.id}`);
+    assert.equal(missing.status, 404);
+});
+
+test('Los hablantes identificados pueden renombrarse y aparecen en las exportaciones', async () => {
+    const job = await transcribeFake(baseUrl, 12, { diarize: 'true', numSpeakers: 2 });
+    assert.deepEqual(job.result.speakers, ['SPEAKER_1', 'SPEAKER_2']);
+
+    const renamed = await requestJson(`${baseUrl}/api/history/${job.id}`, { method: 'PATCH', body: { speakers: { SPEAKER_1: 'Ana' } } });
+    assert.equal(renamed.status, 200);
+    const unknown = await requestJson(`${baseUrl}/api/history/${job.id}`, { method: 'PATCH', body: { speakers: { SPEAKER_9: 'Luis' } } });
+    assert.equal(unknown.status, 400);
+
+    const txt = await (await fetch(`${baseUrl}/api/history/${job.id}/download?format=txt`)).text();
+    assert.match(txt, /Ana/);
+    assert.match(txt, /Hablante 2/);
+});
+
+test('PUT /api/history/:id/transcript guarda versiones editadas que usan las exportaciones', async () => {
+    const job = await transcribeFake(baseUrl, 12);
+    const url = `${baseUrl}/api/history/${job.id}/transcript`;
+    const [first, second, third] = job.result.segments;
+    // Corrige el texto del primer segmento, une los dos siguientes y ajusta sus tiempos.
+    const segments = [
+        { ...first, text: 'Esta es una transcripción corregida.' },
+        { start: second.start, end: 11.5, text: `${second.text} ${third.text}` },
+    ];
+
+    const saved = await requestJson(url, { method: 'PUT', body: { segments, revision: 0 } });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.revision, 1);
+    assert.equal(saved.body.segments.length, 2);
+    assert.deepEqual(saved.body.revisions.map(item => item.revision), [0]);
+
+    const stale = await requestJson(url, { method: 'PUT', body: { segments, revision: 0 } });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.revision, 1);
+
+    const txt = await (await fetch(`${baseUrl}/api/jobs/${job.id}/download?format=txt`)).text();
+    assert.match(txt, /^Esta es una transcripción corregida\./);
+    const srt = await (await fetch(`${baseUrl}/api/history/${job.id}/download?format=srt`)).text();
+    assert.match(srt, /00:00:05,000 --> 00:00:11,500/);
+
+    const original = await requestJson(`${baseUrl}/api/history/${job.id}/revisions/0`);
+    assert.equal(original.status, 200);
+    assert.equal(original.body.transcription, EXPECTED_TEXT);
+});
+
+test('PUT /api/history/:id/transcript rechaza segmentos no válidos', async () => {
+    const job = await transcribeFake(baseUrl, 3);
+    const url = `${baseUrl}/api/history/${job.id}/transcript`;
+    const invalid = [
+        [],
+        [{ start: 2, end: 1, text: 'fin antes del inicio' }],
+        [{ start: 0, end: 1, text: '   ' }],
+        [{ start: 2, end: 3, text: 'b' }, { start: 0, end: 1, text: 'a' }],
+        [{ start: 0, end: 1, text: 'a', speaker: 'SPEAKER_1' }],
+    ];
+    for (const segments of invalid) {
+        const { status } = await requestJson(url, { method: 'PUT', body: { segments } });
+        assert.equal(status, 400, JSON.stringify(segments));
+    }
+    const missing = await requestJson(`${baseUrl}/api/history/desconocido/transcript`, { method: 'PUT', body: { segments: [] } });
+    assert.equal(missing.status, 404);
+});
+
+test('GET /api/history/:id/audio sirve el audio original y admite peticiones parciales', async () => {
+    const job = await transcribeFake(baseUrl, 2);
+    const entry = await requestJson(`${baseUrl}/api/history/${job.id}`);
+    assert.equal(entry.body.hasAudio, true);
+
+    const audio = await fetch(`${baseUrl}/api/history/${job.id}/audio`);
+    assert.equal(audio.status, 200);
+    assert.equal(Number(audio.headers.get('content-length')), 32000);
+    const partial = await fetch(`${baseUrl}/api/history/${job.id}/audio`, { headers: { Range: 'bytes=0-99' } });
+    assert.equal(partial.status, 206);
+    assert.equal((await partial.arrayBuffer()).byteLength, 100);
+
+    await fetch(`${baseUrl}/api/history/${job.id}`, { method: 'DELETE' });
+    const removed = await fetch(`${baseUrl}/api/history/${job.id}/audio`);
+    assert.equal(removed.status, 404);
+});
+
+// --- Lotes ---
+
+test('POST /api/batch transcribe varios archivos y los audios de un ZIP, descartando rutas peligrosas', async () => {
+    const zip = await createZip([
+        { name: 'carpeta/uno.mp3', content: Buffer.alloc(16000) },
+        { name: '../fuera.mp3', content: Buffer.alloc(16000) },
+        { name: 'notas.txt', content: Buffer.from('hola') },
+    ]);
+    const { status, body } = await postForm(`${baseUrl}/api/batch`, { language: 'es' }, [
+        ['audioFiles', fakeAudio(3), 'a.wav'],
+        ['audioFiles', zip, 'audios.zip'],
+    ]);
+    assert.equal(status, 202);
+    assert.deepEqual(body.jobs.map(job => job.fileName), ['a.wav', 'carpeta/uno.mp3']);
+    assert.deepEqual(body.rejected.map(entry => entry.fileName).sort(), ['audios.zip/../fuera.mp3', 'audios.zip/notas.txt']);
+
+    const events = await readEventStream(`${baseUrl}/api/batch/${body.id}/events`);
+    const final = events.at(-1).data;
+    assert.equal(final.status, 'done');
+    assert.equal(final.counts.done, 2);
+
+    const download = await fetch(`${baseUrl}/api/batch/${body.id}/download?format=txt`);
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('content-type'), 'application/zip');
+    const archive = Buffer.from(await download.arrayBuffer());
+    assert.equal(archive.subarray(0, 2).toString(), 'PK');
+    assert.ok(archive.includes('a.txt') && archive.includes('uno.txt'));
+});
+
+test('POST /api/batch rechaza lotes sin audios válidos', async () => {
+    const empty = await postForm(`${baseUrl}/api/batch`);
+    assert.equal(empty.status, 400);
+
+    const zip = await createZip([{ name: 'leeme.txt', content: Buffer.from('sin audio') }]);
+    const noAudio = await postForm(`${baseUrl}/api/batch`, {}, [['audioFiles', zip, 'documentos.zip']]);
+    assert.equal(noAudio.status, 400);
+    assert.equal(noAudio.body.rejected.length, 1);
+});
+
+// --- Transcripción en vivo ---
+
+test('WS /api/live transcribe una grabación y la guarda en el historial al detenerla', async () => {
+    const wsUrl = `${baseUrl.replace('http', 'ws')}/api/live?language=es`;
+    const socket = new WebSocket(wsUrl);
+    const messages = [];
+    const done = new Promise((resolve, reject) => {
+        socket.on('message', (data) => {
+            const message = JSON.parse(data);
+            messages.push(message);
+            if (message.type === 'ready') {
+                socket.send(Buffer.alloc(16000 * 7)); // 7 s de audio simulado.
+                socket.send(JSON.stringify({ type: 'stop' }));
+            }
+            if (message.type === 'done') resolve(message);
+            if (message.type === 'error') reject(new Error(message.error));
+        });
+        socket.on('error', reject);
+    });
+
+    const { result } = await done;
+    assert.equal(result.transcription, 'Esta es una transcripción simulada. El motor de prueba no analiza el audio.');
+    const entry = await requestJson(`${baseUrl}/api/history/${result.id}`);
+    assert.equal(entry.status, 200);
+    assert.equal(entry.body.segments.length, 2);
+    assert.equal(entry.body.hasAudio, true); // La grabación se conserva para el editor.
+});
+
+test('WS /api/live cierra la conexión si las opciones no son válidas', async () => {
+    const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/api/live?model=inexistente`);
+    const code = await new Promise(resolve => socket.on('close', resolve));
+    assert.equal(code, 1008);
+});
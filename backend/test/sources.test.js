@@ -0,0 +1,147 @@
+// backend/test/sources.test.js
+// Pruebas de la transcripción de audios desde una URL (con las protecciones frente a SSRF) y desde el
+// directorio de importación del servidor.
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { isPrivateAddress } = require('../lib/audioSources');
+const { startTestServer, postForm, requestJson, waitForJob } = require('./helpers');
+
+// Audio ficticio de 3 s para el motor simulado (16000 bytes por segundo).
+const AUDIO = Buffer.alloc(3 * 16000);
+
+let server;
+let baseUrl;
+let remote;     // Servidor HTTP que hace de servidor de archivos remoto.
+let remoteUrl;  // Su URL base, con la IP 127.0.0.1 (permitida en `URL_IMPORT_PRIVATE_HOSTS`).
+let importDir;
+
+before(async () => {
+    remote = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://remoto');
+        if (pathname === '/grabaciones/entrevista.mp3') {
+            res.writeHead(200, { 'Content-Type': 'audio/mpeg' }).end(AUDIO);
+        } else if (pathname === '/bucket/objeto') {
+            // Como S3: tipo genérico y nombre en Content-Disposition.
+            res.writeHead(200, { 'Content-Type': 'binary/octet-stream', 'Content-Disposition': 'attachment; filename="reunion.wav"' }).end(AUDIO);
+        } else if (pathname === '/pagina') {
+            res.writeHead(200, { 'Content-Type': 'text/html' }).end('<html></html>');
+        } else if (pathname === '/enorme.wav') {
+            res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': String(500 * 1024 * 1024) });
+            res.write(AUDIO);
+        } else if (pathname === '/redirige-fuera') {
+            // `localhost` resuelve a 127.0.0.1, pero solo se permite la IP literal.
+            res.writeHead(302, { Location: `http://localhost:${remote.address().port}/grabaciones/entrevista.mp3` }).end();
+        } else if (pathname === '/redirige-dentro') {
+            res.writeHead(302, { Location: '/grabaciones/entrevista.mp3' }).end();
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+    await new Promise(resolve => remote.listen(0, '127.0.0.1', resolve));
+    remoteUrl = `http://127.0.0.1:${remote.address().port}`;
+
+    importDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-import-'));
+    fs.mkdirSync(path.join(importDir, 'llamadas'));
+    fs.writeFileSync(path.join(importDir, 'llamadas', 'lunes.wav'), AUDIO);
+    fs.writeFileSync(path.join(importDir, 'notas.txt'), 'no es audio');
+
+    server = await startTestServer({ IMPORT_DIR: importDir, URL_IMPORT_PRIVATE_HOSTS: '127.0.0.1' });
+    baseUrl = server.baseUrl;
+});
+
+after(async () => {
+    remote.closeAllConnections();
+    await new Promise(resolve => remote.close(resolve));
+    await server.stop();
+    fs.rmSync(importDir, { recursive: true, force: true });
+});
+
+/**
+ * Solicita una transcripción con un cuerpo JSON (sin archivo subido).
+ * @param {object} body - Campos de la solicitud.
+ * @returns {Promise<{status: number, body: object}>}
+ */
+function transcribeFrom(body) {
+    return requestJson(`${baseUrl}/api/transcribe`, { method: 'POST', body });
+}
+
+test('POST /api/transcribe descarga y transcribe un audio desde una URL', async () => {
+    const { status, body } = await transcribeFrom({ url: `${remoteUrl}/grabaciones/entrevista.mp3`, language: 'es' });
+    assert.equal(status, 202);
+    const job = await waitForJob(baseUrl, body.jobId);
+    assert.equal(job.status, 'done');
+    assert.equal(job.fileName, 'entrevista.mp3');
+    assert.equal(job.result.duration, 3);
+
+    // También como campo de un formulario, con el nombre de Content-Disposition y un tipo genérico.
+    const fromForm = await postForm(`${baseUrl}/api/transcribe`, { url: `${remoteUrl}/bucket/objeto?firma=abc` });
+    assert.equal(fromForm.status, 202);
+    assert.equal((await waitForJob(baseUrl, fromForm.body.jobId)).fileName, 'reunion.wav');
+
+    // Las redirecciones dentro del mismo host permitido se siguen.
+    assert.equal((await transcribeFrom({ url: `${remoteUrl}/redirige-dentro` })).status, 202);
+});
+
+test('Las URL a direcciones no públicas se rechazan salvo los hosts permitidos, también tras una redirección', async () => {
+    const port = remote.address().port;
+    const blocked = await transcribeFrom({ url: `http://localhost:${port}/grabaciones/entrevista.mp3` });
+    assert.equal(blocked.status, 403);
+    assert.match(blocked.body.error, /no permitida/);
+    assert.equal((await transcribeFrom({ url: `http://[::1]:${port}/grabaciones/entrevista.mp3` })).status, 403);
+    assert.equal((await transcribeFrom({ url: `http://169.254.169.254/latest/meta-data/` })).status, 403);
+    assert.equal((await transcribeFrom({ url: `${remoteUrl}/redirige-fuera` })).status, 403);
+
+    assert.equal(isPrivateAddress('10.1.2.3'), true);
+    assert.equal(isPrivateAddress('::ffff:192.168.1.10'), true);
+    assert.equal(isPrivateAddress('fd12::1'), true);
+    assert.equal(isPrivateAddress('8.8.8.8'), false);
+    assert.equal(isPrivateAddress('2606:4700::1111'), false);
+});
+
+test('Las URL que no devuelven un audio válido se rechazan', async () => {
+    assert.equal((await transcribeFrom({ url: 'ftp://archivos.example/audio.mp3' })).status, 400);
+    assert.equal((await transcribeFrom({ url: 'no es una url' })).status, 400);
+    assert.equal((await transcribeFrom({ url: `${remoteUrl}/pagina` })).status, 415);
+    assert.equal((await transcribeFrom({ url: `${remoteUrl}/no-existe.mp3` })).status, 502);
+
+    const tooLarge = await transcribeFrom({ url: `${remoteUrl}/enorme.wav` });
+    assert.equal(tooLarge.status, 413);
+    assert.match(tooLarge.body.error, /tamaño máximo/);
+    // No quedan descargas a medias en el directorio de subidas.
+    assert.deepEqual(fs.readdirSync(server.uploadDir).filter(name => name.startsWith('url-')), []);
+});
+
+test('POST /api/transcribe importa audios del directorio configurado sin modificar el original', async () => {
+    const { status, body } = await transcribeFrom({ importPath: 'llamadas/lunes.wav' });
+    assert.equal(status, 202);
+    const job = await waitForJob(baseUrl, body.jobId);
+    assert.equal(job.status, 'done');
+    assert.equal(job.fileName, 'lunes.wav');
+    assert.equal(fs.existsSync(path.join(importDir, 'llamadas', 'lunes.wav')), true);
+
+    assert.equal((await transcribeFrom({ importPath: '../fuera.wav' })).status, 404);
+    assert.equal((await transcribeFrom({ importPath: path.join(importDir, 'llamadas', 'lunes.wav') })).status, 400);
+    assert.equal((await transcribeFrom({ importPath: 'notas.txt' })).status, 415);
+    assert.equal((await transcribeFrom({ importPath: 'llamadas' })).status, 400);
+    assert.equal((await transcribeFrom({ importPath: 'no-existe.wav' })).status, 404);
+    assert.equal((await transcribeFrom({ importPath: 'llamadas/lunes.wav', url: `${remoteUrl}/grabaciones/entrevista.mp3` })).status, 400);
+});
+
+test('Ni `..` ni los enlaces simbólicos permiten salir del directorio de importación', async (t) => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-fuera-'));
+    t.after(() => fs.rmSync(outside, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(outside, 'secreto.wav'), AUDIO);
+    const traversal = await transcribeFrom({ importPath: path.relative(importDir, path.join(outside, 'secreto.wav')) });
+    assert.equal(traversal.status, 403);
+    fs.symlinkSync(path.join(outside, 'secreto.wav'), path.join(importDir, 'enlace.wav'));
+
+    const { status, body } = await transcribeFrom({ importPath: 'enlace.wav' });
+    assert.equal(status, 403);
+    assert.match(body.error, /fuera del directorio/);
+});
@@ -0,0 +1,119 @@
+// backend/test/translation.test.js
+// Pruebas de la traducción por segmento: al inglés con una segunda pasada de Whisper (motor simulado) y a
+// otros idiomas con un servicio compatible con LibreTranslate, y de la exportación bilingüe.
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { alignTranslation } = require('../lib/translation');
+const { startTestServer, fakeAudio, postForm, requestJson, transcribeFake } = require('./helpers');
+
+let server;
+let baseUrl;
+let translationService; // Servicio de traducción local que hace de LibreTranslate.
+const translationRequests = [];
+
+before(async () => {
+    translationService = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const { q, source, target } = JSON.parse(body);
+            translationRequests.push({ path: req.url, source, target, count: q.length });
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ translatedText: q.map(text => `(${target}) ${text}`) }));
+        });
+    });
+    await new Promise(resolve => translationService.listen(0, '127.0.0.1', resolve));
+
+    server = await startTestServer({
+        TRANSLATE_PROVIDER: 'http',
+        TRANSLATE_HTTP_URL: `http://127.0.0.1:${translationService.address().port}/`,
+    });
+    baseUrl = server.baseUrl;
+});
+
+after(async () => {
+    await server.stop();
+    await new Promise(resolve => translationService.close(resolve));
+});
+
+test('translateTo=en traduce con una segunda pasada de Whisper alineada con los segmentos originales', async () => {
+    const job = await transcribeFake(baseUrl, 12, { language: 'es', translateTo: 'en' }, 'charla.wav');
+    assert.equal(job.status, 'done');
+    const { segments, translation } = job.result;
+    assert.equal(segments.length, 3);
+    assert.deepEqual(translation.language, 'en');
+    assert.equal(translation.source, 'es');
+    assert.equal(translation.provider, 'whisper');
+    segments.forEach((segment) => {
+        assert.ok(segment.text.length > 0);
+        assert.ok(segment.translation.length > 0);
+        assert.notEqual(segment.translation, segment.text);
+    });
+    assert.equal(translation.text, segments.map(segment => segment.translation).join(' '));
+    // El inglés no pasa por el proveedor de traducción.
+    assert.equal(translationRequests.length, 0);
+});
+
+test('translateTo con otro idioma usa el proveedor de traducción y se guarda en el historial', async () => {
+    const job = await transcribeFake(baseUrl, 8, { language: 'es', translateTo: 'fr' }, 'charla.wav');
+    assert.equal(job.status, 'done');
+    assert.equal(job.result.translation.provider, 'http');
+    job.result.segments.forEach(segment => assert.equal(segment.translation, `(fr) ${segment.text.trim()}`));
+    assert.deepEqual(translationRequests.at(-1), { path: '/translate', source: 'es', target: 'fr', count: 2 });
+
+    const { body: entry } = await requestJson(`${baseUrl}/api/history/${job.id}`);
+    assert.equal(entry.translation.language, 'fr');
+    assert.equal(entry.segments[0].translation, job.result.segments[0].translation);
+
+    // Las traducciones editadas se guardan y actualizan el texto traducido completo.
+    const segments = entry.segments.map((segment, index) => ({ ...segment, translation: `Traduction ${index + 1}` }));
+    const { status, body: edited } = await requestJson(`${baseUrl}/api/history/${job.id}/transcript`, { method: 'PUT', body: { segments } });
+    assert.equal(status, 200);
+    assert.equal(edited.translation.text, 'Traduction 1 Traduction 2');
+});
+
+test('Las descargas exportan el original, la traducción o ambos', async () => {
+    const job = await transcribeFake(baseUrl, 4, { language: 'es', translateTo: 'de' }, 'charla.wav');
+    const [segment] = job.result.segments;
+
+    const bilingual = await fetch(`${baseUrl}/api/jobs/${job.id}/download?format=srt&text=bilingual`);
+    assert.equal(bilingual.status, 200);
+    assert.match(bilingual.headers.get('content-disposition'), /charla\.bilingue\.srt/);
+    assert.equal(await bilingual.text(), `1\n00:00:00,000 --> 00:00:04,000\n${segment.text.trim()}\n(de) ${segment.text.trim()}\n`);
+
+    const translated = await fetch(`${baseUrl}/api/history/${job.id}/download?format=txt&text=translation`);
+    assert.match(translated.headers.get('content-disposition'), /charla\.de\.txt/);
+    assert.equal(await translated.text(), `(de) ${segment.text.trim()}\n`);
+    const tsv = await (await fetch(`${baseUrl}/api/jobs/${job.id}/download?format=tsv&text=bilingual`)).text();
+    assert.equal(tsv.split('\n')[1], `0\t4000\t${segment.text.trim()} / (de) ${segment.text.trim()}`);
+
+    assert.equal((await requestJson(`${baseUrl}/api/jobs/${job.id}/download?text=otro`)).status, 400);
+    const untranslated = await transcribeFake(baseUrl, 2, { language: 'es' }, 'charla.wav');
+    assert.equal((await requestJson(`${baseUrl}/api/jobs/${untranslated.id}/download?text=bilingual`)).status, 400);
+});
+
+test('translateTo se valida con el resto de opciones', async () => {
+    const post = fields => postForm(`${baseUrl}/api/transcribe`, fields, [['audioFile', fakeAudio(1), 'corto.wav']]);
+    assert.equal((await post({ translateTo: 'francés' })).status, 400);
+    assert.equal((await post({ language: 'fr', translateTo: 'fr' })).status, 400);
+    assert.equal((await post({ task: 'translate', translateTo: 'fr' })).status, 400);
+
+    const { body: models } = await requestJson(`${baseUrl}/api/models`);
+    assert.deepEqual(models.translateTo, { default: null, whisperTarget: 'en', provider: 'http' });
+    assert.equal((await requestJson(`${baseUrl}/api/status`)).body.translation.name, 'http');
+});
+
+test('alignTranslation asigna cada segmento traducido al original que contiene su punto medio', () => {
+    const source = [{ start: 0, end: 5 }, { start: 5, end: 10 }, { start: 12, end: 15 }];
+    const translated = [
+        { start: 0, end: 3, text: ' One.' },
+        { start: 3, end: 6, text: ' Two.' },
+        { start: 6, end: 11, text: ' Three.' },
+        { start: 10.5, end: 11.6, text: ' Four.' },
+    ];
+    assert.deepEqual(alignTranslation(source, translated), ['One. Two.', 'Three.', 'Four.']);
+    assert.deepEqual(alignTranslation([], translated), []);
+});
@@ -0,0 +1,190 @@
+// backend/test/webhooks.test.js
+// Pruebas de las notificaciones por webhook: cuerpo y firma, reintentos con espera exponencial, registro de
+// entregas y reenvío desde las rutas de administración.
+
+// --- Importaciones de Módulos ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { createHmac } = require('crypto');
+const { WebhookDispatcher } = require('../lib/webhooks');
+const { startTestServer, fakeAudio, postForm, requestJson, waitForJob, waitFor } = require('./helpers');
+
+const SECRET = 'secreto-de-prueba';
+const ADMIN_TOKEN = 'token-de-administracion';
+const adminHeaders = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+let server;
+let baseUrl;
+let receiver;     // Servidor que recibe las notificaciones.
+let receiverUrl;
+const received = [];            // Notificaciones recibidas: `{ path, headers, body }`.
+const plannedStatuses = {};     // Códigos con los que responde cada ruta, en orden (después, 200).
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body });
+            const status = plannedStatuses[req.url]?.shift() ?? 200;
+            res.writeHead(status, { 'Content-Type': 'text/plain' }).end(status === 200 ? 'ok' : 'no disponible');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+    server = await startTestServer({
+        ADMIN_TOKEN,
+        WEBHOOK_SECRET: SECRET,
+        WEBHOOK_PRIVATE_HOSTS: '127.0.0.1',
+        WEBHOOK_MAX_ATTEMPTS: '3',
+        WEBHOOK_RETRY_BASE_SECONDS: '0.05',
+        // Un servicio de traducción que no responde hace fallar los trabajos que piden traducir.
+        TRANSLATE_PROVIDER: 'http',
+        TRANSLATE_HTTP_URL: 'http://127.0.0.1:9',
+    });
+    baseUrl = server.baseUrl;
+});
+
+after(async () => {
+    await server.stop();
+    receiver.closeAllConnections();
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+/**
+ * Entregas de un trabajo en el registro de administración.
+ * @param {string} jobId - Identificador del trabajo.
+ * @returns {Promise<object[]>}
+ */
+async function deliveriesOf(jobId) {
+    const { body } = await requestJson(`${baseUrl}/api/admin/webhooks?jobId=${jobId}`, { headers: adminHeaders });
+    return body.deliveries;
+}
+
+/**
+ * Transcribe un audio ficticio notificando a una ruta del receptor.
+ * @param {string} hookPath - Ruta del receptor.
+ * @param {object} [fields] - Opciones de transcripción.
+ * @returns {Promise<object>} El trabajo finalizado.
+ */
+async function transcribeWithCallback(hookPath, fields = {}) {
+    const { status, body } = await postForm(`${baseUrl}/api/transcribe`, { callbackUrl: `${receiverUrl}${hookPath}`, ...fields }, [
+        ['audioFile', fakeAudio(3), 'llamada.wav'],
+    ]);
+    assert.equal(status, 202, body.error);
+    return waitForJob(baseUrl, body.jobId);
+}
+
+test('Al completarse un trabajo se envía una notificación firmada con la transcripción', async () => {
+    const job = await transcribeWithCallback('/completado', { language: 'es' });
+    await waitFor(() => received.some(item => item.path === '/completado'));
+    const notification = received.find(item => item.path === '/completado');
+
+    const { headers, body } = notification;
+    const expected = `sha256=${createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex')}`;
+    assert.equal(headers['x-webhook-signature'], expected);
+    assert.equal(headers['x-webhook-event'], 'transcription.completed');
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, headers['x-webhook-id']);
+    assert.equal(payload.event, 'transcription.completed');
+    assert.equal(payload.job.id, job.id);
+    assert.equal(payload.job.fileName, 'llamada.wav');
+    assert.equal(payload.job.status, 'done');
+    assert.equal(payload.result.transcription, job.result.transcription);
+    assert.equal(payload.error, null);
+
+    await waitFor(async () => (await deliveriesOf(job.id))[0]?.status === 'delivered');
+    const [delivery] = await deliveriesOf(job.id);
+    assert.equal(delivery.attemptCount, 1);
+    assert.equal(delivery.lastAttempt.statusCode, 200);
+});
+
+test('Los trabajos fallidos se notifican con el error', async () => {
+    const job = await transcribeWithCallback('/fallido', { language: 'es', translateTo: 'fr' });
+    assert.equal(job.status, 'failed');
+    await waitFor(() => received.some(item => item.path === '/fallido'));
+    const payload = JSON.parse(received.find(item => item.path === '/fallido').body);
+    assert.equal(payload.event, 'transcription.failed');
+    assert.equal(payload.result, null);
+    assert.match(payload.error.message, /servicio de traducción/);
+});
+
+test('Las entregas rechazadas se reintentan y, agotados los intentos, se pueden reenviar', async () => {
+    // Dos errores y después 200: se entrega al tercer intento.
+    plannedStatuses['/inestable'] = [500, 503];
+    const flaky = await transcribeWithCallback('/inestable');
+    await waitFor(async () => (await deliveriesOf(flaky.id))[0]?.status === 'delivered');
+    const { body: detail } = await requestJson(`${baseUrl}/api/admin/webhooks/${(await deliveriesOf(flaky.id))[0].id}`, { headers: adminHeaders });
+    assert.deepEqual(detail.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+    assert.equal(detail.attempts[0].response, 'no disponible');
+    assert.equal(detail.payload.job.id, flaky.id);
+    // Los reintentos conservan el identificador de la entrega.
+    assert.equal(new Set(received.filter(item => item.path === '/inestable').map(item => item.headers['x-webhook-id'])).size, 1);
+
+    // Siempre con error: falla tras WEBHOOK_MAX_ATTEMPTS intentos.
+    plannedStatuses['/caido'] = [502, 502, 502];
+    const down = await transcribeWithCallback('/caido');
+    await waitFor(async () => (await deliveriesOf(down.id))[0]?.status === 'failed');
+    const [failed] = await deliveriesOf(down.id);
+    assert.equal(failed.attemptCount, 3);
+    const { body: failedList } = await requestJson(`${baseUrl}/api/admin/webhooks?status=failed`, { headers: adminHeaders });
+    assert.ok(failedList.deliveries.some(delivery => delivery.id === failed.id));
+
+    // Una vez recuperado el destino, el reenvío se entrega.
+    const replay = await requestJson(`${baseUrl}/api/admin/webhooks/${failed.id}/replay`, { method: 'POST', headers: adminHeaders });
+    assert.equal(replay.status, 202);
+    assert.equal(replay.body.status, 'pending');
+    await waitFor(async () => (await deliveriesOf(down.id))[0]?.status === 'delivered');
+    assert.equal((await deliveriesOf(down.id))[0].replays, 1);
+});
+
+test('Las URL de notificación se validan y los destinos internos no permitidos no se contactan', async () => {
+    const post = callbackUrl => postForm(`${baseUrl}/api/transcribe`, { callbackUrl }, [['audioFile', fakeAudio(1), 'corto.wav']]);
+    assert.equal((await post('ftp://receptor.example/hook')).status, 400);
+    assert.equal((await post('no es una url')).status, 400);
+
+    const { body } = await post('http://10.0.0.1/hook');
+    await waitForJob(baseUrl, body.jobId);
+    await waitFor(async () => (await deliveriesOf(body.jobId))[0]?.status === 'failed');
+    const [blocked] = await deliveriesOf(body.jobId);
+    assert.match(blocked.lastAttempt.error, /no permitida/);
+
+    assert.equal((await requestJson(`${baseUrl}/api/admin/webhooks`)).status, 401);
+    assert.equal((await requestJson(`${baseUrl}/api/admin/webhooks?status=otro`, { headers: adminHeaders })).status, 400);
+    assert.equal((await requestJson(`${baseUrl}/api/admin/webhooks/desconocido`, { headers: adminHeaders })).status, 404);
+    assert.equal((await requestJson(`${baseUrl}/api/admin/webhooks/desconocido/replay`, { method: 'POST', headers: adminHeaders })).status, 404);
+});
+
+test('El registro de entregas no guarda el resultado: se añade al cuerpo en cada intento', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriptor-webhooks-'));
+    const filePath = path.join(dir, 'webhooks.json');
+    const results = new Map([['trabajo-1', { transcription: 'Texto completo de la transcripción.' }]]);
+    const dispatcher = new WebhookDispatcher(filePath, {
+        secret: SECRET,
+        retryBaseMs: 20,
+        allowPrivateHost: host => host === '127.0.0.1',
+        expandPayload: delivery => ({ result: results.get(delivery.jobId) || null }),
+    });
+    try {
+        plannedStatuses['/registro'] = [500];
+        const [created] = dispatcher.dispatch([`${receiverUrl}/registro`], 'transcription.completed', { job: { id: 'trabajo-1' } }, { jobId: 'trabajo-1' });
+        await waitFor(() => dispatcher.get(created.id).status === 'delivered');
+        const bodies = received.filter(item => item.path === '/registro').map(item => JSON.parse(item.body));
+        assert.equal(bodies.length, 2);
+        bodies.forEach(body => assert.equal(body.result.transcription, 'Texto completo de la transcripción.'));
+        assert.equal(dispatcher.get(created.id).payload.result.transcription, 'Texto completo de la transcripción.');
+
+        await dispatcher.flush();
+        const [stored] = JSON.parse(fs.readFileSync(filePath, 'utf8')).deliveries;
+        assert.deepEqual(stored.payload, { job: { id: 'trabajo-1' } });
+        assert.equal(stored.body, undefined);
+    } finally {
+        dispatcher.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
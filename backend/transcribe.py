@@ -6,10 +6,15 @@ import sys                          # Módulo del sistema para acceder a argumen
 import os                           # Módulo del sistema operativo para interactuar con archivos (ej. verificar existencia).
 import json                         # Módulo para trabajar con datos en formato JSON (para la salida estructurada).
 import argparse                     # Módulo para el análisis robusto de argumentos de línea de comandos.
+import re                           # Expresiones regulares para reconocer las líneas de segmentos que imprime Whisper.
+import time                         # Medición del tiempo transcurrido para los eventos de progreso.
+import contextlib                   # Redirección temporal de stdout durante la transcripción.
+import functools                    # Aplicación parcial de funciones (emisor de eventos ligado a un flujo).
 
 # --- Configuración del Modelo Whisper ---
-# Define el tamaño del modelo Whisper a utilizar. Opciones comunes: "tiny", "base", "small", "medium", "large".
+# Define el tamaño del modelo Whisper a utilizar por defecto. Opciones comunes: "tiny", "base", "small", "medium", "large", "turbo".
 # Modelos más grandes ofrecen mayor precisión a costa de mayores recursos (CPU/GPU, RAM) y tiempo de procesamiento.
+# Puede cambiarse por solicitud con el argumento --model (el backend valida los valores permitidos).
 MODEL_SIZE = "base"
 # Habilita/deshabilita el uso de precisión de punto flotante de 16 bits (FP16).
 # Establecer a True puede acelerar significativamente la transcripción en GPUs NVIDIA compatibles (CUDA),
@@ -17,7 +22,250 @@ MODEL_SIZE = "base"
 USE_FP16 = False
 # ------------------------------------
 
-def transcribe_audio(file_path, language_code=None):
+# Patrón de las líneas que Whisper imprime en modo `verbose` por cada segmento decodificado.
+# Ejemplo: "[00:01.000 --> 00:04.500]  Hola a todos."  (las horas son opcionales: "[01:02:03.000 --> ...]")
+SEGMENT_LINE_PATTERN = re.compile(
+    r"^\[((?:\d+:)?\d+:\d+\.\d+) --> ((?:\d+:)?\d+:\d+\.\d+)\]\s*(.*)$"
+)
+
+
+class TranscriptionError(Exception):
+    """
+    Error de transcripción con un código de la API del backend (ver backend/lib/errors.js), para que el
+    cliente reciba un motivo claro (ej. "UNSUPPORTED_FORMAT") en lugar de la salida de error de Python.
+
+    Attributes:
+        code (str): Código de error (ej. "MISSING_FILE", "MODEL_LOAD_FAILED", "UNSUPPORTED_FORMAT").
+        message (str): Mensaje legible para el usuario.
+        details (str): Información técnica para depuración (ej. la salida de FFmpeg); solo se registra.
+    """
+
+    def __init__(self, code, message, details=None):
+        super().__init__(message)
+        self.code = code
+        self.message = message
+        self.details = details
+
+
+def error_payload(error):
+    """
+    Convierte cualquier excepción en los campos de error del protocolo: `error`, `code` y `details`.
+    Las excepciones no clasificadas se informan como fallo de decodificación (DECODE_FAILED).
+
+    Args:
+        error (Exception): La excepción capturada.
+
+    Returns:
+        dict: `{"error", "code", "details"}`.
+    """
+    if isinstance(error, TranscriptionError):
+        return {"error": error.message, "code": error.code, "details": error.details}
+    return {
+        "error": "Error durante el proceso de transcripción.",
+        "code": "DECODE_FAILED",
+        "details": f"{type(error).__name__}: {error}",
+    }
+
+
+def load_model(name):
+    """
+    Carga un modelo Whisper (descargándolo la primera vez que se usa).
+
+    Args:
+        name (str): Nombre del modelo (ej. "base", "small").
+
+    Returns:
+        El modelo cargado.
+
+    Raises:
+        TranscriptionError: MODEL_LOAD_FAILED si el modelo no existe, no se puede descargar o no cabe en memoria.
+    """
+    try:
+        return whisper.load_model(name)
+    except Exception as e:
+        raise TranscriptionError("MODEL_LOAD_FAILED", f"No se pudo cargar el modelo Whisper '{name}'.", f"{type(e).__name__}: {e}") from e
+
+
+def load_audio(file_path):
+    """
+    Decodifica un archivo de audio con FFmpeg (mono, 16 kHz), como espera Whisper.
+
+    Args:
+        file_path (str): Ruta al archivo de audio.
+
+    Returns:
+        El audio como array de muestras.
+
+    Raises:
+        TranscriptionError: DEPENDENCY_MISSING si FFmpeg no está instalado y UNSUPPORTED_FORMAT si FFmpeg
+                            no puede decodificar el archivo (formato no compatible o archivo dañado).
+    """
+    try:
+        return whisper.load_audio(file_path)
+    except FileNotFoundError as e:
+        raise TranscriptionError("DEPENDENCY_MISSING", "FFmpeg no está instalado o no se encuentra en el PATH del servidor.", str(e)) from e
+    except RuntimeError as e:
+        # Whisper informa los fallos de FFmpeg como "Failed to load audio: <salida de FFmpeg>".
+        raise TranscriptionError("UNSUPPORTED_FORMAT", "No se pudo decodificar el audio: el formato no es compatible o el archivo está dañado.", str(e)) from e
+
+
+def emit_event(stream, event, **data):
+    """
+    Escribe un evento de progreso como una línea JSON en el flujo indicado y lo vacía inmediatamente,
+    para que el backend Node.js pueda leerlo mientras la transcripción continúa.
+
+    Args:
+        stream: Flujo de salida (normalmente el stdout original del proceso).
+        event (str): Tipo de evento ("progress" o "segment").
+        **data: Campos adicionales del evento.
+    """
+    stream.write(json.dumps({"event": event, **data}) + "\n")
+    stream.flush()
+
+
+def parse_timestamp(value):
+    """
+    Convierte una marca de tiempo de Whisper ("MM:SS.mmm" o "HH:MM:SS.mmm") a segundos.
+
+    Args:
+        value (str): Marca de tiempo en formato de Whisper.
+
+    Returns:
+        float: Tiempo en segundos.
+    """
+    seconds = 0.0
+    for part in value.split(":"):
+        seconds = seconds * 60 + float(part)
+    return seconds
+
+
+class ProgressReporter:
+    """
+    Sustituto de stdout durante la transcripción. Intercepta las líneas de segmento que Whisper
+    imprime en modo `verbose` y las reemite como eventos ("segment" y "progress") a través de `emit`.
+    El resto de mensajes de Whisper (ej. "Detecting language...") se descartan para no contaminar la salida.
+    """
+
+    def __init__(self, emit, duration):
+        """
+        Args:
+            emit (callable): Función `emit(event, **data)` que publica cada evento.
+            duration (float): Duración total del audio en segundos, para calcular el porcentaje.
+        """
+        self.emit = emit
+        self.duration = duration
+        self.started_at = time.monotonic()
+        self.buffer = ""
+
+    def write(self, text):
+        # Whisper puede escribir una línea en varios fragmentos; se acumulan hasta encontrar el salto de línea.
+        self.buffer += text
+        while "\n" in self.buffer:
+            line, self.buffer = self.buffer.split("\n", 1)
+            self._handle_line(line.strip())
+        return len(text)
+
+    def flush(self):
+        pass
+
+    def _handle_line(self, line):
+        match = SEGMENT_LINE_PATTERN.match(line)
+        if not match:
+            return
+        start, end = parse_timestamp(match.group(1)), parse_timestamp(match.group(2))
+        elapsed = round(time.monotonic() - self.started_at, 2)
+        self.emit("segment", start=start, end=end, text=match.group(3))
+        percent = min(100.0, round(end / self.duration * 100, 1)) if self.duration else None
+        self.emit("progress", percent=percent, elapsed=elapsed)
+
+
+def format_segment(segment):
+    """
+    Reduce un segmento de Whisper a los campos que consume el backend.
+
+    Args:
+        segment (dict): Segmento tal como lo devuelve `model.transcribe`.
+
+    Returns:
+        dict: Segmento con "id", "start", "end", "text" y, si existen, "words"
+              (lista de {"word", "start", "end", "probability"}).
+    """
+    formatted = {"id": segment["id"], "start": segment["start"], "end": segment["end"], "text": segment["text"].strip()}
+    if "words" in segment:
+        formatted["words"] = [
+            {"word": word["word"].strip(), "start": word["start"], "end": word["end"], "probability": round(word["probability"], 3)}
+            for word in segment["words"]
+        ]
+    return formatted
+
+
+def run_model(model, file_path, language_code=None, model_name=MODEL_SIZE, decode_options=None, emit=None, diarize_options=None):
+    """
+    Transcribe un archivo de audio con un modelo Whisper ya cargado y devuelve el resultado estructurado.
+    Es el núcleo compartido por el modo de línea de comandos y por el worker persistente (worker.py).
+
+    Args:
+        model: Modelo Whisper cargado con `whisper.load_model`.
+        file_path (str): Ruta al archivo de audio.
+        language_code (str, optional): Código de idioma; None para auto-detección. Defaults to None.
+        model_name (str, optional): Nombre del modelo (solo se informa en el resultado). Defaults to MODEL_SIZE.
+        decode_options (dict, optional): Opciones adicionales para `model.transcribe` (ver `transcribe_audio`).
+        emit (callable, optional): Si se indica, recibe los eventos de progreso como `emit(event, **data)`.
+        diarize_options (dict, optional): Si se indica, identifica a los hablantes tras transcribir.
+                                          Admite "num_speakers" (None para estimarlo). Ver `diarize.py`.
+
+    Returns:
+        dict: Resultado con "transcription", "language", "model", "task", "duration" y "segments".
+              Con diarización, cada segmento incluye "speaker" y el resultado añade "speakers"
+              (identificadores en orden de aparición) y "diarization" (método usado).
+
+    Raises:
+        TranscriptionError: Si el audio no se puede decodificar (ver `load_audio`).
+        Exception: Cualquier otro error de Whisper se propaga a quien llama.
+    """
+    # Carga el audio una sola vez (vía FFmpeg) para conocer su duración (Whisper trabaja a 16 kHz).
+    audio = load_audio(file_path)
+    duration = len(audio) / whisper.audio.SAMPLE_RATE
+
+    # Reúne los argumentos de decodificación: FP16, idioma y las opciones indicadas (sin las vacías).
+    # Si `language_code` es None, Whisper realizará la detección automática del idioma.
+    transcribe_kwargs = {"fp16": USE_FP16, "language": language_code}
+    transcribe_kwargs.update({key: value for key, value in (decode_options or {}).items() if value is not None})
+
+    # Ejecuta la función de transcripción principal de Whisper con el audio cargado.
+    if emit:
+        emit("progress", percent=0.0, elapsed=0.0)
+        # En modo `verbose`, Whisper imprime cada segmento al decodificarlo; el reporter los convierte en eventos.
+        reporter = ProgressReporter(emit, duration)
+        with contextlib.redirect_stdout(reporter):
+            result = model.transcribe(audio, verbose=True, **transcribe_kwargs)
+    else:
+        result = model.transcribe(audio, **transcribe_kwargs)
+
+    # Se incluye el texto completo, el idioma (detectado o indicado), el modelo y la tarea usados,
+    # la duración del audio en segundos y la lista de segmentos con sus tiempos de inicio y fin
+    # (y las palabras con sus tiempos si se solicitaron marcas de tiempo por palabra).
+    output = {
+        "transcription": result["text"],
+        "language": result.get("language"),
+        "model": model_name,
+        "task": transcribe_kwargs.get("task", "transcribe"),
+        "duration": round(duration, 2),
+        "segments": [format_segment(segment) for segment in result["segments"]],
+    }
+
+    # Identificación de hablantes (opcional): etiqueta cada segmento con su hablante.
+    if diarize_options is not None:
+        # Se importa solo cuando se solicita, para no cargar sus dependencias en el resto de transcripciones.
+        from diarize import assign_speakers
+        speakers, method = assign_speakers(audio, file_path, output["segments"], diarize_options.get("num_speakers"))
+        output["speakers"] = speakers
+        output["diarization"] = method
+
+    return output
+
+
+def transcribe_audio(file_path, language_code=None, progress=False, model_name=MODEL_SIZE, decode_options=None, diarize_options=None):
     """
     Realiza la transcripción de un archivo de audio utilizando el modelo Whisper especificado.
 
@@ -31,16 +279,26 @@ def transcribe_audio(file_path, language_code=None):
                                        Si se proporciona, guía al modelo para una mayor precisión.
                                        Si es None, Whisper intentará detectar el idioma automáticamente.
                                        Defaults to None.
+        progress (bool, optional): Si es True, emite en stdout eventos JSON de progreso ("progress")
+                                   y de segmentos decodificados ("segment"), una línea por evento,
+                                   antes de la línea final con el resultado. Defaults to False.
+        model_name (str, optional): Nombre del modelo Whisper a cargar. Defaults to MODEL_SIZE.
+        decode_options (dict, optional): Opciones adicionales de decodificación, con las mismas claves que
+                                         acepta `model.transcribe` (ej. "task", "temperature", "beam_size",
+                                         "initial_prompt", "word_timestamps"). Las claves con valor None
+                                         se omiten para usar los valores por defecto de Whisper.
+        diarize_options (dict, optional): Si se indica, etiqueta cada segmento con su hablante
+                                          (ver `run_model`). Defaults to None.
 
     Raises:
         SystemExit: El script finaliza con código 1 en caso de error (ej. archivo no encontrado,
-                    error durante la carga del modelo o la transcripción). La información del error
-                    se imprime en formato JSON a stderr antes de salir.
+                    error durante la carga del modelo o la transcripción). El error se imprime en formato
+                    JSON a stderr antes de salir, con su código (ver `error_payload`).
     """
     # Validación: Comprueba si el archivo de audio especificado existe en la ruta proporcionada.
     if not os.path.exists(file_path):
         # Si el archivo no existe, imprime un error JSON en la salida de error estándar (stderr).
-        print(json.dumps({"error": f"Archivo de audio no encontrado: {file_path}"}), file=sys.stderr)
+        print(json.dumps({"error": f"Archivo de audio no encontrado: {file_path}", "code": "MISSING_FILE"}), file=sys.stderr)
         # Finaliza la ejecución del script con un código de salida de error (1).
         sys.exit(1)
 
@@ -48,27 +306,23 @@ def transcribe_audio(file_path, language_code=None):
         # Carga el modelo Whisper. La primera vez que se usa un tamaño de modelo,
         # puede tardar tiempo en descargarse.
         # print(f"Cargando modelo Whisper '{MODEL_SIZE}'...", file=sys.stderr) # Mensaje de depuración (opcional)
-        model = whisper.load_model(MODEL_SIZE)
+        model = load_model(model_name)
         # print(f"Iniciando transcripción para {file_path} (Idioma: {language_code or 'Auto'})...", file=sys.stderr) # Mensaje de depuración (opcional)
 
-        # Ejecuta la función de transcripción principal de Whisper.
-        # Se pasa la ruta del archivo, la configuración de FP16 y el código de idioma opcional.
-        # Si `language_code` es None, Whisper realizará la detección automática del idioma.
-        result = model.transcribe(file_path, fp16=USE_FP16, language=language_code)
+        # Ejecuta la transcripción con el modelo cargado. En modo progreso, los eventos se escriben en stdout.
+        emit = functools.partial(emit_event, sys.stdout) if progress else None
+        result = run_model(model, file_path, language_code, model_name, decode_options, emit, diarize_options)
 
         # print("Transcripción finalizada.", file=sys.stderr) # Mensaje de depuración (opcional)
 
         # Si la transcripción es exitosa, imprime el resultado como un objeto JSON
         # en la salida estándar (stdout). El backend Node.js leerá esta salida.
-        # Solo se incluye el texto transcrito para simplificar.
-        print(json.dumps({"transcription": result["text"]}))
+        print(json.dumps(result))
 
     except Exception as e:
         # Captura cualquier excepción que ocurra durante la carga o transcripción del modelo.
-        # Formatea el mensaje de error.
-        error_message = f"Error durante el proceso de transcripción: {str(e)}"
-        # Imprime el error como un objeto JSON en la salida de error estándar (stderr).
-        print(json.dumps({"error": error_message}), file=sys.stderr)
+        # Imprime el error (mensaje, código y detalles) como un objeto JSON en la salida de error estándar (stderr).
+        print(json.dumps(error_payload(e)), file=sys.stderr)
         # Finaliza la ejecución del script indicando un fallo.
         sys.exit(1)
 
@@ -92,6 +346,56 @@ if __name__ == "__main__":
         help="Opcional: Código de idioma (ej. 'en', 'es') para guiar la transcripción. Si se omite, el idioma se auto-detecta."
     )
 
+    # Define las opciones de modelo y decodificación (el backend ya las valida contra una lista blanca).
+    parser.add_argument(
+        "-m", "--model",
+        default=MODEL_SIZE,
+        help=f"Opcional: Modelo de Whisper a utilizar (ej. 'tiny', 'small', 'large-v3', 'turbo'). Por defecto: '{MODEL_SIZE}'."
+    )
+    parser.add_argument(
+        "--task",
+        choices=["transcribe", "translate"],
+        help="Opcional: 'transcribe' (idioma original, por defecto) o 'translate' (traducir al inglés)."
+    )
+    parser.add_argument(
+        "--temperature",
+        type=float,
+        help="Opcional: Temperatura de muestreo (0 a 1). Si se omite, Whisper usa su estrategia de temperaturas por defecto."
+    )
+    parser.add_argument(
+        "--beam-size",
+        type=int,
+        help="Opcional: Número de haces en la búsqueda (beam search) cuando la temperatura es 0."
+    )
+    parser.add_argument(
+        "--initial-prompt",
+        help="Opcional: Texto de contexto que orienta el vocabulario y el estilo de la transcripción."
+    )
+    parser.add_argument(
+        "--word-timestamps",
+        action="store_true",
+        help="Opcional: Incluye marcas de tiempo por palabra en cada segmento."
+    )
+
+    # Define las opciones de identificación de hablantes (diarización).
+    parser.add_argument(
+        "--diarize",
+        action="store_true",
+        help="Opcional: Identifica a los hablantes y añade una etiqueta \"speaker\" a cada segmento."
+    )
+    parser.add_argument(
+        "--num-speakers",
+        type=int,
+        help="Opcional: Número de hablantes del audio (con --diarize). Si se omite, se estima automáticamente."
+    )
+
+    # Define la bandera opcional para emitir eventos de progreso mientras se transcribe.
+    parser.add_argument(
+        "--progress",
+        action="store_true",
+        help="Opcional: Emite eventos JSON de progreso y segmentos (una línea por evento) durante la transcripción."
+    )
+
     # Validación simple: Si solo se pasa el nombre del script (len=1), muestra la ayuda.
     # argparse maneja -h/--help automáticamente, pero esto cubre la falta total de argumentos.
     if len(sys.argv) == 1:
@@ -103,5 +407,19 @@ if __name__ == "__main__":
     args = parser.parse_args()
 
     # Llama a la función principal de transcripción, pasando los argumentos parseados.
-    # `args.language` será `None` si el usuario no especificó la opción -l/--language.
-    transcribe_audio(args.audio_file, args.language)
\ No newline at end of file
+    # `args.language` será `None` si el usuario no especificó la opción -l/--language;
+    # del mismo modo, las opciones de decodificación omitidas quedan en None y se ignoran.
+    transcribe_audio(
+        args.audio_file,
+        args.language,
+        args.progress,
+        model_name=args.model,
+        decode_options={
+            "task": args.task,
+            "temperature": args.temperature,
+            "beam_size": args.beam_size,
+            "initial_prompt": args.initial_prompt,
+            "word_timestamps": args.word_timestamps or None,
+        },
+        diarize_options={"num_speakers": args.num_speakers} if args.diarize else None,
+    )
\ No newline at end of file
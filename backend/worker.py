@@ -0,0 +1,138 @@
+# backend/worker.py
+
+# --- Importaciones de Módulos ---
+import sys                          # Módulo del sistema para acceder a stdin/stdout/stderr.
+import os                           # Módulo del sistema operativo (ej. verificar existencia de archivos, PID).
+import json                         # Módulo para el protocolo de mensajes JSON (una línea por mensaje).
+import traceback                    # Registro detallado de errores inesperados en stderr.
+from collections import OrderedDict # Caché de modelos con orden de uso (LRU).
+
+from transcribe import MODEL_SIZE, run_model, load_model, error_payload  # Núcleo de transcripción compartido con el modo de línea de comandos.
+
+# --- Configuración del Worker ---
+# Número máximo de modelos que se mantienen cargados en memoria a la vez.
+# Al superar el límite se descarta el modelo usado hace más tiempo (los modelos grandes ocupan varios GB).
+MAX_CACHED_MODELS = int(os.environ.get("WHISPER_MAX_CACHED_MODELS", "2"))
+# ------------------------------------
+
+# Modelos cargados, indexados por nombre, del menos al más recientemente usado.
+loaded_models = OrderedDict()
+
+
+def send(channel, message):
+    """
+    Escribe un mensaje del protocolo como una línea JSON y la vacía inmediatamente.
+
+    Args:
+        channel: Flujo reservado para el protocolo (el stdout original del proceso).
+        message (dict): Mensaje a enviar.
+    """
+    channel.write(json.dumps(message) + "\n")
+    channel.flush()
+
+
+def get_model(name):
+    """
+    Devuelve el modelo solicitado, cargándolo solo si no está ya en la caché.
+
+    Args:
+        name (str): Nombre del modelo Whisper (ej. "base", "small").
+
+    Returns:
+        El modelo cargado.
+
+    Raises:
+        TranscriptionError: MODEL_LOAD_FAILED si no se pudo cargar.
+    """
+    if name in loaded_models:
+        loaded_models.move_to_end(name)
+        return loaded_models[name]
+
+    print(f"Cargando modelo Whisper '{name}'...", file=sys.stderr)
+    model = load_model(name)
+    loaded_models[name] = model
+    # Descarta los modelos menos usados si se supera el límite de la caché.
+    while len(loaded_models) > MAX_CACHED_MODELS:
+        evicted, _ = loaded_models.popitem(last=False)
+        print(f"Modelo '{evicted}' descartado de la caché.", file=sys.stderr)
+    return model
+
+
+def handle_request(channel, request):
+    """
+    Atiende una solicitud del backend y responde por el canal del protocolo.
+
+    Solicitudes admitidas:
+    - `{"id", "type": "ping"}`: Comprobación de salud. Responde `{"id", "type": "pong", "models": [...]}`.
+    - `{"id", "type": "transcribe", "audio_file", "language", "model", "decode_options", "diarize", "progress"}`:
+      Transcribe un archivo. Si `progress` es true, emite antes eventos `{"id", "type": "event", "event", ...}`.
+      Si `diarize` no es null (`{"num_speakers"}`), etiqueta cada segmento con su hablante.
+      Responde `{"id", "type": "result", "result", "models"}` o `{"id", "type": "error", "error", "code", "details", "models"}`
+      (ver `error_payload` en transcribe.py).
+
+    Args:
+        channel: Flujo reservado para el protocolo.
+        request (dict): Solicitud recibida.
+    """
+    request_id = request.get("id")
+
+    if request.get("type") == "ping":
+        send(channel, {"id": request_id, "type": "pong", "models": list(loaded_models)})
+        return
+
+    if request.get("type") != "transcribe":
+        send(channel, {"id": request_id, "type": "error", "error": f"Tipo de solicitud desconocido: {request.get('type')}", "code": "INVALID_REQUEST"})
+        return
+
+    file_path = request.get("audio_file")
+    # Validación: Comprueba si el archivo de audio especificado existe en la ruta proporcionada.
+    if not file_path or not os.path.exists(file_path):
+        send(channel, {"id": request_id, "type": "error", "error": f"Archivo de audio no encontrado: {file_path}", "code": "MISSING_FILE"})
+        return
+
+    model_name = request.get("model") or MODEL_SIZE
+    emit = None
+    if request.get("progress"):
+        # Los eventos de progreso se etiquetan con el ID de la solicitud a la que pertenecen.
+        emit = lambda event, **data: send(channel, {"id": request_id, "type": "event", "event": event, **data})
+
+    try:
+        model = get_model(model_name)
+        result = run_model(
+            model, file_path, request.get("language"), model_name,
+            request.get("decode_options"), emit, request.get("diarize"),
+        )
+        send(channel, {"id": request_id, "type": "result", "result": result, "models": list(loaded_models)})
+    except Exception as e:
+        # El error se informa al backend, pero el worker sigue vivo para atender nuevas solicitudes.
+        traceback.print_exc(file=sys.stderr)
+        send(channel, {"id": request_id, "type": "error", **error_payload(e), "models": list(loaded_models)})
+
+
+def main():
+    """
+    Bucle principal del worker: lee solicitudes JSON de stdin (una por línea) y las atiende en orden.
+    Finaliza cuando el backend cierra stdin.
+    """
+    # Reserva el stdout original para el protocolo. Cualquier `print` de Whisper u otras bibliotecas
+    # se desvía a stderr para no corromper los mensajes.
+    channel = sys.stdout
+    sys.stdout = sys.stderr
+
+    send(channel, {"type": "ready", "pid": os.getpid(), "models": list(loaded_models)})
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        try:
+            request = json.loads(line)
+        except json.JSONDecodeError:
+            send(channel, {"id": None, "type": "error", "error": f"Solicitud no válida (JSON mal formado): {line[:200]}", "code": "INVALID_REQUEST"})
+            continue
+        handle_request(channel, request)
+
+
+# --- Punto de Entrada Principal del Script ---
+if __name__ == "__main__":
+    main()
@@ -1,26 +1,25 @@
 // frontend/src/App.jsx
-import React, { useState } from 'react'; // Importa React y el hook useState.
+import React, { useState, useRef, useEffect } from 'react'; // Importa React y los hooks useState, useRef y useEffect.
+import TranscriptResult from './components/TranscriptResult.jsx'; // Tarjeta de resultado con segmentos y descargas.
+import HistorySidebar from './components/HistorySidebar.jsx'; // Barra lateral con el historial de transcripciones.
+import TranscriptionOptions from './components/TranscriptionOptions.jsx'; // Controles de modelo y opciones de decodificación.
+import LiveRecorder from './components/LiveRecorder.jsx'; // Grabación desde el micrófono con transcripción en vivo.
+import BatchUpload from './components/BatchUpload.jsx'; // Transcripción por lotes de varios archivos o ZIP.
+import PreprocessingOptions from './components/PreprocessingOptions.jsx'; // Recorte, silencios y normalización del audio.
+import ApiKeySettings from './components/ApiKeySettings.jsx'; // Introducción de la clave de API del backend.
+import LanguageSwitcher from './components/LanguageSwitcher.jsx'; // Selector del idioma de la interfaz.
+import { apiFetch, withApiKey, withLocale, API_KEY_EVENT } from './utils/api.js'; // Solicitudes al backend con la clave de API.
+import { apiError, describeApiError } from './utils/errors.js'; // Mensajes para los códigos de error de la API.
+import { formatAudioInfo, formatDuration } from './utils/format.js'; // Utilidades de formato de tiempos y del audio.
+import { useI18n } from './utils/i18n.js'; // Textos de la interfaz en el idioma elegido.
 
 /**
- * Define las opciones de idioma disponibles para la selección del usuario en la UI.
- * Cada objeto contiene:
- * - `code`: El código de idioma ISO 639-1 (o cadena vacía para auto-detección) que se enviará a Whisper. **Esencial que sea válido.**
- * - `name`: El nombre del idioma mostrado al usuario en el menú desplegable (traducido).
+ * Códigos de idioma ISO 639-1 disponibles para la selección del usuario en la UI, que se envían a Whisper
+ * (**esencial que sean válidos**). La cadena vacía es la auto-detección. El nombre mostrado en el menú
+ * desplegable es el de la clave `languages.<código>` (o `languages.auto`) de los catálogos de `locales/`.
  */
-const supportedLanguages = [
-    { code: '', name: 'Detectar Automáticamente' }, // Opción para auto-detección, usa cadena vacía como valor.
-    { code: 'en', name: 'Inglés' },
-    { code: 'es', name: 'Español' },
-    { code: 'fr', name: 'Francés' },
-    { code: 'de', name: 'Alemán' },
-    { code: 'it', name: 'Italiano' },
-    { code: 'ja', name: 'Japonés' },
-    { code: 'zh', name: 'Chino' },
-    { code: 'ko', name: 'Coreano' },
-    { code: 'pt', name: 'Portugués' },
-    { code: 'ru', name: 'Ruso' },
-  // Se pueden agregar más códigos de idioma válidos según la documentación de Whisper.
-];
+const supportedLanguages = ['', 'en', 'es', 'fr', 'de', 'it', 'ja', 'zh', 'ko', 'pt', 'ru'];
+// Se pueden agregar más códigos de idioma válidos según la documentación de Whisper (y su nombre en los catálogos).
 
 /**
  * Componente principal de la aplicación.
@@ -28,23 +27,104 @@ const supportedLanguages = [
  * enviar la solicitud de transcripción al backend y mostrar los resultados o errores.
  */
 function App() {
+    // Función de traducción; el componente se vuelve a renderizar al cambiar el idioma de la interfaz.
+    const { t } = useI18n();
+
     // --- Definición de Estados del Componente ---
 
     // Almacena el objeto File del archivo de audio seleccionado por el usuario.
     const [selectedFile, setSelectedFile] = useState(null);
     // Almacena el texto de la transcripción recibida del backend.
     const [transcription, setTranscription] = useState('');
+    // Almacena los segmentos con tiempos (`{ start, end, text }`) de la transcripción recibida.
+    const [segments, setSegments] = useState([]);
+    // Nombres asignados a los hablantes de la transcripción mostrada (`{ SPEAKER_1: 'Ana' }`).
+    const [speakerNames, setSpeakerNames] = useState({});
+    // Traducción de la transcripción mostrada (`{ language, provider, text }`), o null si no se tradujo.
+    const [translation, setTranslation] = useState(null);
+    // ID de la transcripción mostrada en el historial (necesario para descargar los subtítulos).
+    const [resultId, setResultId] = useState(null);
+    // Versión guardada de la transcripción mostrada (0 = original), para no sobrescribir ediciones más recientes.
+    const [resultRevision, setResultRevision] = useState(0);
+    // Contador que se incrementa al completar una transcripción, para que el historial se recargue.
+    const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
     // Controla la visualización del indicador de carga durante la transcripción.
     const [isLoading, setIsLoading] = useState(false);
     // Almacena mensajes de error para mostrarlos en la UI.
     const [error, setError] = useState('');
     // Almacena el código del idioma seleccionado ('', 'en', 'es', etc.). Vacío implica auto-detección.
     const [selectedLanguage, setSelectedLanguage] = useState('');
+    // Modelos y valores permitidos para cada opción, obtenidos de `GET /api/models` (null mientras se cargan).
+    const [modelConfig, setModelConfig] = useState(null);
+    // Opciones de decodificación seleccionadas. Los valores vacíos usan el valor por defecto del backend.
+    const [decodeOptions, setDecodeOptions] = useState({
+        model: '', task: '', temperature: '', beamSize: '', initialPrompt: '', wordTimestamps: false,
+        diarize: false, numSpeakers: '', translateTo: '',
+    });
+    // Preprocesamiento del audio: fragmento a transcribir (segundos; vacío = principio o final) y filtros de FFmpeg.
+    const [preprocessOptions, setPreprocessOptions] = useState({
+        trimStart: '', trimEnd: '', removeSilence: false, normalize: false, resample: false,
+    });
+    // Duración y formato del audio enviado, según el análisis del backend (null si no está disponible).
+    const [inputInfo, setInputInfo] = useState(null);
+    // ID del último resultado recuperado de la caché del backend (mismo audio y mismas opciones que una transcripción anterior).
+    const [cachedResultId, setCachedResultId] = useState(null);
+    // Almacena el ID y el estado ('queued', 'running', ...) del trabajo de transcripción en curso.
+    const [currentJob, setCurrentJob] = useState(null);
+    // Último avance informado por el backend: `{ percent, elapsed }`.
+    const [progress, setProgress] = useState(null);
+    // Segmentos decodificados hasta el momento (`{ start, end, text }`), para mostrar el texto en vivo.
+    const [liveSegments, setLiveSegments] = useState([]);
+    // Modo de entrada: 'file' (subir un archivo), 'url' (audio que descarga o importa el servidor),
+    // 'batch' (varios archivos o ZIP) o 'record' (grabar desde el micrófono).
+    const [inputMode, setInputMode] = useState('file');
+    // URL del audio (o ruta dentro del directorio de importación del servidor) en el modo 'url'.
+    const [sourceUrl, setSourceUrl] = useState('');
+    // Indica si hay una grabación en curso (bloquea las opciones y el cambio de modo).
+    const [isRecording, setIsRecording] = useState(false);
+    // Indica si hay un lote subiéndose o en proceso (bloquea las opciones y el cambio de modo).
+    const [isBatchActive, setIsBatchActive] = useState(false);
+    // Referencia a la conexión SSE abierta con el backend (para poder cerrarla).
+    const eventSourceRef = useRef(null);
 
     // --- Constantes y Configuraciones ---
 
-    // URL del endpoint en el backend responsable de procesar la transcripción.
+    // URL del endpoint en el backend responsable de encolar la transcripción.
     const API_ENDPOINT = 'http://localhost:5001/api/transcribe';
+    // URL base de los endpoints de consulta, eventos y cancelación de trabajos.
+    const JOBS_ENDPOINT = 'http://localhost:5001/api/jobs';
+    // URL base de los endpoints del historial persistente de transcripciones.
+    const HISTORY_ENDPOINT = 'http://localhost:5001/api/history';
+
+    // URL del endpoint con los modelos y opciones de decodificación permitidos.
+    const MODELS_ENDPOINT = 'http://localhost:5001/api/models';
+    // URL del WebSocket de transcripción en vivo de grabaciones del micrófono.
+    const LIVE_ENDPOINT = 'ws://localhost:5001/api/live';
+    // URL base de los endpoints de transcripción por lotes.
+    const BATCH_ENDPOINT = 'http://localhost:5001/api/batch';
+
+    // Idiomas del menú desplegable con su nombre en el idioma de la interfaz.
+    const languageOptions = supportedLanguages.map(code => ({ code, name: t(code ? `languages.${code}` : 'languages.auto') }));
+
+    // Cierra la conexión SSE pendiente al desmontar el componente.
+    useEffect(() => () => eventSourceRef.current?.close(), []);
+
+    // Carga al montar los modelos y opciones permitidos, para construir los controles a partir de ellos.
+    useEffect(() => {
+        fetch(MODELS_ENDPOINT)
+            .then(response => response.json())
+            .then(setModelConfig)
+            .catch(err => console.error('No se pudieron cargar los modelos disponibles:', err));
+    }, []);
+
+    // Recarga el historial al cambiar la clave de API (con otra clave puede pasar a estar accesible).
+    useEffect(() => {
+        const handleApiKeyEvent = (event) => {
+            if (event.detail.reason === 'changed') setHistoryRefreshKey(key => key + 1);
+        };
+        window.addEventListener(API_KEY_EVENT, handleApiKeyEvent);
+        return () => window.removeEventListener(API_KEY_EVENT, handleApiKeyEvent);
+    }, []);
 
     // --- Manejadores de Eventos ---
 
@@ -56,8 +136,13 @@ function App() {
     const handleFileChange = (event) => {
         const file = event.target.files[0];
         setSelectedFile(file);
+        // El fragmento elegido corresponde al archivo anterior.
+        setPreprocessOptions(prev => ({ ...prev, trimStart: '', trimEnd: '' }));
+        setInputInfo(null);
         // Limpia resultados/errores previos al seleccionar un nuevo archivo.
         setTranscription('');
+        setSegments([]);
+        setResultId(null);
         setError('');
         if (file) {
             // Opcional: Registrar detalles del archivo seleccionado en consola.
@@ -76,18 +161,193 @@ function App() {
         console.log(`Idioma seleccionado: ${event.target.value || 'Auto-Detectar'}`);
     };
 
+    /**
+     * Se suscribe a los eventos SSE de un trabajo hasta que alcanza un estado final.
+     * Mientras tanto actualiza el progreso y el texto en vivo con cada evento recibido.
+     * @param {string} jobId - Identificador del trabajo devuelto por el backend.
+     * @returns {Promise<object>} El trabajo en su estado final (done, failed o cancelled).
+     */
+    const waitForJob = (jobId) => new Promise((resolve, reject) => {
+        const source = new EventSource(withLocale(withApiKey(`${JOBS_ENDPOINT}/${jobId}/events`)));
+        eventSourceRef.current = source;
+
+        // Estado del trabajo: al llegar a un estado final se cierra la conexión y se resuelve la promesa.
+        source.addEventListener('status', (event) => {
+            const job = JSON.parse(event.data);
+            setCurrentJob({ id: job.id, status: job.status });
+            if (['done', 'failed', 'cancelled'].includes(job.status)) {
+                source.close();
+                resolve(job);
+            }
+        });
+        // Avance de la transcripción: porcentaje completado y tiempo transcurrido.
+        source.addEventListener('progress', (event) => {
+            setProgress(JSON.parse(event.data));
+        });
+        // Nuevo segmento decodificado: se añade al texto en vivo.
+        source.addEventListener('segment', (event) => {
+            const segment = JSON.parse(event.data);
+            setLiveSegments(prev => [...prev, segment]);
+        });
+        // Error de conexión: se evita la reconexión automática (repetiría los segmentos ya recibidos).
+        source.onerror = () => {
+            source.close();
+            reject(new Error(t('app.connectionLost')));
+        };
+    });
+
+    /**
+     * Solicita al backend la cancelación del trabajo en curso.
+     * El sondeo detectará el estado 'cancelled' y actualizará la UI.
+     */
+    const handleCancel = async () => {
+        if (!currentJob) return;
+        try {
+            await apiFetch(`${JOBS_ENDPOINT}/${currentJob.id}`, { method: 'DELETE' });
+            console.log(`Cancelación solicitada para el trabajo ${currentJob.id}.`);
+        } catch (err) {
+            console.error('No se pudo cancelar el trabajo:', err);
+        }
+    };
+
+    /**
+     * Reabre una transcripción guardada en el historial y la muestra en la tarjeta de resultado.
+     * @param {string} entryId - ID de la entrada del historial.
+     */
+    const handleOpenHistory = async (entryId) => {
+        try {
+            const response = await apiFetch(`${HISTORY_ENDPOINT}/${entryId}`);
+            const entry = await response.json();
+            if (!response.ok) {
+                throw apiError(entry, response);
+            }
+            setTranscription(entry.transcription);
+            setSegments(entry.segments || []);
+            setSpeakerNames(entry.speakerNames || {});
+            setTranslation(entry.translation || null);
+            setResultId(entry.id);
+            setResultRevision(entry.revision || 0);
+            setError('');
+        } catch (err) {
+            console.error('No se pudo abrir la transcripción del historial:', err);
+            setError(t('app.openFailed', { message: err.message }));
+        }
+    };
+
+    /**
+     * Guarda el nombre de un hablante de la transcripción mostrada. Un nombre vacío restablece el nombre por defecto.
+     * @param {string} speakerId - Identificador del hablante (ej. 'SPEAKER_1').
+     * @param {string} name - Nuevo nombre.
+     * @returns {Promise<void>} Se rechaza con el mensaje de error del backend si no se pudo guardar.
+     */
+    const handleRenameSpeaker = async (speakerId, name) => {
+        const response = await apiFetch(`${HISTORY_ENDPOINT}/${resultId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ speakers: { [speakerId]: name } }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(data, response);
+        }
+        setSpeakerNames(data.speakerNames || {});
+    };
+
+    /**
+     * Guarda los segmentos corregidos en el editor como una nueva versión de la transcripción mostrada.
+     * A partir de ese momento, las descargas usan la versión editada.
+     * @param {object[]} editedSegments - Segmentos editados.
+     * @returns {Promise<void>} Se rechaza con el mensaje de error del backend si no se pudo guardar
+     *          (ej. si la transcripción se modificó desde otra pestaña).
+     */
+    const handleSaveSegments = async (editedSegments) => {
+        const response = await apiFetch(`${HISTORY_ENDPOINT}/${resultId}/transcript`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ segments: editedSegments, revision: resultRevision }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(data, response);
+        }
+        console.log(`Transcripción ${data.id} guardada (versión ${data.revision}).`);
+        setTranscription(data.transcription);
+        setSegments(data.segments);
+        setTranslation(data.translation || null);
+        setResultRevision(data.revision);
+        setHistoryRefreshKey(key => key + 1);
+    };
+
+    /**
+     * Limpia la tarjeta de resultado si la transcripción eliminada del historial es la que se muestra.
+     * @param {string} entryId - ID de la entrada eliminada.
+     */
+    const handleHistoryDeleted = (entryId) => {
+        if (entryId === resultId) {
+            setTranscription('');
+            setSegments([]);
+            setResultId(null);
+        }
+    };
+
+    /**
+     * Callback de la grabación en vivo al empezar o terminar.
+     * Al empezar, limpia el resultado y los errores anteriores.
+     * @param {boolean} active - Si hay una grabación en curso.
+     */
+    const handleRecordingActiveChange = (active) => {
+        setIsRecording(active);
+        if (active) {
+            setError('');
+            setTranscription('');
+            setSegments([]);
+            setResultId(null);
+        }
+    };
+
+    /**
+     * Muestra la transcripción consolidada de una grabación, que el backend ya guardó en el historial.
+     * @param {object} entry - Entrada del historial (`{ id, transcription, segments, ... }`).
+     */
+    const handleRecordingComplete = (entry) => {
+        console.log(`Grabación transcrita y guardada: ${entry.id}`);
+        setTranscription(entry.transcription);
+        setSegments(entry.segments || []);
+        setSpeakerNames(entry.speakerNames || {});
+        setTranslation(entry.translation || null);
+        setResultId(entry.id);
+        setResultRevision(entry.revision || 0);
+        setHistoryRefreshKey(key => key + 1);
+    };
+
+    /**
+     * Callback del lote al enviarse o finalizar. Al enviarse, limpia el resultado y los errores anteriores.
+     * @param {boolean} active - Si hay un lote en proceso.
+     */
+    const handleBatchActiveChange = (active) => {
+        setIsBatchActive(active);
+        if (active) {
+            setError('');
+            setTranscription('');
+            setSegments([]);
+            setResultId(null);
+        }
+    };
+
     /**
      * Gestiona el envío del formulario de transcripción.
      * Se ejecuta al presionar el botón 'Iniciar Transcripción'.
-     * Prepara y envía la solicitud POST al backend con el archivo y el idioma seleccionado.
+     * Prepara y envía la solicitud POST al backend con el archivo y el idioma seleccionado,
+     * y espera a que el trabajo encolado finalice consultando su estado.
      * @param {React.FormEvent<HTMLFormElement>} event - El evento de envío del formulario.
      */
     const handleSubmit = async (event) => {
         // Previene el comportamiento por defecto del formulario (recarga de página).
         event.preventDefault();
-        // Validación simple: no continuar si no hay archivo seleccionado.
-        if (!selectedFile) {
-            setError('Por favor, selecciona primero un archivo de audio.');
+        // Validación simple: no continuar si no hay archivo seleccionado (o URL, en el modo 'url').
+        const source = sourceUrl.trim();
+        if (inputMode === 'url' ? !source : !selectedFile) {
+            setError(inputMode === 'url' ? t('app.missingUrl') : t('app.missingFile'));
             return;
         }
 
@@ -97,11 +357,24 @@ function App() {
         setIsLoading(true);
         setError('');
         setTranscription('');
+        setSegments([]);
+        setResultId(null);
+        setCurrentJob(null);
+        setProgress(null);
+        setLiveSegments([]);
+        setInputInfo(null);
 
         // Construye el objeto FormData para enviar datos multipart (archivo + campos de texto).
         const formData = new FormData();
         // Adjunta el archivo. La clave 'audioFile' debe coincidir con la esperada por Multer en el backend.
-        formData.append('audioFile', selectedFile);
+        // En el modo 'url' se envía en su lugar la URL que descarga el servidor, o la ruta del directorio de importación.
+        if (inputMode !== 'url') {
+            formData.append('audioFile', selectedFile);
+        } else if (/^https?:\/\//i.test(source)) {
+            formData.append('url', source);
+        } else {
+            formData.append('importPath', source);
+        }
 
         // Adjunta el código de idioma si se seleccionó uno específico (no 'Auto-Detectar').
         // La clave 'language' debe coincidir con la esperada en req.body en el backend.
@@ -109,13 +382,22 @@ function App() {
             formData.append('language', selectedLanguage);
         }
 
+        // Adjunta solo las opciones de decodificación indicadas; las vacías usan el valor por defecto del backend.
+        Object.entries(decodeOptions).forEach(([name, value]) => {
+            if (value !== '' && value !== false) formData.append(name, value);
+        });
+        // Igual con el preprocesamiento: sin opciones, el audio se transcribe tal cual.
+        Object.entries(preprocessOptions).forEach(([name, value]) => {
+            if (value !== '' && value !== false) formData.append(name, value);
+        });
+
         // Opcional: Registrar los datos que se envían en consola.
-        console.log(`Enviando con código de idioma: ${selectedLanguage || 'No especificado (Auto)'}`);
+        console.log(`Enviando con código de idioma: ${selectedLanguage || 'No especificado (Auto)'}, modelo: ${decodeOptions.model || 'por defecto'}`);
 
         // Bloque try/catch para manejar la llamada asíncrona y posibles errores.
         try {
             // Realiza la petición POST asíncrona al endpoint definido.
-            const response = await fetch(API_ENDPOINT, {
+            const response = await apiFetch(API_ENDPOINT, {
                 method: 'POST',
                 body: formData,
                 // Nota: El navegador establece automáticamente el 'Content-Type' a 'multipart/form-data' con FormData.
@@ -126,34 +408,62 @@ function App() {
             const data = await response.json();
 
             // Verifica si la respuesta HTTP indica éxito (ej: status code 200-299).
+            // Muestra la duración y el formato detectados (también si se rechazó, ej. por un recorte fuera del audio).
+            setInputInfo(data.input || null);
+
             if (!response.ok) {
-                // Si no es exitosa, lanza un error. Prioriza el mensaje de error del backend.
-                throw new Error(data.error || `Error del servidor: ${response.status} ${response.statusText}`);
+                // Si no es exitosa, lanza un error con el mensaje que corresponde a su código (ver `utils/errors.js`).
+                throw apiError(data, response);
             }
 
-            // Si la respuesta es exitosa, verifica que contenga la propiedad 'transcription'.
-            if (data.transcription !== undefined) {
+            // El backend responde de inmediato con el ID del trabajo encolado (o ya completado, si el resultado estaba en caché).
+            console.log(data.cached ? `Resultado en caché: ${data.jobId}` : `Trabajo encolado: ${data.jobId}`);
+            setCurrentJob({ id: data.jobId, status: data.status });
+            setCachedResultId(data.cached ? data.jobId : null);
+
+            // Espera a que el trabajo finalice siguiendo su progreso en vivo.
+            const job = await waitForJob(data.jobId);
+
+            if (job.status === 'cancelled') {
+                throw new Error(t('errors.CANCELLED'));
+            }
+            if (job.status === 'failed') {
+                // Se muestra el mensaje de su código, no el error técnico del motor.
+                throw new Error(describeApiError(job.error, t('app.unknownError')));
+            }
+
+            // El trabajo terminó correctamente: verifica que contenga la propiedad 'transcription'.
+            if (job.result?.transcription !== undefined) {
                 // Opcional: Registrar éxito en consola.
                 console.log('Transcripción recibida con éxito.');
                 // Actualiza el estado para mostrar la transcripción en la UI.
-                setTranscription(data.transcription);
+                setTranscription(job.result.transcription);
+                setSegments(job.result.segments || []);
+                setSpeakerNames({});
+                setTranslation(job.result.translation || null);
+                // El backend guarda el resultado en el historial con el mismo ID que el trabajo.
+                setResultId(job.id);
+                setResultRevision(0);
+                setHistoryRefreshKey(key => key + 1);
             } else {
-                // Maneja un caso inesperado: respuesta OK pero sin datos de transcripción.
-                console.error('Respuesta OK, pero no se encontraron datos de transcripción:', data);
-                throw new Error('Se recibió estado de éxito, pero faltan datos de transcripción en la respuesta.');
+                // Maneja un caso inesperado: trabajo finalizado sin datos de transcripción.
+                console.error('Trabajo finalizado, pero no se encontraron datos de transcripción:', job);
+                throw new Error(t('app.missingResult'));
             }
 
         } catch (err) {
             // Captura cualquier error ocurrido durante el fetch o el procesamiento de la respuesta.
             console.error('Falló la solicitud de transcripción:', err);
             // Actualiza el estado de error para mostrar un mensaje al usuario.
-            setError(`Falló la transcripción: ${err.message}`);
+            setError(t('app.failed', { message: err.message }));
             // Limpia cualquier transcripción residual en caso de error.
             setTranscription('');
+            setSegments([]);
         } finally {
             // Este bloque se ejecuta siempre, después del try o del catch.
             // Asegura que el estado de carga se restablezca para habilitar la UI nuevamente.
             setIsLoading(false);
+            setCurrentJob(null);
             // Opcional: Registrar finalización del proceso en consola.
             console.log('Procesamiento finalizado.');
         }
@@ -164,83 +474,199 @@ function App() {
     return (
         <div className="container mt-4 mb-5">
             <div className="row justify-content-center">
-                <div className="col-lg-8 col-md-10">
+                {/* Barra lateral con el historial de transcripciones guardadas */}
+                <div className="col-lg-3 col-md-10 order-2 order-lg-1">
+                    <HistorySidebar
+                        endpoint={HISTORY_ENDPOINT}
+                        refreshKey={historyRefreshKey}
+                        activeId={resultId}
+                        onOpen={handleOpenHistory}
+                        onDeleted={handleHistoryDeleted}
+                    />
+                </div>
+
+                <div className="col-lg-8 col-md-10 order-1 order-lg-2">
+
+                    {/* Idioma de la interfaz (se guarda en el navegador) */}
+                    <LanguageSwitcher />
+                    {/* Clave de API con la que el frontend se identifica ante el backend */}
+                    <ApiKeySettings />
 
                     {/* Encabezado principal de la aplicación */}
                     <header className="text-center mb-5">
-                        <h1 className="display-5">Transcriptor de Audio</h1>
-                        <p className="lead text-muted">Sube un archivo de audio para transcribirlo localmente usando Whisper</p>
+                        <h1 className="display-5">{t('app.title')}</h1>
+                        <p className="lead text-muted">{t('app.subtitle')}</p>
                     </header>
 
                     {/* Tarjeta que contiene el formulario de carga */}
                     <div className="card shadow-sm mb-4">
+                        {/* Pestañas del modo de entrada: archivo o grabación */}
+                        <div className="card-header">
+                            <ul className="nav nav-tabs card-header-tabs">
+                                {['file', 'url', 'batch', 'record'].map(mode => (
+                                    <li className="nav-item" key={mode}>
+                                        <button
+                                            type="button"
+                                            className={`nav-link ${inputMode === mode ? 'active' : ''}`}
+                                            onClick={() => {
+                                                setInputMode(mode);
+                                                setSelectedFile(null);
+                                                setPreprocessOptions(prev => ({ ...prev, trimStart: '', trimEnd: '' }));
+                                            }}
+                                            disabled={isLoading || isRecording || isBatchActive}
+                                        >
+                                            {t(`app.tabs.${mode}`)}
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
                         <div className="card-body">
                             <form onSubmit={handleSubmit}>
 
                                 {/* Sección para seleccionar el archivo de audio */}
-                                <div className="mb-3">
-                                    <label htmlFor="audioFileInput" className="form-label fw-bold">
-                                        Selecciona el Archivo de Audio
-                                    </label>
-                                    <input
-                                        type="file"
-                                        className="form-control" // Estilo Bootstrap
-                                        id="audioFileInput"
-                                        accept="audio/*" // Filtra para mostrar solo archivos de audio
-                                        onChange={handleFileChange} // Llama al manejador al cambiar
-                                        disabled={isLoading} // Deshabilita mientras carga
-                                        aria-describedby="fileHelp"
-                                        required // Campo obligatorio
-                                    />
-                                    {/* Texto de ayuda */}
-                                    <div id="fileHelp" className="form-text">
-                                        Admite varios formatos como mp3, wav, m4a, ogg a través de FFmpeg.
+                                {inputMode === 'file' && (
+                                    <div className="mb-3">
+                                        <label htmlFor="audioFileInput" className="form-label fw-bold">
+                                            {t('app.fileLabel')}
+                                        </label>
+                                        <input
+                                            type="file"
+                                            className="form-control" // Estilo Bootstrap
+                                            id="audioFileInput"
+                                            accept="audio/*" // Filtra para mostrar solo archivos de audio
+                                            onChange={handleFileChange} // Llama al manejador al cambiar
+                                            disabled={isLoading} // Deshabilita mientras carga
+                                            aria-describedby="fileHelp"
+                                            required // Campo obligatorio
+                                        />
+                                        {/* Texto de ayuda */}
+                                        <div id="fileHelp" className="form-text">
+                                            {t('app.fileHelp')}
+                                        </div>
                                     </div>
-                                </div>
+                                )}
+
+                                {/* Sección para indicar la URL del audio (la descarga el servidor) */}
+                                {inputMode === 'url' && (
+                                    <div className="mb-3">
+                                        <label htmlFor="audioUrlInput" className="form-label fw-bold">
+                                            {t('app.urlLabel')}
+                                        </label>
+                                        <input
+                                            type="text"
+                                            className="form-control"
+                                            id="audioUrlInput"
+                                            value={sourceUrl}
+                                            onChange={(event) => setSourceUrl(event.target.value)}
+                                            placeholder={t('app.urlPlaceholder')}
+                                            disabled={isLoading}
+                                            aria-describedby="urlHelp"
+                                            required
+                                        />
+                                        <div id="urlHelp" className="form-text">
+                                            {t('app.urlHelp')}
+                                        </div>
+                                    </div>
+                                )}
 
                                 {/* Sección para seleccionar el idioma (opcional) */}
                                 <div className="mb-3">
                                     <label htmlFor="languageSelect" className="form-label fw-bold">
-                                        Especificar idioma (opcional)
+                                        {t('app.languageLabel')}
                                     </label>
                                     <select
                                         className="form-select" // Estilo Bootstrap
                                         id="languageSelect"
                                         value={selectedLanguage} // Vinculado al estado
                                         onChange={handleLanguageChange} // Llama al manejador al cambiar
-                                        disabled={isLoading} // Deshabilita mientras carga
+                                        disabled={isLoading || isRecording || isBatchActive} // Deshabilita mientras carga, graba o procesa un lote
                                         aria-describedby="langHelp"
                                     >
                                         {/* Genera las opciones del menú desplegable desde el array `supportedLanguages` */}
-                                        {supportedLanguages.map(lang => (
+                                        {languageOptions.map(lang => (
                                             <option key={lang.code} value={lang.code}>
-                                                {lang.name} ({lang.code || 'Auto'}) {/* Muestra nombre y código */}
+                                                {lang.name} ({lang.code || t('languages.autoCode')}) {/* Muestra nombre y código */}
                                             </option>
                                         ))}
                                     </select>
                                      {/* Texto de ayuda */}
                                     <div id="langHelp" className="form-text">
-                                        Mejora la precisión para audio ruidoso, acentos o clips cortos.
+                                        {t('app.languageHelp')}
                                     </div>
                                 </div>
 
+                                {/* Selección de modelo y opciones de decodificación (construidas desde el backend) */}
+                                <TranscriptionOptions
+                                    config={modelConfig}
+                                    value={decodeOptions}
+                                    onChange={setDecodeOptions}
+                                    disabled={isLoading || isRecording || isBatchActive}
+                                    showDiarization={inputMode !== 'record'}
+                                    // La grabación en vivo no se traduce.
+                                    showTranslation={inputMode !== 'record'}
+                                    languages={languageOptions.filter(lang => lang.code && lang.code !== selectedLanguage)}
+                                />
+
+                                {/* Recorte y filtros del audio con FFmpeg (el fragmento solo al subir un único archivo) */}
+                                {inputMode !== 'record' && (
+                                    <PreprocessingOptions
+                                        value={preprocessOptions}
+                                        onChange={setPreprocessOptions}
+                                        file={selectedFile}
+                                        showRange={inputMode === 'file'}
+                                        disabled={isLoading || isBatchActive}
+                                    />
+                                )}
+
+                                {/* Varios archivos de audio o ZIP con seguimiento por archivo */}
+                                {inputMode === 'batch' && (
+                                    <BatchUpload
+                                        endpoint={BATCH_ENDPOINT}
+                                        options={{
+                                            language: selectedLanguage,
+                                            ...decodeOptions,
+                                            removeSilence: preprocessOptions.removeSilence,
+                                            normalize: preprocessOptions.normalize,
+                                            resample: preprocessOptions.resample,
+                                        }}
+                                        disabled={isLoading}
+                                        onActiveChange={handleBatchActiveChange}
+                                        onOpen={handleOpenHistory}
+                                        onFinished={() => setHistoryRefreshKey(key => key + 1)}
+                                    />
+                                )}
+
+                                {/* Grabación desde el micrófono con transcripción en vivo */}
+                                {inputMode === 'record' && (
+                                    <LiveRecorder
+                                        endpoint={LIVE_ENDPOINT}
+                                        options={{ language: selectedLanguage, ...decodeOptions, translateTo: '' }}
+                                        disabled={isLoading}
+                                        onActiveChange={handleRecordingActiveChange}
+                                        onComplete={handleRecordingComplete}
+                                    />
+                                )}
+
                                 {/* Botón para iniciar la transcripción */}
-                                <button
-                                    type="submit"
-                                    className="btn btn-success w-100" // Estilo Bootstrap
-                                    disabled={isLoading || !selectedFile} // Deshabilitado si está cargando o no hay archivo
-                                >
-                                    {/* Muestra texto diferente y spinner si está cargando */}
-                                    {isLoading ? (
-                                        <>
-                                            {/* Spinner de Bootstrap */}
-                                            <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                                            Transcribiendo...
-                                        </>
-                                    ) : (
-                                        'Iniciar Transcripción' // Texto por defecto
-                                    )}
-                                </button>
+                                {(inputMode === 'file' || inputMode === 'url') && (
+                                    <button
+                                        type="submit"
+                                        className="btn btn-success w-100" // Estilo Bootstrap
+                                        disabled={isLoading || (inputMode === 'url' ? !sourceUrl.trim() : !selectedFile)} // Deshabilitado si está cargando o no hay archivo (o URL)
+                                    >
+                                        {/* Muestra texto diferente y spinner si está cargando */}
+                                        {isLoading ? (
+                                            <>
+                                                {/* Spinner de Bootstrap */}
+                                                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                                                {t('app.transcribing')}
+                                            </>
+                                        ) : (
+                                            t('app.submit') // Texto por defecto
+                                        )}
+                                    </button>
+                                )}
                             </form>
                         </div>
                     </div>
@@ -250,40 +676,78 @@ function App() {
                         <div className="text-center my-4">
                             {/* Spinner animado de Bootstrap */}
                             <div className="spinner-grow text-primary" style={{ width: '3rem', height: '3rem' }} role="status">
-                                <span className="visually-hidden">Cargando...</span>
+                                <span className="visually-hidden">{t('app.loading')}</span>
                             </div>
-                            <p className="mt-2 text-muted fs-5">Procesando, por favor espere...</p>
-                            <p className="text-muted small">(Esto puede tardar un poco para archivos de audio largos o modelos más grandes)</p>
+                            <p className="mt-2 text-muted fs-5">
+                                {/* Mensaje según el estado del trabajo: en cola o en ejecución */}
+                                {currentJob?.status === 'queued' ? t('app.queued') : t('app.processing')}
+                            </p>
+                            <p className="text-muted small">{t('app.slowNote')}</p>
+                            {/* Duración y formato del audio detectados por el backend */}
+                            {inputInfo && <p className="text-muted small">{t('app.audioInfo', { info: formatAudioInfo(inputInfo) })}</p>}
+                            {/* Barra de progreso con el porcentaje completado y el tiempo transcurrido */}
+                            {progress && (
+                                <div className="mb-3">
+                                    <div className="progress" role="progressbar" aria-label={t('app.progressLabel')}
+                                        aria-valuenow={progress.percent ?? 0} aria-valuemin="0" aria-valuemax="100">
+                                        <div className="progress-bar progress-bar-striped progress-bar-animated" style={{ width: `${progress.percent ?? 0}%` }}>
+                                            {progress.percent != null && `${Math.round(progress.percent)}%`}
+                                        </div>
+                                    </div>
+                                    <div className="text-muted small mt-1">{t('app.elapsed', { time: formatDuration(progress.elapsed) })}</div>
+                                </div>
+                            )}
+                            {/* Transcripción en vivo: segmentos recibidos hasta el momento */}
+                            {liveSegments.length > 0 && (
+                                <div
+                                    className="bg-white p-3 rounded border text-start mb-3"
+                                    style={{ maxHeight: '200px', overflowY: 'auto', whiteSpace: 'pre-wrap', fontFamily: 'monospace' }}
+                                >
+                                    {liveSegments.map(segment => segment.text).join(' ')}
+                                </div>
+                            )}
+                            {/* Botón para cancelar el trabajo en curso (solo cuando ya existe un ID de trabajo) */}
+                            {currentJob && (
+                                <button type="button" className="btn btn-outline-danger btn-sm" onClick={handleCancel}>
+                                    {t('app.cancel')}
+                                </button>
+                            )}
                         </div>
                     )}
 
                     {/* Sección de Visualización de Errores (se muestra condicionalmente) */}
                     {error && !isLoading && ( // Muestra solo si hay un error y no se está cargando
                         <div className="alert alert-danger mt-4" role="alert">
-                            <h5 className="alert-heading">¡Error de Transcripción!</h5>
+                            <h5 className="alert-heading">{t('app.errorTitle')}</h5>
                             <p>{error}</p> {/* Muestra el mensaje de error del estado */}
+                            {inputInfo && <p className="small text-muted">{t('app.receivedAudio', { info: formatAudioInfo(inputInfo) })}</p>}
                             <hr />
-                            <p className="mb-0">Por favor, verifica el archivo, el idioma seleccionado o los registros del servidor backend.</p>
+                            <p className="mb-0">{t('app.errorHint')}</p>
                         </div>
                     )}
 
                     {/* Sección de Resultado de Transcripción (se muestra condicionalmente) */}
-                    {transcription && !isLoading && !error && ( // Muestra solo si hay transcripción, no está cargando y no hay error
-                        <div className="card shadow-sm mt-4">
-                            <div className="card-header bg-light">
-                                <h2 className="h5 mb-0">Resultado de la Transcripción</h2>
-                            </div>
-                            <div className="card-body">
-                                {/* Contenedor para el texto transcrito con scroll y formato pre */}
-                                <div
-                                    className="bg-white p-3 rounded border"
-                                    style={{ maxHeight: '400px', overflowY: 'auto', whiteSpace: 'pre-wrap', wordWrap: 'break-word', fontFamily: 'monospace' }}
-                                >
-                                    {transcription} {/* Muestra la transcripción del estado */}
-                                </div>
-                            </div>
+                    {transcription && !isLoading && !isRecording && !error && resultId && resultId === cachedResultId && (
+                        <div className="alert alert-info py-2 small mt-4 mb-0" role="status">
+                            {t('app.cachedNotice')}
                         </div>
                     )}
+                    {transcription && !isLoading && !isRecording && !error && ( // Muestra solo si hay transcripción, no está cargando y no hay error
+                        <TranscriptResult
+                            // Al mostrar otra transcripción se reinician el reproductor y el editor.
+                            key={resultId}
+                            transcription={transcription}
+                            segments={segments}
+                            downloadUrl={resultId && `${HISTORY_ENDPOINT}/${resultId}/download`}
+                            speakerNames={speakerNames}
+                            translation={translation}
+                            onRenameSpeaker={resultId ? handleRenameSpeaker : undefined}
+                            audioUrl={resultId && withApiKey(`${HISTORY_ENDPOINT}/${resultId}/audio`)}
+                            onSaveSegments={resultId ? handleSaveSegments : undefined}
+                            entryUrl={resultId && `${HISTORY_ENDPOINT}/${resultId}`}
+                            revision={resultRevision}
+                        />
+                    )}
 
                 </div> {/* Cierre de la columna principal */}
             </div> {/* Cierre de la fila */}
@@ -0,0 +1,106 @@
+// frontend/src/components/ApiKeySettings.jsx
+import React, { useState, useEffect } from 'react';
+import { API_KEY_EVENT, getApiKey, setApiKey } from '../utils/api.js';
+import { useI18n } from '../utils/i18n.js';
+
+/**
+ * Control para introducir la clave de API con la que el frontend se identifica ante el backend.
+ * La clave se guarda en el almacenamiento local del navegador y se envía en todas las solicitudes.
+ * El formulario se abre solo cuando el backend rechaza una solicitud por falta de una clave válida.
+ */
+function ApiKeySettings() {
+    const { t } = useI18n();
+
+    // --- Definición de Estados del Componente ---
+
+    // Clave guardada actualmente.
+    const [savedKey, setSavedKey] = useState(getApiKey);
+    // Si el formulario de edición está abierto.
+    const [isOpen, setIsOpen] = useState(false);
+    // Valor escrito en el formulario.
+    const [draft, setDraft] = useState('');
+    // Si el backend rechazó la clave actual (o la falta de clave).
+    const [rejected, setRejected] = useState(false);
+
+    // Sigue los cambios de la clave y abre el formulario cuando el backend responde 401.
+    useEffect(() => {
+        const handleApiKeyEvent = (event) => {
+            if (event.detail.reason === 'unauthorized') {
+                setRejected(true);
+                setIsOpen(true);
+            } else {
+                setSavedKey(getApiKey());
+            }
+        };
+        window.addEventListener(API_KEY_EVENT, handleApiKeyEvent);
+        return () => window.removeEventListener(API_KEY_EVENT, handleApiKeyEvent);
+    }, []);
+
+    // --- Manejadores de Eventos ---
+
+    /**
+     * Guarda la clave escrita y cierra el formulario.
+     * @param {React.FormEvent<HTMLFormElement>} event - El evento de envío del formulario.
+     */
+    const handleSave = (event) => {
+        event.preventDefault();
+        setApiKey(draft);
+        setDraft('');
+        setRejected(false);
+        setIsOpen(false);
+    };
+
+    /**
+     * Elimina la clave guardada en el navegador.
+     */
+    const handleRemove = () => {
+        setApiKey('');
+        setDraft('');
+        setIsOpen(false);
+    };
+
+    // --- Renderizado del Componente ---
+    return (
+        <div className="mb-3">
+            <div className="d-flex justify-content-end align-items-center gap-2 small">
+                <span className="text-muted">
+                    {savedKey ? t('apiKey.saved', { key: savedKey.slice(0, 10) }) : t('apiKey.none')}
+                </span>
+                <button type="button" className="btn btn-sm btn-link p-0" onClick={() => setIsOpen(open => !open)}>
+                    {savedKey ? t('apiKey.change') : t('apiKey.enter')}
+                </button>
+            </div>
+            {isOpen && (
+                <form className="card card-body mt-2" onSubmit={handleSave}>
+                    {rejected && (
+                        <div className="alert alert-warning py-1 px-2 small">
+                            {t('apiKey.required')}
+                        </div>
+                    )}
+                    <label htmlFor="apiKeyInput" className="form-label fw-bold">{t('apiKey.label')}</label>
+                    <div className="input-group">
+                        <input
+                            type="password"
+                            className="form-control font-monospace"
+                            id="apiKeyInput"
+                            value={draft}
+                            onChange={(event) => setDraft(event.target.value)}
+                            placeholder="tk_..."
+                            autoComplete="off"
+                            aria-describedby="apiKeyHelp"
+                        />
+                        <button type="submit" className="btn btn-primary" disabled={!draft.trim()}>{t('apiKey.save')}</button>
+                        {savedKey && (
+                            <button type="button" className="btn btn-outline-danger" onClick={handleRemove}>{t('apiKey.remove')}</button>
+                        )}
+                    </div>
+                    <div id="apiKeyHelp" className="form-text">
+                        {t('apiKey.help')}
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default ApiKeySettings;
@@ -0,0 +1,319 @@
+// frontend/src/components/BatchUpload.jsx
+import React, { useState, useRef, useEffect } from 'react';
+import { formatBytes } from '../utils/format.js';
+import { downloadFormats } from '../utils/downloads.js';
+import { apiFetch, withApiKey, withLocale } from '../utils/api.js';
+import { apiError, describeApiError } from '../utils/errors.js';
+import { useI18n } from '../utils/i18n.js';
+
+// Número máximo de archivos por lote; debe coincidir con `MAX_BATCH_FILES` del backend.
+const MAX_BATCH_FILES = 50;
+
+// Color (clase de Bootstrap) de cada estado de un archivo del lote; su etiqueta es la de `batch.jobStatus` en los
+// catálogos de `locales/`, y la del estado global del lote, la de `batch.status`.
+const jobStatusBadges = {
+    queued: 'bg-secondary',
+    running: 'bg-primary',
+    done: 'bg-success',
+    failed: 'bg-danger',
+    cancelled: 'bg-warning text-dark',
+};
+
+/**
+ * Transcripción por lotes: varios archivos de audio y/o archivos ZIP con audios.
+ * Los archivos se eligen arrastrándolos al área de carga o con el selector, se envían juntos a
+ * `POST /api/batch` y se sigue el progreso de cada uno por SSE en una tabla. Al terminar, las
+ * transcripciones completadas pueden descargarse juntas en un ZIP.
+ *
+ * @param {object} props
+ * @param {string} props.endpoint - URL base de los endpoints de lotes (ej. 'http://localhost:5001/api/batch').
+ * @param {object} props.options - Idioma y opciones de decodificación; los valores vacíos no se envían.
+ * @param {boolean} [props.disabled] - Impide enviar un lote (ej. mientras se transcribe otro archivo).
+ * @param {function(boolean): void} props.onActiveChange - Se invoca al enviar el lote (true) y cuando finaliza (false).
+ * @param {function(string): void} props.onOpen - Abre la transcripción de un archivo (recibe el ID del trabajo/historial).
+ * @param {function(): void} props.onFinished - Se invoca cuando termina un archivo, para recargar el historial.
+ */
+function BatchUpload({ endpoint, options, disabled, onActiveChange, onOpen, onFinished }) {
+    const { t } = useI18n();
+
+    // --- Definición de Estados del Componente ---
+
+    // Archivos elegidos para el próximo lote.
+    const [files, setFiles] = useState([]);
+    // Indica si se están arrastrando archivos sobre el área de carga.
+    const [isDragging, setIsDragging] = useState(false);
+    // Lote enviado, tal como lo serializa el backend (`{ id, status, counts, jobs, rejected }`).
+    const [batch, setBatch] = useState(null);
+    // Indica si el lote se está subiendo (antes de que el backend responda).
+    const [isUploading, setIsUploading] = useState(false);
+    // Mensaje de error (al enviar el lote o al perder la conexión).
+    const [error, setError] = useState('');
+    // Selector de archivos oculto, que se abre al pulsar el área de carga.
+    const inputRef = useRef(null);
+    // Conexión SSE con el estado del lote en curso.
+    const eventSourceRef = useRef(null);
+
+    // Cierra la conexión SSE pendiente al desmontar el componente.
+    useEffect(() => () => eventSourceRef.current?.close(), []);
+
+    const isActive = isUploading || ['queued', 'running'].includes(batch?.status);
+
+    /**
+     * Añade archivos a la selección, omitiendo los ya elegidos (mismo nombre, tamaño y fecha).
+     * @param {FileList} fileList - Archivos soltados o elegidos en el selector.
+     */
+    const addFiles = (fileList) => {
+        const key = (file) => `${file.name}|${file.size}|${file.lastModified}`;
+        setFiles(prev => {
+            const known = new Set(prev.map(key));
+            return [...prev, ...[...fileList].filter(file => !known.has(key(file)))];
+        });
+        setError('');
+    };
+
+    /**
+     * Maneja los archivos soltados sobre el área de carga.
+     * @param {React.DragEvent<HTMLDivElement>} event - El evento de soltar.
+     */
+    const handleDrop = (event) => {
+        event.preventDefault();
+        setIsDragging(false);
+        if (!isActive && !disabled) addFiles(event.dataTransfer.files);
+    };
+
+    /**
+     * Se suscribe a los eventos SSE del lote hasta que todos sus archivos han finalizado.
+     * @param {string} batchId - Identificador del lote devuelto por el backend.
+     */
+    const followBatch = (batchId) => {
+        const source = new EventSource(withLocale(withApiKey(`${endpoint}/${batchId}/events`)));
+        eventSourceRef.current = source;
+        let finishedCount = 0;
+
+        source.addEventListener('status', (event) => {
+            const update = JSON.parse(event.data);
+            setBatch(update);
+            // Cada archivo completado ya está en el historial: se pide recargarlo.
+            const finished = update.total - update.counts.queued - update.counts.running;
+            if (finished > finishedCount) {
+                finishedCount = finished;
+                onFinished();
+            }
+            if (!['queued', 'running'].includes(update.status)) {
+                source.close();
+                onActiveChange(false);
+            }
+        });
+        // Error de conexión: se deja de seguir el lote (los archivos se siguen procesando en el servidor).
+        source.onerror = () => {
+            source.close();
+            setError(t('batch.connectionLost'));
+            onActiveChange(false);
+        };
+    };
+
+    /**
+     * Envía los archivos elegidos como un lote y empieza a seguir su progreso.
+     */
+    const handleSubmit = async () => {
+        if (files.length === 0) return;
+        setIsUploading(true);
+        setError('');
+        setBatch(null);
+        onActiveChange(true);
+
+        // La clave 'audioFiles' debe coincidir con la esperada por Multer en `POST /api/batch`.
+        const formData = new FormData();
+        files.forEach(file => formData.append('audioFiles', file));
+        // Las opciones vacías usan el valor por defecto del backend.
+        Object.entries(options).forEach(([name, value]) => {
+            if (value !== '' && value !== false) formData.append(name, value);
+        });
+
+        try {
+            const response = await apiFetch(endpoint, { method: 'POST', body: formData });
+            const data = await response.json();
+            if (!response.ok) {
+                // Aunque el lote se rechace, se muestran los archivos descartados y su motivo.
+                if (data.rejected) setBatch({ status: 'failed', jobs: [], rejected: data.rejected, counts: {}, total: 0 });
+                throw apiError(data, response);
+            }
+            console.log(`Lote encolado: ${data.id} (${data.total} archivos)`);
+            setBatch(data);
+            setFiles([]);
+            followBatch(data.id);
+        } catch (err) {
+            console.error('Falló el envío del lote:', err);
+            setError(t('batch.submitFailed', { message: err.message }));
+            onActiveChange(false);
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    /**
+     * Cancela los archivos del lote que aún no han terminado.
+     */
+    const handleCancel = async () => {
+        try {
+            await apiFetch(`${endpoint}/${batch.id}`, { method: 'DELETE' });
+            console.log(`Cancelación solicitada para el lote ${batch.id}.`);
+        } catch (err) {
+            console.error('No se pudo cancelar el lote:', err);
+        }
+    };
+
+    // --- Renderizado del Componente ---
+    return (
+        <div className="mb-3">
+            {/* Área de carga: admite arrastrar y soltar o pulsar para abrir el selector */}
+            {!isActive && (
+                <>
+                    <div
+                        className={`border border-2 rounded p-4 text-center mb-2 ${isDragging ? 'border-primary bg-light' : 'border-secondary-subtle'}`}
+                        style={{ borderStyle: 'dashed', cursor: disabled ? 'default' : 'pointer' }}
+                        onClick={() => !disabled && inputRef.current.click()}
+                        onDragOver={(event) => { event.preventDefault(); setIsDragging(true); }}
+                        onDragLeave={() => setIsDragging(false)}
+                        onDrop={handleDrop}
+                        role="button"
+                        aria-label={t('batch.dropLabel')}
+                    >
+                        <div className="fw-bold">{t('batch.dropTitle')}</div>
+                        <div className="text-muted small">{t('batch.dropHint', { max: MAX_BATCH_FILES })}</div>
+                        <input
+                            ref={inputRef}
+                            type="file"
+                            className="d-none"
+                            accept="audio/*,.zip"
+                            multiple
+                            onChange={(event) => { addFiles(event.target.files); event.target.value = ''; }}
+                            disabled={disabled}
+                        />
+                    </div>
+                    <div className="form-text mb-3">
+                        {t('batch.help')}
+                    </div>
+                </>
+            )}
+
+            {/* Archivos elegidos, pendientes de enviar */}
+            {files.length > 0 && !isActive && (
+                <ul className="list-group mb-3">
+                    {files.map((file, index) => (
+                        <li key={`${file.name}-${index}`} className="list-group-item d-flex justify-content-between align-items-center">
+                            <span className="text-truncate me-2">{file.name} <span className="text-muted small">({formatBytes(file.size)})</span></span>
+                            <button
+                                type="button"
+                                className="btn btn-sm btn-outline-danger"
+                                onClick={() => setFiles(prev => prev.filter((_, position) => position !== index))}
+                                aria-label={t('batch.removeLabel', { name: file.name })}
+                            >
+                                {t('batch.remove')}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {!isActive && (
+                <button type="button" className="btn btn-success w-100 mb-3" onClick={handleSubmit} disabled={disabled || files.length === 0}>
+                    {files.length > 0 ? t('batch.submit', { count: files.length }) : t('batch.submitEmpty')}
+                </button>
+            )}
+            {isUploading && (
+                <div className="text-muted mb-3">
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    {t('batch.uploading')}
+                </div>
+            )}
+
+            {/* Estado de cada archivo del lote */}
+            {batch?.jobs.length > 0 && (
+                <>
+                    <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-2">
+                        <span className="fw-bold">
+                            {t('batch.summary', { status: t(`batch.status.${batch.status}`), done: batch.counts.done, total: batch.total })}
+                        </span>
+                        <div className="d-flex flex-wrap gap-2">
+                            {/* Descarga conjunta de las transcripciones completadas */}
+                            {batch.counts.done > 0 && (
+                                <div className="btn-group btn-group-sm" role="group" aria-label={t('batch.downloadAllLabel')}>
+                                    <span className="btn btn-outline-secondary disabled">{t('batch.downloadAll')}</span>
+                                    {downloadFormats.map(({ format, label }) => (
+                                        <a key={format} className="btn btn-outline-primary" href={withApiKey(`${endpoint}/${batch.id}/download?format=${format}`)} download>
+                                            {label}
+                                        </a>
+                                    ))}
+                                </div>
+                            )}
+                            {isActive && (
+                                <button type="button" className="btn btn-sm btn-outline-danger" onClick={handleCancel}>
+                                    {t('batch.cancel')}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    <div className="table-responsive">
+                        <table className="table table-sm align-middle">
+                            <thead>
+                                <tr>
+                                    <th scope="col">{t('batch.columns.file')}</th>
+                                    <th scope="col">{t('batch.columns.size')}</th>
+                                    <th scope="col">{t('batch.columns.status')}</th>
+                                    <th scope="col" style={{ width: '25%' }}>{t('batch.columns.progress')}</th>
+                                    <th scope="col"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {batch.jobs.map(job => (
+                                    <tr key={job.id}>
+                                        <td className="text-break">{job.fileName}</td>
+                                        <td className="text-nowrap">{formatBytes(job.fileSize)}</td>
+                                        <td>
+                                            <span className={`badge ${jobStatusBadges[job.status]}`} title={job.error && describeApiError(job.error)}>
+                                                {t(`batch.jobStatus.${job.status}`)}
+                                            </span>
+                                        </td>
+                                        <td>
+                                            {job.status === 'running' && (
+                                                <div className="progress" role="progressbar" aria-label={t('batch.progressLabel', { name: job.fileName })}
+                                                    aria-valuenow={job.progress?.percent ?? 0} aria-valuemin="0" aria-valuemax="100">
+                                                    <div className="progress-bar progress-bar-striped progress-bar-animated" style={{ width: `${job.progress?.percent ?? 0}%` }}></div>
+                                                </div>
+                                            )}
+                                            {job.status === 'failed' && <span className="text-danger small">{describeApiError(job.error, t('batch.unknownError'))}</span>}
+                                        </td>
+                                        <td className="text-end">
+                                            {job.status === 'done' && (
+                                                <button type="button" className="btn btn-sm btn-outline-primary" onClick={() => onOpen(job.id)}>
+                                                    {t('batch.open')}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {/* Archivos descartados al recibir el lote (no son audio, rutas peligrosas, límites...) */}
+            {batch?.rejected.length > 0 && (
+                <div className="alert alert-warning py-2" role="alert">
+                    <div className="fw-bold mb-1">{t('batch.rejected')}</div>
+                    <ul className="mb-0 small">
+                        {batch.rejected.map((entry, index) => (
+                            <li key={index}><span className="text-break">{entry.fileName}</span>: {entry.reason}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+        </div>
+    );
+}
+
+export default BatchUpload;
@@ -0,0 +1,177 @@
+// frontend/src/components/HistorySidebar.jsx
+import React, { useState, useEffect } from 'react';
+import { formatDate, formatDuration } from '../utils/format.js';
+import { apiFetch } from '../utils/api.js';
+import { apiError } from '../utils/errors.js';
+import { useI18n } from '../utils/i18n.js';
+
+// Espera (ms) tras la última pulsación antes de lanzar la búsqueda, para no consultar en cada tecla.
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Barra lateral con el historial de transcripciones guardadas en el backend.
+ * Permite buscar en el texto de las transcripciones, reabrir una entrada, renombrarla y eliminarla.
+ *
+ * @param {object} props
+ * @param {string} props.endpoint - URL base de la API de historial (ej. 'http://localhost:5001/api/history').
+ * @param {number} props.refreshKey - Cambia cuando hay nuevas transcripciones, para recargar la lista.
+ * @param {string|null} props.activeId - ID de la entrada mostrada actualmente (se resalta en la lista).
+ * @param {function(string): void} props.onOpen - Se invoca con el ID de la entrada que el usuario quiere abrir.
+ * @param {function(string): void} props.onDeleted - Se invoca con el ID de la entrada eliminada.
+ */
+function HistorySidebar({ endpoint, refreshKey, activeId, onOpen, onDeleted }) {
+    const { t } = useI18n();
+
+    // --- Definición de Estados del Componente ---
+
+    // Entradas del historial (resúmenes sin texto completo).
+    const [entries, setEntries] = useState([]);
+    // Texto de búsqueda introducido por el usuario.
+    const [query, setQuery] = useState('');
+    // Mensaje de error al cargar o modificar el historial.
+    const [error, setError] = useState('');
+    // Entrada que se está renombrando (`{ id, title }`), o null si no hay ninguna en edición.
+    const [editing, setEditing] = useState(null);
+    // Contador interno para forzar la recarga de la lista tras renombrar o eliminar.
+    const [reloadKey, setReloadKey] = useState(0);
+
+    // Carga la lista al montar, al cambiar la búsqueda (con espera) o cuando se solicita una recarga.
+    useEffect(() => {
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            try {
+                const params = new URLSearchParams(query.trim() ? { q: query.trim() } : {});
+                const response = await apiFetch(`${endpoint}?${params}`, { signal: controller.signal });
+                const data = await response.json();
+                if (!response.ok) throw apiError(data, response);
+                setEntries(data.entries);
+                setError('');
+            } catch (err) {
+                if (err.name === 'AbortError') return; // Búsqueda reemplazada por otra más reciente.
+                console.error('No se pudo cargar el historial:', err);
+                setError(t('history.loadFailed'));
+            }
+        }, SEARCH_DEBOUNCE_MS);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [endpoint, query, refreshKey, reloadKey, t]);
+
+    // --- Manejadores de Eventos ---
+
+    /**
+     * Guarda el nuevo título de la entrada en edición.
+     * @param {React.FormEvent<HTMLFormElement>} event - El evento de envío del formulario de renombrado.
+     */
+    const handleRename = async (event) => {
+        event.preventDefault();
+        if (!editing.title.trim()) return;
+        try {
+            const response = await apiFetch(`${endpoint}/${editing.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title: editing.title }),
+            });
+            if (!response.ok) throw apiError(await response.json(), response);
+            setEditing(null);
+            setReloadKey(key => key + 1);
+        } catch (err) {
+            console.error('No se pudo renombrar la transcripción:', err);
+            setError(t('history.renameFailed'));
+        }
+    };
+
+    /**
+     * Elimina una entrada del historial tras pedir confirmación.
+     * @param {object} entry - Entrada a eliminar.
+     */
+    const handleDelete = async (entry) => {
+        if (!window.confirm(t('history.confirmDelete', { title: entry.title }))) return;
+        try {
+            const response = await apiFetch(`${endpoint}/${entry.id}`, { method: 'DELETE' });
+            if (!response.ok) throw apiError(await response.json(), response);
+            onDeleted(entry.id);
+            setReloadKey(key => key + 1);
+        } catch (err) {
+            console.error('No se pudo eliminar la transcripción:', err);
+            setError(t('history.deleteFailed'));
+        }
+    };
+
+    // --- Renderizado del Componente ---
+    return (
+        <aside className="card shadow-sm mb-4">
+            <div className="card-header bg-light">
+                <h2 className="h6 mb-2">{t('history.title')}</h2>
+                {/* Búsqueda de texto completo en las transcripciones guardadas */}
+                <input
+                    type="search"
+                    className="form-control form-control-sm"
+                    placeholder={t('history.searchPlaceholder')}
+                    value={query}
+                    onChange={(event) => setQuery(event.target.value)}
+                    aria-label={t('history.searchLabel')}
+                />
+            </div>
+
+            {error && <div className="alert alert-warning small m-2 mb-0 py-1">{error}</div>}
+
+            <ul className="list-group list-group-flush" style={{ maxHeight: '70vh', overflowY: 'auto' }}>
+                {entries.length === 0 && !error && (
+                    <li className="list-group-item text-muted small">
+                        {query ? t('history.noResults') : t('history.empty')}
+                    </li>
+                )}
+                {entries.map(entry => (
+                    <li key={entry.id} className={`list-group-item small ${entry.id === activeId ? 'active' : ''}`}>
+                        {editing?.id === entry.id ? (
+                            // Formulario de renombrado en línea.
+                            <form onSubmit={handleRename} className="d-flex gap-1">
+                                <input
+                                    className="form-control form-control-sm"
+                                    value={editing.title}
+                                    onChange={(event) => setEditing({ ...editing, title: event.target.value })}
+                                    aria-label={t('history.newTitle')}
+                                    autoFocus
+                                />
+                                <button type="submit" className="btn btn-sm btn-primary">{t('history.ok')}</button>
+                                <button type="button" className="btn btn-sm btn-secondary" onClick={() => setEditing(null)} aria-label={t('history.cancel')}>✕</button>
+                            </form>
+                        ) : (
+                            <>
+                                {/* Título: al hacer clic se reabre la transcripción */}
+                                <button
+                                    type="button"
+                                    className={`btn btn-link p-0 text-start fw-semibold text-decoration-none ${entry.id === activeId ? 'text-white' : ''}`}
+                                    onClick={() => onOpen(entry.id)}
+                                >
+                                    {entry.title}
+                                </button>
+                                <div className={entry.id === activeId ? '' : 'text-muted'}>
+                                    {formatDate(entry.createdAt)}
+                                    {entry.duration != null && ` · ${formatDuration(entry.duration)}`}
+                                    {entry.language && ` · ${entry.language}`}
+                                </div>
+                                {/* Fragmento del texto que coincide con la búsqueda */}
+                                {entry.snippet && <div className="fst-italic mt-1">{entry.snippet}</div>}
+                                <div className="mt-1">
+                                    <button type="button" className="btn btn-sm btn-outline-secondary py-0 me-1"
+                                        onClick={() => setEditing({ id: entry.id, title: entry.title })}>
+                                        {t('history.rename')}
+                                    </button>
+                                    <button type="button" className="btn btn-sm btn-outline-danger py-0"
+                                        onClick={() => handleDelete(entry)}>
+                                        {t('history.delete')}
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </aside>
+    );
+}
+
+export default HistorySidebar;
@@ -0,0 +1,29 @@
+// frontend/src/components/LanguageSwitcher.jsx
+import React from 'react';
+import { LOCALES, useI18n } from '../utils/i18n.js';
+
+/**
+ * Selector del idioma de la interfaz. El idioma elegido se guarda en el navegador, se aplica de inmediato a todos
+ * los componentes y se envía al backend para que los mensajes de error lleguen en el mismo idioma.
+ * Los nombres de los idiomas se muestran siempre en su propio idioma, para reconocerlos en cualquiera de ellos.
+ */
+function LanguageSwitcher() {
+    const { locale, t, setLocale } = useI18n();
+
+    return (
+        <div className="d-flex justify-content-end mb-2">
+            <select
+                className="form-select form-select-sm w-auto"
+                value={locale}
+                onChange={(event) => setLocale(event.target.value)}
+                aria-label={t('localeSwitcher.label')}
+            >
+                {LOCALES.map(({ code, name }) => (
+                    <option key={code} value={code} lang={code}>{name}</option>
+                ))}
+            </select>
+        </div>
+    );
+}
+
+export default LanguageSwitcher;
@@ -0,0 +1,257 @@
+// frontend/src/components/LiveRecorder.jsx
+import React, { useState, useRef, useEffect } from 'react';
+import { formatSeconds } from '../utils/format.js';
+import { withApiKey, withLocale } from '../utils/api.js';
+import { describeApiError } from '../utils/errors.js';
+import { useI18n } from '../utils/i18n.js';
+
+// Duración (ms) de cada fragmento que entrega el MediaRecorder y se envía al backend.
+const CHUNK_INTERVAL_MS = 1000;
+// Amplificación aplicada al nivel RMS para que la voz normal llene buena parte del medidor.
+const LEVEL_GAIN = 4;
+
+/**
+ * Grabación desde el micrófono con transcripción casi en tiempo real.
+ * Captura el audio con MediaRecorder, muestra un medidor de nivel y envía los fragmentos por WebSocket
+ * al backend (`/api/live`), que devuelve texto consolidado y parcial a medida que transcribe.
+ * Al detener la grabación, el backend guarda la transcripción consolidada en el historial y
+ * se entrega mediante `onComplete`, igual que una transcripción de archivo.
+ *
+ * @param {object} props
+ * @param {string} props.endpoint - URL del WebSocket (ej. 'ws://localhost:5001/api/live').
+ * @param {object} props.options - Idioma y opciones de decodificación; los valores vacíos no se envían.
+ * @param {boolean} [props.disabled] - Impide iniciar una grabación (ej. mientras se transcribe un archivo).
+ * @param {function(boolean): void} props.onActiveChange - Se invoca al empezar (true) y terminar (false) la grabación.
+ * @param {function(object): void} props.onComplete - Recibe la entrada del historial con la transcripción consolidada.
+ */
+function LiveRecorder({ endpoint, options, disabled, onActiveChange, onComplete }) {
+    const { t } = useI18n();
+
+    // --- Definición de Estados del Componente ---
+
+    // Fase de la grabación: 'idle', 'connecting', 'recording' o 'finishing' (esperando la transcripción final).
+    const [phase, setPhase] = useState('idle');
+    // Nivel de entrada del micrófono, de 0 a 1.
+    const [level, setLevel] = useState(0);
+    // Segundos grabados.
+    const [elapsed, setElapsed] = useState(0);
+    // Segmentos consolidados recibidos del backend.
+    const [finalSegments, setFinalSegments] = useState([]);
+    // Texto provisional tras los segmentos consolidados.
+    const [partialText, setPartialText] = useState('');
+    // Aviso no definitivo del backend (ej. falló una ventana intermedia).
+    const [warning, setWarning] = useState('');
+    // Mensaje de error definitivo.
+    const [error, setError] = useState('');
+    // Recursos de la grabación en curso (micrófono, MediaRecorder, WebSocket, análisis de audio, temporizadores).
+    const sessionRef = useRef(null);
+
+    // Libera el micrófono y cierra la conexión si el componente se desmonta durante una grabación.
+    useEffect(() => () => {
+        const session = sessionRef.current;
+        if (!session) return;
+        releaseAudio(session);
+        session.socket.close();
+    }, []);
+
+    /**
+     * Detiene el micrófono, el análisis de nivel y el cronómetro (la conexión se gestiona aparte).
+     * @param {object} session - Recursos de la grabación.
+     */
+    const releaseAudio = (session) => {
+        cancelAnimationFrame(session.frame);
+        clearInterval(session.timer);
+        if (session.recorder.state !== 'inactive') session.recorder.stop();
+        session.stream.getTracks().forEach(track => track.stop());
+        session.audioContext.close();
+    };
+
+    /**
+     * Termina la sesión: libera los recursos y notifica que ya no hay grabación activa.
+     * @param {string} [message] - Error a mostrar, si la sesión terminó mal.
+     */
+    const finishSession = (message) => {
+        const session = sessionRef.current;
+        if (!session) return;
+        sessionRef.current = null;
+        releaseAudio(session);
+        setLevel(0);
+        setPhase('idle');
+        if (message) setError(message);
+        onActiveChange(false);
+    };
+
+    /**
+     * Atiende un mensaje del backend (ver el protocolo en `backend/lib/liveTranscription.js`).
+     * @param {object} message - Mensaje recibido.
+     */
+    const handleMessage = (message) => {
+        const session = sessionRef.current;
+        if (!session) return;
+        switch (message.type) {
+            case 'ready':
+                // El backend acepta audio: empieza a grabar y a enviar fragmentos.
+                session.recorder.start(CHUNK_INTERVAL_MS);
+                session.startedAt = Date.now();
+                session.timer = setInterval(() => setElapsed((Date.now() - session.startedAt) / 1000), 500);
+                setPhase('recording');
+                break;
+            case 'final':
+                setFinalSegments(prev => [...prev, ...message.segments]);
+                break;
+            case 'partial':
+                setPartialText(message.text);
+                break;
+            case 'warning':
+                setWarning(message.message);
+                break;
+            case 'done':
+                // El resultado se muestra en la tarjeta de resultado: el texto en vivo ya no hace falta.
+                session.completed = true;
+                finishSession();
+                setFinalSegments([]);
+                setPartialText('');
+                onComplete(message.result);
+                break;
+            case 'error':
+                session.completed = true;
+                finishSession(describeApiError(message, t('live.unknownError')));
+                break;
+            default:
+                console.warn('Mensaje desconocido del backend:', message);
+        }
+    };
+
+    /**
+     * Pide acceso al micrófono, abre la conexión con el backend y prepara la grabación.
+     * La grabación empieza cuando el backend confirma la sesión ('ready').
+     */
+    const handleStart = async () => {
+        setError('');
+        setWarning('');
+        setFinalSegments([]);
+        setPartialText('');
+        setElapsed(0);
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (err) {
+            console.error('No se pudo acceder al micrófono:', err);
+            setError(t('live.micFailed', { message: err.message }));
+            return;
+        }
+
+        // Medidor de nivel: RMS de la señal en cada fotograma.
+        const audioContext = new AudioContext();
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        audioContext.createMediaStreamSource(stream).connect(analyser);
+        const samples = new Float32Array(analyser.fftSize);
+
+        // Las opciones vacías usan el valor por defecto del backend.
+        const params = new URLSearchParams();
+        Object.entries(options).forEach(([name, value]) => {
+            if (value !== '' && value !== false) params.append(name, value);
+        });
+        const socket = new WebSocket(withLocale(withApiKey(`${endpoint}?${params}`)));
+        const recorder = new MediaRecorder(stream);
+
+        const session = { stream, audioContext, socket, recorder, frame: null, timer: null, startedAt: Date.now(), completed: false };
+        sessionRef.current = session;
+
+        const updateLevel = () => {
+            analyser.getFloatTimeDomainData(samples);
+            const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+            setLevel(Math.min(1, rms * LEVEL_GAIN));
+            session.frame = requestAnimationFrame(updateLevel);
+        };
+        updateLevel();
+
+        // Cada fragmento grabado se envía de inmediato; tras el último se pide la transcripción final.
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0 && socket.readyState === WebSocket.OPEN) socket.send(event.data);
+        };
+        recorder.onstop = () => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'stop' }));
+        };
+
+        socket.onmessage = (event) => handleMessage(JSON.parse(event.data));
+        socket.onclose = () => {
+            // El backend cierra la conexión tras 'done' o 'error'; cualquier otro cierre es un fallo.
+            if (sessionRef.current === session && !session.completed) {
+                finishSession(t('live.connectionLost'));
+            }
+        };
+
+        setPhase('connecting');
+        onActiveChange(true);
+    };
+
+    /**
+     * Detiene la grabación. El MediaRecorder entrega el último fragmento y después se pide
+     * al backend la transcripción consolidada.
+     */
+    const handleStop = () => {
+        const session = sessionRef.current;
+        if (!session) return;
+        cancelAnimationFrame(session.frame);
+        clearInterval(session.timer);
+        setLevel(0);
+        setPhase('finishing');
+        session.recorder.stop();
+    };
+
+    // --- Renderizado del Componente ---
+    const isActive = phase !== 'idle';
+    const liveText = [...finalSegments.map(segment => segment.text), partialText].join(' ').trim();
+
+    return (
+        <div className="mb-3">
+            {/* Botón de inicio o parada y cronómetro */}
+            <div className="d-flex align-items-center gap-3 mb-2">
+                {isActive ? (
+                    <button type="button" className="btn btn-danger" onClick={handleStop} disabled={phase !== 'recording'}>
+                        {phase === 'finishing' ? (
+                            <>
+                                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                                {t('live.finishing')}
+                            </>
+                        ) : t('live.stop')}
+                    </button>
+                ) : (
+                    <button type="button" className="btn btn-success" onClick={handleStart} disabled={disabled}>
+                        {t('live.start')}
+                    </button>
+                )}
+                {isActive && <span className="text-muted">{phase === 'connecting' ? t('live.connecting') : formatSeconds(elapsed)}</span>}
+            </div>
+
+            {/* Medidor de nivel del micrófono */}
+            {phase === 'recording' && (
+                <div className="progress mb-3" role="progressbar" aria-label={t('live.levelLabel')}
+                    aria-valuenow={Math.round(level * 100)} aria-valuemin="0" aria-valuemax="100" style={{ height: '0.5rem' }}>
+                    <div className={`progress-bar ${level > 0.9 ? 'bg-danger' : 'bg-success'}`} style={{ width: `${level * 100}%` }}></div>
+                </div>
+            )}
+
+            {/* Texto en vivo: consolidado en negro y provisional en gris */}
+            {(isActive || liveText) && (
+                <div
+                    className="bg-white p-3 rounded border mb-2"
+                    style={{ minHeight: '4rem', maxHeight: '200px', overflowY: 'auto', whiteSpace: 'pre-wrap' }}
+                    aria-live="polite"
+                >
+                    {finalSegments.map(segment => segment.text).join(' ')}
+                    {partialText && <span className="text-muted"> {partialText}</span>}
+                    {!liveText && <span className="text-muted">{t('live.placeholder')}</span>}
+                </div>
+            )}
+
+            {warning && isActive && <div className="form-text text-warning">{warning}</div>}
+            {error && <div className="alert alert-danger py-2 mb-0" role="alert">{error}</div>}
+        </div>
+    );
+}
+
+export default LiveRecorder;
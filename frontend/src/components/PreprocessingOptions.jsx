@@ -0,0 +1,77 @@
+// frontend/src/components/PreprocessingOptions.jsx
+import React from 'react';
+import WaveformRange from './WaveformRange.jsx';
+import { useI18n } from '../utils/i18n.js';
+
+/**
+ * Opciones de preprocesamiento que el backend aplica con FFmpeg antes de transcribir: nombre del campo enviado
+ * al backend. Su etiqueta y su texto de ayuda son los de `preprocess.<nombre>` en los catálogos de `locales/`.
+ */
+const preprocessingToggles = ['removeSilence', 'normalize', 'resample'];
+
+/**
+ * Controles del preprocesamiento del audio: fragmento a transcribir (con la forma de onda del archivo),
+ * eliminación de silencios, normalización del volumen y conversión a 16 kHz mono.
+ * Plegados por defecto, como las opciones avanzadas de decodificación.
+ *
+ * @param {object} props
+ * @param {object} props.value - Opciones seleccionadas (`{ trimStart, trimEnd, removeSilence, normalize, resample }`).
+ * @param {function(object): void} props.onChange - Recibe las opciones actualizadas.
+ * @param {File|null} [props.file] - Archivo seleccionado, para elegir el fragmento sobre su forma de onda.
+ * @param {boolean} [props.showRange=true] - Muestra el selector del fragmento (solo para un único archivo).
+ * @param {boolean} [props.disabled] - Deshabilita los controles.
+ */
+function PreprocessingOptions({ value, onChange, file = null, showRange = true, disabled }) {
+    const { t } = useI18n();
+
+    /**
+     * Actualiza una opción conservando el resto.
+     * @param {string} name - Nombre de la opción.
+     * @param {*} optionValue - Nuevo valor.
+     */
+    const setOption = (name, optionValue) => onChange({ ...value, [name]: optionValue });
+
+    return (
+        <details className="mb-3">
+            <summary className="fw-bold mb-2">{t('preprocess.title')}</summary>
+
+            {/* Fragmento a transcribir: solo con un archivo seleccionado */}
+            {showRange && (
+                <div className="mb-3">
+                    <div className="form-label">{t('preprocess.range')}</div>
+                    {file ? (
+                        <WaveformRange
+                            file={file}
+                            value={value}
+                            onChange={(range) => onChange({ ...value, ...range })}
+                            disabled={disabled}
+                        />
+                    ) : (
+                        <div className="form-text">{t('preprocess.selectFile')}</div>
+                    )}
+                </div>
+            )}
+
+            {preprocessingToggles.map(name => (
+                <div className="mb-2" key={name}>
+                    <div className="form-check">
+                        <input
+                            type="checkbox"
+                            className="form-check-input"
+                            id={`${name}Input`}
+                            checked={value[name]}
+                            onChange={(event) => setOption(name, event.target.checked)}
+                            disabled={disabled}
+                            aria-describedby={`${name}Help`}
+                        />
+                        <label className="form-check-label" htmlFor={`${name}Input`}>{t(`preprocess.${name}.label`)}</label>
+                    </div>
+                    <div id={`${name}Help`} className="form-text">{t(`preprocess.${name}.help`)}</div>
+                </div>
+            ))}
+            <div className="form-text">{t('preprocess.requiresFfmpeg')}</div>
+        </details>
+    );
+}
+
+export default PreprocessingOptions;
@@ -0,0 +1,282 @@
+// frontend/src/components/TranscriptEditor.jsx
+import React, { useState, useRef, useEffect } from 'react';
+import { formatTimestamp, parseTimestamp } from '../utils/format.js';
+import { speakerLabel } from '../utils/speakers.js';
+import { useI18n } from '../utils/i18n.js';
+import { findActiveSegment, updateSegment, splitSegment, mergeWithNext, removeSegment, validateSegments } from '../utils/segments.js';
+
+// Número máximo de pasos que se pueden deshacer.
+const MAX_UNDO_STEPS = 100;
+
+/**
+ * Editor de los segmentos de una transcripción, sincronizado con el reproductor de audio de la tarjeta de resultado.
+ * Permite corregir el texto y los tiempos de cada segmento, dividirlo (en la posición del cursor), unirlo con el
+ * siguiente o eliminarlo, y deshacer o rehacer los cambios (botones o Ctrl+Z / Ctrl+Y). En las transcripciones
+ * traducidas, la traducción de cada segmento se edita junto a su texto.
+ * Los cambios no se envían al backend hasta pulsar "Guardar".
+ *
+ * @param {object} props
+ * @param {Array<{start: number, end: number, text: string, speaker?: string, translation?: string}>} props.segments - Segmentos guardados.
+ * @param {object} [props.speakerNames] - Nombres asignados a los hablantes.
+ * @param {number} props.currentTime - Instante de la reproducción (s), para resaltar el segmento activo.
+ * @param {function(number): void} [props.onSeek] - Salta a un instante del audio. Sin él, no hay reproductor.
+ * @param {function(object[]): Promise<void>} props.onSave - Guarda los segmentos editados (se rechaza con el error del backend).
+ * @param {function(): void} props.onClose - Cierra el editor.
+ */
+function TranscriptEditor({ segments, speakerNames = {}, currentTime, onSeek, onSave, onClose }) {
+    const { t } = useI18n();
+
+    // --- Definición de Estados del Componente ---
+
+    // Historial de ediciones: versiones anteriores (`past`), actual (`present`) y deshechas (`future`).
+    // `lastEdit` identifica la última edición de texto, para agrupar las pulsaciones seguidas en un solo paso.
+    const [history, setHistory] = useState({ past: [], present: segments, future: [], lastEdit: null });
+    // Indica si se están guardando los cambios.
+    const [isSaving, setIsSaving] = useState(false);
+    // Mensaje de error al guardar.
+    const [saveError, setSaveError] = useState('');
+    // Posición del cursor en el texto del último segmento editado (`{ index, offset }`), para dividirlo.
+    const caretRef = useRef(null);
+    // Filas de los segmentos, para desplazar la lista hasta el segmento que se reproduce.
+    const rowRefs = useRef([]);
+    const listRef = useRef(null);
+
+    const edited = history.present;
+    const isDirty = edited !== segments;
+    const validationError = validateSegments(edited);
+    const activeIndex = onSeek ? findActiveSegment(edited, currentTime) : -1;
+
+    // Mantiene visible el segmento que se reproduce, salvo mientras se edita dentro de la lista.
+    useEffect(() => {
+        if (activeIndex < 0 || listRef.current?.contains(document.activeElement)) return;
+        rowRefs.current[activeIndex]?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    // --- Manejadores de Eventos ---
+
+    /**
+     * Aplica una edición a los segmentos y la registra en el historial de deshacer.
+     * @param {object[]|null} next - Nuevos segmentos (null si la operación no es posible).
+     * @param {string} [editKey] - Identificador de una edición de texto: las ediciones seguidas con el
+     *        mismo identificador se deshacen de una vez.
+     */
+    const applyEdit = (next, editKey = null) => {
+        if (!next) return;
+        setSaveError('');
+        setHistory((prev) => {
+            if (editKey && prev.lastEdit === editKey) {
+                return { ...prev, present: next, future: [] };
+            }
+            return { past: [...prev.past, prev.present].slice(-MAX_UNDO_STEPS), present: next, future: [], lastEdit: editKey };
+        });
+    };
+
+    const undo = () => setHistory((prev) => prev.past.length === 0 ? prev : {
+        past: prev.past.slice(0, -1), present: prev.past[prev.past.length - 1], future: [prev.present, ...prev.future], lastEdit: null,
+    });
+
+    const redo = () => setHistory((prev) => prev.future.length === 0 ? prev : {
+        past: [...prev.past, prev.present], present: prev.future[0], future: prev.future.slice(1), lastEdit: null,
+    });
+
+    /**
+     * Atajos de teclado del editor: Ctrl+Z deshace y Ctrl+Y o Ctrl+Mayús+Z rehace (también dentro de los campos,
+     * para que el historial del editor sustituya al del navegador).
+     * @param {React.KeyboardEvent} event - El evento de teclado.
+     */
+    const handleKeyDown = (event) => {
+        if (!(event.ctrlKey || event.metaKey)) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            redo();
+        }
+    };
+
+    /**
+     * Guarda la posición del cursor en el texto de un segmento.
+     * @param {number} index - Segmento editado.
+     * @param {React.SyntheticEvent<HTMLTextAreaElement>} event - Evento de selección o escritura.
+     */
+    const trackCaret = (index, event) => {
+        caretRef.current = { index, offset: event.target.selectionStart };
+    };
+
+    /**
+     * Aplica el tiempo escrito en un campo de inicio o fin; si no es válido, restablece el valor anterior.
+     * @param {number} index - Segmento editado.
+     * @param {'start'|'end'} field - Campo editado.
+     * @param {React.FocusEvent<HTMLInputElement>} event - Evento de salida del campo.
+     */
+    const handleTimeBlur = (index, field, event) => {
+        const seconds = parseTimestamp(event.target.value);
+        if (seconds === null || seconds === edited[index][field]) {
+            event.target.value = formatTimestamp(edited[index][field]);
+            return;
+        }
+        applyEdit(updateSegment(edited, index, { [field]: seconds }));
+    };
+
+    /**
+     * Divide un segmento en la posición del cursor (o por la mitad del texto si el cursor no está en él).
+     * @param {number} index - Segmento a dividir.
+     */
+    const handleSplit = (index) => {
+        const { text } = edited[index];
+        let offset = caretRef.current?.index === index ? caretRef.current.offset : -1;
+        if (offset <= 0 || offset >= text.length) {
+            // Sin cursor: el espacio más cercano a la mitad del texto.
+            const middle = Math.floor(text.length / 2);
+            const after = text.indexOf(' ', middle);
+            const before = text.lastIndexOf(' ', middle);
+            offset = after === -1 || (before !== -1 && middle - before < after - middle) ? before : after;
+        }
+        applyEdit(splitSegment(edited, index, offset));
+    };
+
+    /**
+     * Envía los segmentos editados al backend.
+     */
+    const handleSave = async () => {
+        setIsSaving(true);
+        setSaveError('');
+        try {
+            await onSave(edited);
+        } catch (err) {
+            console.error('No se pudo guardar la transcripción editada:', err);
+            setSaveError(t('editor.saveFailed', { message: err.message }));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // --- Renderizado del Componente ---
+    return (
+        <div onKeyDown={handleKeyDown}>
+            {/* Barra de herramientas: deshacer, rehacer, guardar y cerrar */}
+            <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+                <div className="btn-group btn-group-sm" role="group" aria-label={t('editor.historyLabel')}>
+                    <button type="button" className="btn btn-outline-secondary" onClick={undo} disabled={history.past.length === 0} title={t('editor.undoTitle')}>
+                        {t('editor.undo')}
+                    </button>
+                    <button type="button" className="btn btn-outline-secondary" onClick={redo} disabled={history.future.length === 0} title={t('editor.redoTitle')}>
+                        {t('editor.redo')}
+                    </button>
+                </div>
+                <button type="button" className="btn btn-sm btn-primary" onClick={handleSave} disabled={!isDirty || isSaving || Boolean(validationError)}>
+                    {isSaving && <span className="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>}
+                    {t('editor.save')}
+                </button>
+                <button
+                    type="button"
+                    className="btn btn-sm btn-outline-secondary"
+                    onClick={() => applyEdit(segments)}
+                    disabled={!isDirty || isSaving}
+                >
+                    {t('editor.discard')}
+                </button>
+                <button type="button" className="btn btn-sm btn-link ms-auto" onClick={onClose} disabled={isSaving}>
+                    {t('editor.close')}
+                </button>
+            </div>
+            {isDirty && <div className="form-text mb-2">{t('editor.dirty')}</div>}
+            {validationError && <div className="alert alert-warning py-1 px-2 small">{validationError}</div>}
+            {saveError && <div className="alert alert-danger py-1 px-2 small">{saveError}</div>}
+
+            {/* Un bloque por segmento: tiempos, hablante, texto y acciones */}
+            <div ref={listRef} style={{ maxHeight: '500px', overflowY: 'auto' }}>
+                {edited.map((segment, index) => (
+                    <div
+                        // La posición identifica el segmento; los tiempos fuerzan a recrear sus campos al deshacer.
+                        key={`${index}-${segment.start}-${segment.end}`}
+                        ref={(element) => { rowRefs.current[index] = element; }}
+                        className={`border rounded p-2 mb-2 ${index === activeIndex ? 'border-primary bg-primary-subtle' : ''}`}
+                    >
+                        <div className="d-flex flex-wrap align-items-center gap-1 mb-1">
+                            {onSeek && (
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-outline-primary py-0"
+                                    onClick={() => onSeek(segment.start)}
+                                    title={t('editor.playTitle')}
+                                    aria-label={t('editor.playLabel', { number: index + 1 })}
+                                >
+                                    ▶
+                                </button>
+                            )}
+                            <input
+                                type="text"
+                                className="form-control form-control-sm font-monospace"
+                                style={{ width: '7.5rem' }}
+                                defaultValue={formatTimestamp(segment.start)}
+                                onBlur={(event) => handleTimeBlur(index, 'start', event)}
+                                onKeyDown={(event) => event.key === 'Enter' && event.target.blur()}
+                                aria-label={t('editor.startLabel', { number: index + 1 })}
+                            />
+                            <span className="text-muted">→</span>
+                            <input
+                                type="text"
+                                className="form-control form-control-sm font-monospace"
+                                style={{ width: '7.5rem' }}
+                                defaultValue={formatTimestamp(segment.end)}
+                                onBlur={(event) => handleTimeBlur(index, 'end', event)}
+                                onKeyDown={(event) => event.key === 'Enter' && event.target.blur()}
+                                aria-label={t('editor.endLabel', { number: index + 1 })}
+                            />
+                            {segment.speaker && <span className="badge text-bg-light border">{speakerLabel(segment.speaker, speakerNames)}</span>}
+                            <div className="btn-group btn-group-sm ms-auto" role="group" aria-label={t('editor.actionsLabel', { number: index + 1 })}>
+                                <button type="button" className="btn btn-outline-secondary py-0" onClick={() => handleSplit(index)} title={t('editor.splitTitle')}>
+                                    {t('editor.split')}
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-outline-secondary py-0"
+                                    onClick={() => applyEdit(mergeWithNext(edited, index))}
+                                    disabled={index === edited.length - 1}
+                                    title={t('editor.mergeTitle')}
+                                >
+                                    {t('editor.merge')}
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-outline-danger py-0"
+                                    onClick={() => applyEdit(removeSegment(edited, index))}
+                                    disabled={edited.length === 1}
+                                    title={t('editor.deleteTitle')}
+                                >
+                                    {t('editor.delete')}
+                                </button>
+                            </div>
+                        </div>
+                        <textarea
+                            className="form-control form-control-sm"
+                            rows={2}
+                            value={segment.text}
+                            onChange={(event) => {
+                                trackCaret(index, event);
+                                applyEdit(updateSegment(edited, index, { text: event.target.value }), `text-${index}`);
+                            }}
+                            onSelect={(event) => trackCaret(index, event)}
+                            aria-label={t('editor.textLabel', { number: index + 1 })}
+                        />
+                        {segment.translation !== undefined && (
+                            <textarea
+                                className="form-control form-control-sm mt-1 fst-italic"
+                                rows={2}
+                                value={segment.translation}
+                                onChange={(event) => applyEdit(updateSegment(edited, index, { translation: event.target.value }), `translation-${index}`)}
+                                placeholder={t('editor.translationPlaceholder')}
+                                aria-label={t('editor.translationLabel', { number: index + 1 })}
+                            />
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default TranscriptEditor;
@@ -0,0 +1,162 @@
+// frontend/src/components/TranscriptInsights.jsx
+import React, { useState, useEffect } from 'react';
+import { formatSeconds } from '../utils/format.js';
+import { apiFetch } from '../utils/api.js';
+import { apiError } from '../utils/errors.js';
+import { useI18n } from '../utils/i18n.js';
+
+/**
+ * Análisis de una transcripción guardada: palabras clave (pulsarlas las busca en el texto), temas a lo largo del
+ * audio y el resumen con capítulos, que se genera a petición con el servicio de resúmenes del servidor.
+ * Los temas y los capítulos enlazan con su instante del audio.
+ *
+ * @param {object} props
+ * @param {string} props.entryUrl - URL de la transcripción en el historial (ej. '.../api/history/<id>').
+ * @param {number} props.revision - Versión actual de la transcripción; al cambiar, se recarga el análisis.
+ * @param {function(number): void} props.onJump - Salta a un instante (s) de la transcripción.
+ * @param {function(string): void} props.onSearch - Busca un término en la transcripción.
+ */
+function TranscriptInsights({ entryUrl, revision, onJump, onSearch }) {
+    const { t } = useI18n();
+
+    // Análisis de la transcripción (`GET /api/history/:id/insights`), o null mientras se carga.
+    const [insights, setInsights] = useState(null);
+    // Mensaje de error al cargar el análisis.
+    const [loadError, setLoadError] = useState('');
+    // Indica si se está generando el resumen.
+    const [isGenerating, setIsGenerating] = useState(false);
+    // Mensaje de error al generar el resumen.
+    const [summaryError, setSummaryError] = useState('');
+
+    // Carga el análisis al montar y tras guardar cada versión editada (sus palabras clave y temas se recalculan).
+    useEffect(() => {
+        const controller = new AbortController();
+        (async () => {
+            try {
+                const response = await apiFetch(`${entryUrl}/insights`, { signal: controller.signal });
+                const data = await response.json();
+                if (!response.ok) throw apiError(data, response);
+                setInsights(data);
+                setLoadError('');
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                console.error('No se pudo cargar el análisis de la transcripción:', err);
+                setLoadError(t('insights.loadFailed'));
+            }
+        })();
+        return () => controller.abort();
+    }, [entryUrl, revision, t]);
+
+    /**
+     * Genera el resumen con capítulos de la versión actual (sustituye al anterior).
+     */
+    const handleGenerateSummary = async () => {
+        setIsGenerating(true);
+        setSummaryError('');
+        try {
+            const response = await apiFetch(`${entryUrl}/summary`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) throw apiError(data, response);
+            setInsights(data);
+        } catch (err) {
+            console.error('No se pudo generar el resumen:', err);
+            setSummaryError(t('insights.generateFailed', { message: err.message }));
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    /**
+     * Enlace a un tramo del audio (`[inicio → fin]`).
+     * @param {number} start - Inicio del tramo (s).
+     * @param {number} end - Fin del tramo (s).
+     * @returns {JSX.Element}
+     */
+    const timeRange = (start, end) => (
+        <button type="button" className="btn btn-link btn-sm p-0 me-2 text-nowrap" onClick={() => onJump(start)} title={t('insights.jumpTo', { time: formatSeconds(start) })}>
+            [{formatSeconds(start)} → {formatSeconds(end)}]
+        </button>
+    );
+
+    if (loadError) {
+        return <div className="form-text text-danger mb-3">{loadError}</div>;
+    }
+    if (!insights) return null;
+
+    const { keywords, topics, summary, summaryProvider } = insights;
+
+    return (
+        <div className="border rounded p-3 mb-3 small">
+            <h3 className="h6">{t('insights.title')}</h3>
+
+            {/* Palabras clave: pulsar una la busca en el texto */}
+            <div className="d-flex flex-wrap align-items-center gap-1 mb-2">
+                <span className="fw-bold me-1">{t('insights.keywords')}</span>
+                {keywords.length === 0 && <span className="text-muted">{t('insights.noKeywords')}</span>}
+                {keywords.map(keyword => (
+                    <button
+                        key={keyword.term}
+                        type="button"
+                        className="btn btn-sm btn-light border py-0"
+                        onClick={() => onSearch(keyword.term)}
+                        title={t('insights.keywordTitle', { term: keyword.term, count: keyword.count })}
+                    >
+                        {keyword.term} <span className="badge text-bg-secondary">{keyword.count}</span>
+                    </button>
+                ))}
+            </div>
+
+            {/* Temas, en orden cronológico, con su tramo del audio */}
+            {topics.length > 0 && (
+                <div className="mb-2">
+                    <span className="fw-bold">{t('insights.topics')}</span>
+                    <ul className="list-unstyled mb-0">
+                        {topics.map(topic => (
+                            <li key={topic.start}>
+                                {timeRange(topic.start, topic.end)}
+                                {topic.keywords.join(' · ')}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {/* Resumen con capítulos, generado a petición */}
+            <div className="border-top pt-2">
+                <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-1">
+                    <span className="fw-bold">{t('insights.summary')}</span>
+                    {summaryProvider && (
+                        <button type="button" className="btn btn-sm btn-outline-primary" onClick={handleGenerateSummary} disabled={isGenerating}>
+                            {isGenerating ? (
+                                <>
+                                    <span className="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>
+                                    {t('insights.generating')}
+                                </>
+                            ) : summary ? t('insights.regenerate') : t('insights.generate')}
+                        </button>
+                    )}
+                </div>
+                {!summaryProvider && !summary && <div className="text-muted">{t('insights.noProvider')}</div>}
+                {summaryError && <div className="text-danger mb-1">{summaryError}</div>}
+                {summary && (
+                    <>
+                        {summary.revision !== insights.revision && <div className="text-warning-emphasis mb-1">{t('insights.stale')}</div>}
+                        <p className="mb-2">{summary.text}</p>
+                        <ol className="mb-1 ps-3">
+                            {summary.chapters.map(chapter => (
+                                <li key={chapter.start} className="mb-1">
+                                    {timeRange(chapter.start, chapter.end)}
+                                    <span className="fw-semibold">{chapter.title}</span>
+                                    {chapter.summary && <div className="text-muted">{chapter.summary}</div>}
+                                </li>
+                            ))}
+                        </ol>
+                        <div className="form-text mt-0">{t('insights.generatedBy', { provider: summary.model || summary.provider })}</div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default TranscriptInsights;
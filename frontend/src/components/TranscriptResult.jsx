@@ -0,0 +1,414 @@
+// frontend/src/components/TranscriptResult.jsx
+import React, { useState, useRef } from 'react';
+import TranscriptEditor from './TranscriptEditor.jsx';
+import TranscriptInsights from './TranscriptInsights.jsx';
+import { formatTimecode } from '../utils/format.js';
+import { speakerLabel, groupSpeakerTurns } from '../utils/speakers.js';
+import { downloadFormats, translationDownloads } from '../utils/downloads.js';
+import { withApiKey } from '../utils/api.js';
+import { findMatches, splitMatches } from '../utils/search.js';
+import { useI18n } from '../utils/i18n.js';
+
+// Colores (clases de Bootstrap) con los que se distingue a cada hablante, por orden de aparición.
+const speakerColors = ['text-primary', 'text-success', 'text-danger', 'text-info', 'text-warning', 'text-secondary'];
+
+/**
+ * Tarjeta con el resultado de una transcripción.
+ * Muestra los segmentos con sus códigos de tiempo (o el texto completo si no hay segmentos)
+ * y botones para descargar el resultado en los distintos formatos de subtítulos.
+ * Si se identificaron hablantes, el texto se muestra como turnos de palabra y los hablantes pueden renombrarse.
+ * Con el audio disponible, pulsar un segmento salta a ese instante y el segmento que se reproduce se resalta;
+ * el botón "Editar" abre el editor de segmentos (`TranscriptEditor`), sincronizado con el mismo reproductor.
+ * Si la transcripción se tradujo, cada segmento se muestra junto a su traducción y se ofrecen también
+ * subtítulos bilingües y solo con la traducción.
+ * El buscador resalta las coincidencias en el texto (sin distinguir mayúsculas ni tildes) y permite recorrerlas;
+ * cada una salta a su instante del audio. Las transcripciones guardadas muestran además su análisis
+ * (`TranscriptInsights`): palabras clave, temas y resumen con capítulos.
+ *
+ * @param {object} props
+ * @param {string} props.transcription - Texto completo transcrito.
+ * @param {Array<{start: number, end: number, text: string, speaker?: string, translation?: string}>} props.segments - Segmentos con tiempos.
+ * @param {string} [props.downloadUrl] - URL base de descarga; se le añade `?format=...`. Sin ella no se muestran botones.
+ * @param {object} [props.speakerNames] - Nombres asignados a los hablantes (`{ SPEAKER_1: 'Ana' }`).
+ * @param {object} [props.translation] - Traducción de la transcripción (`{ language, source, provider, text }`), o null.
+ * @param {function(string, string): Promise<void>} [props.onRenameSpeaker] - Guarda el nuevo nombre de un hablante.
+ *        Sin él, los hablantes no pueden renombrarse.
+ * @param {string} [props.audioUrl] - URL del audio original. Sin ella (o si no se conserva) no se muestra el reproductor.
+ * @param {function(object[]): Promise<void>} [props.onSaveSegments] - Guarda los segmentos editados. Sin él, no se puede editar.
+ * @param {string} [props.entryUrl] - URL de la transcripción en el historial. Sin ella no se muestra el análisis.
+ * @param {number} [props.revision=0] - Versión de la transcripción guardada (para recargar el análisis al editarla).
+ */
+function TranscriptResult({ transcription, segments, downloadUrl, speakerNames = {}, translation, onRenameSpeaker, audioUrl, onSaveSegments, entryUrl, revision = 0 }) {
+    const { t } = useI18n();
+
+    // Hablante que se está renombrando (`{ id, name }`), o null si no hay ninguno en edición.
+    const [editing, setEditing] = useState(null);
+    // Mensaje de error al renombrar un hablante.
+    const [renameError, setRenameError] = useState('');
+    // Indica si se muestra el editor de segmentos en lugar del texto.
+    const [isEditing, setIsEditing] = useState(false);
+    // Instante de la reproducción (s), para resaltar el segmento activo.
+    const [currentTime, setCurrentTime] = useState(0);
+    // URL del audio que no pudo cargarse (ej. transcripciones anteriores a que se conservaran los audios).
+    const [failedAudioUrl, setFailedAudioUrl] = useState(null);
+    // Texto buscado en la transcripción.
+    const [query, setQuery] = useState('');
+    // Posición, entre los bloques con coincidencias, de la coincidencia seleccionada (-1: ninguna).
+    const [activeHit, setActiveHit] = useState(-1);
+    // Referencia al reproductor de audio.
+    const audioRef = useRef(null);
+    // Elementos de los bloques del texto, para desplazarse hasta una coincidencia o un instante.
+    const blockRefs = useRef([]);
+
+    const hasAudio = Boolean(audioUrl) && failedAudioUrl !== audioUrl;
+
+    // Hablantes identificados, por orden de aparición (vacío si no se pidió la diarización).
+    const speakers = [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+    const colorOf = (speakerId) => speakerColors[speakers.indexOf(speakerId) % speakerColors.length];
+    // Con una traducción, los segmentos se muestran en dos columnas: original y traducción.
+    const isTranslated = Boolean(translation) && segments.some(segment => segment.translation !== undefined);
+    // Bloques en que se muestra el texto (turnos de palabra con hablantes; si no, segmentos) y en los que se busca.
+    // Sin segmentos, el texto completo es un único bloque sin tiempos.
+    const blocks = segments.length === 0 ? [{ text: transcription }]
+        : speakers.length > 0 && !isTranslated ? groupSpeakerTurns(segments) : segments;
+
+    /**
+     * Bloques que contienen una búsqueda (en su texto o, si la hay, en su traducción).
+     * @param {string} searchQuery - Texto buscado.
+     * @returns {number[]} Índices de los bloques, en orden.
+     */
+    const findHits = (searchQuery) => (searchQuery.trim() ? blocks.flatMap((block, index) => (
+        findMatches(block.text, searchQuery).length > 0 || (isTranslated && findMatches(block.translation, searchQuery).length > 0) ? [index] : []
+    )) : []);
+    const hits = findHits(query);
+
+    /**
+     * Salta a un instante del audio y lo reproduce.
+     * @param {number} time - Instante (s).
+     * @param {object} [options]
+     * @param {boolean} [options.play=true] - Si se reproduce desde ese instante.
+     */
+    const handleSeek = (time, { play = true } = {}) => {
+        const audio = audioRef.current;
+        if (!audio) return;
+        audio.currentTime = time;
+        setCurrentTime(time);
+        if (play) audio.play().catch(err => console.error('No se pudo reproducir el audio:', err));
+    };
+
+    /**
+     * Desplaza el texto hasta un bloque.
+     * @param {number} index - Índice del bloque.
+     */
+    const scrollToBlock = (index) => {
+        blockRefs.current[index]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    };
+
+    /**
+     * Selecciona una de las coincidencias de la búsqueda (la lista es circular): desplaza el texto hasta ella y
+     * lleva el audio a su instante, sin reproducirlo.
+     * @param {number} position - Posición de la coincidencia entre los bloques con coincidencias.
+     * @param {number[]} [hitList] - Bloques con coincidencias (por defecto, los de la búsqueda actual).
+     */
+    const goToHit = (position, hitList = hits) => {
+        if (hitList.length === 0) return;
+        const wrapped = (position + hitList.length) % hitList.length;
+        setActiveHit(wrapped);
+        scrollToBlock(hitList[wrapped]);
+        const { start } = blocks[hitList[wrapped]];
+        if (start !== undefined) handleSeek(start, { play: false });
+    };
+
+    /**
+     * Cambia el texto buscado; las coincidencias se recorren con Intro (y Mayús+Intro hacia atrás).
+     * @param {string} value - Nuevo texto buscado.
+     */
+    const handleQueryChange = (value) => {
+        setQuery(value);
+        setActiveHit(-1);
+    };
+
+    /**
+     * Recorre las coincidencias con el teclado: Intro, la siguiente; Mayús+Intro, la anterior; Escape borra la búsqueda.
+     * @param {React.KeyboardEvent<HTMLInputElement>} event - Pulsación en el buscador.
+     */
+    const handleSearchKeyDown = (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            goToHit(event.shiftKey ? Math.max(activeHit, 0) - 1 : activeHit + 1);
+        } else if (event.key === 'Escape') {
+            handleQueryChange('');
+        }
+    };
+
+    /**
+     * Busca una palabra clave del análisis y salta a su primera aparición.
+     * @param {string} term - Palabra clave.
+     */
+    const handleSearchKeyword = (term) => {
+        setQuery(term);
+        goToHit(0, findHits(term));
+    };
+
+    /**
+     * Salta a un instante elegido en el análisis (un tema o un capítulo): desplaza el texto hasta el bloque que lo
+     * contiene y, con el audio disponible, lo reproduce desde ahí.
+     * @param {number} time - Instante (s).
+     */
+    const handleJump = (time) => {
+        const index = blocks.findLastIndex(block => block.start <= time);
+        if (index !== -1) scrollToBlock(index);
+        handleSeek(time);
+    };
+
+    /**
+     * Texto de un bloque con las coincidencias de la búsqueda resaltadas (más intensamente, las del bloque de la
+     * coincidencia seleccionada).
+     * @param {string} text - Texto del bloque.
+     * @param {number} index - Índice del bloque.
+     * @returns {React.ReactNode}
+     */
+    const highlight = (text, index) => (query.trim() ? splitMatches(text || '', query).map((part, position) => (part.match ? (
+        <mark key={position} className={index === hits[activeHit] ? 'bg-warning p-0' : 'p-0'}>{part.text}</mark>
+    ) : part.text)) : text);
+
+    /**
+     * Guarda los segmentos editados y vuelve a la vista de la transcripción.
+     * @param {object[]} editedSegments - Segmentos editados.
+     */
+    const handleSaveSegments = async (editedSegments) => {
+        await onSaveSegments(editedSegments);
+        setIsEditing(false);
+    };
+
+    /**
+     * Propiedades de un bloque del texto (segmento o turno): su referencia, para desplazarse hasta él, y, con el
+     * audio disponible, la sincronización con la reproducción: se resalta mientras se reproduce y al pulsarlo se
+     * salta a su inicio.
+     * @param {number} index - Índice del bloque.
+     * @param {number} start - Inicio del bloque (s).
+     * @param {number} end - Fin del bloque (s).
+     * @param {string} className - Clases propias del bloque.
+     * @returns {object} Propiedades del elemento.
+     */
+    const blockProps = (index, start, end, className) => ({
+        ref: (element) => { blockRefs.current[index] = element; },
+        ...(hasAudio ? {
+            className: currentTime >= start && currentTime < end ? `${className} bg-warning-subtle rounded` : className,
+            style: { cursor: 'pointer' },
+            onClick: () => handleSeek(start),
+            title: t('result.playFromHere'),
+        } : { className }),
+    });
+
+    /**
+     * Guarda el nombre del hablante en edición.
+     * @param {React.FormEvent<HTMLFormElement>} event - El evento de envío del formulario de renombrado.
+     */
+    const handleRenameSubmit = async (event) => {
+        event.preventDefault();
+        try {
+            await onRenameSpeaker(editing.id, editing.name.trim());
+            setEditing(null);
+            setRenameError('');
+        } catch (err) {
+            console.error('No se pudo renombrar el hablante:', err);
+            setRenameError(t('result.renameFailed', { message: err.message }));
+        }
+    };
+
+    return (
+        <div className="card shadow-sm mt-4">
+            <div className="card-header bg-light d-flex flex-wrap justify-content-between align-items-center gap-2">
+                <h2 className="h5 mb-0">{t('result.title')}</h2>
+                <div className="d-flex flex-wrap gap-2">
+                    {/* Abre el editor de segmentos */}
+                    {onSaveSegments && segments.length > 0 && !isEditing && (
+                        <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setIsEditing(true)}>
+                            {t('result.edit')}
+                        </button>
+                    )}
+                    {/* Botones de descarga en cada formato disponible */}
+                    {downloadUrl && (
+                        <div className="btn-group btn-group-sm" role="group" aria-label={t('result.downloadLabel')}>
+                            {downloadFormats.map(({ format, label }) => (
+                                <a key={format} className="btn btn-outline-primary" href={withApiKey(`${downloadUrl}?format=${format}`)} download>
+                                    {label}
+                                </a>
+                            ))}
+                        </div>
+                    )}
+                    {/* Subtítulos bilingües o solo con la traducción */}
+                    {downloadUrl && isTranslated && translationDownloads.map(({ text, formats }) => (
+                        <div key={text} className="btn-group btn-group-sm" role="group" aria-label={t('result.downloadVariantLabel', { label: t(`downloads.${text}`) })}>
+                            <span className="btn btn-outline-secondary disabled">{t(`downloads.${text}`)}</span>
+                            {downloadFormats.filter(({ format }) => formats.includes(format)).map(({ format, label: formatLabel }) => (
+                                <a key={format} className="btn btn-outline-primary" href={withApiKey(`${downloadUrl}?format=${format}&text=${text}`)} download>
+                                    {formatLabel}
+                                </a>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            </div>
+            <div className="card-body">
+                {/* Reproductor del audio original, compartido por la vista de texto y el editor */}
+                {hasAudio && (
+                    <audio
+                        ref={audioRef}
+                        className="w-100 mb-3"
+                        src={audioUrl}
+                        controls
+                        preload="metadata"
+                        onTimeUpdate={(event) => setCurrentTime(event.target.currentTime)}
+                        onSeeked={(event) => setCurrentTime(event.target.currentTime)}
+                        onError={() => setFailedAudioUrl(audioUrl)}
+                    />
+                )}
+                {audioUrl && !hasAudio && (
+                    <div className="form-text mb-3">{t('result.audioUnavailable')}</div>
+                )}
+
+                {/* Hablantes identificados: pulsar un nombre permite cambiarlo */}
+                {speakers.length > 0 && (
+                    <div className="mb-3">
+                        <div className="d-flex flex-wrap align-items-center gap-2">
+                            <span className="fw-bold me-1">{t('result.speakers')}</span>
+                            {speakers.map(speakerId => (
+                                editing?.id === speakerId ? (
+                                    <form key={speakerId} className="d-flex gap-1" onSubmit={handleRenameSubmit}>
+                                        <input
+                                            type="text"
+                                            className="form-control form-control-sm"
+                                            value={editing.name}
+                                            onChange={(event) => setEditing({ ...editing, name: event.target.value })}
+                                            placeholder={speakerLabel(speakerId)}
+                                            maxLength={80}
+                                            aria-label={t('result.speakerName')}
+                                            autoFocus
+                                        />
+                                        <button type="submit" className="btn btn-sm btn-primary">{t('result.save')}</button>
+                                        <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setEditing(null)}>
+                                            {t('result.cancel')}
+                                        </button>
+                                    </form>
+                                ) : (
+                                    <button
+                                        key={speakerId}
+                                        type="button"
+                                        className={`btn btn-sm btn-light border ${colorOf(speakerId)}`}
+                                        onClick={() => setEditing({ id: speakerId, name: speakerNames[speakerId] || '' })}
+                                        disabled={!onRenameSpeaker}
+                                        title={onRenameSpeaker ? t('result.renameSpeaker') : undefined}
+                                    >
+                                        {speakerLabel(speakerId, speakerNames)}
+                                    </button>
+                                )
+                            ))}
+                        </div>
+                        {renameError && <div className="form-text text-danger">{renameError}</div>}
+                    </div>
+                )}
+
+                {/* Análisis de la transcripción guardada: palabras clave, temas y resumen con capítulos */}
+                {entryUrl && !isEditing && (
+                    <TranscriptInsights entryUrl={entryUrl} revision={revision} onJump={handleJump} onSearch={handleSearchKeyword} />
+                )}
+
+                {/* Buscador: resalta las coincidencias y las recorre saltando a su instante */}
+                {!isEditing && (
+                    <div className="input-group input-group-sm mb-2">
+                        <input
+                            type="search"
+                            className="form-control"
+                            value={query}
+                            onChange={(event) => handleQueryChange(event.target.value)}
+                            onKeyDown={handleSearchKeyDown}
+                            placeholder={t('result.searchPlaceholder')}
+                            aria-label={t('result.searchLabel')}
+                        />
+                        {query.trim() && (
+                            <span className="input-group-text" aria-live="polite">
+                                {hits.length === 0 ? t('result.searchNoMatches')
+                                    : activeHit >= 0 ? t('result.searchPosition', { current: activeHit + 1, total: hits.length })
+                                        : t('result.searchCount', { count: hits.length })}
+                            </span>
+                        )}
+                        <button type="button" className="btn btn-outline-secondary" onClick={() => goToHit(Math.max(activeHit, 0) - 1)} disabled={hits.length === 0} title={t('result.previousMatch')} aria-label={t('result.previousMatch')}>
+                            ↑
+                        </button>
+                        <button type="button" className="btn btn-outline-secondary" onClick={() => goToHit(activeHit + 1)} disabled={hits.length === 0} title={t('result.nextMatch')} aria-label={t('result.nextMatch')}>
+                            ↓
+                        </button>
+                    </div>
+                )}
+
+                {/* Editor de segmentos, en lugar del texto */}
+                {isEditing ? (
+                    <TranscriptEditor
+                        segments={segments}
+                        speakerNames={speakerNames}
+                        currentTime={currentTime}
+                        onSeek={hasAudio ? handleSeek : undefined}
+                        onSave={handleSaveSegments}
+                        onClose={() => setIsEditing(false)}
+                    />
+                ) : (
+                    /* Contenedor para el texto transcrito con scroll y formato pre */
+                    <div
+                        className="bg-white p-3 rounded border"
+                        style={{ maxHeight: '400px', overflowY: 'auto', whiteSpace: 'pre-wrap', wordWrap: 'break-word', fontFamily: 'monospace' }}
+                    >
+                        {isTranslated ? (
+                            // Dos columnas alineadas por segmento: texto original y traducción.
+                            <div className="row g-0 small">
+                                <div className="col-6 pe-2 fw-bold text-muted border-bottom mb-2">
+                                    {translation.source ? t('result.originalWithSource', { language: translation.source }) : t('result.original')}
+                                </div>
+                                <div className="col-6 ps-2 fw-bold text-muted border-bottom mb-2">
+                                    {t('result.translation', { language: translation.language })}
+                                </div>
+                                {segments.map((segment, index) => (
+                                    <div key={index} {...blockProps(index, segment.start, segment.end, 'row g-0 mb-2')}>
+                                        <div className="col-6 pe-2">
+                                            <span className="text-muted me-2">[{formatTimecode(segment.start)}]</span>
+                                            {segment.speaker && (
+                                                <span className={`fw-bold me-1 ${colorOf(segment.speaker)}`}>{speakerLabel(segment.speaker, speakerNames)}:</span>
+                                            )}
+                                            {highlight(segment.text, index)}
+                                        </div>
+                                        <div className="col-6 ps-2">{highlight(segment.translation, index)}</div>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : speakers.length > 0 ? (
+                            // Un bloque por turno de palabra: hablante, intervalo de tiempo y texto.
+                            blocks.map((turn, index) => (
+                                <div key={index} {...blockProps(index, turn.start, turn.end, 'mb-3')}>
+                                    <div>
+                                        <span className={`fw-bold me-2 ${colorOf(turn.speaker)}`}>{speakerLabel(turn.speaker, speakerNames)}</span>
+                                        <span className="text-muted small">[{formatTimecode(turn.start)} → {formatTimecode(turn.end)}]</span>
+                                    </div>
+                                    {highlight(turn.text, index)}
+                                </div>
+                            ))
+                        ) : segments.length > 0 ? (
+                            // Un renglón por segmento, precedido por su intervalo de tiempo.
+                            segments.map((segment, index) => (
+                                <div key={index} {...blockProps(index, segment.start, segment.end, 'mb-1')}>
+                                    <span className="text-muted me-2">[{formatTimecode(segment.start)} → {formatTimecode(segment.end)}]</span>
+                                    {highlight(segment.text, index)}
+                                </div>
+                            ))
+                        ) : (
+                            // Sin segmentos: muestra el texto completo.
+                            <div ref={(element) => { blockRefs.current[0] = element; }}>{highlight(transcription, 0)}</div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default TranscriptResult;
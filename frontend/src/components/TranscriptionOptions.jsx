@@ -0,0 +1,227 @@
+// frontend/src/components/TranscriptionOptions.jsx
+import React from 'react';
+import { hasMessage, useI18n } from '../utils/i18n.js';
+
+/**
+ * Controles de selección de modelo y opciones de decodificación.
+ * Los valores permitidos (modelos, tareas, rangos) se construyen a partir de la respuesta de
+ * `GET /api/models`, de modo que el backend es la única fuente de la lista blanca.
+ * Un campo vacío significa "usar el valor por defecto del backend". Las tareas se muestran con su nombre de la
+ * clave `options.tasks` de los catálogos; una tarea sin nombre allí se muestra con su identificador.
+ *
+ * @param {object} props
+ * @param {object|null} props.config - Respuesta de `GET /api/models`; null mientras se carga.
+ * @param {object} props.value - Opciones seleccionadas
+ *        (`{ model, task, temperature, beamSize, initialPrompt, wordTimestamps, diarize, numSpeakers, translateTo }`).
+ * @param {function(object): void} props.onChange - Recibe las opciones actualizadas.
+ * @param {boolean} [props.disabled] - Deshabilita los controles (ej. mientras se transcribe).
+ * @param {boolean} [props.showDiarization=true] - Muestra la opción de identificar hablantes
+ *        (no disponible en la grabación en vivo).
+ * @param {boolean} [props.showTranslation=true] - Muestra la opción de traducir la transcripción
+ *        (no disponible en la grabación en vivo).
+ * @param {Array<{code: string, name: string}>} [props.languages] - Idiomas a los que se puede traducir. Sin un
+ *        proveedor de traducción en el backend, solo se ofrece el que traduce Whisper (inglés).
+ */
+function TranscriptionOptions({ config, value, onChange, disabled, showDiarization = true, showTranslation = true, languages = [] }) {
+    const { t } = useI18n();
+
+    if (!config) {
+        return <div className="form-text mb-3">{t('options.loading')}</div>;
+    }
+
+    /**
+     * Actualiza una opción conservando el resto.
+     * @param {string} name - Nombre de la opción.
+     * @param {*} optionValue - Nuevo valor.
+     */
+    const setOption = (name, optionValue) => onChange({ ...value, [name]: optionValue });
+
+    // Con la tarea 'translate' el texto ya es la traducción al inglés: no se puede traducir además por segmento.
+    const canTranslate = showTranslation && value.task !== 'translate';
+    const translationTargets = config.translateTo.provider
+        ? languages
+        : languages.filter(lang => lang.code === config.translateTo.whisperTarget);
+
+    return (
+        <>
+            {/* Selección del modelo de Whisper */}
+            <div className="mb-3">
+                <label htmlFor="modelSelect" className="form-label fw-bold">{t('options.model')}</label>
+                <select
+                    className="form-select"
+                    id="modelSelect"
+                    value={value.model || config.defaultModel}
+                    onChange={(event) => setOption('model', event.target.value)}
+                    disabled={disabled}
+                    aria-describedby="modelHelp"
+                >
+                    {config.models.map(model => (
+                        <option key={model.name} value={model.name}>
+                            {model.name} ({model.parameters}{model.englishOnly ? `, ${t('options.englishOnly')}` : ''})
+                        </option>
+                    ))}
+                </select>
+                <div id="modelHelp" className="form-text">
+                    {t('options.modelHelp')}
+                </div>
+            </div>
+
+            {/* Identificación de hablantes (diarización) */}
+            {showDiarization && (
+                <div className="mb-3">
+                    <div className="form-check">
+                        <input
+                            type="checkbox"
+                            className="form-check-input"
+                            id="diarizeInput"
+                            checked={value.diarize}
+                            onChange={(event) => setOption('diarize', event.target.checked)}
+                            disabled={disabled}
+                            aria-describedby="diarizeHelp"
+                        />
+                        <label className="form-check-label fw-bold" htmlFor="diarizeInput">{t('options.diarize')}</label>
+                    </div>
+                    <div id="diarizeHelp" className="form-text">
+                        {t('options.diarizeHelp')}
+                    </div>
+                    {/* Número de hablantes: vacío para estimarlo automáticamente */}
+                    {value.diarize && (
+                        <div className="mt-2">
+                            <label htmlFor="numSpeakersInput" className="form-label">{t('options.numSpeakers')}</label>
+                            <input
+                                type="number"
+                                className="form-control"
+                                id="numSpeakersInput"
+                                min={config.diarize.numSpeakers.min}
+                                max={config.diarize.numSpeakers.max}
+                                placeholder={t('options.numSpeakersPlaceholder')}
+                                value={value.numSpeakers}
+                                onChange={(event) => setOption('numSpeakers', event.target.value)}
+                                disabled={disabled}
+                            />
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Traducción por segmento, mostrada junto al texto original */}
+            {canTranslate && (
+                <div className="mb-3">
+                    <label htmlFor="translateToSelect" className="form-label fw-bold">{t('options.translateTo')}</label>
+                    <select
+                        className="form-select"
+                        id="translateToSelect"
+                        value={value.translateTo}
+                        onChange={(event) => setOption('translateTo', event.target.value)}
+                        disabled={disabled}
+                        aria-describedby="translateToHelp"
+                    >
+                        <option value="">{t('options.noTranslation')}</option>
+                        {translationTargets.map(lang => (
+                            <option key={lang.code} value={lang.code}>{lang.name} ({lang.code})</option>
+                        ))}
+                    </select>
+                    <div id="translateToHelp" className="form-text">
+                        {config.translateTo.provider ? t('options.translateHelp') : t('options.translateHelpWhisper')}
+                    </div>
+                </div>
+            )}
+
+            {/* Opciones avanzadas de decodificación, plegadas por defecto */}
+            <details className="mb-3">
+                <summary className="fw-bold mb-2">{t('options.advanced')}</summary>
+
+                {/* Tarea: transcribir o traducir al inglés */}
+                <div className="mb-3">
+                    <label htmlFor="taskSelect" className="form-label">{t('options.task')}</label>
+                    <select
+                        className="form-select"
+                        id="taskSelect"
+                        value={value.task || config.defaultTask}
+                        // La traducción al inglés de Whisper sustituye a la traducción por segmento.
+                        onChange={(event) => onChange({
+                            ...value,
+                            task: event.target.value,
+                            translateTo: event.target.value === 'translate' ? '' : value.translateTo,
+                        })}
+                        disabled={disabled}
+                    >
+                        {config.tasks.map(task => (
+                            <option key={task} value={task}>{hasMessage(`options.tasks.${task}`) ? t(`options.tasks.${task}`) : task}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {/* Temperatura: vacío usa la estrategia por defecto de Whisper */}
+                <div className="mb-3">
+                    <label htmlFor="temperatureInput" className="form-label">
+                        {t('options.temperature')} {value.temperature === '' ? t('options.temperatureAuto') : `(${value.temperature})`}
+                    </label>
+                    <div className="d-flex align-items-center gap-2">
+                        <input
+                            type="range"
+                            className="form-range"
+                            id="temperatureInput"
+                            min={config.temperature.min}
+                            max={config.temperature.max}
+                            step={config.temperature.step}
+                            value={value.temperature === '' ? config.temperature.min : value.temperature}
+                            onChange={(event) => setOption('temperature', event.target.value)}
+                            disabled={disabled}
+                        />
+                        <button type="button" className="btn btn-sm btn-outline-secondary text-nowrap"
+                            onClick={() => setOption('temperature', '')} disabled={disabled || value.temperature === ''}>
+                            {t('options.automatic')}
+                        </button>
+                    </div>
+                </div>
+
+                {/* Tamaño del haz (beam search) */}
+                <div className="mb-3">
+                    <label htmlFor="beamSizeInput" className="form-label">{t('options.beamSize')}</label>
+                    <input
+                        type="number"
+                        className="form-control"
+                        id="beamSizeInput"
+                        min={config.beamSize.min}
+                        max={config.beamSize.max}
+                        placeholder={t('options.beamSizePlaceholder', { value: config.beamSize.default })}
+                        value={value.beamSize}
+                        onChange={(event) => setOption('beamSize', event.target.value)}
+                        disabled={disabled}
+                    />
+                </div>
+
+                {/* Texto de contexto inicial */}
+                <div className="mb-3">
+                    <label htmlFor="initialPromptInput" className="form-label">{t('options.initialPrompt')}</label>
+                    <textarea
+                        className="form-control"
+                        id="initialPromptInput"
+                        rows="2"
+                        maxLength={config.initialPrompt.maxLength}
+                        placeholder={t('options.initialPromptPlaceholder')}
+                        value={value.initialPrompt}
+                        onChange={(event) => setOption('initialPrompt', event.target.value)}
+                        disabled={disabled}
+                    />
+                </div>
+
+                {/* Marcas de tiempo por palabra */}
+                <div className="form-check">
+                    <input
+                        type="checkbox"
+                        className="form-check-input"
+                        id="wordTimestampsInput"
+                        checked={value.wordTimestamps}
+                        onChange={(event) => setOption('wordTimestamps', event.target.checked)}
+                        disabled={disabled}
+                    />
+                    <label className="form-check-label" htmlFor="wordTimestampsInput">{t('options.wordTimestamps')}</label>
+                </div>
+            </details>
+        </>
+    );
+}
+
+export default TranscriptionOptions;
@@ -0,0 +1,248 @@
+// frontend/src/components/WaveformRange.jsx
+import React, { useState, useRef, useEffect } from 'react';
+import { formatTimestamp, parseTimestamp } from '../utils/format.js';
+import { useI18n } from '../utils/i18n.js';
+
+// Tamaño máximo de archivo que se decodifica en el navegador para dibujar la forma de onda.
+// Los archivos mayores se recortan solo con los campos de texto (decodificarlos agotaría la memoria).
+const MAX_WAVEFORM_BYTES = 50 * 1024 * 1024;
+// Número de barras de la forma de onda.
+const WAVEFORM_BARS = 500;
+// Altura del lienzo en píxeles.
+const CANVAS_HEIGHT = 80;
+// Distancia máxima (en píxeles) para arrastrar un extremo de la selección en lugar de empezar una nueva.
+const HANDLE_TOLERANCE = 6;
+
+/**
+ * Decodifica un archivo de audio y calcula el pico de cada tramo, normalizado entre 0 y 1.
+ * @param {File} file - Archivo seleccionado.
+ * @returns {Promise<{duration: number, peaks: number[]}>} Duración (s) y picos de la forma de onda.
+ */
+const computeWaveform = async (file) => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    try {
+        const buffer = await context.decodeAudioData(await file.arrayBuffer());
+        const samples = buffer.getChannelData(0);
+        const bucketSize = Math.max(1, Math.floor(samples.length / WAVEFORM_BARS));
+        const peaks = [];
+        for (let start = 0; start < samples.length; start += bucketSize) {
+            let peak = 0;
+            const end = Math.min(start + bucketSize, samples.length);
+            for (let i = start; i < end; i++) peak = Math.max(peak, Math.abs(samples[i]));
+            peaks.push(peak);
+        }
+        const max = Math.max(...peaks, 0.01);
+        return { duration: buffer.duration, peaks: peaks.map(peak => peak / max) };
+    } finally {
+        context.close();
+    }
+};
+
+/**
+ * Selector del fragmento del audio a transcribir: forma de onda con la selección resaltada, que se ajusta
+ * arrastrando con el ratón, y campos de inicio y fin editables. Un valor vacío indica el principio o el
+ * final del audio.
+ *
+ * @param {object} props
+ * @param {File} props.file - Archivo de audio seleccionado.
+ * @param {{trimStart: string|number, trimEnd: string|number}} props.value - Fragmento seleccionado (segundos).
+ * @param {function({trimStart: string|number, trimEnd: string|number}): void} props.onChange - Nuevo fragmento.
+ * @param {boolean} [props.disabled] - Deshabilita los controles.
+ */
+function WaveformRange({ file, value, onChange, disabled = false }) {
+    const { t } = useI18n();
+
+    // --- Definición de Estados del Componente ---
+
+    // Forma de onda del archivo (`{ duration, peaks }`), null mientras se calcula o si no está disponible.
+    const [waveform, setWaveform] = useState(null);
+    // Clave del texto que explica por qué no se muestra la forma de onda (archivo demasiado grande o formato no soportado).
+    const [waveformNote, setWaveformNote] = useState('');
+    // Extremo que se está arrastrando ('start' o 'end') y punto de anclaje de una selección nueva.
+    const dragRef = useRef(null);
+    const canvasRef = useRef(null);
+
+    const start = value.trimStart === '' ? 0 : Number(value.trimStart);
+    const end = value.trimEnd === '' ? waveform?.duration ?? null : Number(value.trimEnd);
+
+    // Calcula la forma de onda del archivo seleccionado (se descarta si cambia el archivo antes de terminar).
+    useEffect(() => {
+        let cancelled = false;
+        setWaveform(null);
+        setWaveformNote('');
+        if (file.size > MAX_WAVEFORM_BYTES) {
+            setWaveformNote('waveform.tooLarge');
+            return undefined;
+        }
+        computeWaveform(file)
+            .then(result => !cancelled && setWaveform(result))
+            .catch((err) => {
+                console.warn('No se pudo decodificar el audio en el navegador:', err);
+                if (!cancelled) setWaveformNote('waveform.unsupported');
+            });
+        return () => { cancelled = true; };
+    }, [file]);
+
+    // Dibuja la forma de onda, atenuando lo que queda fuera del fragmento seleccionado.
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !waveform) return;
+        const width = canvas.clientWidth;
+        canvas.width = width * window.devicePixelRatio;
+        canvas.height = CANVAS_HEIGHT * window.devicePixelRatio;
+        const context = canvas.getContext('2d');
+        context.scale(window.devicePixelRatio, window.devicePixelRatio);
+        context.clearRect(0, 0, width, CANVAS_HEIGHT);
+
+        const barWidth = width / waveform.peaks.length;
+        waveform.peaks.forEach((peak, index) => {
+            const time = (index / waveform.peaks.length) * waveform.duration;
+            context.fillStyle = time >= start && time < end ? '#0d6efd' : '#adb5bd';
+            const height = Math.max(1, peak * (CANVAS_HEIGHT - 4));
+            context.fillRect(index * barWidth, (CANVAS_HEIGHT - height) / 2, Math.max(1, barWidth - 0.5), height);
+        });
+        // Marcas de inicio y fin del fragmento.
+        context.fillStyle = '#dc3545';
+        [start, end].forEach(time => context.fillRect((time / waveform.duration) * width - 1, 0, 2, CANVAS_HEIGHT));
+    }, [waveform, start, end]);
+
+    // --- Manejadores de Eventos ---
+
+    /**
+     * Convierte la posición horizontal del puntero en un instante del audio.
+     * @param {React.PointerEvent<HTMLCanvasElement>} event - Evento del puntero.
+     * @returns {number} Segundos (limitados a la duración del audio).
+     */
+    const timeAt = (event) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        return Math.round(ratio * waveform.duration * 1000) / 1000;
+    };
+
+    /**
+     * Publica un fragmento; los extremos que coinciden con el principio o el final del audio se dejan vacíos.
+     * @param {number} newStart - Inicio (s).
+     * @param {number} newEnd - Fin (s).
+     */
+    const emitRange = (newStart, newEnd) => {
+        onChange({
+            trimStart: newStart > 0 ? newStart : '',
+            trimEnd: newEnd < waveform.duration ? newEnd : '',
+        });
+    };
+
+    /**
+     * Empieza a arrastrar el extremo más cercano al puntero o, si no hay ninguno cerca, una selección nueva.
+     * @param {React.PointerEvent<HTMLCanvasElement>} event - Evento del puntero.
+     */
+    const handlePointerDown = (event) => {
+        if (disabled) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        const time = timeAt(event);
+        const pixelsPerSecond = canvasRef.current.clientWidth / waveform.duration;
+        if (Math.abs(time - start) * pixelsPerSecond <= HANDLE_TOLERANCE) {
+            dragRef.current = { handle: 'start' };
+        } else if (Math.abs(time - end) * pixelsPerSecond <= HANDLE_TOLERANCE) {
+            dragRef.current = { handle: 'end' };
+        } else {
+            dragRef.current = { anchor: time };
+            emitRange(time, time);
+        }
+    };
+
+    /**
+     * Actualiza la selección mientras se arrastra.
+     * @param {React.PointerEvent<HTMLCanvasElement>} event - Evento del puntero.
+     */
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const time = timeAt(event);
+        if (drag.handle === 'start') emitRange(Math.min(time, end), end);
+        else if (drag.handle === 'end') emitRange(start, Math.max(time, start));
+        else emitRange(Math.min(drag.anchor, time), Math.max(drag.anchor, time));
+    };
+
+    /**
+     * Termina el arrastre. Un clic sin arrastrar (selección vacía) restablece el audio completo.
+     */
+    const handlePointerUp = () => {
+        if (dragRef.current && end - start <= 0) emitRange(0, waveform.duration);
+        dragRef.current = null;
+    };
+
+    /**
+     * Aplica el tiempo escrito en el campo de inicio o fin; si no es válido, restablece el valor anterior.
+     * @param {'trimStart'|'trimEnd'} field - Campo editado.
+     * @param {React.FocusEvent<HTMLInputElement>} event - Evento de salida del campo.
+     */
+    const handleFieldBlur = (field, event) => {
+        const text = event.target.value.trim();
+        const seconds = text === '' ? '' : parseTimestamp(text);
+        if (seconds === null) {
+            event.target.value = value[field] === '' ? '' : formatTimestamp(value[field]);
+            return;
+        }
+        onChange({ ...value, [field]: seconds });
+    };
+
+    // --- Renderizado del Componente ---
+    return (
+        <div className="mb-2">
+            {waveform && (
+                <canvas
+                    ref={canvasRef}
+                    className="w-100 border rounded bg-light"
+                    style={{ height: `${CANVAS_HEIGHT}px`, cursor: disabled ? 'default' : 'crosshair', touchAction: 'none' }}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    aria-label={t('waveform.canvasLabel')}
+                />
+            )}
+            {!waveform && !waveformNote && <div className="form-text">{t('waveform.analyzing')}</div>}
+            {waveformNote && <div className="form-text">{t(waveformNote)}</div>}
+
+            {/* Campos de inicio y fin: se recrean al cambiar el valor para reflejar el arrastre */}
+            <div className="d-flex flex-wrap align-items-center gap-2 mt-2">
+                <label htmlFor="trimStartInput" className="form-label small mb-0">{t('waveform.from')}</label>
+                <input
+                    key={`start-${value.trimStart}`}
+                    id="trimStartInput"
+                    type="text"
+                    className="form-control form-control-sm font-monospace"
+                    style={{ width: '7.5rem' }}
+                    defaultValue={value.trimStart === '' ? '' : formatTimestamp(value.trimStart)}
+                    placeholder={t('waveform.startPlaceholder')}
+                    onBlur={(event) => handleFieldBlur('trimStart', event)}
+                    onKeyDown={(event) => event.key === 'Enter' && (event.preventDefault(), event.target.blur())}
+                    disabled={disabled}
+                />
+                <label htmlFor="trimEndInput" className="form-label small mb-0">{t('waveform.to')}</label>
+                <input
+                    key={`end-${value.trimEnd}`}
+                    id="trimEndInput"
+                    type="text"
+                    className="form-control form-control-sm font-monospace"
+                    style={{ width: '7.5rem' }}
+                    defaultValue={value.trimEnd === '' ? '' : formatTimestamp(value.trimEnd)}
+                    placeholder={waveform ? formatTimestamp(waveform.duration) : t('waveform.endPlaceholder')}
+                    onBlur={(event) => handleFieldBlur('trimEnd', event)}
+                    onKeyDown={(event) => event.key === 'Enter' && (event.preventDefault(), event.target.blur())}
+                    disabled={disabled}
+                />
+                <button
+                    type="button"
+                    className="btn btn-sm btn-link"
+                    onClick={() => onChange({ trimStart: '', trimEnd: '' })}
+                    disabled={disabled || (value.trimStart === '' && value.trimEnd === '')}
+                >
+                    {t('waveform.reset')}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default WaveformRange;
@@ -0,0 +1,314 @@
+// frontend/src/locales/en.js
+// Textos de la interfaz en inglés, con las mismas claves que `es.js`.
+
+export default {
+    app: {
+        title: 'Audio Transcriber',
+        subtitle: 'Upload one or more audio files, enter a URL or record from the microphone to transcribe it locally with Whisper',
+        tabs: {
+            file: 'Upload file',
+            url: 'From URL',
+            batch: 'Batch',
+            record: 'Record',
+        },
+        fileLabel: 'Select the Audio File',
+        fileHelp: 'Supports many formats such as mp3, wav, m4a and ogg through FFmpeg.',
+        urlLabel: 'Audio File URL',
+        urlPlaceholder: 'https://files.example.com/recordings/meeting.mp3',
+        urlHelp: 'The server downloads the audio (http or https, including S3 presigned URLs). For a file in the server import directory, enter its relative path (e.g. calls/monday.wav).',
+        languageLabel: 'Specify language (optional)',
+        languageHelp: 'Improves accuracy for noisy audio, accents or short clips.',
+        submit: 'Start Transcription',
+        transcribing: 'Transcribing...',
+        loading: 'Loading...',
+        queued: 'Queued, waiting for a free slot...',
+        processing: 'Processing, please wait...',
+        slowNote: '(This may take a while for long audio files or larger models)',
+        audioInfo: 'Audio: {info}',
+        progressLabel: 'Transcription progress',
+        elapsed: 'Elapsed time: {time}',
+        cancel: 'Cancel',
+        errorTitle: 'Transcription Error!',
+        receivedAudio: 'Received audio: {info}',
+        errorHint: 'Please check the file, the selected language or the backend server logs.',
+        cachedNotice: 'Result retrieved from the cache: this audio had already been transcribed with the same options.',
+        missingUrl: 'Please enter the audio URL first.',
+        missingFile: 'Please select an audio file first.',
+        connectionLost: 'The connection to the server was lost during the transcription.',
+        unknownError: 'Unknown error during the transcription.',
+        missingResult: 'The job succeeded, but the response has no transcription data.',
+        failed: 'Transcription failed: {message}',
+        openFailed: 'The transcription could not be opened: {message}',
+    },
+    languages: {
+        auto: 'Detect Automatically',
+        autoCode: 'Auto',
+        en: 'English',
+        es: 'Spanish',
+        fr: 'French',
+        de: 'German',
+        it: 'Italian',
+        ja: 'Japanese',
+        zh: 'Chinese',
+        ko: 'Korean',
+        pt: 'Portuguese',
+        ru: 'Russian',
+    },
+    localeSwitcher: {
+        label: 'Interface language',
+    },
+    apiKey: {
+        saved: 'API key: {key}…',
+        none: 'No API key',
+        change: 'Change',
+        enter: 'Enter key',
+        required: 'The server requires a valid API key. Ask the server administrator for one.',
+        label: 'API key',
+        save: 'Save',
+        remove: 'Remove',
+        help: 'It is stored only in this browser and sent with every request to the backend.',
+    },
+    history: {
+        title: 'History',
+        searchPlaceholder: 'Search transcriptions...',
+        searchLabel: 'Search the history',
+        noResults: 'No results.',
+        empty: 'No saved transcriptions yet.',
+        newTitle: 'New title',
+        ok: 'OK',
+        cancel: 'Cancel',
+        rename: 'Rename',
+        delete: 'Delete',
+        confirmDelete: 'Delete "{title}" from the history?',
+        loadFailed: 'The history could not be loaded.',
+        renameFailed: 'The transcription could not be renamed.',
+        deleteFailed: 'The transcription could not be deleted.',
+    },
+    options: {
+        loading: 'Loading available models...',
+        model: 'Model',
+        englishOnly: 'English only',
+        modelHelp: 'Larger models are more accurate, but slower and use more memory.',
+        diarize: 'Identify speakers',
+        diarizeHelp: 'Labels each fragment with the person speaking (useful for interviews and meetings).',
+        numSpeakers: 'Number of speakers (optional)',
+        numSpeakersPlaceholder: 'Detect automatically',
+        translateTo: 'Translate to (optional)',
+        noTranslation: 'No translation',
+        translateHelp: 'Keeps the original text and adds its translation to each segment.',
+        translateHelpWhisper: 'Keeps the original text and adds its translation to each segment (without a configured translation service, English only).',
+        advanced: 'Advanced options',
+        task: 'Task',
+        tasks: {
+            transcribe: 'Transcribe (original language)',
+            translate: 'Translate to English',
+        },
+        temperature: 'Temperature',
+        temperatureAuto: '(automatic)',
+        automatic: 'Automatic',
+        beamSize: 'Beam size',
+        beamSizePlaceholder: 'Default ({value})',
+        initialPrompt: 'Initial prompt',
+        initialPromptPlaceholder: 'E.g. proper names or technical vocabulary that appears in the audio',
+        wordTimestamps: 'Word-level timestamps',
+    },
+    preprocess: {
+        title: 'Audio preprocessing',
+        range: 'Fragment to transcribe',
+        selectFile: 'Select a file to choose the fragment to transcribe.',
+        requiresFfmpeg: 'Requires FFmpeg on the server.',
+        removeSilence: {
+            label: 'Remove silences',
+            help: 'Skips the parts without speech (speeds up recordings with long pauses). Timestamps still refer to the original audio.',
+        },
+        normalize: {
+            label: 'Normalize volume',
+            help: 'Evens out the volume of very quiet recordings or recordings with uneven levels.',
+        },
+        resample: {
+            label: 'Convert to 16 kHz mono',
+            help: 'Reduces the file to the format Whisper uses internally (useful for very large high-quality files).',
+        },
+    },
+    waveform: {
+        tooLarge: 'The file is too large to show its waveform; enter the fragment in the fields.',
+        unsupported: 'The browser cannot decode this format; enter the fragment in the fields.',
+        analyzing: 'Analyzing the waveform...',
+        canvasLabel: 'Waveform: drag to select the fragment to transcribe',
+        from: 'From',
+        to: 'to',
+        startPlaceholder: 'Start',
+        endPlaceholder: 'End',
+        reset: 'Reset',
+    },
+    batch: {
+        dropLabel: 'Choose audio or ZIP files',
+        dropTitle: 'Drag your audio or ZIP files here',
+        dropHint: 'or click to choose them (up to {max} audio files per batch)',
+        help: 'ZIP files are extracted on the server and the audio files they contain are transcribed. All files use the selected language and options.',
+        remove: 'Remove',
+        removeLabel: 'Remove {name}',
+        submit: {
+            one: 'Transcribe {count} file',
+            other: 'Transcribe {count} files',
+        },
+        submitEmpty: 'Transcribe batch',
+        uploading: 'Uploading files...',
+        summary: 'Batch: {status} ({done}/{total} completed)',
+        downloadAll: 'Download all',
+        downloadAllLabel: 'Download all transcriptions',
+        cancel: 'Cancel batch',
+        columns: {
+            file: 'File',
+            size: 'Size',
+            status: 'Status',
+            progress: 'Progress',
+        },
+        progressLabel: 'Progress of {name}',
+        unknownError: 'Unknown error.',
+        open: 'View',
+        rejected: 'Discarded files:',
+        connectionLost: 'The connection to the server was lost while the batch was being processed.',
+        submitFailed: 'The batch could not be submitted: {message}',
+        jobStatus: {
+            queued: 'Queued',
+            running: 'Transcribing',
+            done: 'Completed',
+            failed: 'Error',
+            cancelled: 'Cancelled',
+        },
+        status: {
+            queued: 'Queued',
+            running: 'Transcribing',
+            done: 'Completed',
+            partial: 'Completed with errors',
+            failed: 'Failed',
+        },
+    },
+    live: {
+        start: 'Start recording',
+        stop: 'Stop recording',
+        finishing: 'Finishing transcription...',
+        connecting: 'Connecting...',
+        levelLabel: 'Microphone level',
+        placeholder: 'The text will appear here while you speak...',
+        unknownError: 'Unknown error during the recording.',
+        connectionLost: 'The connection to the server was lost during the recording.',
+        micFailed: 'The microphone could not be accessed: {message}',
+    },
+    result: {
+        title: 'Transcription Result',
+        edit: 'Edit',
+        downloadLabel: 'Download transcription',
+        downloadVariantLabel: 'Download: {label}',
+        audioUnavailable: 'The original audio of this transcription is not available.',
+        speakers: 'Speakers:',
+        speakerName: 'Speaker name',
+        save: 'Save',
+        cancel: 'Cancel',
+        renameSpeaker: 'Rename speaker',
+        renameFailed: 'The speaker could not be renamed: {message}',
+        original: 'Original',
+        originalWithSource: 'Original ({language})',
+        translation: 'Translation ({language})',
+        playFromHere: 'Play from here',
+        searchLabel: 'Search the transcript',
+        searchPlaceholder: 'Search the transcript…',
+        searchPosition: '{current} of {total}',
+        searchCount: {
+            one: '{count} match',
+            other: '{count} matches',
+        },
+        searchNoMatches: 'No matches',
+        previousMatch: 'Previous match (Shift+Enter)',
+        nextMatch: 'Next match (Enter)',
+    },
+    insights: {
+        title: 'Insights',
+        loadFailed: 'The transcript insights could not be loaded.',
+        keywords: 'Keywords:',
+        noKeywords: 'No repeated terms were found.',
+        keywordTitle: {
+            one: 'Search for "{term}" (appears {count} time)',
+            other: 'Search for "{term}" (appears {count} times)',
+        },
+        topics: 'Topics:',
+        jumpTo: 'Go to {time}',
+        summary: 'Summary and chapters',
+        generate: 'Generate summary',
+        regenerate: 'Generate again',
+        generating: 'Generating the summary…',
+        noProvider: 'The server has no summary service configured (SUMMARY_PROVIDER).',
+        stale: 'The summary was generated before the latest edit of the transcript.',
+        generatedBy: 'Generated with {provider}',
+        generateFailed: 'The summary could not be generated: {message}',
+    },
+    downloads: {
+        bilingual: 'Bilingual',
+        translation: 'Translation',
+    },
+    editor: {
+        historyLabel: 'Change history',
+        undo: 'Undo',
+        undoTitle: 'Undo (Ctrl+Z)',
+        redo: 'Redo',
+        redoTitle: 'Redo (Ctrl+Y)',
+        save: 'Save',
+        discard: 'Discard changes',
+        close: 'Close editor',
+        dirty: 'There are unsaved changes. Downloads use the last saved version.',
+        saveFailed: 'The changes could not be saved: {message}',
+        playTitle: 'Play from the start of the segment',
+        playLabel: 'Play segment {number}',
+        startLabel: 'Start of segment {number}',
+        endLabel: 'End of segment {number}',
+        actionsLabel: 'Actions for segment {number}',
+        split: 'Split',
+        splitTitle: 'Split at the cursor position',
+        merge: 'Merge',
+        mergeTitle: 'Merge with the next segment',
+        delete: 'Delete',
+        deleteTitle: 'Delete the segment',
+        textLabel: 'Text of segment {number}',
+        translationPlaceholder: 'Translation',
+        translationLabel: 'Translation of segment {number}',
+    },
+    segments: {
+        empty: 'The transcription must have at least one segment.',
+        noText: 'Segment {position} has no text.',
+        endsBeforeStart: 'Segment {position} ends before it starts.',
+        startsBeforePrevious: 'Segment {position} starts before the previous one.',
+    },
+    speakers: {
+        default: 'Speaker {number}',
+    },
+    format: {
+        mono: 'mono',
+        stereo: 'stereo',
+        channels: '{count} channels',
+    },
+    errors: {
+        MISSING_FILE: 'No audio was received. Select a file and try again.',
+        UNSUPPORTED_FORMAT: 'The file is not a supported audio file or is damaged. Try MP3, WAV, M4A, OGG or FLAC.',
+        DECODE_FAILED: 'The audio could not be processed: it may be damaged or use an unsupported codec.',
+        NO_SPEECH: 'No speech was detected in the audio. Check that the recording has sound or turn off silence removal.',
+        MODEL_LOAD_FAILED: 'The server could not load the selected model. Try another model or contact the administrator.',
+        PYTHON_ENV_MISSING: 'The transcription environment (Python) is not installed on the server. Contact the administrator.',
+        DEPENDENCY_MISSING: 'A dependency is missing on the server (e.g. FFmpeg). Contact the administrator.',
+        ENGINE_UNAVAILABLE: 'The transcription engine is not available right now. Try again in a few minutes.',
+        ENGINE_ERROR: 'The transcription engine failed to process the audio. Try again; if it happens again, contact the administrator.',
+        TRANSLATION_FAILED: 'The transcription could not be translated: the translation service is not available.',
+        SUMMARY_FAILED: 'The summary service failed or returned an invalid response. Try again or contact the administrator.',
+        INSUFFICIENT_STORAGE: 'The server has no free space to receive more audio. Try again later or contact the administrator.',
+        TIMEOUT: 'The operation took too long. Try again or use a shorter audio file.',
+        CANCELLED: 'The transcription was cancelled.',
+        RATE_LIMITED: 'Too many requests in a row. Wait a moment and try again.',
+        UNAUTHORIZED: 'The API key is not valid or has been revoked. Check it in the settings.',
+        INVALID_JSON: 'The application sent an invalid request. Reload the page and try again.',
+        INTERNAL_ERROR: 'Unexpected server error. Try again; if it happens again, contact the administrator.',
+    },
+    apiErrors: {
+        reference: '{message} (ref. {requestId})',
+        serverError: 'Server error: {status} {statusText}',
+    },
+};
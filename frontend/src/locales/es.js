@@ -0,0 +1,326 @@
+// frontend/src/locales/es.js
+// Textos de la interfaz en español (idioma de referencia: cualquier clave que falte en otro catálogo se toma de
+// aquí). Los marcadores `{nombre}` se sustituyen al usarlos; los objetos `{ one, other }` son formas de plural.
+
+export default {
+    app: {
+        title: 'Transcriptor de Audio',
+        subtitle: 'Sube uno o varios archivos de audio, indica su URL o graba desde el micrófono para transcribirlo localmente usando Whisper',
+        tabs: {
+            file: 'Subir archivo',
+            url: 'Desde URL',
+            batch: 'Lote',
+            record: 'Grabar',
+        },
+        fileLabel: 'Selecciona el Archivo de Audio',
+        fileHelp: 'Admite varios formatos como mp3, wav, m4a, ogg a través de FFmpeg.',
+        urlLabel: 'URL del Archivo de Audio',
+        urlPlaceholder: 'https://archivos.ejemplo.com/grabaciones/reunion.mp3',
+        urlHelp: 'El servidor descarga el audio (http o https, también URL prefirmadas de S3). Para un archivo del directorio de importación del servidor, escribe su ruta relativa (ej. llamadas/lunes.wav).',
+        languageLabel: 'Especificar idioma (opcional)',
+        languageHelp: 'Mejora la precisión para audio ruidoso, acentos o clips cortos.',
+        submit: 'Iniciar Transcripción',
+        transcribing: 'Transcribiendo...',
+        loading: 'Cargando...',
+        queued: 'En cola, esperando turno...',
+        processing: 'Procesando, por favor espere...',
+        slowNote: '(Esto puede tardar un poco para archivos de audio largos o modelos más grandes)',
+        audioInfo: 'Audio: {info}',
+        progressLabel: 'Progreso de la transcripción',
+        elapsed: 'Tiempo transcurrido: {time}',
+        cancel: 'Cancelar',
+        errorTitle: '¡Error de Transcripción!',
+        receivedAudio: 'Audio recibido: {info}',
+        errorHint: 'Por favor, verifica el archivo, el idioma seleccionado o los registros del servidor backend.',
+        cachedNotice: 'Resultado recuperado de la caché: este audio ya se había transcrito con las mismas opciones.',
+        missingUrl: 'Por favor, indica primero la URL del audio.',
+        missingFile: 'Por favor, selecciona primero un archivo de audio.',
+        connectionLost: 'Se perdió la conexión con el servidor mientras se transcribía.',
+        unknownError: 'Error desconocido durante la transcripción.',
+        missingResult: 'Se recibió estado de éxito, pero faltan datos de transcripción en la respuesta.',
+        failed: 'Falló la transcripción: {message}',
+        openFailed: 'No se pudo abrir la transcripción: {message}',
+    },
+    // Idiomas que se pueden indicar al transcribir o elegir como destino de la traducción.
+    languages: {
+        auto: 'Detectar Automáticamente',
+        autoCode: 'Auto',
+        en: 'Inglés',
+        es: 'Español',
+        fr: 'Francés',
+        de: 'Alemán',
+        it: 'Italiano',
+        ja: 'Japonés',
+        zh: 'Chino',
+        ko: 'Coreano',
+        pt: 'Portugués',
+        ru: 'Ruso',
+    },
+    localeSwitcher: {
+        label: 'Idioma de la interfaz',
+    },
+    apiKey: {
+        saved: 'Clave de API: {key}…',
+        none: 'Sin clave de API',
+        change: 'Cambiar',
+        enter: 'Introducir clave',
+        required: 'El servidor requiere una clave de API válida. Pídala a quien administra el servidor.',
+        label: 'Clave de API',
+        save: 'Guardar',
+        remove: 'Quitar',
+        help: 'Se guarda solo en este navegador y se envía con cada solicitud al backend.',
+    },
+    history: {
+        title: 'Historial',
+        searchPlaceholder: 'Buscar en transcripciones...',
+        searchLabel: 'Buscar en el historial',
+        noResults: 'Sin resultados.',
+        empty: 'Aún no hay transcripciones guardadas.',
+        newTitle: 'Nuevo título',
+        ok: 'OK',
+        cancel: 'Cancelar',
+        rename: 'Renombrar',
+        delete: 'Eliminar',
+        confirmDelete: '¿Eliminar "{title}" del historial?',
+        loadFailed: 'No se pudo cargar el historial.',
+        renameFailed: 'No se pudo renombrar la transcripción.',
+        deleteFailed: 'No se pudo eliminar la transcripción.',
+    },
+    options: {
+        loading: 'Cargando modelos disponibles...',
+        model: 'Modelo',
+        englishOnly: 'solo inglés',
+        modelHelp: 'Los modelos más grandes son más precisos, pero más lentos y consumen más memoria.',
+        diarize: 'Identificar hablantes',
+        diarizeHelp: 'Etiqueta cada fragmento con la persona que habla (útil para entrevistas y reuniones).',
+        numSpeakers: 'Número de hablantes (opcional)',
+        numSpeakersPlaceholder: 'Detectar automáticamente',
+        translateTo: 'Traducir a (opcional)',
+        noTranslation: 'Sin traducción',
+        translateHelp: 'Conserva el texto original y añade su traducción a cada segmento.',
+        translateHelpWhisper: 'Conserva el texto original y añade su traducción a cada segmento (sin un servicio de traducción configurado, solo al inglés).',
+        advanced: 'Opciones avanzadas',
+        task: 'Tarea',
+        // Nombres de las tareas de Whisper; una tarea sin nombre aquí se muestra con su identificador.
+        tasks: {
+            transcribe: 'Transcribir (idioma original)',
+            translate: 'Traducir al inglés',
+        },
+        temperature: 'Temperatura',
+        temperatureAuto: '(automática)',
+        automatic: 'Automática',
+        beamSize: 'Tamaño del haz (beam size)',
+        beamSizePlaceholder: 'Por defecto ({value})',
+        initialPrompt: 'Contexto inicial (initial prompt)',
+        initialPromptPlaceholder: 'Ej. nombres propios o vocabulario técnico que aparece en el audio',
+        wordTimestamps: 'Marcas de tiempo por palabra',
+    },
+    preprocess: {
+        title: 'Preprocesamiento del audio',
+        range: 'Fragmento a transcribir',
+        selectFile: 'Selecciona un archivo para elegir el fragmento a transcribir.',
+        requiresFfmpeg: 'Requiere FFmpeg en el servidor.',
+        removeSilence: {
+            label: 'Eliminar silencios',
+            help: 'Omite los tramos sin voz (acelera grabaciones con pausas largas). Los tiempos siguen refiriéndose al audio original.',
+        },
+        normalize: {
+            label: 'Normalizar volumen',
+            help: 'Iguala el volumen de grabaciones muy bajas o con niveles irregulares.',
+        },
+        resample: {
+            label: 'Convertir a 16 kHz mono',
+            help: 'Reduce el archivo al formato que usa Whisper internamente (útil para archivos de alta calidad muy grandes).',
+        },
+    },
+    waveform: {
+        tooLarge: 'El archivo es demasiado grande para mostrar su forma de onda; indica el fragmento con los campos.',
+        unsupported: 'El navegador no puede decodificar este formato; indica el fragmento con los campos.',
+        analyzing: 'Analizando la forma de onda...',
+        canvasLabel: 'Forma de onda: arrastra para seleccionar el fragmento a transcribir',
+        from: 'Desde',
+        to: 'hasta',
+        startPlaceholder: 'Inicio',
+        endPlaceholder: 'Final',
+        reset: 'Restablecer',
+    },
+    batch: {
+        dropLabel: 'Elegir archivos de audio o ZIP',
+        dropTitle: 'Arrastra aquí tus archivos de audio o ZIP',
+        dropHint: 'o pulsa para elegirlos (hasta {max} audios por lote)',
+        help: 'Los archivos ZIP se descomprimen en el servidor y se transcriben los audios que contienen. Todos los archivos usan el idioma y las opciones elegidos.',
+        remove: 'Quitar',
+        removeLabel: 'Quitar {name}',
+        submit: {
+            one: 'Transcribir {count} archivo',
+            other: 'Transcribir {count} archivos',
+        },
+        submitEmpty: 'Transcribir lote',
+        uploading: 'Subiendo archivos...',
+        summary: 'Lote: {status} ({done}/{total} completados)',
+        downloadAll: 'Descargar todo',
+        downloadAllLabel: 'Descargar todas las transcripciones',
+        cancel: 'Cancelar lote',
+        columns: {
+            file: 'Archivo',
+            size: 'Tamaño',
+            status: 'Estado',
+            progress: 'Progreso',
+        },
+        progressLabel: 'Progreso de {name}',
+        unknownError: 'Error desconocido.',
+        open: 'Ver',
+        rejected: 'Archivos descartados:',
+        connectionLost: 'Se perdió la conexión con el servidor mientras se procesaba el lote.',
+        submitFailed: 'No se pudo enviar el lote: {message}',
+        // Estado de cada archivo del lote.
+        jobStatus: {
+            queued: 'En cola',
+            running: 'Transcribiendo',
+            done: 'Completado',
+            failed: 'Error',
+            cancelled: 'Cancelado',
+        },
+        // Estado global del lote.
+        status: {
+            queued: 'En cola',
+            running: 'Transcribiendo',
+            done: 'Completado',
+            partial: 'Completado con errores',
+            failed: 'Falló',
+        },
+    },
+    live: {
+        start: 'Iniciar grabación',
+        stop: 'Detener grabación',
+        finishing: 'Finalizando transcripción...',
+        connecting: 'Conectando...',
+        levelLabel: 'Nivel del micrófono',
+        placeholder: 'El texto aparecerá aquí mientras hablas...',
+        unknownError: 'Error desconocido durante la grabación.',
+        connectionLost: 'Se perdió la conexión con el servidor durante la grabación.',
+        micFailed: 'No se pudo acceder al micrófono: {message}',
+    },
+    result: {
+        title: 'Resultado de la Transcripción',
+        edit: 'Editar',
+        downloadLabel: 'Descargar transcripción',
+        downloadVariantLabel: 'Descargar: {label}',
+        audioUnavailable: 'El audio original de esta transcripción no está disponible.',
+        speakers: 'Hablantes:',
+        speakerName: 'Nombre del hablante',
+        save: 'Guardar',
+        cancel: 'Cancelar',
+        renameSpeaker: 'Renombrar hablante',
+        renameFailed: 'No se pudo renombrar el hablante: {message}',
+        original: 'Original',
+        originalWithSource: 'Original ({language})',
+        translation: 'Traducción ({language})',
+        playFromHere: 'Reproducir desde aquí',
+        searchLabel: 'Buscar en la transcripción',
+        searchPlaceholder: 'Buscar en la transcripción…',
+        searchPosition: '{current} de {total}',
+        searchCount: {
+            one: '{count} coincidencia',
+            other: '{count} coincidencias',
+        },
+        searchNoMatches: 'Sin coincidencias',
+        previousMatch: 'Coincidencia anterior (Mayús+Intro)',
+        nextMatch: 'Coincidencia siguiente (Intro)',
+    },
+    // Análisis de la transcripción (ver `components/TranscriptInsights.jsx`).
+    insights: {
+        title: 'Análisis',
+        loadFailed: 'No se pudo cargar el análisis de la transcripción.',
+        keywords: 'Palabras clave:',
+        noKeywords: 'No se encontraron términos repetidos.',
+        keywordTitle: {
+            one: 'Buscar "{term}" (aparece {count} vez)',
+            other: 'Buscar "{term}" (aparece {count} veces)',
+        },
+        topics: 'Temas:',
+        jumpTo: 'Ir a {time}',
+        summary: 'Resumen y capítulos',
+        generate: 'Generar resumen',
+        regenerate: 'Volver a generar',
+        generating: 'Generando el resumen…',
+        noProvider: 'El servidor no tiene configurado un servicio de resúmenes (SUMMARY_PROVIDER).',
+        stale: 'El resumen se generó antes de la última edición de la transcripción.',
+        generatedBy: 'Generado con {provider}',
+        generateFailed: 'No se pudo generar el resumen: {message}',
+    },
+    // Textos de una transcripción traducida que se pueden descargar (ver `utils/downloads.js`).
+    downloads: {
+        bilingual: 'Bilingüe',
+        translation: 'Traducción',
+    },
+    editor: {
+        historyLabel: 'Historial de cambios',
+        undo: 'Deshacer',
+        undoTitle: 'Deshacer (Ctrl+Z)',
+        redo: 'Rehacer',
+        redoTitle: 'Rehacer (Ctrl+Y)',
+        save: 'Guardar',
+        discard: 'Descartar cambios',
+        close: 'Cerrar editor',
+        dirty: 'Hay cambios sin guardar. Las descargas usan la última versión guardada.',
+        saveFailed: 'No se pudieron guardar los cambios: {message}',
+        playTitle: 'Reproducir desde el inicio del segmento',
+        playLabel: 'Reproducir el segmento {number}',
+        startLabel: 'Inicio del segmento {number}',
+        endLabel: 'Fin del segmento {number}',
+        actionsLabel: 'Acciones del segmento {number}',
+        split: 'Dividir',
+        splitTitle: 'Dividir en la posición del cursor',
+        merge: 'Unir',
+        mergeTitle: 'Unir con el segmento siguiente',
+        delete: 'Eliminar',
+        deleteTitle: 'Eliminar el segmento',
+        textLabel: 'Texto del segmento {number}',
+        translationPlaceholder: 'Traducción',
+        translationLabel: 'Traducción del segmento {number}',
+    },
+    // Problemas de los segmentos editados (ver `validateSegments` en `utils/segments.js`).
+    segments: {
+        empty: 'La transcripción debe tener al menos un segmento.',
+        noText: 'El segmento {position} no tiene texto.',
+        endsBeforeStart: 'El segmento {position} termina antes de empezar.',
+        startsBeforePrevious: 'El segmento {position} empieza antes que el anterior.',
+    },
+    speakers: {
+        default: 'Hablante {number}',
+    },
+    format: {
+        mono: 'mono',
+        stereo: 'estéreo',
+        channels: '{count} canales',
+    },
+    // Mensajes para los códigos de error de la API (ver `backend/lib/errors.js`), con lo que puede hacer el usuario.
+    // Sustituyen al mensaje del servidor en los fallos técnicos (motor, FFmpeg, Python...). Los códigos que no están
+    // aquí (ej. INVALID_REQUEST, NOT_FOUND, FILE_TOO_LARGE, QUOTA_EXCEEDED) muestran el mensaje del servidor, que ya
+    // describe el caso concreto (el campo no válido, el tamaño máximo, los minutos restantes...).
+    errors: {
+        MISSING_FILE: 'No se recibió ningún audio. Seleccione un archivo e inténtelo de nuevo.',
+        UNSUPPORTED_FORMAT: 'El archivo no es un audio compatible o está dañado. Pruebe con MP3, WAV, M4A, OGG o FLAC.',
+        DECODE_FAILED: 'No se pudo procesar el audio: puede estar dañado o usar un códec no compatible.',
+        NO_SPEECH: 'No se detectó voz en el audio. Compruebe que la grabación tenga sonido o desactive la eliminación de silencios.',
+        MODEL_LOAD_FAILED: 'El servidor no pudo cargar el modelo elegido. Pruebe con otro modelo o avise al administrador.',
+        PYTHON_ENV_MISSING: 'El servidor no tiene instalado el entorno de transcripción (Python). Avise al administrador.',
+        DEPENDENCY_MISSING: 'Falta una dependencia en el servidor (ej. FFmpeg). Avise al administrador.',
+        ENGINE_UNAVAILABLE: 'El motor de transcripción no está disponible en este momento. Inténtelo de nuevo en unos minutos.',
+        ENGINE_ERROR: 'El motor de transcripción falló al procesar el audio. Inténtelo de nuevo; si se repite, avise al administrador.',
+        TRANSLATION_FAILED: 'No se pudo traducir la transcripción: el servicio de traducción no está disponible.',
+        SUMMARY_FAILED: 'El servicio de resúmenes falló o devolvió una respuesta no válida. Inténtelo de nuevo o avise al administrador.',
+        INSUFFICIENT_STORAGE: 'El servidor no tiene espacio libre para recibir más audios. Inténtelo más tarde o avise al administrador.',
+        TIMEOUT: 'La operación tardó demasiado. Inténtelo de nuevo o pruebe con un audio más corto.',
+        CANCELLED: 'La transcripción fue cancelada.',
+        RATE_LIMITED: 'Demasiadas solicitudes seguidas. Espere un momento e inténtelo de nuevo.',
+        UNAUTHORIZED: 'La clave de API no es válida o ha sido revocada. Revísela en la configuración.',
+        INVALID_JSON: 'La aplicación envió una solicitud no válida. Recargue la página e inténtelo de nuevo.',
+        INTERNAL_ERROR: 'Error inesperado del servidor. Inténtelo de nuevo; si se repite, avise al administrador.',
+    },
+    apiErrors: {
+        reference: '{message} (ref. {requestId})',
+        serverError: 'Error del servidor: {status} {statusText}',
+    },
+};
@@ -0,0 +1,82 @@
+// frontend/src/utils/api.js
+import { getLocale } from './i18n.js';
+
+// Clave del almacenamiento local donde se guarda la clave de API del usuario.
+const STORAGE_KEY = 'transcriptor.apiKey';
+
+/**
+ * Evento de `window` que se emite al cambiar la clave de API (`detail.reason = 'changed'`) o cuando el backend
+ * rechaza una solicitud por falta de una clave válida (`detail.reason = 'unauthorized'`).
+ */
+export const API_KEY_EVENT = 'transcriptor:apikey';
+
+/**
+ * Devuelve la clave de API guardada en el navegador.
+ * @returns {string} La clave, o una cadena vacía si no hay ninguna.
+ */
+export const getApiKey = () => {
+    try {
+        return localStorage.getItem(STORAGE_KEY) || '';
+    } catch {
+        return ''; // Almacenamiento local no disponible (ej. navegación privada estricta).
+    }
+};
+
+/**
+ * Guarda (o elimina, si está vacía) la clave de API en el navegador y avisa del cambio.
+ * @param {string} key - Nueva clave.
+ */
+export const setApiKey = (key) => {
+    const trimmed = key.trim();
+    try {
+        if (trimmed) localStorage.setItem(STORAGE_KEY, trimmed);
+        else localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+        console.error('No se pudo guardar la clave de API:', err);
+    }
+    window.dispatchEvent(new CustomEvent(API_KEY_EVENT, { detail: { reason: 'changed' } }));
+};
+
+/**
+ * Añade la clave de API a una URL como parámetro `apiKey`, para los recursos que el navegador solicita sin
+ * permitir cabeceras propias: flujos SSE (`EventSource`), WebSocket, `<audio>` y enlaces de descarga.
+ * @param {string} url - URL del recurso (puede incluir ya parámetros).
+ * @returns {string} La URL con la clave (sin cambios si no hay clave guardada).
+ */
+export const withApiKey = (url) => {
+    const key = getApiKey();
+    if (!key) return url;
+    const parsed = new URL(url);
+    parsed.searchParams.set('apiKey', key);
+    return parsed.toString();
+};
+
+/**
+ * Añade el idioma de la interfaz a una URL como parámetro `lang`, para que el backend escriba los mensajes de error
+ * en ese idioma en los recursos que no permiten cabeceras propias (flujos SSE y WebSocket).
+ * @param {string} url - URL del recurso (puede incluir ya parámetros).
+ * @returns {string} La URL con el idioma.
+ */
+export const withLocale = (url) => {
+    const parsed = new URL(url);
+    parsed.searchParams.set('lang', getLocale());
+    return parsed.toString();
+};
+
+/**
+ * `fetch` con la clave de API en la cabecera `X-API-Key` y el idioma de la interfaz en `Accept-Language` (para los
+ * mensajes de error del backend). Si el backend responde 401, emite `API_KEY_EVENT` para que la interfaz pida una
+ * clave.
+ * @param {string} url - URL de destino.
+ * @param {RequestInit} [options] - Opciones de `fetch`.
+ * @returns {Promise<Response>}
+ */
+export const apiFetch = async (url, options = {}) => {
+    const key = getApiKey();
+    const headers = { 'Accept-Language': getLocale(), ...options.headers, ...(key && { 'X-API-Key': key }) };
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+        window.dispatchEvent(new CustomEvent(API_KEY_EVENT, { detail: { reason: 'unauthorized' } }));
+    }
+    return response;
+};
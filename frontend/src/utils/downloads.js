@@ -0,0 +1,23 @@
+// frontend/src/utils/downloads.js
+
+/**
+ * Formatos de descarga ofrecidos al usuario. `format` debe coincidir con los aceptados por los endpoints
+ * de descarga del backend (`GET /api/history/:id/download` y `GET /api/batch/:id/download`).
+ */
+export const downloadFormats = [
+    { format: 'srt', label: 'SRT' },
+    { format: 'vtt', label: 'WebVTT' },
+    { format: 'tsv', label: 'TSV' },
+    { format: 'json', label: 'JSON' },
+    { format: 'txt', label: 'TXT' },
+];
+
+/**
+ * Textos que se pueden descargar de una transcripción traducida, además del original (parámetro `text`
+ * de los endpoints de descarga). Se ofrecen solo en los formatos de subtítulos y de texto. Su nombre visible
+ * es el de la clave `downloads.<text>` de los catálogos de `locales/`.
+ */
+export const translationDownloads = [
+    { text: 'bilingual', formats: ['srt', 'vtt', 'txt'] },
+    { text: 'translation', formats: ['srt', 'vtt', 'txt'] },
+];
@@ -0,0 +1,28 @@
+// frontend/src/utils/errors.js
+import { hasMessage, t } from './i18n.js';
+
+/**
+ * Mensaje para el usuario de un error de la API, en el idioma de la interfaz: el de su código (sección `errors` de
+ * los catálogos de `locales/`) o, si no tiene uno propio, el del servidor, que ya llega en ese idioma (ver
+ * `apiFetch`). Si el error trae el identificador de la solicitud, se añade como referencia para el administrador.
+ * @param {object|null|undefined} error - Cuerpo de una respuesta de error (`{ error, code, requestId }`) o error
+ *        de un trabajo (`{ code, message }`).
+ * @param {string} fallback - Mensaje si el error no trae ninguno (ej. una respuesta sin cuerpo JSON).
+ * @returns {string}
+ */
+export const describeApiError = (error, fallback) => {
+    const message = (error?.code && hasMessage(`errors.${error.code}`) && t(`errors.${error.code}`)) || error?.error || error?.message || fallback;
+    return error?.requestId ? t('apiErrors.reference', { message, requestId: error.requestId }) : message;
+};
+
+/**
+ * Crea el Error que lanzan las solicitudes fallidas, con el mensaje de `describeApiError` y el código de la API.
+ * @param {object|null} data - Cuerpo JSON de la respuesta.
+ * @param {Response} response - Respuesta HTTP (para el mensaje por defecto).
+ * @returns {Error} Con `code` (null si la respuesta no lo indica).
+ */
+export const apiError = (data, response) => {
+    const error = new Error(describeApiError(data, t('apiErrors.serverError', { status: response.status, statusText: response.statusText })));
+    error.code = data?.code || null;
+    return error;
+};
@@ -0,0 +1,115 @@
+// frontend/src/utils/format.js
+import { getIntlLocale, t } from './i18n.js';
+
+/**
+ * Formatea una cantidad de segundos como "M:SS" (o "H:MM:SS" a partir de una hora).
+ * @param {number} totalSeconds - Segundos a formatear.
+ * @returns {string} Tiempo formateado.
+ */
+export const formatSeconds = (totalSeconds = 0) => {
+    const seconds = Math.floor(totalSeconds % 60);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const hours = Math.floor(totalSeconds / 3600);
+    const pad = (value) => String(value).padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+};
+
+/**
+ * Formatea un tiempo en segundos como código de tiempo con décimas ("M:SS.d" o "H:MM:SS.d"),
+ * usado para mostrar el inicio y fin de cada segmento.
+ * @param {number} totalSeconds - Segundos a formatear.
+ * @returns {string} Código de tiempo formateado.
+ */
+export const formatTimecode = (totalSeconds = 0) => {
+    const tenths = Math.floor((totalSeconds % 1) * 10);
+    return `${formatSeconds(totalSeconds)}.${tenths}`;
+};
+
+/**
+ * Formatea un tiempo en segundos con milisegundos ("M:SS.mmm" o "H:MM:SS.mmm"), para editar los tiempos de los segmentos.
+ * @param {number} totalSeconds - Segundos a formatear.
+ * @returns {string} Tiempo formateado.
+ */
+export const formatTimestamp = (totalSeconds = 0) => {
+    const milliseconds = Math.round(totalSeconds * 1000);
+    const wholeSeconds = Math.floor(milliseconds / 1000);
+    return `${formatSeconds(wholeSeconds)}.${String(milliseconds % 1000).padStart(3, '0')}`;
+};
+
+/**
+ * Interpreta un tiempo escrito por el usuario: "H:MM:SS.mmm", "M:SS.mmm" o segundos ("75.5").
+ * Admite coma o punto decimal.
+ * @param {string} text - Tiempo escrito.
+ * @returns {number|null} Segundos, o null si el texto no es un tiempo válido.
+ */
+export const parseTimestamp = (text) => {
+    const match = /^(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:[.,]\d+)?)$/.exec(String(text).trim());
+    if (!match) return null;
+    const [, hours = '0', minutes = '0', seconds] = match;
+    if (match[2] !== undefined && parseFloat(seconds.replace(',', '.')) >= 60) return null;
+    return Number(hours) * 3600 + Number(minutes) * 60 + parseFloat(seconds.replace(',', '.'));
+};
+
+/**
+ * Formatea un número con los separadores del idioma de la interfaz (ej. "1,5" en español y "1.5" en inglés).
+ * @param {number} value - Número a formatear.
+ * @param {Intl.NumberFormatOptions} [options] - Opciones de `Intl.NumberFormat` (ej. decimales).
+ * @returns {string} Número formateado.
+ */
+export const formatNumber = (value, options) => new Intl.NumberFormat(getIntlLocale(), options).format(value);
+
+/**
+ * Formatea un tamaño en bytes con la unidad más adecuada ("512 B", "1,5 KB", "23,4 MB"...).
+ * @param {number} bytes - Tamaño a formatear.
+ * @returns {string} Tamaño formateado.
+ */
+export const formatBytes = (bytes = 0) => {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    return unit === 0 ? `${formatNumber(value)} B` : `${formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} ${units[unit]}`;
+};
+
+/**
+ * Formatea una fecha con la fecha y la hora en el formato del idioma de la interfaz.
+ * @param {string|number|Date} value - Fecha (ej. una cadena ISO 8601 del backend).
+ * @returns {string} Fecha formateada.
+ */
+export const formatDate = (value) => new Intl.DateTimeFormat(getIntlLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value));
+
+/**
+ * Formatea una duración en segundos con unidades en el idioma de la interfaz (ej. "1 h 5 min", "3 min 25 s").
+ * Se omiten los segundos a partir de una hora.
+ * @param {number} totalSeconds - Duración a formatear.
+ * @returns {string} Duración formateada.
+ */
+export const formatDuration = (totalSeconds = 0) => {
+    const seconds = Math.floor(totalSeconds % 60);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const hours = Math.floor(totalSeconds / 3600);
+    const parts = hours > 0 ? [[hours, 'hour'], [minutes, 'minute']] : [[minutes, 'minute'], [seconds, 'second']];
+    return parts
+        .filter(([value], index) => value > 0 || (index === parts.length - 1 && parts[0][0] === 0))
+        .map(([value, unit]) => formatNumber(value, { style: 'unit', unit, unitDisplay: 'short' }))
+        .join(' ');
+};
+
+/**
+ * Resume la duración y el formato de un audio analizado por el backend con FFprobe
+ * (ej. "3:25 · mp3, 44,1 kHz, estéreo").
+ * @param {{duration?: number, format?: string, codec?: string, sampleRate?: number, channels?: number}} input - Datos del audio.
+ * @returns {string} Resumen legible (vacío si no hay datos).
+ */
+export const formatAudioInfo = (input) => {
+    if (!input) return '';
+    const details = [
+        input.codec || input.format,
+        input.sampleRate && `${formatNumber(input.sampleRate / 1000)} kHz`,
+        input.channels && (input.channels === 1 ? t('format.mono') : input.channels === 2 ? t('format.stereo') : t('format.channels', { count: input.channels })),
+    ].filter(Boolean).join(', ');
+    return [input.duration != null && formatSeconds(input.duration), details].filter(Boolean).join(' · ');
+};
@@ -0,0 +1,123 @@
+// frontend/src/utils/i18n.js
+import { useSyncExternalStore } from 'react';
+import es from '../locales/es.js';
+import en from '../locales/en.js';
+
+// Clave del almacenamiento local donde se guarda el idioma elegido por el usuario.
+const STORAGE_KEY = 'transcriptor.locale';
+
+/**
+ * Idiomas de la interfaz. `code` es el que se envía al backend (`Accept-Language` o parámetro `lang`) y debe
+ * coincidir con `SUPPORTED_LOCALES` de `backend/lib/errors.js`; `intl`, la configuración regional con la que se
+ * formatean fechas, números y duraciones. El primero es el de referencia: sus textos se usan cuando falta uno
+ * en otro catálogo.
+ */
+export const LOCALES = [
+    { code: 'es', name: 'Español', intl: 'es-ES', messages: es },
+    { code: 'en', name: 'English', intl: 'en-US', messages: en },
+];
+
+/**
+ * Evento de `window` que se emite al cambiar el idioma de la interfaz (`detail.locale`).
+ */
+export const LOCALE_EVENT = 'transcriptor:locale';
+
+/**
+ * Idioma inicial: el guardado en el navegador o, si no hay ninguno, el primero admitido de los preferidos
+ * por el navegador.
+ * @returns {string} Código del idioma.
+ */
+const detectLocale = () => {
+    const isSupported = (code) => LOCALES.some(locale => locale.code === code);
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (isSupported(saved)) return saved;
+    } catch {
+        // Almacenamiento local no disponible (ej. navegación privada estricta): se usa el idioma del navegador.
+    }
+    const preferred = (navigator.languages || [navigator.language]).map(tag => String(tag).split('-')[0].toLowerCase());
+    return preferred.find(isSupported) || LOCALES[0].code;
+};
+
+let currentLocale = detectLocale();
+document.documentElement.lang = currentLocale;
+
+/**
+ * Devuelve el idioma actual de la interfaz.
+ * @returns {string} Código del idioma (ej. 'es').
+ */
+export const getLocale = () => currentLocale;
+
+/**
+ * Configuración regional del idioma actual, para las APIs `Intl` (ej. 'es-ES').
+ * @returns {string}
+ */
+export const getIntlLocale = () => LOCALES.find(locale => locale.code === currentLocale).intl;
+
+/**
+ * Cambia el idioma de la interfaz, lo guarda en el navegador y avisa del cambio.
+ * @param {string} code - Código de uno de los idiomas de `LOCALES`.
+ */
+export const setLocale = (code) => {
+    if (code === currentLocale || !LOCALES.some(locale => locale.code === code)) return;
+    currentLocale = code;
+    try {
+        localStorage.setItem(STORAGE_KEY, code);
+    } catch (err) {
+        console.error('No se pudo guardar el idioma de la interfaz:', err);
+    }
+    document.documentElement.lang = code;
+    window.dispatchEvent(new CustomEvent(LOCALE_EVENT, { detail: { locale: code } }));
+};
+
+/**
+ * Busca un texto por su clave con puntos (ej. 'history.title') en el catálogo de un idioma.
+ * @param {string} code - Código del idioma.
+ * @param {string} key - Clave del texto.
+ * @returns {string|object|undefined} El texto, sus formas de plural o undefined si no existe.
+ */
+const lookup = (code, key) => key.split('.')
+    .reduce((node, part) => (node == null ? undefined : node[part]), LOCALES.find(locale => locale.code === code).messages);
+
+/**
+ * Indica si existe un texto para una clave (en el idioma actual o en el de referencia).
+ * @param {string} key - Clave del texto.
+ * @returns {boolean}
+ */
+export const hasMessage = (key) => lookup(currentLocale, key) !== undefined || lookup(LOCALES[0].code, key) !== undefined;
+
+/**
+ * Texto de la interfaz en el idioma actual. Los marcadores `{nombre}` se sustituyen por los parámetros; si el texto
+ * tiene formas de plural (`{ one, other }`), se elige la que corresponde al parámetro `count`. Si falta en el
+ * catálogo del idioma actual se usa el de referencia y, si tampoco existe, la propia clave.
+ * @param {string} key - Clave del texto (ej. 'batch.submit').
+ * @param {object} [params] - Valores de los marcadores.
+ * @returns {string}
+ */
+export const t = (key, params = {}) => {
+    let message = lookup(currentLocale, key) ?? lookup(LOCALES[0].code, key) ?? key;
+    if (typeof message === 'object') {
+        message = message[new Intl.PluralRules(getIntlLocale()).select(params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+};
+
+/**
+ * Se suscribe a los cambios de idioma.
+ * @param {function(): void} onChange - Se invoca al cambiar el idioma.
+ * @returns {function(): void} Cancela la suscripción.
+ */
+const subscribe = (onChange) => {
+    window.addEventListener(LOCALE_EVENT, onChange);
+    return () => window.removeEventListener(LOCALE_EVENT, onChange);
+};
+
+/**
+ * Hook con el idioma actual y la función de traducción. Los componentes que lo usan se vuelven a renderizar
+ * al cambiar el idioma.
+ * @returns {{locale: string, t: function(string, object=): string, setLocale: function(string): void}}
+ */
+export const useI18n = () => {
+    const locale = useSyncExternalStore(subscribe, getLocale);
+    return { locale, t, setLocale };
+};
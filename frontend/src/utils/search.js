@@ -0,0 +1,51 @@
+// frontend/src/utils/search.js
+// Búsqueda dentro de una transcripción, sin distinguir mayúsculas ni tildes (como la búsqueda del historial).
+
+/**
+ * Normaliza un texto para buscar en él: minúsculas y sin tildes ni diacríticos ("Canción" → "cancion").
+ * @param {string} text - Texto a normalizar.
+ * @returns {string}
+ */
+export const normalizeForSearch = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Localiza las apariciones de una búsqueda en un texto. La comparación se hace sobre el texto normalizado carácter a
+ * carácter, para devolver las posiciones en el texto original aunque la normalización cambie su longitud.
+ * @param {string} text - Texto en el que buscar.
+ * @param {string} query - Texto buscado (se ignoran los espacios de los extremos).
+ * @returns {Array<[number, number]>} Inicio y fin (exclusivo) de cada aparición en `text`, sin solaparse.
+ */
+export const findMatches = (text, query) => {
+    const term = normalizeForSearch(query).trim();
+    if (!term || !text) return [];
+    let normalized = '';
+    const origins = []; // Posición en el texto original de cada carácter normalizado.
+    for (let index = 0; index < text.length; index++) {
+        const char = normalizeForSearch(text[index]);
+        normalized += char;
+        for (let count = 0; count < char.length; count++) origins.push(index);
+    }
+    const matches = [];
+    for (let from = normalized.indexOf(term); from !== -1; from = normalized.indexOf(term, from + term.length)) {
+        matches.push([origins[from], origins[from + term.length - 1] + 1]);
+    }
+    return matches;
+};
+
+/**
+ * Divide un texto en fragmentos que coinciden o no con una búsqueda, para resaltar las coincidencias.
+ * @param {string} text - Texto a dividir.
+ * @param {string} query - Texto buscado.
+ * @returns {Array<{text: string, match: boolean}>} Los fragmentos, en orden (uno solo si no hay coincidencias).
+ */
+export const splitMatches = (text, query) => {
+    const parts = [];
+    let position = 0;
+    findMatches(text, query).forEach(([start, end]) => {
+        if (start > position) parts.push({ text: text.slice(position, start), match: false });
+        parts.push({ text: text.slice(start, end), match: true });
+        position = end;
+    });
+    if (position < text.length) parts.push({ text: text.slice(position), match: false });
+    return parts;
+};
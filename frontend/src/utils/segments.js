@@ -0,0 +1,120 @@
+// frontend/src/utils/segments.js
+// Operaciones del editor de transcripciones. Todas son puras: devuelven una nueva lista de segmentos
+// sin modificar la recibida, para poder deshacerlas y rehacerlas.
+import { t } from './i18n.js';
+
+// Duración mínima (s) de cada mitad al dividir un segmento.
+const MIN_SPLIT_DURATION = 0.05;
+
+/**
+ * Redondea un tiempo a milisegundos (la precisión que guarda el backend).
+ * @param {number} seconds - Tiempo en segundos.
+ * @returns {number}
+ */
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Índice del segmento que se está reproduciendo en un instante dado.
+ * @param {Array<{start: number, end: number}>} segments - Segmentos en orden.
+ * @param {number} time - Instante de la reproducción (s).
+ * @returns {number} Índice del segmento, o -1 si el instante no cae en ninguno.
+ */
+export const findActiveSegment = (segments, time) => segments.findIndex(segment => time >= segment.start && time < segment.end);
+
+/**
+ * Modifica los campos de un segmento. Si cambia el texto, se descartan las marcas de tiempo por palabra,
+ * que ya no corresponderían con él.
+ * @param {object[]} segments - Segmentos actuales.
+ * @param {number} index - Segmento a modificar.
+ * @param {object} changes - Campos nuevos (`text`, `translation`, `start`, `end`).
+ * @returns {object[]}
+ */
+export const updateSegment = (segments, index, changes) => segments.map((segment, position) => {
+    if (position !== index) return segment;
+    const updated = { ...segment, ...changes };
+    if (changes.text !== undefined && changes.text !== segment.text) delete updated.words;
+    return updated;
+});
+
+/**
+ * Divide un segmento en dos a partir de una posición de su texto. El instante de corte es el de la primera
+ * palabra de la segunda mitad si hay marcas de tiempo por palabra; si no, se reparte la duración en
+ * proporción a la longitud de cada mitad.
+ * @param {object[]} segments - Segmentos actuales.
+ * @param {number} index - Segmento a dividir.
+ * @param {number} offset - Posición del texto donde se divide (ej. la del cursor).
+ * @returns {object[]|null} Los nuevos segmentos, o null si alguna de las mitades quedaría vacía.
+ */
+export const splitSegment = (segments, index, offset) => {
+    const segment = segments[index];
+    const firstText = segment.text.slice(0, offset).trim();
+    const secondText = segment.text.slice(offset).trim();
+    if (!firstText || !secondText) return null;
+
+    const duration = segment.end - segment.start;
+    // Las palabras de la primera mitad son tantas como palabras tiene su texto.
+    const firstWordCount = firstText.split(/\s+/).length;
+    const words = segment.words?.length ? segment.words : null;
+    let splitTime = words && words[firstWordCount]
+        ? words[firstWordCount].start
+        : segment.start + duration * (firstText.length / (firstText.length + secondText.length));
+    splitTime = Math.min(Math.max(splitTime, segment.start + MIN_SPLIT_DURATION), segment.end - MIN_SPLIT_DURATION);
+    if (duration < MIN_SPLIT_DURATION * 2) splitTime = segment.start + duration / 2;
+
+    // La traducción no se puede dividir con el texto: se queda en la primera mitad.
+    const first = { ...segment, end: roundTime(splitTime), text: firstText };
+    const second = { ...segment, start: roundTime(splitTime), text: secondText };
+    if (segment.translation !== undefined) second.translation = '';
+    delete first.words;
+    delete second.words;
+    if (words) {
+        first.words = words.slice(0, firstWordCount);
+        second.words = words.slice(firstWordCount);
+    }
+    return [...segments.slice(0, index), first, second, ...segments.slice(index + 1)];
+};
+
+/**
+ * Une un segmento con el siguiente: el resultado empieza con el primero, termina con el segundo
+ * y conserva el hablante del primero.
+ * @param {object[]} segments - Segmentos actuales.
+ * @param {number} index - Primer segmento a unir (no puede ser el último).
+ * @returns {object[]}
+ */
+export const mergeWithNext = (segments, index) => {
+    const first = segments[index];
+    const second = segments[index + 1];
+    const merged = { ...first, end: Math.max(first.end, second.end), text: `${first.text.trim()} ${second.text.trim()}` };
+    delete merged.words;
+    if (first.words && second.words) merged.words = [...first.words, ...second.words];
+    if (first.translation !== undefined || second.translation !== undefined) {
+        merged.translation = [first.translation, second.translation].map(text => text?.trim()).filter(Boolean).join(' ');
+    }
+    return [...segments.slice(0, index), merged, ...segments.slice(index + 2)];
+};
+
+/**
+ * Elimina un segmento.
+ * @param {object[]} segments - Segmentos actuales.
+ * @param {number} index - Segmento a eliminar.
+ * @returns {object[]}
+ */
+export const removeSegment = (segments, index) => segments.filter((segment, position) => position !== index);
+
+/**
+ * Comprueba los segmentos antes de guardarlos, con las mismas reglas que el backend.
+ * @param {Array<{start: number, end: number, text: string}>} segments - Segmentos editados.
+ * @returns {string} El primer problema encontrado (en el idioma de la interfaz), o una cadena vacía si son válidos.
+ */
+export const validateSegments = (segments) => {
+    if (segments.length === 0) return t('segments.empty');
+    for (const [index, segment] of segments.entries()) {
+        const position = index + 1;
+        if (!segment.text.trim()) return t('segments.noText', { position });
+        if (segment.end < segment.start) return t('segments.endsBeforeStart', { position });
+        if (index > 0 && segment.start < segments[index - 1].start) {
+            return t('segments.startsBeforePrevious', { position });
+        }
+    }
+    return '';
+};
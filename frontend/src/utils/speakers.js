@@ -0,0 +1,31 @@
+// frontend/src/utils/speakers.js
+import { t } from './i18n.js';
+
+/**
+ * Nombre visible de un hablante: el asignado por el usuario o "Hablante N" por defecto, en el idioma de la
+ * interfaz (el mismo criterio que usa el backend al exportar, siempre en español).
+ * @param {string} speakerId - Identificador del hablante (ej. 'SPEAKER_1').
+ * @param {object} [speakerNames] - Nombres asignados por identificador.
+ * @returns {string}
+ */
+export const speakerLabel = (speakerId, speakerNames = {}) => {
+    if (speakerNames[speakerId]) return speakerNames[speakerId];
+    const number = /^SPEAKER_(\d+)$/.exec(speakerId)?.[1];
+    return number ? t('speakers.default', { number }) : speakerId;
+};
+
+/**
+ * Agrupa los segmentos consecutivos del mismo hablante en turnos de palabra.
+ * @param {Array<{start: number, end: number, text: string, speaker?: string}>} segments - Segmentos con hablante.
+ * @returns {Array<{speaker: string, start: number, end: number, text: string}>} Turnos en orden.
+ */
+export const groupSpeakerTurns = (segments) => segments.reduce((turns, segment) => {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+        last.end = segment.end;
+        last.text = `${last.text} ${segment.text}`;
+    } else {
+        turns.push({ speaker: segment.speaker, start: segment.start, end: segment.end, text: segment.text });
+    }
+    return turns;
+}, []);